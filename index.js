@@ -1,246 +1,781 @@
 // Smart Money AI - 24/7 WebSocket Monitor Service
 // Runs on Fly.io to continuously monitor Solana transactions
 require('dotenv').config();
-const WebSocket = require('ws');
-const { createClient } = require('@supabase/supabase-js');
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { ACTIVE_DEX_PROGRAMS, getDexName } = require('./lib/constants');
+const { classifyLogs, isDexActivity, parseDexActions, summarizeDexActivity, isSwapActivity } = require('./lib/dexParsers');
+const { decodeSwap, getAccountKeys, getSignature } = require('./lib/swapDecoder');
+const { WalletResolver } = require('./lib/walletResolver');
+const { PnlEngine, tradeFromRow } = require('./lib/pnlEngine');
+const { WalletScoringModel, loadScoringConfig, summarizeActivity } = require('./lib/walletScoring');
+const { AlertDispatcher, loadAlertRules } = require('./lib/alerts');
+const { ClusterDetector } = require('./lib/clusterDetector');
+const { LogStreamPool } = require('./lib/logStream');
+const { RpcPool } = require('./lib/rpcPool');
+const { BackfillManager } = require('./lib/backfill');
+const { WalletProfiler, mergeTradeRows } = require('./lib/walletProfiler');
+const { CandidateQueue, JOB_STATUS } = require('./lib/candidateQueue');
+const { createStore } = require('./lib/storage');
+const { WriteBuffer } = require('./lib/writeBuffer');
+const { MetricsRegistry, registerEventLoopLag } = require('./lib/metrics');
+const { ApiServer, sendJson } = require('./lib/api');
+const { AdminApi } = require('./lib/adminApi');
+const { EventStream } = require('./lib/eventStream');
+const { TokenMetadataService } = require('./lib/tokenMetadata');
+const { PriceOracle } = require('./lib/priceOracle');
+const { PumpFunLifecycle } = require('./lib/pumpFunLifecycle');
+const { CopyTradeSimulator } = require('./lib/copyTrader');
+const { TransactionFetchQueue, PRIORITY } = require('./lib/transactionFetchQueue');
+const { ReplayRunner, REPLAY_SOURCES, loadProductionBaseline, compareOutcomes, logReport } = require('./lib/replay');
 
 // ====================
 // CONFIGURATION
 // ====================
 
+function parseUrlList(list, fallback) {
+  const urls = (list || '').split(',').map(url => url.trim()).filter(Boolean);
+  return urls.length > 0 ? urls : [fallback].filter(Boolean);
+}
+
 const config = {
+  // Storage backend: 'supabase' (hosted) or 'postgres' (self-hosted, DATABASE_URL)
+  storageBackend: process.env.STORAGE_BACKEND || 'supabase',
+  databaseUrl: process.env.DATABASE_URL,
+  databasePoolSize: parseInt(process.env.DATABASE_POOL_SIZE || '10', 10),
+  databaseAutoMigrate: process.env.DATABASE_AUTO_MIGRATE !== 'false',
+
+  // `node index.js replay`: Postgres database for replay namespaces (one schema each)
+  replayDatabaseUrl: process.env.REPLAY_DATABASE_URL || process.env.DATABASE_URL,
+  replayPageSize: parseInt(process.env.REPLAY_PAGE_SIZE || '500', 10),
+
+  // Buffered writes for raw transactions, trades and candidates (batched per table)
+  writeBatchSize: parseInt(process.env.WRITE_BATCH_SIZE || '500', 10),
+  writeFlushMs: parseInt(process.env.WRITE_FLUSH_MS || '1000', 10),
+  writeMaxBuffered: parseInt(process.env.WRITE_MAX_BUFFERED || '10000', 10),
+
   supabaseUrl: process.env.SUPABASE_URL,
   supabaseServiceKey: process.env.SUPABASE_SERVICE_ROLE_KEY,
   chainstackWssUrl: process.env.CHAINSTACK_WSS_URL,
   chainstackHttpUrl: process.env.CHAINSTACK_HTTP_URL,
   chainstackApiKey: process.env.CHAINSTACK_API_KEY,
+
+  // RPC providers in order of preference (comma separated); default to the Chainstack URLs
+  wssUrls: parseUrlList(process.env.RPC_WSS_URLS, process.env.CHAINSTACK_WSS_URL),
+  httpUrls: parseUrlList(process.env.RPC_HTTP_URLS, process.env.CHAINSTACK_HTTP_URL),
+  maxSubscriptionsPerSocket: parseInt(process.env.RPC_MAX_SUBSCRIPTIONS_PER_SOCKET || '0', 10),
+  rpcCooldownSeconds: parseFloat(process.env.RPC_COOLDOWN_SECONDS || '30'),
+  rpcFailbackMinutes: parseFloat(process.env.RPC_FAILBACK_MINUTES || '5'),
+
+  // Replay signatures missed while a socket was down (getSignaturesForAddress per target)
+  backfillEnabled: process.env.BACKFILL_ENABLED !== 'false',
+  backfillMaxSignatures: parseInt(process.env.BACKFILL_MAX_SIGNATURES_PER_TARGET || '1000', 10),
+
+  // Transaction fetch queue (getTransaction against the HTTP endpoints)
+  txFetchConcurrency: parseInt(process.env.TX_FETCH_CONCURRENCY || '4', 10),
+  txFetchRatePerSecond: parseFloat(process.env.TX_FETCH_RATE_PER_SECOND || '10'),
+  txFetchMaxRetries: parseInt(process.env.TX_FETCH_MAX_RETRIES || '3', 10),
+  txFetchMaxQueueSize: parseInt(process.env.TX_FETCH_MAX_QUEUE_SIZE || '5000', 10),
+
+  // Candidate profiling from on-chain history (last N signatures via HTTP RPC; 0 disables)
+  profileSignatureLimit: parseInt(process.env.PROFILE_SIGNATURE_LIMIT || '100', 10),
+  profileConcurrency: parseInt(process.env.PROFILE_CONCURRENCY || '2', 10),
+  profileCacheMinutes: parseFloat(process.env.PROFILE_CACHE_MINUTES || '360'),
+
+  // Candidate job queue: throughput, leasing and retry policy
+  candidateBatchSize: parseInt(process.env.CANDIDATE_BATCH_SIZE || '10', 10),
+  candidateConcurrency: parseInt(process.env.CANDIDATE_CONCURRENCY || '2', 10),
+  candidatePollSeconds: parseFloat(process.env.CANDIDATE_POLL_SECONDS || '30'),
+  candidateLeaseSeconds: parseFloat(process.env.CANDIDATE_LEASE_SECONDS || '300'),
+  candidateMaxAttempts: parseInt(process.env.CANDIDATE_MAX_ATTEMPTS || '5', 10),
+  candidateRetryDelaySeconds: parseFloat(process.env.CANDIDATE_RETRY_DELAY_SECONDS || '60'),
+  candidateReevaluateHours: parseFloat(process.env.CANDIDATE_REEVALUATE_HOURS || '24'),
+
+  // Trade valuation: VWAP window over our own swaps, and where SOL/USD comes from
+  // ('swaps' = our SOL/stablecoin swaps, 'http' = SOL_USD_URL, 'fixed' = SOL_USD_PRICE)
+  priceWindowMinutes: parseFloat(process.env.PRICE_WINDOW_MINUTES || '15'),
+  solUsdSource: process.env.SOL_USD_SOURCE || 'swaps',
+  solUsdPrice: process.env.SOL_USD_PRICE ? parseFloat(process.env.SOL_USD_PRICE) : null,
+  solUsdUrl: process.env.SOL_USD_URL || null,
+  solUsdJsonPath: process.env.SOL_USD_JSON_PATH || 'solana.usd',
+  solUsdRefreshSeconds: parseFloat(process.env.SOL_USD_REFRESH_SECONDS || '60'),
+  tokenMetadataCacheSize: parseInt(process.env.TOKEN_METADATA_CACHE_SIZE || '10000', 10),
+
+  // Pump.fun launch -> bonding curve -> migration records, and launch timing on buys
+  pumpFunLifecycleEnabled: process.env.PUMP_FUN_LIFECYCLE !== 'false',
+  pumpFunCacheSize: parseInt(process.env.PUMP_FUN_CACHE_SIZE || '20000', 10),
+
+  // Copy-trading simulator: paper-trade these tracked wallets ('*' = all of them, empty = off)
+  copyTradeWallets: (process.env.COPY_TRADE_WALLETS || '').split(',').map(a => a.trim()).filter(Boolean),
+  copyTradeStartingSol: parseFloat(process.env.COPY_TRADE_STARTING_SOL || '100'),
+  copyTradeSizing: process.env.COPY_TRADE_SIZING || 'fixed', // 'fixed', 'proportional' or 'equity_percent'
+  copyTradeSizeSol: parseFloat(process.env.COPY_TRADE_SIZE_SOL || '1'),
+  copyTradeSizeRatio: parseFloat(process.env.COPY_TRADE_SIZE_RATIO || '0.1'),
+  copyTradeSizePercent: parseFloat(process.env.COPY_TRADE_SIZE_PERCENT || '5'),
+  copyTradeDelaySlots: parseInt(process.env.COPY_TRADE_DELAY_SLOTS || '2', 10),
+  copyTradeMaxWaitSlots: parseInt(process.env.COPY_TRADE_MAX_WAIT_SLOTS || '150', 10),
+  copyTradeSlippageModel: process.env.COPY_TRADE_SLIPPAGE_MODEL || 'fixed', // 'fixed' or 'linear'
+  copyTradeSlippageBps: parseFloat(process.env.COPY_TRADE_SLIPPAGE_BPS || '50'),
+  copyTradeSlippageBpsPerSol: parseFloat(process.env.COPY_TRADE_SLIPPAGE_BPS_PER_SOL || '10'),
+  copyTradeFeeBps: parseFloat(process.env.COPY_TRADE_FEE_BPS || '100'),
+  copyTradeTxFeeSol: parseFloat(process.env.COPY_TRADE_TX_FEE_SOL || '0.0001'),
+  copyTradeSnapshotMinutes: parseFloat(process.env.COPY_TRADE_SNAPSHOT_MINUTES || '5'),
+
+  // Extra router/pool/vault accounts that must never be treated as wallets (comma separated)
+  walletDenylist: (process.env.WALLET_DENYLIST || '').split(',').map(a => a.trim()).filter(Boolean),
+
+  // PnL cost basis: 'fifo' or 'average'
+  pnlCostBasis: process.env.PNL_COST_BASIS || 'fifo',
+
+  // Candidate scoring: JSON file with factors/weights/thresholds, plus a threshold shortcut
+  scoringConfigPath: process.env.SCORING_CONFIG_PATH || null,
+  promotionThreshold: process.env.PROMOTION_THRESHOLD ? parseFloat(process.env.PROMOTION_THRESHOLD) : null,
+
+  // Tracked-wallet trade alerts: JSON rules file, or a single catch-all webhook
+  alertRulesPath: process.env.ALERT_RULES_PATH || null,
+  alertWebhookUrl: process.env.ALERT_WEBHOOK_URL || null,
+  alertWebhookFormat: process.env.ALERT_WEBHOOK_FORMAT || 'generic',
+  alertTelegramChatId: process.env.ALERT_TELEGRAM_CHAT_ID || null,
+
+  // Cluster signals: N distinct tracked wallets (score >= min) buying one mint within T minutes
+  clusterMinWallets: parseInt(process.env.CLUSTER_MIN_WALLETS || '3', 10),
+  clusterWindowMinutes: parseFloat(process.env.CLUSTER_WINDOW_MINUTES || '30'),
+  clusterMinScore: parseFloat(process.env.CLUSTER_MIN_SCORE || '0'),
+
+  // Push wallet list changes via Supabase Realtime; polling stays as reconciliation
+  walletRealtimeEnabled: process.env.WALLET_REALTIME !== 'false',
+  walletReconcileMinutes: parseFloat(process.env.WALLET_RECONCILE_MINUTES || '5'),
+
+  // Read-only REST API under /v1 (disabled unless at least one key is set)
+  apiKeys: (process.env.API_KEYS || '').split(',').map(key => key.trim()).filter(Boolean),
+  apiCorsOrigin: process.env.API_CORS_ORIGIN || null,
+  adminApiKeys: (process.env.ADMIN_API_KEYS || '').split(',').map(key => key.trim()).filter(Boolean),
+  eventStreamMaxClients: parseInt(process.env.EVENT_STREAM_MAX_CLIENTS || '100', 10),
+
+  port: process.env.PORT || 3000,
 };
 
-// Validate required environment variables
-const requiredEnvVars = ['SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY', 'CHAINSTACK_WSS_URL'];
-for (const envVar of requiredEnvVars) {
-  if (!process.env[envVar]) {
-    console.error(`❌ Missing required environment variable: ${envVar}`);
+// Validate required environment variables (a replay never opens the WebSocket streams)
+function validateEnv({ stream = true } = {}) {
+  const requiredEnvVars = config.storageBackend === 'postgres'
+    ? ['DATABASE_URL']
+    : ['SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY'];
+  for (const envVar of requiredEnvVars) {
+    if (!process.env[envVar]) {
+      console.error(`❌ Missing required environment variable: ${envVar}`);
+      process.exit(1);
+    }
+  }
+  if (stream && config.wssUrls.length === 0) {
+    console.error('❌ Missing required environment variable: CHAINSTACK_WSS_URL (or RPC_WSS_URLS)');
     process.exit(1);
   }
 }
 
-// Initialize Supabase Admin Client (SERVICE ROLE KEY!)
-const supabase = createClient(config.supabaseUrl, config.supabaseServiceKey);
-
-// DEX Program IDs (from your existing constants)
-const DEX_PROGRAM_IDS = {
-  RAYDIUM: '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8',
-  JUPITER: 'JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4',
-  ORCA: 'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc',
-  PUMP_FUN: '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P',
-  METEORA: 'Eo7WjKq67rjJQSZxS6z3YkapzY3eMj6Xy8X5EQVn5UaB',
-  OPENBOOK: 'srmqPiDkJXRLGgxtFBRNJhGjLhQKLLqPKCCQGLFTQqo',
-};
-
-const ACTIVE_DEX_PROGRAMS = Object.values(DEX_PROGRAM_IDS);
+// Repository for every table the monitor reads and writes
+function createMonitorStore() {
+  return createStore({
+    backend: config.storageBackend,
+    supabaseUrl: config.supabaseUrl,
+    supabaseServiceKey: config.supabaseServiceKey,
+    databaseUrl: config.databaseUrl,
+    databasePoolSize: config.databasePoolSize,
+  });
+}
 
 // ====================
 // WEBSOCKET MONITOR CLASS
 // ====================
 
 class SolanaMonitor {
-  constructor() {
-    this.ws = null;
-    this.isConnected = false;
-    this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 10;
-    this.reconnectDelay = 5000;
-    this.subscriptionIds = new Set(); // Store multiple subscription IDs
+  // `replay` runs the pipeline over stored history (lib/replay.js): nothing is fetched or
+  // profiled over RPC, no alerts go out and no copy trades are simulated
+  constructor({ store, replay = false }) {
+    this.store = store;
+    this.replay = replay;
+    this.replayTime = null; // block time (ms) of the transaction being replayed
+
+    // Prometheus metrics for /metrics; event counters live in this.meters
+    this.metrics = new MetricsRegistry();
+    this.meters = this.registerMetrics();
+
+    // Live events for /v1/events subscribers
+    this.events = new EventStream({ maxClients: config.eventStreamMaxClients });
+
+    // logsSubscribe sockets, sharded and failed over across the WSS endpoints
+    this.stream = new LogStreamPool({
+      urls: config.wssUrls,
+      maxSubscriptionsPerSocket: config.maxSubscriptionsPerSocket,
+      maxReconnectAttempts: 10,
+      commitment: 'finalized',
+      cooldownMs: config.rpcCooldownSeconds * 1000,
+      failbackIntervalMs: config.rpcFailbackMinutes * 60 * 1000,
+      onNotification: (logEntry, target) => this.handleLogNotification(logEntry, target),
+      onOpen: (shard) => {
+        this.subscribeToLogs();
+        // Whatever these targets missed while the socket was down
+        this.backfill?.schedule(shard.targets);
+      },
+    });
+
+    // High-volume inserts go through here; a full buffer pauses the sockets until it drains
+    this.writes = new WriteBuffer({
+      tables: {
+        raw_transactions: {
+          key: row => row.tx_signature,
+          write: rows => this.store.upsertRawTransactions(rows),
+        },
+        trades: {
+          key: row => `${row.transaction_signature}:${row.wallet_address}`,
+          write: rows => this.store.upsertTrades(rows),
+          index: row => row.wallet_address, // fetchDecodedTrades reads one wallet's rows
+        },
+        candidate_wallets: {
+          key: row => row.wallet_address,
+          write: rows => this.store.insertCandidates(rows),
+          keepFirst: true, // insert-if-absent: the first discovery wins
+        },
+        pump_fun_tokens: {
+          key: row => row.mint,
+          write: rows => this.store.upsertPumpFunTokens(rows),
+        },
+        backfill_cursors: {
+          key: row => row.target,
+          write: rows => this.store.upsertBackfillCursors(rows),
+        },
+      },
+      maxBatchSize: config.writeBatchSize,
+      flushIntervalMs: config.writeFlushMs,
+      maxBufferedRows: config.writeMaxBuffered,
+      onPressure: (full) => full ? this.stream.pause() : this.stream.resume(),
+      onBatch: ({ table, durationMs, ok }) => {
+        this.meters.dbWrites.inc({ table, result: ok ? 'success' : 'failure' });
+        if (ok) this.meters.dbWriteDuration.observe({ table }, durationMs / 1000);
+      },
+    });
+    this.writes.start();
+
     this.trackedWallets = new Set();
+    this.walletScores = new Map(); // tracked wallet -> score from the wallets table
+    this.walletChannel = null;
+    this.walletChannelStatus = 'disabled';
+    this.pausedWallets = new Set(); // tracked but not monitored (admin pause)
+    this.pausedDexes = new Set(); // DEX names, see lib/constants.js
     this.processedTransactions = new Set(); // Prevent duplicate processing
+    this.walletResolver = new WalletResolver({ denylist: config.walletDenylist });
+    this.pnlEngine = new PnlEngine({ method: config.pnlCostBasis });
+    this.scoringModel = new WalletScoringModel(loadScoringConfig({
+      path: config.scoringConfigPath,
+      promotionThreshold: config.promotionThreshold,
+    }));
+    this.clusterDetector = new ClusterDetector({
+      minWallets: config.clusterMinWallets,
+      windowMinutes: config.clusterWindowMinutes,
+      minScore: config.clusterMinScore,
+    });
+    this.prices = new PriceOracle({
+      windowMs: config.priceWindowMinutes * 60 * 1000,
+      solUsdSource: config.solUsdSource,
+      solUsdPrice: config.solUsdPrice,
+      solUsdUrl: config.solUsdUrl,
+      solUsdJsonPath: config.solUsdJsonPath,
+      solUsdRefreshMs: config.solUsdRefreshSeconds * 1000,
+    });
+    if (!replay) {
+      this.prices.start();
+    }
+    this.pumpFun = null;
+    if (config.pumpFunLifecycleEnabled) {
+      this.pumpFun = new PumpFunLifecycle({
+        store: this.store,
+        save: row => this.writes.add('pump_fun_tokens', row),
+        maxTokens: config.pumpFunCacheSize,
+      });
+    }
+    this.copyTrader = null;
+    if (config.copyTradeWallets.length > 0 && !replay) {
+      this.copyTrader = new CopyTradeSimulator({
+        store: this.store,
+        prices: this.prices,
+        wallets: config.copyTradeWallets,
+        startingSol: config.copyTradeStartingSol,
+        sizing: config.copyTradeSizing,
+        sizeSol: config.copyTradeSizeSol,
+        sizeRatio: config.copyTradeSizeRatio,
+        sizePercent: config.copyTradeSizePercent,
+        delaySlots: config.copyTradeDelaySlots,
+        maxWaitSlots: config.copyTradeMaxWaitSlots,
+        slippageModel: config.copyTradeSlippageModel,
+        slippageBps: config.copyTradeSlippageBps,
+        slippageBpsPerSol: config.copyTradeSlippageBpsPerSol,
+        feeBps: config.copyTradeFeeBps,
+        txFeeSol: config.copyTradeTxFeeSol,
+        snapshotIntervalMs: config.copyTradeSnapshotMinutes * 60 * 1000,
+      });
+      this.copyTrader.start();
+    }
+    this.alerts = new AlertDispatcher({
+      rules: replay ? [] : loadAlertRules({
+        path: config.alertRulesPath,
+        webhookUrl: config.alertWebhookUrl,
+        webhookFormat: config.alertWebhookFormat,
+        telegramChatId: config.alertTelegramChatId,
+      }),
+    });
+
+    // Full transaction resolution for DEX signatures
+    this.rpc = new RpcPool(config.httpUrls, {
+      cooldownMs: config.rpcCooldownSeconds * 1000,
+      onCall: ({ endpoint, method, durationMs, ok }) => {
+        this.meters.rpcDuration.observe({ endpoint, method, result: ok ? 'success' : 'error' }, durationMs / 1000);
+      },
+    });
+    // Replays feed analyzeAndStoreTransaction directly
+    this.fetchQueue = null;
+    if (this.rpc.size > 0 && !replay) {
+      this.fetchQueue = new TransactionFetchQueue({
+        fetchTransaction: (signature) => this.fetchTransaction(signature),
+        onTransaction: (transaction, item) => item.context?.backfill
+          ? this.analyzeBackfilledTransaction(transaction, item.context)
+          : this.analyzeAndStoreTransaction(transaction),
+        concurrency: config.txFetchConcurrency,
+        ratePerSecond: config.txFetchRatePerSecond,
+        maxRetries: config.txFetchMaxRetries,
+        maxQueueSize: config.txFetchMaxQueueSize,
+      });
+      this.fetchQueue.start();
+    } else if (!replay) {
+      console.log('⚠️ No HTTP URL configured, full transaction analysis and wallet discovery disabled');
+    }
+
+    // Mint decimals/symbol/name for events and alerts (Metaplex metadata over HTTP RPC)
+    this.tokens = null;
+    if (this.rpc.size > 0 && !replay) {
+      this.tokens = new TokenMetadataService({ rpc: this.rpc, store: this.store, maxEntries: config.tokenMetadataCacheSize });
+    }
+
+    // Never for replays: today's on-chain history would leak into the past's scores
+    this.profiler = null;
+    if (this.rpc.size > 0 && config.profileSignatureLimit > 0 && !replay) {
+      this.profiler = new WalletProfiler({
+        rpc: this.rpc,
+        fetchTransaction: (signature) => this.fetchQueue.fetch(signature, { priority: PRIORITY.LOW }),
+        signatureLimit: config.profileSignatureLimit,
+        concurrency: config.profileConcurrency,
+        cacheTtlMs: config.profileCacheMinutes * 60 * 1000,
+      });
+    }
+
+    this.candidateQueue = new CandidateQueue({
+      store: this.store,
+      handler: (candidate) => this.analyzeCandidateWallet(candidate),
+      batchSize: config.candidateBatchSize,
+      concurrency: config.candidateConcurrency,
+      pollIntervalMs: config.candidatePollSeconds * 1000,
+      leaseMs: config.candidateLeaseSeconds * 1000,
+      maxAttempts: config.candidateMaxAttempts,
+      retryDelayMs: config.candidateRetryDelaySeconds * 1000,
+      reevaluateAfterMs: config.candidateReevaluateHours * 60 * 60 * 1000,
+    });
+
+    this.backfill = null;
+    if (this.rpc.size > 0 && config.backfillEnabled && !replay) {
+      this.backfill = new BackfillManager({
+        rpc: this.rpc,
+        onSignature: (info, target) => this.replaySignature(info, target),
+        getStoredSignatures: (signatures) => this.store.getStoredSignatures(signatures),
+        loadCursors: () => this.store.getBackfillCursors(),
+        // Coalesced per target, so a busy program costs one row per flush
+        saveCursor: (row) => this.writes.add('backfill_cursors', row)
+          .catch(error => console.error('❌ Error buffering backfill cursor:', error.message)),
+        maxSignaturesPerTarget: config.backfillMaxSignatures,
+      });
+    }
     
     // Load tracked wallets on startup
-    this.loadTrackedWallets();
+    if (!replay) {
+      this.loadTrackedWallets();
+    }
+  }
+
+  // Wall-clock time, or the replayed transaction's time during a replay
+  now() {
+    return this.replayTime ?? Date.now();
   }
 
   // ====================
-  // WALLET MANAGEMENT
+  // METRICS
   // ====================
 
-  async loadTrackedWallets() {
-    try {
-      console.log('📋 Loading tracked wallets from Supabase...');
-      
-      const { data: wallets, error } = await supabase
-        .from('wallets')
-        .select('wallet_address')
-        .eq('is_verified', true);
+  // Event counters are returned for the handlers to update; everything else is read from
+  // component stats at scrape time
+  registerMetrics() {
+    const metrics = this.metrics;
+    const prefix = 'smart_money_';
+
+    const meters = {
+      notifications: metrics.counter({
+        name: `${prefix}notifications_total`,
+        help: 'Log notifications received, by subscription type and DEX',
+        labelNames: ['source', 'dex'],
+      }),
+      lastNotification: metrics.gauge({
+        name: `${prefix}last_notification_timestamp_seconds`,
+        help: 'Unix time of the most recent log notification',
+      }),
+      dexTransactions: metrics.counter({
+        name: `${prefix}dex_transactions_total`,
+        help: 'Transactions whose logs matched a DEX program, by DEX',
+        labelNames: ['dex'],
+      }),
+      dbWrites: metrics.counter({
+        name: `${prefix}db_writes_total`,
+        help: 'Database write statements (buffered batches and single rows), by table and result',
+        labelNames: ['table', 'result'],
+      }),
+      dbWriteDuration: metrics.histogram({
+        name: `${prefix}db_write_batch_duration_seconds`,
+        help: 'Latency of successful buffered batch writes',
+        labelNames: ['table'],
+      }),
+      rpcDuration: metrics.histogram({
+        name: `${prefix}rpc_request_duration_seconds`,
+        help: 'HTTP RPC call latency per endpoint and method',
+        labelNames: ['endpoint', 'method', 'result'],
+      }),
+    };
 
-      if (error) {
-        console.error('❌ Error loading wallets:', error);
-        return;
-      }
+    metrics.gauge({
+      name: `${prefix}websocket_shards`,
+      help: 'WebSocket shards by connection state',
+      labelNames: ['state'],
+      collect: (gauge) => {
+        const shards = this.stream.shards;
+        gauge.set({ state: 'connected' }, shards.filter(shard => shard.isConnected).length);
+        gauge.set({ state: 'disconnected' }, shards.filter(shard => !shard.isConnected).length);
+      },
+    });
 
-      this.trackedWallets = new Set(wallets.map(w => w.wallet_address));
-      console.log(`✅ Loaded ${this.trackedWallets.size} tracked wallets`);
-      
+    metrics.gauge({
+      name: `${prefix}websocket_shards_exhausted`,
+      help: 'WebSocket shards that used up their reconnect attempts on every endpoint and keep retrying',
+      collect: gauge => gauge.set({}, this.stream.shards.filter(shard => shard.exhausted).length),
+    });
+
+    metrics.counter({
+      name: `${prefix}websocket_reconnects_total`,
+      help: 'WebSocket reconnect attempts across all shards',
+      collect: counter => counter.set({}, this.stream.reconnects),
+    });
+
+    metrics.gauge({
+      name: `${prefix}websocket_paused`,
+      help: '1 while the sockets are paused by write buffer backpressure',
+      collect: gauge => gauge.set({}, this.stream.paused ? 1 : 0),
+    });
+
+    metrics.gauge({
+      name: `${prefix}subscriptions`,
+      help: 'Log subscription targets by state',
+      labelNames: ['state'],
+      collect: (gauge) => {
+        for (const shard of this.stream.shards) {
+          const { total, targets, ...byState } = shard.subscriptions.getStatus();
+          for (const [state, count] of Object.entries(byState)) {
+            gauge.inc({ state }, count);
+          }
+        }
+      },
+    });
+
+    metrics.gauge({
+      name: `${prefix}rpc_endpoint_available`,
+      help: '1 when an RPC endpoint is not cooling down',
+      labelNames: ['transport', 'endpoint'],
+      collect: (gauge) => {
+        for (const stats of this.rpc.getStats()) {
+          gauge.set({ transport: 'http', endpoint: stats.endpoint }, stats.available ? 1 : 0);
+        }
+        for (const endpoint of this.stream.endpoints) {
+          gauge.set({ transport: 'ws', endpoint: endpoint.health.name }, endpoint.health.isAvailable() ? 1 : 0);
+        }
+      },
+    });
+
+    metrics.gauge({
+      name: `${prefix}tracked_wallets`,
+      help: 'Verified wallets being monitored',
+      collect: gauge => gauge.set({}, this.trackedWallets.size),
+    });
+
+    metrics.gauge({
+      name: `${prefix}fetch_queue_depth`,
+      help: 'Signatures waiting for getTransaction, by priority',
+      labelNames: ['priority'],
+      collect: (gauge) => {
+        if (!this.fetchQueue) return;
+        const { queued } = this.fetchQueue.getStats();
+        for (const [priority, count] of Object.entries(queued)) {
+          gauge.set({ priority }, count);
+        }
+      },
+    });
+
+    metrics.gauge({
+      name: `${prefix}candidates`,
+      help: 'Rows in candidate_wallets by job status (queue depth)',
+      labelNames: ['status'],
+      collect: async (gauge) => {
+        const counts = await this.store.countCandidatesByStatus();
+        for (const [status, count] of Object.entries(counts)) {
+          gauge.set({ status }, count);
+        }
+      },
+    });
+
+    metrics.counter({
+      name: `${prefix}candidate_jobs_total`,
+      help: 'Candidate jobs settled by this instance, by outcome',
+      labelNames: ['outcome'],
+      collect: (counter) => {
+        const stats = this.candidateQueue.getStats();
+        counter.set({ outcome: 'promoted' }, stats.promoted);
+        counter.set({ outcome: 'rejected' }, stats.rejected);
+        counter.set({ outcome: 'retried' }, stats.retried);
+        counter.set({ outcome: 'failed' }, stats.failed);
+        counter.set({ outcome: 'dead' }, stats.deadLettered);
+        counter.set({ outcome: 'lease_lost' }, stats.leasesLost);
+      },
+    });
+
+    metrics.gauge({
+      name: `${prefix}candidate_jobs_in_flight`,
+      help: 'Candidate jobs being profiled by this instance',
+      collect: gauge => gauge.set({}, this.candidateQueue.inFlight),
+    });
+
+    metrics.gauge({
+      name: `${prefix}write_buffer_rows`,
+      help: 'Rows waiting in the write buffer, by table',
+      labelNames: ['table'],
+      collect: (gauge) => {
+        for (const [table, stats] of Object.entries(this.writes.getStats().tables)) {
+          gauge.set({ table }, stats.pending);
+        }
+      },
+    });
+
+    metrics.counter({
+      name: `${prefix}write_buffer_dropped_rows_total`,
+      help: 'Rows dropped after every write retry failed, by table',
+      labelNames: ['table'],
+      collect: (counter) => {
+        for (const [table, stats] of Object.entries(this.writes.getStats().tables)) {
+          counter.set({ table }, stats.droppedRows);
+        }
+      },
+    });
+
+    metrics.counter({
+      name: `${prefix}backfill_truncated_total`,
+      help: 'Backfill runs that hit BACKFILL_MAX_SIGNATURES_PER_TARGET before reaching their cursor',
+      collect: counter => counter.set({}, this.backfill?.stats.truncated || 0),
+    });
+
+    metrics.gauge({
+      name: `${prefix}event_stream_clients`,
+      help: 'Connected /v1/events subscribers',
+      collect: gauge => gauge.set({}, this.events.clients.size),
+    });
+
+    metrics.gauge({
+      name: `${prefix}sol_usd_price`,
+      help: 'SOL/USD used to value trades (absent until the source has a price)',
+      collect: (gauge) => {
+        const solUsd = this.prices.getSolUsd();
+        if (solUsd != null) gauge.set({}, solUsd);
+      },
+    });
+
+    metrics.gauge({
+      name: `${prefix}priced_mints`,
+      help: 'Mints with an oracle price from recent swaps',
+      collect: gauge => gauge.set({}, this.prices.series.size),
+    });
+
+    metrics.counter({
+      name: `${prefix}pump_fun_lifecycle_events_total`,
+      help: 'Pump.fun launches, curve completions and migrations seen, by stage',
+      labelNames: ['stage'],
+      collect: (counter) => {
+        if (!this.pumpFun) return;
+        const stats = this.pumpFun.getStats();
+        counter.set({ stage: 'launch' }, stats.launches);
+        counter.set({ stage: 'complete' }, stats.completions);
+        counter.set({ stage: 'migration' }, stats.migrations);
+      },
+    });
+
+    metrics.gauge({
+      name: `${prefix}copy_trade_equity_sol`,
+      help: 'Simulated copy-trading equity per followed wallet, marked to the oracle',
+      labelNames: ['wallet'],
+      collect: (gauge) => {
+        for (const { walletAddress, equitySol } of this.copyTrader?.getSummaries() || []) {
+          gauge.set({ wallet: walletAddress }, equitySol);
+        }
+      },
+    });
+
+    metrics.gauge({
+      name: `${prefix}copy_trade_drawdown_ratio`,
+      help: 'Current drawdown from peak equity per followed wallet (0-1)',
+      labelNames: ['wallet'],
+      collect: (gauge) => {
+        for (const { walletAddress, drawdown } of this.copyTrader?.getSummaries() || []) {
+          gauge.set({ wallet: walletAddress }, drawdown);
+        }
+      },
+    });
+
+    metrics.gauge({
+      name: 'process_resident_memory_bytes',
+      help: 'Resident memory size in bytes',
+      collect: gauge => gauge.set({}, process.memoryUsage().rss),
+    });
+
+    registerEventLoopLag(metrics);
+
+    return meters;
+  }
+
+  // Unbuffered store write, counted in smart_money_db_writes_total; rethrows
+  async recordWrite(table, write) {
+    try {
+      await write();
+      this.meters.dbWrites.inc({ table, result: 'success' });
     } catch (error) {
-      console.error('❌ Failed to load tracked wallets:', error);
+      this.meters.dbWrites.inc({ table, result: 'failure' });
+      throw error;
     }
   }
 
   // ====================
-  // CONNECTION MANAGEMENT
+  // WALLET MANAGEMENT
   // ====================
 
-  async connect() {
-    if (this.isConnected || (this.ws && this.ws.readyState === WebSocket.CONNECTING)) {
-      console.log('⚠️ Already connected or connecting');
-      return;
-    }
-
+  async loadTrackedWallets() {
     try {
-      console.log('🔗 Connecting to Chainstack WebSocket...');
+      console.log(`📋 Loading tracked wallets from ${this.store.name}...`);
       
-      this.ws = new WebSocket(config.chainstackWssUrl);
+      const wallets = await this.store.getTrackedWallets();
+
+      this.trackedWallets = new Set(wallets.map(w => w.wallet_address));
+      this.walletScores = new Map(wallets.map(w => [w.wallet_address, w.score ?? 0]));
+      console.log(`✅ Loaded ${this.trackedWallets.size} tracked wallets`);
       
-      this.ws.onopen = () => {
-        console.log('✅ Connected to Chainstack WebSocket');
-        this.isConnected = true;
-        this.reconnectAttempts = 0;
-        this.reconnectDelay = 5000;
-        this.subscribeToLogs();
-      };
+    } catch (error) {
+      console.error('❌ Failed to load tracked wallets:', error);
+    }
 
-      this.ws.onmessage = (event) => {
-        this.handleMessage(event.data);
-      };
+    await this.loadPauses();
+  }
 
-      this.ws.onclose = (event) => {
-        console.log(`🔌 WebSocket disconnected: ${event.code} - ${event.reason}`);
-        this.isConnected = false;
-        this.subscriptionIds.clear();
-        this.handleReconnect();
-      };
+  // Admin pauses live in the database so every instance (and a restart) sees them
+  async loadPauses() {
+    try {
+      const pauses = await this.store.getPauses();
+      this.pausedWallets = new Set(pauses.filter(p => p.kind === 'wallet').map(p => p.target));
+      this.pausedDexes = new Set(pauses.filter(p => p.kind === 'dex').map(p => p.target));
 
-      this.ws.onerror = (error) => {
-        console.error('❌ WebSocket error:', error);
-        this.isConnected = false;
-      };
+      if (pauses.length > 0) {
+        console.log(`⏸️ Paused: ${this.pausedWallets.size} wallet(s), ${this.pausedDexes.size} DEX(es)`);
+      }
 
     } catch (error) {
-      console.error('❌ Failed to connect to Chainstack:', error);
-      this.handleReconnect();
+      console.error('❌ Failed to load monitoring pauses:', error.message);
     }
   }
 
-  handleReconnect() {
-    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-      console.error('❌ Max reconnection attempts reached. Exiting...');
-      process.exit(1);
-    }
+  // ====================
+  // CONNECTION MANAGEMENT
+  // ====================
 
-    this.reconnectAttempts++;
-    console.log(`🔄 Reconnecting... Attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts}`);
-    
-    setTimeout(() => {
-      this.connect();
-    }, this.reconnectDelay);
+  get isConnected() {
+    return this.stream.isConnected;
+  }
 
-    // Exponential backoff with max 60 seconds
-    this.reconnectDelay = Math.min(this.reconnectDelay * 1.5, 60000);
+  async connect() {
+    await this.backfill?.load();
+    console.log(`🔗 Connecting to ${config.wssUrls.length} WebSocket endpoint(s)...`);
+    this.stream.start();
   }
 
-  // ====================
-  // SUBSCRIPTION MANAGEMENT
-  // ====================
+  disconnect() {
+    this.walletChannel?.close();
+    this.candidateQueue.stop();
+    this.fetchQueue?.stop();
+    this.backfill?.stop();
+    this.stream.stop();
+    this.events.close();
+    this.prices.stop();
+    this.copyTrader?.stop();
+  }
 
-  subscribeToLogs() {
-    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
-      console.error('❌ WebSocket not connected, cannot subscribe');
-      return;
-    }
+  // Disconnect, then write out whatever is still buffered (bounded so shutdown can't hang)
+  async shutdown({ timeoutMs = 10000 } = {}) {
+    this.disconnect();
 
-    console.log('📡 Subscribing to DEX programs (one at a time due to Chainstack limits)...');
-    
-    // Subscribe to each DEX program individually (Chainstack limitation: only 1 address per subscription)
-    ACTIVE_DEX_PROGRAMS.forEach((programId, index) => {
-      const subscribeMessage = {
-        jsonrpc: '2.0',
-        id: index + 1, // Use different IDs for each subscription
-        method: 'logsSubscribe',
-        params: [
-          {
-            mentions: [programId],
-          },
-          {
-            commitment: 'finalized',
-          },
-        ],
-      };
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve(false), timeoutMs);
+    });
 
-      console.log(`📡 Subscribing to ${Object.keys(DEX_PROGRAM_IDS).find(key => DEX_PROGRAM_IDS[key] === programId)} (${programId})`);
-      this.ws.send(JSON.stringify(subscribeMessage));
-    });
-
-    // Also subscribe to tracked wallets if any exist
-    if (this.trackedWallets.size > 0) {
-      Array.from(this.trackedWallets).forEach((walletAddress, index) => {
-        const subscribeMessage = {
-          jsonrpc: '2.0',
-          id: ACTIVE_DEX_PROGRAMS.length + index + 1,
-          method: 'logsSubscribe',
-          params: [
-            {
-              mentions: [walletAddress],
-            },
-            {
-              commitment: 'finalized',
-            },
-          ],
-        };
+    const flushed = await Promise.race([this.writes.stop().then(() => true), timeout]);
+    clearTimeout(timer);
 
-        console.log(`📡 Subscribing to tracked wallet ${walletAddress.substring(0, 8)}...`);
-        this.ws.send(JSON.stringify(subscribeMessage));
-      });
+    if (flushed) {
+      console.log('💾 Write buffer flushed');
+    } else {
+      console.error(`❌ Write buffer not flushed within ${timeoutMs}ms, ${this.writes.buffered} row(s) lost`);
     }
-
-    console.log(`✅ Sent ${ACTIVE_DEX_PROGRAMS.length + this.trackedWallets.size} subscription requests`);
   }
 
   // ====================
-  // MESSAGE HANDLING
+  // SUBSCRIPTION MANAGEMENT
   // ====================
 
-  handleMessage(data) {
-    try {
-      const message = JSON.parse(data);
-      
-      // Only log important messages (not transaction data to reduce noise)
-      if (message.method !== 'logsNotification') {
-        console.log('📥 WebSocket message received:', JSON.stringify(message));
-      }
-
-      // Handle subscription confirmation (multiple IDs now)
-      if (message.id && message.result) {
-        this.subscriptionIds.add(message.result);
-        console.log(`✅ Subscribed to logs. Subscription ID ${message.id}: ${message.result}`);
-        return;
-      }
-      
-      // Handle subscription errors
-      if (message.id && message.error) {
-        console.error(`❌ Subscription ${message.id} failed:`, message.error);
-        return;
-      }
-
-      // Handle log notifications
-      if (message.method === 'logsNotification' && message.params) {
-        this.handleLogNotification(message.params.result);
-      }
+  // Every DEX program plus every tracked wallet, minus paused ones (Chainstack: only 1 address per subscription)
+  getSubscriptionTargets() {
+    const programs = ACTIVE_DEX_PROGRAMS
+      .filter(programId => !this.pausedDexes.has(getDexName(programId)))
+      .map(programId => ({
+        type: 'program',
+        address: programId,
+        label: getDexName(programId),
+      }));
+    const wallets = Array.from(this.trackedWallets)
+      .filter(walletAddress => !this.pausedWallets.has(walletAddress))
+      .map(walletAddress => ({
+        type: 'wallet',
+        address: walletAddress,
+      }));
+    return [...programs, ...wallets];
+  }
 
-    } catch (error) {
-      console.error('❌ Error parsing WebSocket message:', error);
-    }
+  // Diff the desired targets against current subscriptions; only changes are sent, spread
+  // over as many sockets as RPC_MAX_SUBSCRIPTIONS_PER_SOCKET requires
+  subscribeToLogs() {
+    const targets = this.getSubscriptionTargets();
+    this.stream.sync(targets);
+    this.backfill?.retain(targets);
   }
 
-  async handleLogNotification(logEntry) {
+  // ====================
+  // MESSAGE HANDLING
+  // ====================
+
+  async handleLogNotification(logEntry, target) {
     try {
       // First, let's see what the actual structure is
       if (!logEntry?.value?.signature) {
@@ -249,18 +784,26 @@ class SolanaMonitor {
       }
 
       const { signature, logs } = logEntry.value;
+      const fromTrackedWallet = target?.type === 'wallet';
+      const dex = this.dexFromLogs(target, logs);
+
+      this.meters.notifications.inc({ source: target?.type || 'unknown', dex });
+      this.meters.lastNotification.set({}, Date.now() / 1000);
+
+      // Resume point for this target if the socket drops
+      this.backfill?.recordProcessed(target, logEntry.context?.slot, signature);
+
+      // A tracked wallet's notification can still involve a paused DEX
+      if (this.pausedDexes.has(dex)) return;
       
       // Prevent duplicate processing
-      if (this.processedTransactions.has(signature)) {
+      if (!this.markProcessed(signature)) {
+        // Seen first via a DEX subscription: bump the queued fetch ahead of general traffic
+        if (fromTrackedWallet && this.fetchQueue?.has(signature)) {
+          this.fetchQueue.enqueue(signature, { priority: PRIORITY.HIGH });
+        }
         return;
       }
-      this.processedTransactions.add(signature);
-
-      // Clean up old processed transactions (keep last 1000)
-      if (this.processedTransactions.size > 1000) {
-        const entries = Array.from(this.processedTransactions);
-        this.processedTransactions = new Set(entries.slice(-500));
-      }
 
       console.log('🔔 New transaction:', {
         signature: signature.substring(0, 16) + '...',
@@ -271,7 +814,10 @@ class SolanaMonitor {
       // Check if this is a DEX transaction
       if (this.isDEXTransaction(logs)) {
         console.log('💱 DEX transaction detected:', signature);
-        await this.processTransaction(signature, logEntry.value, logEntry.context);
+        this.meters.dexTransactions.inc({ dex });
+        await this.processTransaction(signature, logEntry.value, logEntry.context, {
+          priority: fromTrackedWallet ? PRIORITY.HIGH : PRIORITY.NORMAL,
+        });
       }
 
     } catch (error) {
@@ -279,196 +825,402 @@ class SolanaMonitor {
     }
   }
 
+  // Signature missed during an outage (from getSignaturesForAddress). There are no logs yet,
+  // so it is fetched first and filtered on the transaction's own logs (see below). Failed
+  // transactions are never fetched, so they are skipped.
+  async replaySignature(info, target) {
+    if (info.err || !this.fetchQueue) return;
+    if (this.fetchQueue.has(info.signature) || !this.markProcessed(info.signature)) return;
+
+    this.fetchQueue.enqueue(info.signature, {
+      priority: target.type === 'wallet' ? PRIORITY.HIGH : PRIORITY.NORMAL,
+      context: { slot: info.slot, backfill: true },
+    });
+  }
+
+  // The live path's DEX filter and raw row, from the fetched logs, then the usual analysis
+  async analyzeBackfilledTransaction(transaction, context) {
+    const logs = transaction.meta?.logMessages || [];
+    if (!this.isDEXTransaction(logs)) return;
+
+    const signature = getSignature(transaction);
+    this.meters.dexTransactions.inc({ dex: this.dexFromLogs(null, logs) });
+    await this.storeRawTransaction(signature, {
+      signature,
+      err: transaction.meta.err,
+      blockTime: transaction.blockTime,
+      logs,
+    }, { slot: transaction.slot ?? context.slot });
+
+    await this.analyzeAndStoreTransaction(transaction);
+  }
+
+  // DEX name for metrics: the subscribed program, or the first DEX action in the logs
+  dexFromLogs(target, logs) {
+    if (target?.type === 'program') {
+      return getDexName(target.address) || 'unknown';
+    }
+    return classifyLogs(logs)[0]?.dex || 'none';
+  }
+
+  // False when the signature was already processed
+  markProcessed(signature) {
+    if (this.processedTransactions.has(signature)) return false;
+    this.processedTransactions.add(signature);
+
+    // Clean up old processed transactions (keep last 1000)
+    if (this.processedTransactions.size > 1000) {
+      const entries = Array.from(this.processedTransactions);
+      this.processedTransactions = new Set(entries.slice(-500));
+    }
+    return true;
+  }
+
   // ====================
   // TRANSACTION PROCESSING
   // ====================
 
+  // A DEX instruction the parsers recognise (see lib/dexParsers), not just any mention of a swap
   isDEXTransaction(logs) {
-    return logs.some(log => 
-      ACTIVE_DEX_PROGRAMS.some(programId => log.includes(programId)) ||
-      log.includes('swap') ||
-      log.includes('trade') ||
-      log.includes('exchange')
-    );
+    return isDexActivity(logs);
   }
 
-  async processTransaction(signature, valueData, contextData) {
+  async processTransaction(signature, valueData, contextData, { priority = PRIORITY.NORMAL } = {}) {
     try {
       console.log('📝 Processing transaction:', signature.substring(0, 16) + '...');
       
       // Store raw transaction for later analysis
       await this.storeRawTransaction(signature, valueData, contextData);
-      
-      // Direct wallet discovery from logs
-      await this.quickWalletDiscovery(signature, valueData, contextData);
-
-    } catch (error) {
-      console.error('❌ Error processing transaction:', error);
-    }
-  }
-
-  async storeRawTransaction(signature, valueData, contextData) {
-    try {
-      const { error } = await supabase
-        .from('raw_transactions')
-        .upsert({
-          tx_signature: signature,
-          slot: contextData?.slot,
-          block_time: valueData?.blockTime,
-          accounts: valueData?.accounts || [],
-          logs: valueData?.logs || [],
-          processed: false,
-          created_at: new Date().toISOString(),
-        }, {
-          onConflict: 'tx_signature'
-        });
 
-      if (error) {
-        console.error('❌ Error storing raw transaction:', error);
-      } else {
-        console.log('💾 Stored raw transaction:', signature.substring(0, 16) + '...');
+      // Resolve the full transaction for trade decoding and signer-based discovery
+      if (this.fetchQueue && !valueData?.err) {
+        this.fetchQueue.enqueue(signature, { priority, context: contextData });
       }
 
     } catch (error) {
-      console.error('❌ Error in storeRawTransaction:', error);
+      console.error('❌ Error processing transaction:', error);
     }
   }
 
   async analyzeAndStoreTransaction(transaction) {
     try {
-      const { meta, transaction: tx } = transaction;
+      const { meta } = transaction;
       
       if (meta.err) {
         console.log('⚠️ Transaction failed, skipping analysis');
         return;
       }
 
-      // Find tracked wallets in transaction
-      const involvedWallets = tx.message.accountKeys.filter(account => 
-        this.trackedWallets.has(account)
+      const actions = parseDexActions(transaction);
+      const activity = summarizeDexActivity(transaction, actions);
+      if (activity && this.pausedDexes.has(activity.dex)) return;
+
+      // Before the trades, so a buy in the launch transaction itself is timed at zero
+      if (this.pumpFun) {
+        for (const change of await this.pumpFun.observe(transaction, actions)) {
+          this.publishLifecycleChange(change, transaction);
+        }
+      }
+
+      // Find tracked wallets in transaction (paused ones are still tracked, so never rediscovered)
+      const involvedWallets = getAccountKeys(transaction).filter(account => 
+        this.trackedWallets.has(account) && !this.pausedWallets.has(account)
       );
 
       if (involvedWallets.length > 0) {
         console.log('👀 Tracked wallet activity:', {
-          signature: transaction.signature.substring(0, 16) + '...',
+          signature: getSignature(transaction).substring(0, 16) + '...',
           wallets: involvedWallets.length
         });
 
-        // Store detailed trade data
-        await this.storeTradeData(transaction, involvedWallets);
+        // Store detailed trade data; the stats below see it while it is still buffered
+        await this.storeTradeData(transaction, involvedWallets, { activity });
+
+        for (const walletAddress of involvedWallets) {
+          const stats = await this.updateWalletStats(walletAddress);
+          const swap = decodeSwap(transaction, walletAddress);
+
+          // Liquidity and pool-creation legs are stored but aren't trades to alert on
+          if (!swap || !isSwapActivity(activity)) continue;
+          // Metadata never holds up a trade: a mint's first trade goes out without a symbol
+          // and the lookup runs in the background for the ones after it
+          const token = this.tokens?.peek(swap.tokenMint) || null;
+          if (this.tokens && !token) this.tokens.get(swap.tokenMint);
+          const launch = await this.getLaunchTiming(swap);
+          const event = this.buildTradeEvent(swap, stats, activity, token, launch);
+          if (this.copyTrader?.follows(walletAddress)) {
+            await this.copyTrader.onLeaderTrade(swap);
+          }
+          if (launch) {
+            console.log(`🚀 ${walletAddress.substring(0, 8)}... bought ${token?.symbol || swap.tokenMint.substring(0, 8) + '...'} ` +
+              `${launch.secondsSinceLaunch ?? '?'}s / ${launch.slotsSinceLaunch} slots after launch`);
+          }
+          this.events.publish('trade', {
+            wallets: [event.walletAddress],
+            mint: event.tokenMint,
+            dex: event.dex,
+            data: event,
+          });
+
+          if (this.alerts.enabled) {
+            this.alerts.dispatch(event).catch(error => console.error('❌ Error dispatching alert:', error));
+          }
+
+          if (event.side === 'buy') {
+            await this.checkForClusterSignal(event);
+          }
+        }
       }
 
-      // Check for new wallet discovery
-      await this.checkForWalletDiscovery(transaction);
+      // Check for new wallet discovery; wallets handled above are skipped even if they were
+      // untracked in the meantime, so their swaps aren't stored and priced twice
+      await this.checkForWalletDiscovery(transaction, activity, { exclude: involvedWallets });
 
     } catch (error) {
       console.error('❌ Error analyzing transaction:', error);
     }
   }
 
-  async quickWalletDiscovery(signature, valueData, contextData) {
+  // Event describing a tracked wallet's decoded trade, consumed by alerting
+  buildTradeEvent(swap, stats, activity, token = null, launch = null) {
+    const position = stats?.positions?.find(p => p.mint === swap.tokenMint);
+    const notional = this.prices.notional(swap);
+
+    return {
+      type: 'trade',
+      signature: swap.signature,
+      slot: swap.slot,
+      blockTime: swap.blockTime,
+      walletAddress: swap.walletAddress,
+      side: swap.tradeType,
+      tokenMint: swap.tokenMint,
+      tokenSymbol: token?.symbol || null,
+      tokenName: token?.name || null,
+      inputMint: swap.inputMint,
+      inputAmount: swap.inputAmount,
+      outputMint: swap.outputMint,
+      outputAmount: swap.outputAmount,
+      price: swap.price,
+      // Exact for SOL/stablecoin legs, oracle-priced otherwise
+      sizeSol: notional.sol,
+      sizeUsd: notional.usd,
+      // First buy of this mint we've seen from the wallet
+      isNewToken: swap.tradeType === 'buy' && (position?.buys ?? 0) <= 1,
+      dex: activity?.dex || null,
+      // AMMs an aggregator route went through, e.g. ['RAYDIUM', 'ORCA']
+      route: activity?.route ? activity.route.map(hop => hop.venue || hop.amm) : null,
+      // Pump.fun buys: { slotsSinceLaunch, secondsSinceLaunch, curveProgress, status }
+      launch,
+    };
+  }
+
+  // Launch timing for a buy of a Pump.fun mint we saw launch; null otherwise
+  async getLaunchTiming(swap) {
+    if (!this.pumpFun || swap?.tradeType !== 'buy') return null;
+    return this.pumpFun.timeSinceLaunch(swap.tokenMint, { slot: swap.slot, blockTime: swap.blockTime });
+  }
+
+  // ====================
+  // PUMP.FUN LIFECYCLE
+  // ====================
+
+  publishLifecycleChange({ type, record }, transaction) {
+    const event = {
+      type: `pump_fun_${type}`,
+      signature: getSignature(transaction),
+      slot: transaction.slot,
+      blockTime: transaction.blockTime,
+      tokenMint: record.mint,
+      tokenSymbol: record.symbol,
+      tokenName: record.name,
+      creator: record.creator,
+      status: record.status,
+      curveProgress: record.curve_progress,
+      launchSlot: record.launch_slot,
+      launchedAt: record.launched_at,
+      migrationVenue: record.migration_venue,
+    };
+
+    console.log(`🎈 Pump.fun ${type}:`, {
+      mint: record.mint.substring(0, 8) + '...',
+      symbol: record.symbol,
+      ...(type === 'migration' ? { venue: record.migration_venue } : {}),
+    });
+
+    this.events.publish(event.type, {
+      wallets: [record.creator],
+      mint: record.mint,
+      dex: 'PUMP_FUN',
+      data: event,
+    });
+
+    if (this.alerts.enabled) {
+      this.alerts.dispatch(event).catch(error => console.error('❌ Error dispatching alert:', error));
+    }
+  }
+
+  // ====================
+  // CLUSTER SIGNALS
+  // ====================
+
+  async checkForClusterSignal(tradeEvent) {
     try {
-      // Extract wallet addresses from logs
-      const logs = valueData.logs || [];
-      const walletAddresses = this.extractWalletAddresses(logs);
-      
-      if (walletAddresses.length > 0) {
-        console.log('🔍 Found wallets in transaction:', {
-          signature: signature.substring(0, 16) + '...',
-          wallets: walletAddresses.length
-        });
+      const signal = this.clusterDetector.addBuy({
+        walletAddress: tradeEvent.walletAddress,
+        tokenMint: tradeEvent.tokenMint,
+        timestamp: tradeEvent.blockTime ? tradeEvent.blockTime * 1000 : Date.now(),
+        sizeSol: tradeEvent.sizeSol,
+        signature: tradeEvent.signature,
+        score: this.walletScores.get(tradeEvent.walletAddress) ?? 0,
+      });
 
-        // Analyze each wallet for profitability
-        for (const walletAddress of walletAddresses) {
-          await this.analyzeWalletProfitability(walletAddress, signature, contextData);
-        }
+      if (!signal) return;
+
+      // Labels for alerts and subscribers; the stored signal stays keyed by mint
+      const solUsd = this.prices.getSolUsd();
+      signal.tokenSymbol = tradeEvent.tokenSymbol;
+      signal.totalSizeUsd = solUsd ? signal.totalSizeSol * solUsd : null;
+
+      console.log('🧠 Cluster buy detected:', {
+        mint: signal.tokenMint.substring(0, 8) + '...',
+        wallets: signal.walletCount,
+        totalSizeSol: signal.totalSizeSol,
+      });
+
+      await this.storeSignal(signal);
+      this.events.publish(signal.type, {
+        wallets: signal.participants.map(participant => participant.walletAddress),
+        mint: signal.tokenMint,
+        data: signal,
+      });
+
+      if (this.alerts.enabled) {
+        this.alerts.dispatch(signal).catch(error => console.error('❌ Error dispatching alert:', error));
       }
 
     } catch (error) {
-      console.error('❌ Error in quick wallet discovery:', error);
+      console.error('❌ Error checking for cluster signal:', error);
     }
   }
 
-  extractWalletAddresses(logs) {
-    const walletAddresses = new Set();
-    
-    // Look for wallet addresses in logs (base58 format, 32-44 chars)
-    const walletRegex = /[1-9A-HJ-NP-Za-km-z]{32,44}/g;
-    
-    logs.forEach(log => {
-      const matches = log.match(walletRegex);
-      if (matches) {
-        matches.forEach(address => {
-          // Basic validation for Solana addresses
-          if (address.length >= 32 && address.length <= 44) {
-            walletAddresses.add(address);
-          }
-        });
-      }
-    });
+  async storeSignal(signal) {
+    try {
+      await this.recordWrite('signals', () => this.store.insertSignal({
+        signal_type: signal.type,
+        token_mint: signal.tokenMint,
+        wallet_count: signal.walletCount,
+        total_size_sol: signal.totalSizeSol,
+        window_minutes: signal.windowMinutes,
+        first_buyer: signal.firstBuyer,
+        first_buy_at: signal.firstBuyAt,
+        triggered_at: signal.triggeredAt,
+        first_buyer_latency_seconds: signal.firstBuyerLatencySeconds,
+        participants: signal.participants,
+        created_at: new Date().toISOString(),
+      }));
+      console.log('💾 Stored cluster signal:', signal.tokenMint.substring(0, 8) + '...');
+
+    } catch (error) {
+      console.error('❌ Error storing signal:', error.message);
+    }
+  }
 
-    return Array.from(walletAddresses);
+  async getRecentSignals({ limit = 50, mint = null } = {}) {
+    return this.store.getRecentSignals({ limit, mint });
   }
 
-  async analyzeWalletProfitability(walletAddress, signature, contextData) {
+  async analyzeWalletProfitability(walletAddress, signature, contextData, { activity = null, role = null } = {}) {
     try {
       // Simple heuristic: if wallet appears in multiple DEX transactions, it's potentially profitable
       console.log('💰 Analyzing wallet profitability:', walletAddress.substring(0, 8) + '...');
       
-      // Create a candidate wallet entry
-      const { error } = await supabase
-        .from('candidate_wallets')
-        .upsert({
-          wallet_address: walletAddress,
-          discovery_timestamp: new Date().toISOString(),
-          discovery_source: 'DEX_activity',
-          discovery_type: 'jupiter_swap',
-          initial_score: 50,
-          confidence: 0.5,
-          status: 'pending',
-          discovery_metadata: {
-            signature: signature,
-            slot: contextData?.slot
-          }
-        }, {
-          onConflict: 'wallet_address'
-        });
-
-      if (error) {
-        console.error('❌ Error storing candidate wallet:', error);
-      } else {
-        console.log('🐋 Added candidate wallet:', walletAddress.substring(0, 8) + '...');
-      }
+      // Create a candidate wallet entry (never resets one that is already being profiled/promoted/rejected)
+      await this.writes.add('candidate_wallets', {
+        wallet_address: walletAddress,
+        discovery_timestamp: new Date(this.now()).toISOString(),
+        discovery_source: 'DEX_activity',
+        discovery_type: activity ? `${activity.dex.toLowerCase()}_${activity.action || 'swap'}` : 'dex_swap',
+        initial_score: 50,
+        confidence: 0.5,
+        status: 'pending',
+        discovery_metadata: {
+          signature: signature,
+          slot: contextData?.slot,
+          dex_program: activity?.programId || null,
+          dex_action: activity?.action || null,
+          signer_role: role
+        }
+      });
+      console.log('🐋 Added candidate wallet:', walletAddress.substring(0, 8) + '...');
+
+      // Repeat sightings are published too; only the first one creates the row
+      this.events.publish('candidate_discovered', {
+        wallets: [walletAddress],
+        dex: activity?.dex || null,
+        data: {
+          walletAddress,
+          signature,
+          slot: contextData?.slot,
+          dexProgram: activity?.programId || null,
+          dexAction: activity?.action || null,
+          signerRole: role,
+        },
+      });
 
     } catch (error) {
       console.error('❌ Error analyzing wallet profitability:', error);
     }
   }
 
-  async storeTradeData(transaction, wallets) {
+  async storeTradeData(transaction, wallets, { decodedOnly = false, activity = summarizeDexActivity(transaction) } = {}) {
     try {
+      const signature = getSignature(transaction);
+
       for (const walletAddress of wallets) {
+        const swap = decodeSwap(transaction, walletAddress);
+        if (!swap && decodedOnly) continue;
+
+        // Balance legs are kept for liquidity actions too, but only swaps are priced buys/sells
+        const trade = isSwapActivity(activity) ? swap : null;
+        if (trade) {
+          this.prices.recordSwap(trade);
+          // Every decoded swap is a price print for pending copy-trade orders
+          await this.copyTrader?.onSwap(trade);
+        }
+        const notional = trade ? this.prices.notional(trade) : null;
+        const launch = await this.getLaunchTiming(trade);
+
         const tradeData = {
           wallet_address: walletAddress,
-          transaction_signature: transaction.signature,
+          transaction_signature: signature,
           block_number: transaction.slot,
           timestamp: new Date(transaction.blockTime * 1000).toISOString(),
-          dex_program_id: this.detectDEXProgram(transaction.transaction.message.accountKeys),
-          status: 'detected',
+          dex_program_id: activity?.programId || null,
+          venue: activity?.dex || null,
+          action_type: activity?.action || null,
+          route: activity?.route || null,
+          status: swap ? 'decoded' : 'detected',
+          trade_type: trade?.tradeType || null,
+          token_mint: trade?.tokenMint || null,
+          token_in_mint: swap?.inputMint || null,
+          token_in_amount: swap?.inputAmount ?? null,
+          token_out_mint: swap?.outputMint || null,
+          token_out_amount: swap?.outputAmount ?? null,
+          price: trade?.price ?? null,
+          quote_mint: trade?.quoteMint || null,
+          notional_sol: notional?.sol ?? null,
+          notional_usd: notional?.usd ?? null,
+          slots_since_launch: launch?.slotsSinceLaunch ?? null,
+          seconds_since_launch: launch?.secondsSinceLaunch ?? null,
+          fee_payer: swap?.feePayer || null,
+          fee_lamports: swap?.fee ?? null,
           raw_data: transaction,
         };
 
-        const { error } = await supabase
-          .from('trades')
-          .upsert(tradeData, {
-            onConflict: 'transaction_signature,wallet_address'
-          });
-
-        if (error) {
-          console.error('❌ Error storing trade data:', error);
-        } else {
-          console.log('💰 Stored trade data for wallet:', walletAddress.substring(0, 8) + '...');
-        }
+        await this.writes.add('trades', tradeData);
+        console.log('💰 Buffered trade data for wallet:', walletAddress.substring(0, 8) + '...', trade
+          ? `${trade.tradeType} ${trade.tokenMint.substring(0, 8)}... @ ${trade.price}`
+          : `(${swap ? activity.action : 'no swap legs'})`);
       }
     } catch (error) {
       console.error('❌ Error in storeTradeData:', error);
@@ -480,7 +1232,7 @@ class SolanaMonitor {
       const transactionData = {
         tx_signature: signature,
         slot: contextData?.slot,
-        block_time: Math.floor(Date.now() / 1000), // Current timestamp as fallback
+        block_time: valueData?.blockTime ?? Math.floor(Date.now() / 1000), // Current timestamp as fallback
         accounts: valueData?.accounts || [],
         logs: valueData?.logs || [],
         processed: false,
@@ -488,117 +1240,69 @@ class SolanaMonitor {
         updated_at: new Date().toISOString()
       };
 
-      const { error } = await supabase
-        .from('raw_transactions')
-        .upsert(transactionData, {
-          onConflict: 'tx_signature'
-        });
-
-      if (error) {
-        console.error('❌ Error storing raw transaction:', error);
-      } else {
-        console.log('💾 Stored raw transaction:', signature.substring(0, 16) + '...');
-      }
+      // Waits while the write buffer is full
+      await this.writes.add('raw_transactions', transactionData);
 
     } catch (error) {
-      console.error('❌ Error in storeRawTransaction:', error);
+      console.error('❌ Error storing raw transaction:', error.message);
     }
   }
 
-  async checkForWalletDiscovery(transaction) {
+  async checkForWalletDiscovery(transaction, activity = summarizeDexActivity(transaction), { exclude = [] } = {}) {
     try {
-      // Look for large transactions that might indicate smart money activity
-      const accountKeys = transaction.transaction.message.accountKeys || [];
-      const dexProgram = this.detectDEXProgram(accountKeys);
-      
-      if (!dexProgram) return;
+      if (!activity) return;
 
-      // The first account is usually the signer (potential smart wallet)
-      const potentialWallet = accountKeys[0];
-      
-      if (!potentialWallet || this.trackedWallets.has(potentialWallet)) {
-        return; // Already tracking this wallet
-      }
+      // Only the fee payer and real signers are user wallets
+      const wallets = this.walletResolver.resolve(transaction)
+        .filter(({ address }) => !this.trackedWallets.has(address) && !exclude.includes(address)); // Already tracking these
 
-      // Store as candidate wallet for discovery system
-      const { error } = await supabase
-        .from('candidate_wallets')
-        .upsert({
-          wallet_address: potentialWallet,
-          discovery_method: 'chainstack_monitor',
-          confidence_score: 0.5,
-          first_seen_tx: transaction.signature,
-          first_seen_at: new Date(transaction.blockTime * 1000).toISOString(),
-          dex_program: dexProgram,
-          metadata: {
-            slot: transaction.slot,
-            accountCount: accountKeys.length,
-            monitor_source: 'fly_io'
-          }
-        }, {
-          onConflict: 'wallet_address'
-        });
+      if (wallets.length === 0) return;
+
+      const signature = getSignature(transaction);
+      console.log('🔍 Found wallets in transaction:', {
+        signature: signature.substring(0, 16) + '...',
+        wallets: wallets.length
+      });
 
-      if (!error) {
-        console.log('🔍 New candidate wallet discovered:', potentialWallet.substring(0, 8) + '...');
+      for (const { address, role } of wallets) {
+        await this.analyzeWalletProfitability(address, signature, { slot: transaction.slot }, { activity, role });
       }
 
+      // Keep the candidates' decoded swaps so their PnL can be computed at profiling time
+      await this.storeTradeData(transaction, wallets.map(({ address }) => address), { decodedOnly: true, activity });
+
     } catch (error) {
       console.error('❌ Error in wallet discovery:', error);
     }
   }
 
-  detectDEXProgram(accountKeys) {
-    for (const [dexName, programId] of Object.entries(DEX_PROGRAM_IDS)) {
-      if (accountKeys.includes(programId)) {
-        return programId;
-      }
-    }
-    return null;
-  }
-
   // ====================
   // HTTP RPC CALLS
   // ====================
 
+  // Throws RpcError (with a `retryable` flag) so the fetch queue can decide whether to retry
+  async fetchTransaction(signature) {
+    return this.rpc.call('getTransaction', [
+      signature,
+      {
+        encoding: 'json',
+        commitment: 'finalized',
+        maxSupportedTransactionVersion: 0,
+      },
+    ]);
+  }
+
   async getTransaction(signature) {
     try {
-      if (!config.chainstackHttpUrl) {
+      if (this.rpc.size === 0) {
         console.log('⚠️ No HTTP URL configured, skipping transaction fetch');
         return null;
       }
 
-      const response = await fetch(config.chainstackHttpUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          jsonrpc: '2.0',
-          id: 1,
-          method: 'getTransaction',
-          params: [
-            signature,
-            {
-              encoding: 'json',
-              commitment: 'finalized',
-              maxSupportedTransactionVersion: 0,
-            },
-          ],
-        }),
-      });
-
-      const data = await response.json();
-      
-      if (data.error) {
-        console.error('❌ RPC Error:', data.error);
-        return null;
-      }
-
-      return data.result;
+      return await this.fetchTransaction(signature);
 
     } catch (error) {
-      console.error('❌ Error fetching transaction:', error);
+      console.error('❌ Error fetching transaction:', error.message);
       return null;
     }
   }
@@ -611,141 +1315,300 @@ class SolanaMonitor {
     return {
       connected: this.isConnected,
       trackedWallets: this.trackedWallets.size,
-      subscriptionIds: Array.from(this.subscriptionIds),
-      reconnectAttempts: this.reconnectAttempts,
+      paused: {
+        wallets: Array.from(this.pausedWallets),
+        dexes: Array.from(this.pausedDexes),
+      },
+      walletRealtime: this.walletChannelStatus,
+      stream: this.stream.getStatus(),
+      rpc: this.rpc.getStats(),
+      backfill: this.backfill ? this.backfill.getStatus() : null,
+      profiler: this.profiler ? this.profiler.getStats() : null,
+      candidateQueue: this.candidateQueue.getStats(),
+      writeBuffer: this.writes.getStats(),
+      eventStream: this.events.getStats(),
+      prices: this.prices.getStats(),
+      tokenMetadata: this.tokens ? this.tokens.getStats() : null,
+      pumpFun: this.pumpFun ? this.pumpFun.getStats() : null,
+      copyTrading: this.copyTrader ? this.copyTrader.getStats() : null,
       processedTransactions: this.processedTransactions.size,
+      fetchQueue: this.fetchQueue ? this.fetchQueue.getStats() : null,
+      alerts: this.alerts.getStats(),
+      clusters: this.clusterDetector.getStats(),
     };
   }
 
-  // Periodic wallet refresh
+  // ====================
+  // REALTIME WALLET UPDATES
+  // ====================
+
+  startWalletRealtime() {
+    if (!config.walletRealtimeEnabled) {
+      console.log('ℹ️ Wallet realtime updates disabled, relying on polling');
+      return;
+    }
+
+    console.log('📡 Subscribing to wallets table changes...');
+    this.walletChannelStatus = 'connecting';
+
+    this.walletChannel = this.store.subscribeWalletChanges({
+      onChange: (payload) => {
+        this.handleWalletChange(payload);
+      },
+      onStatus: (status, error) => {
+        const wasSubscribed = this.walletChannelStatus === 'SUBSCRIBED';
+        this.walletChannelStatus = status;
+
+        if (status === 'SUBSCRIBED') {
+          console.log(`✅ Listening for wallet changes (${this.store.name})`);
+          // Anything changed while the channel was down only shows up in a full reload
+          if (!wasSubscribed) {
+            this.refreshTrackedWallets();
+          }
+        } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+          console.error(`❌ Wallet realtime channel ${status}:`, error?.message || '');
+        }
+      },
+    });
+  }
+
+  handleWalletChange(payload) {
+    try {
+      const { eventType } = payload;
+      const row = eventType === 'DELETE' ? payload.old : payload.new;
+      const walletAddress = row?.wallet_address;
+
+      if (!walletAddress) {
+        // DELETE payloads only carry the primary key unless the table uses REPLICA IDENTITY FULL
+        console.log(`⚠️ Wallet ${eventType} without wallet_address, reconciling full list`);
+        this.refreshTrackedWallets();
+        return;
+      }
+
+      if (eventType !== 'DELETE' && row.is_verified) {
+        this.addTrackedWallet(walletAddress, row.score);
+      } else {
+        this.removeTrackedWallet(walletAddress);
+      }
+
+    } catch (error) {
+      console.error('❌ Error handling wallet change:', error);
+    }
+  }
+
+  addTrackedWallet(walletAddress, score = null) {
+    const isNew = !this.trackedWallets.has(walletAddress);
+    this.trackedWallets.add(walletAddress);
+    this.walletScores.set(walletAddress, score ?? this.walletScores.get(walletAddress) ?? 0);
+
+    if (isNew) {
+      console.log('➕ Now tracking wallet:', walletAddress.substring(0, 8) + '...');
+      if (this.isConnected) {
+        this.subscribeToLogs();
+      }
+    }
+  }
+
+  removeTrackedWallet(walletAddress) {
+    if (!this.trackedWallets.delete(walletAddress)) return;
+    this.walletScores.delete(walletAddress);
+
+    console.log('➖ Stopped tracking wallet:', walletAddress.substring(0, 8) + '...');
+    if (this.isConnected) {
+      this.subscribeToLogs();
+    }
+  }
+
+  // Full reload from the wallets table: reconciliation fallback for missed realtime events
   async refreshTrackedWallets() {
     console.log('🔄 Refreshing tracked wallets...');
     await this.loadTrackedWallets();
     
-    // Resubscribe with updated wallet list
+    // Subscribe to added wallets and unsubscribe removed ones
     if (this.isConnected) {
       this.subscribeToLogs();
     }
   }
 
   // ====================
-  // STAGE 2: CANDIDATE PROCESSING
+  // ADMIN ACTIONS
   // ====================
 
-  // Process candidate wallets into main wallets table
-  async processCandidateWallets() {
-    try {
-      console.log('🔄 Processing candidate wallets...');
-      
-      // Get pending candidate wallets (limit to avoid overload)
-      const { data: candidates, error: fetchError } = await supabase
-        .from('candidate_wallets')
-        .select('*')
-        .eq('status', 'pending')
-        .limit(10);
-
-      if (fetchError) {
-        console.error('❌ Error fetching candidates:', fetchError);
-        return;
-      }
+  // Adds (or re-verifies) a wallet in the wallets table and subscribes to it straight away
+  async trackWallet(walletAddress, { displayName = null } = {}) {
+    await this.recordWrite('wallets', () => this.store.upsertWallet({
+      wallet_address: walletAddress,
+      is_verified: true,
+      ...(displayName ? { display_name: displayName } : {}),
+      updated_at: new Date().toISOString(),
+    }));
+    this.addTrackedWallet(walletAddress);
+  }
 
-      if (!candidates || candidates.length === 0) {
-        console.log('ℹ️ No pending candidates to process');
-        return;
-      }
+  // Un-verifies the wallet (its row and history stay); false when it doesn't exist
+  async untrackWallet(walletAddress) {
+    if (!await this.store.getWallet(walletAddress)) return false;
+
+    await this.recordWrite('wallets', () => this.store.upsertWallet({
+      wallet_address: walletAddress,
+      is_verified: false,
+      updated_at: new Date().toISOString(),
+    }));
+    this.removeTrackedWallet(walletAddress);
+    return true;
+  }
 
-      console.log(`📊 Processing ${candidates.length} candidate wallets...`);
+  // kind 'wallet' (address) or 'dex' (name); returns false when it was already in that state
+  async setPaused(kind, target, paused, { reason = null, actor = null } = {}) {
+    const set = kind === 'wallet' ? this.pausedWallets : this.pausedDexes;
+    const changed = set.has(target) !== paused;
 
-      for (const candidate of candidates) {
-        await this.analyzeCandidateWallet(candidate);
-        // Add small delay to avoid overwhelming the system
-        await new Promise(resolve => setTimeout(resolve, 100));
-      }
+    if (paused) {
+      await this.store.upsertPause({ kind, target, reason, paused_by: actor, paused_at: new Date().toISOString() });
+      set.add(target);
+    } else {
+      await this.store.deletePause(kind, target);
+      set.delete(target);
+    }
 
-    } catch (error) {
-      console.error('❌ Error processing candidate wallets:', error);
+    console.log(`${paused ? '⏸️ Paused' : '▶️ Resumed'} ${kind} ${target}`);
+    if (this.isConnected) {
+      this.subscribeToLogs();
+    }
+    return changed;
+  }
+
+  // Runs analyzeCandidateWallet now through the queue (lease + settle); null when not found.
+  // `busy` means another worker holds a live lease on it.
+  async reanalyzeCandidate(walletAddress) {
+    const row = await this.store.getCandidate(walletAddress);
+    if (!row) return null;
+
+    const candidate = await this.candidateQueue.runNow(row);
+    return { busy: candidate === null, candidate };
+  }
+
+  // Manual verdict. Overrides the queue: the lease is cleared, so a worker that is still
+  // profiling this wallet has its result discarded. Rejections are final (no re-evaluation).
+  async reviewCandidate(walletAddress, { decision, reason = null, score = null, actor = null }) {
+    const row = await this.store.getCandidate(walletAddress);
+    if (!row) return null;
+
+    const now = new Date().toISOString();
+    const promote = decision === 'promote';
+    const finalScore = score ?? row.score ?? row.initial_score;
+
+    if (promote) {
+      await this.promoteToMainWallets(row, row.profile_data || { transaction_count: 0 }, {
+        score: finalScore,
+        breakdown: row.score_breakdown,
+      });
     }
+
+    const candidate = await this.store.updateCandidate(walletAddress, {
+      status: promote ? JOB_STATUS.PROMOTED : JOB_STATUS.REJECTED,
+      score: finalScore,
+      rejection_reason: promote ? null : reason,
+      last_error: null,
+      lease_owner: null,
+      lease_expires_at: null,
+      next_attempt_at: null,
+      evaluated_at: now,
+      reevaluate_at: null,
+      updated_at: now,
+    });
+
+    this.events.publish(promote ? 'candidate_promoted' : 'candidate_rejected', {
+      wallets: [walletAddress],
+      data: { walletAddress, score: finalScore, reason, manual: true, actor },
+    });
+    return candidate;
   }
 
+  // ====================
+  // STAGE 2: CANDIDATE PROCESSING
+  // ====================
+
+  // Job handler for the candidate queue: returns the final status and columns to store, or
+  // throws to have the queue retry (or dead-letter) the candidate
   async analyzeCandidateWallet(candidate) {
-    try {
-      const walletAddress = candidate.wallet_address;
-      console.log('🔍 Analyzing candidate:', walletAddress.substring(0, 8) + '...');
+    const walletAddress = candidate.wallet_address;
+    console.log('🔍 Analyzing candidate:', walletAddress.substring(0, 8) + '...', `(attempt ${candidate.attempts})`);
 
-      // Update status to profiling
-      await supabase
-        .from('candidate_wallets')
-        .update({ status: 'profiling' })
-        .eq('id', candidate.id);
+    // Get wallet's transaction history
+    const walletAnalysis = await this.getWalletAnalysis(walletAddress);
 
-      // Get wallet's transaction history from our raw_transactions table
-      const walletAnalysis = await this.getWalletAnalysis(walletAddress);
-      
-      if (!walletAnalysis) {
-        // Mark as rejected if we can't analyze
-        await supabase
-          .from('candidate_wallets')
-          .update({ 
-            status: 'rejected',
-            rejection_reason: 'Unable to fetch transaction history'
-          })
-          .eq('id', candidate.id);
-        return;
-      }
+    if (!walletAnalysis) {
+      throw new Error('Unable to fetch transaction history');
+    }
 
-      // Calculate wallet score based on analysis
-      const score = this.calculateWalletScore(walletAnalysis);
-      
-      // If score is good enough, promote to main wallets table
-      if (score >= 40) {
-        await this.promoteToMainWallets(candidate, walletAnalysis, score);
-        console.log('✅ Promoted wallet:', walletAddress.substring(0, 8) + '...', 'Score:', score);
-      } else {
-        // Mark as rejected
-        await supabase
-          .from('candidate_wallets')
-          .update({ 
-            status: 'rejected',
-            rejection_reason: `Score too low: ${score}`
-          })
-          .eq('id', candidate.id);
-        console.log('❌ Rejected wallet:', walletAddress.substring(0, 8) + '...', 'Score:', score);
-      }
+    // Calculate wallet score based on analysis
+    const evaluation = this.calculateWalletScore(walletAnalysis);
+    const { score } = evaluation;
 
-    } catch (error) {
-      console.error('❌ Error analyzing candidate wallet:', error);
-      
-      // Mark as failed
-      await supabase
-        .from('candidate_wallets')
-        .update({ 
-          status: 'rejected',
-          rejection_reason: `Analysis failed: ${error.message}`
-        })
-        .eq('id', candidate.id);
+    // If score is good enough, promote to main wallets table. The queue runs afterSettle once
+    // this result is stored, so a worker that lost its lease promotes and announces nothing.
+    if (evaluation.promote) {
+      return {
+        status: JOB_STATUS.PROMOTED,
+        profile_data: walletAnalysis,
+        score: score,
+        score_breakdown: evaluation.breakdown,
+        rejection_reason: null,
+        afterSettle: async () => {
+          await this.promoteToMainWallets(candidate, walletAnalysis, evaluation);
+          console.log('✅ Promoted wallet:', walletAddress.substring(0, 8) + '...', 'Score:', score);
+          this.events.publish('candidate_promoted', {
+            wallets: [walletAddress],
+            data: { walletAddress, score, breakdown: evaluation.breakdown, attempts: candidate.attempts },
+          });
+        },
+      };
     }
+
+    return {
+      status: JOB_STATUS.REJECTED,
+      rejection_reason: evaluation.reason,
+      score: score,
+      score_breakdown: evaluation.breakdown,
+      afterSettle: async () => {
+        console.log('❌ Rejected wallet:', walletAddress.substring(0, 8) + '...', evaluation.reason);
+        this.events.publish('candidate_rejected', {
+          wallets: [walletAddress],
+          data: { walletAddress, score, reason: evaluation.reason, breakdown: evaluation.breakdown, attempts: candidate.attempts },
+        });
+      },
+    };
   }
 
   async getWalletAnalysis(walletAddress) {
     try {
       // Get recent transactions for this wallet from our raw_transactions table
-      const { data: transactions, error } = await supabase
-        .from('raw_transactions')
-        .select('*')
-        .contains('accounts', [walletAddress])
-        .order('created_at', { ascending: false })
-        .limit(50);
-
-      if (error) {
-        console.error('❌ Error fetching wallet transactions:', error);
-        return null;
-      }
+      const transactions = await this.store.getWalletRawTransactions(walletAddress, { limit: 50 });
+
+      // On-chain history: most candidates have barely any rows of their own yet
+      const history = await this.getWalletHistory(walletAddress);
+
+      // PnL and activity over the wallet's decoded trades plus its history
+      const storedRows = await this.fetchDecodedTrades(walletAddress);
+      const tradeRows = storedRows || history ? mergeTradeRows(storedRows || [], history?.trades || []) : null;
+      const pnl = tradeRows ? await this.updateWalletStats(walletAddress, tradeRows) : null;
 
       return {
         wallet_address: walletAddress,
-        transaction_count: transactions?.length || 0,
+        transaction_count: Math.max(transactions?.length || 0, history?.signature_count || 0),
         recent_transactions: transactions || [],
-        analysis_timestamp: new Date().toISOString()
+        pnl,
+        activity: summarizeActivity(tradeRows || []),
+        history: history ? {
+          signature_count: history.signature_count,
+          decoded_trades: history.decoded_trades,
+          first_seen_at: history.first_seen_at,
+          last_seen_at: history.last_seen_at,
+          complete: history.complete,
+          fetched_at: history.fetched_at,
+        } : null,
+        analysis_timestamp: new Date(this.now()).toISOString()
       };
 
     } catch (error) {
@@ -754,77 +1617,93 @@ class SolanaMonitor {
     }
   }
 
-  calculateWalletScore(analysis) {
-    try {
-      let score = 0;
-      const { transaction_count, recent_transactions } = analysis;
+  // Cached on-chain profile, or null when profiling is off. Throws when the history couldn't
+  // be fetched in full, so the candidate is retried instead of scored on part of it.
+  async getWalletHistory(walletAddress) {
+    if (!this.profiler) return null;
 
-      // Base score from transaction volume
-      score += Math.min(transaction_count * 2, 40); // Max 40 points for volume
+    try {
+      return await this.profiler.profile(walletAddress);
+    } catch (error) {
+      console.error('❌ Error fetching wallet history:', error.message);
+      throw error;
+    }
+  }
 
-      // Bonus for recent activity
-      const recentCount = recent_transactions.filter(tx => 
-        new Date(tx.created_at) > new Date(Date.now() - 24 * 60 * 60 * 1000)
-      ).length;
-      score += Math.min(recentCount * 5, 30); // Max 30 points for recent activity
+  // Stored decoded trades plus any still in the write buffer (which win), newest 1000
+  async fetchDecodedTrades(walletAddress) {
+    try {
+      const stored = await this.store.getDecodedTrades(walletAddress, { limit: 1000 });
+      const buffered = this.writes.pendingRows('trades', walletAddress)
+        .filter(row => row.status === 'decoded');
+      return buffered.length > 0 ? mergeTradeRows(buffered, stored).slice(-1000) : stored;
+    } catch (error) {
+      console.error('❌ Error fetching wallet trades:', error.message);
+      return null;
+    }
+  }
 
-      // Bonus for consistency (transactions spread over time)
-      if (transaction_count > 5) {
-        score += 20; // Consistency bonus
+  // Recompute PnL from the wallet's decoded trades and persist it to wallet_stats
+  async updateWalletStats(walletAddress, rows = null) {
+    try {
+      if (!rows) {
+        rows = await this.fetchDecodedTrades(walletAddress);
+        if (!rows) return null;
       }
 
-      // Bonus for DEX diversity (appeared in multiple DEX transactions)
-      score += 10; // Basic discovery bonus
+      const stats = this.pnlEngine.compute(rows.map(tradeFromRow));
+
+      try {
+        await this.recordWrite('wallet_stats', () => this.store.upsertWalletStats({
+          wallet_address: walletAddress,
+          ...stats,
+          updated_at: new Date().toISOString(),
+        }));
+      } catch (error) {
+        console.error('❌ Error storing wallet stats:', error.message);
+      }
 
-      return Math.min(Math.round(score), 100);
+      return stats;
 
     } catch (error) {
-      console.error('❌ Error calculating wallet score:', error);
-      return 0;
+      console.error('❌ Error in updateWalletStats:', error);
+      return null;
     }
   }
 
-  async promoteToMainWallets(candidate, analysis, score) {
+  // Returns { score, promote, reason, breakdown } from the configured scoring model
+  calculateWalletScore(analysis) {
     try {
-      const walletData = {
-        wallet_address: candidate.wallet_address,
-        display_name: `Smart Wallet ${candidate.wallet_address.substring(0, 8)}...`,
-        score: score,
-        discovery_date: candidate.discovery_timestamp,
-        discovery_version: 'V2',
-        discovery_source: candidate.discovery_source,
-        discovery_confidence: candidate.confidence,
-        trade_count: analysis.transaction_count,
-        analysis_status: 'complete',
-        wallet_style: this.determineWalletStyle(analysis),
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      };
-
-      // Insert into main wallets table
-      const { error: insertError } = await supabase
-        .from('wallets')
-        .upsert(walletData, { onConflict: 'wallet_address' });
-
-      if (insertError) {
-        console.error('❌ Error promoting wallet:', insertError);
-        return;
-      }
-
-      // Mark candidate as promoted
-      await supabase
-        .from('candidate_wallets')
-        .update({ 
-          status: 'promoted',
-          profile_data: analysis
-        })
-        .eq('id', candidate.id);
+      return this.scoringModel.evaluate(analysis);
 
     } catch (error) {
-      console.error('❌ Error in promoteToMainWallets:', error);
+      console.error('❌ Error calculating wallet score:', error);
+      return { score: 0, promote: false, reason: `Scoring failed: ${error.message}`, breakdown: null };
     }
   }
 
+  // Throws on failure so the candidate queue retries the promotion
+  async promoteToMainWallets(candidate, analysis, evaluation) {
+    const walletData = {
+      wallet_address: candidate.wallet_address,
+      display_name: `Smart Wallet ${candidate.wallet_address.substring(0, 8)}...`,
+      score: evaluation.score,
+      score_breakdown: evaluation.breakdown,
+      discovery_date: candidate.discovery_timestamp,
+      discovery_version: 'V2',
+      discovery_source: candidate.discovery_source,
+      discovery_confidence: candidate.confidence,
+      trade_count: analysis.pnl?.trade_count ?? analysis.transaction_count,
+      analysis_status: 'complete',
+      wallet_style: this.determineWalletStyle(analysis),
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+
+    // Insert into main wallets table
+    await this.recordWrite('wallets', () => this.store.upsertWallet(walletData));
+  }
+
   determineWalletStyle(analysis) {
     const { transaction_count } = analysis;
     
@@ -833,21 +1712,6 @@ class SolanaMonitor {
     if (transaction_count > 10) return 'scalper';
     return 'unknown';
   }
-
-  // Start candidate processing interval
-  startCandidateProcessing() {
-    console.log('⚡ Starting candidate wallet processing...');
-    
-    // Process candidates every 30 seconds
-    setInterval(async () => {
-      await this.processCandidateWallets();
-    }, 30000);
-
-    // Process immediately on startup
-    setTimeout(() => {
-      this.processCandidateWallets();
-    }, 5000);
-  }
 }
 
 // ====================
@@ -857,23 +1721,58 @@ class SolanaMonitor {
 const http = require('http');
 
 function startHealthServer(monitor) {
-  const server = http.createServer((req, res) => {
-    if (req.url === '/health') {
-      const status = monitor.getStatus();
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({
-        status: 'ok',
-        timestamp: new Date().toISOString(),
-        monitor: status
-      }));
-    } else {
-      res.writeHead(404, { 'Content-Type': 'text/plain' });
-      res.end('Not Found');
+  const { store } = monitor;
+  const api = new ApiServer({
+    monitor,
+    store,
+    events: monitor.events,
+    apiKeys: config.apiKeys,
+    corsOrigin: config.apiCorsOrigin,
+  });
+  const admin = new AdminApi({ monitor, store, adminKeys: config.adminApiKeys });
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    try {
+      // /v1/admin is checked first: it sits inside the read-only API's prefix
+      if (admin.enabled && admin.matches(url.pathname)) {
+        await admin.handle(req, res, url);
+      } else if (api.enabled && api.matches(url.pathname)) {
+        await api.handle(req, res, url);
+      } else if (url.pathname === '/health') {
+        // 503 while a socket is stuck retrying, so an orchestrator can decide whether to restart
+        const degraded = monitor.stream.degraded;
+        sendJson(res, degraded ? 503 : 200, {
+          status: degraded ? 'degraded' : 'ok',
+          timestamp: new Date().toISOString(),
+          monitor: monitor.getStatus()
+        });
+      } else if (url.pathname === '/metrics' && req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        res.end(await monitor.metrics.render());
+      } else if (url.pathname === '/signals' && req.method === 'GET') {
+        const limit = Math.min(parseInt(url.searchParams.get('limit') || '50', 10) || 50, 500);
+        const signals = await monitor.getRecentSignals({ limit, mint: url.searchParams.get('mint') });
+        sendJson(res, 200, { signals });
+      } else {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not Found');
+      }
+    } catch (error) {
+      console.error('❌ Error handling HTTP request:', error);
+      sendJson(res, 500, { error: error.message });
     }
   });
 
-  server.listen(8080, '0.0.0.0', () => {
-    console.log('🏥 Health check server listening on 0.0.0.0:8080');
+  server.listen(config.port, '0.0.0.0', () => {
+    console.log(`🏥 Health check server listening on 0.0.0.0:${config.port}`);
+    console.log(api.enabled
+      ? `🔑 REST API enabled at /v1 (${config.apiKeys.length} key(s))`
+      : 'ℹ️ REST API disabled, set API_KEYS to enable /v1');
+    console.log(admin.enabled
+      ? `🛡️ Admin API enabled at /v1/admin (${config.adminApiKeys.length} key(s))`
+      : 'ℹ️ Admin API disabled, set ADMIN_API_KEYS to enable /v1/admin');
   });
 
   return server;
@@ -884,15 +1783,23 @@ function startHealthServer(monitor) {
 // ====================
 
 async function main() {
+  validateEnv();
+
   console.log('🚀 Starting Smart Money AI Monitor Service');
   console.log('📊 Configuration:', {
-    supabaseUrl: config.supabaseUrl ? '✅ Set' : '❌ Missing',
-    supabaseKey: config.supabaseServiceKey ? '✅ Set' : '❌ Missing',
-    chainstackWss: config.chainstackWssUrl ? '✅ Set' : '❌ Missing',
-    chainstackHttp: config.chainstackHttpUrl ? '✅ Set' : '⚠️ Optional',
+    storage: config.storageBackend,
+    wssEndpoints: config.wssUrls.length > 0 ? `✅ ${config.wssUrls.length}` : '❌ Missing',
+    httpEndpoints: config.httpUrls.length > 0 ? `✅ ${config.httpUrls.length}` : '⚠️ Optional',
+    maxSubscriptionsPerSocket: config.maxSubscriptionsPerSocket || 'unlimited',
   });
 
-  const monitor = new SolanaMonitor();
+  // Self-hosted Postgres gets its schema from lib/storage/migrations
+  const store = createMonitorStore();
+  if (config.databaseAutoMigrate) {
+    await store.migrate();
+  }
+
+  const monitor = new SolanaMonitor({ store });
   
   // Start health check server
   const healthServer = startHealthServer(monitor);
@@ -900,10 +1807,13 @@ async function main() {
   // Start monitoring
   await monitor.connect();
 
-  // Refresh tracked wallets every 5 minutes
+  // Push wallet list changes; the interval below is only a reconciliation fallback
+  monitor.startWalletRealtime();
+
+  // Reconcile tracked wallets every WALLET_RECONCILE_MINUTES (default 5)
   setInterval(() => {
     monitor.refreshTrackedWallets();
-  }, 5 * 60 * 1000);
+  }, config.walletReconcileMinutes * 60 * 1000);
 
   // Log status every minute
   setInterval(() => {
@@ -911,23 +1821,24 @@ async function main() {
     console.log('📊 Monitor Status:', status);
   }, 60 * 1000);
 
+  // Drop expired cluster windows every minute
+  setInterval(() => {
+    monitor.clusterDetector.prune();
+  }, 60 * 1000);
+
   // Graceful shutdown
-  process.on('SIGINT', () => {
+  process.on('SIGINT', async () => {
     console.log('🛑 Shutting down monitor service...');
-    if (monitor.ws) {
-      monitor.ws.close();
-    }
+    await monitor.shutdown();
     if (healthServer) {
       healthServer.close();
     }
     process.exit(0);
   });
 
-  process.on('SIGTERM', () => {
+  process.on('SIGTERM', async () => {
     console.log('🛑 Received SIGTERM, shutting down...');
-    if (monitor.ws) {
-      monitor.ws.close();
-    }
+    await monitor.shutdown();
     if (healthServer) {
       healthServer.close();
     }
@@ -935,7 +1846,7 @@ async function main() {
   });
 
   // Start candidate processing
-  monitor.startCandidateProcessing();
+  monitor.candidateQueue.start();
   
   console.log('✅ Monitor service started successfully');
   console.log('🔍 Monitoring Solana transactions 24/7...');
@@ -943,66 +1854,159 @@ async function main() {
 }
 
 // ====================
-// MAIN FUNCTION
+// REPLAY
 // ====================
 
-async function main() {
-  console.log('🚀 Starting Smart Money AI Monitor Service...');
-  
-  const monitor = new SolanaMonitor();
-  
-  // Add health check server
-  const http = require('http');
-  const healthServer = http.createServer((req, res) => {
-    if (req.url === '/health') {
-      const healthData = {
-        status: 'ok',
-        timestamp: new Date().toISOString(),
-        monitor: {
-          connected: monitor.isConnected,
-          trackedWallets: monitor.trackedWallets?.size || 0,
-          subscriptionIds: monitor.subscriptionIds || [],
-          reconnectAttempts: monitor.reconnectAttempts || 0,
-          processedTransactions: monitor.processedTransactions || 0
-        }
-      };
-      
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify(healthData, null, 2));
-    } else {
-      res.writeHead(404, { 'Content-Type': 'text/plain' });
-      res.end('Not Found');
-    }
-  });
-  
-  const port = process.env.PORT || 3000;
-  healthServer.listen(port, () => {
-    console.log(`📊 Health check server running on port ${port}`);
+const REPLAY_USAGE = 'Usage: node index.js replay (--from-slot N --to-slot N | --from TIME --to TIME) '
+  + `[--source ${REPLAY_SOURCES.join('|')}] [--namespace replay_name] [--reset] [--baseline report.json] [--report out.json]`;
+
+function parseSlot(value, option) {
+  if (value == null) return null;
+  const slot = Number(value);
+  if (!Number.isInteger(slot) || slot < 0) {
+    throw new Error(`--${option} must be a slot number`);
+  }
+  return slot;
+}
+
+function parseTime(value, option) {
+  if (value == null) return null;
+  const time = new Date(value);
+  if (Number.isNaN(time.getTime())) {
+    throw new Error(`--${option} must be a date or ISO time`);
+  }
+  return time.toISOString();
+}
+
+// Re-runs stored history through the pipeline into a Postgres schema of its own (the
+// namespace), then reports which wallets it promoted compared with the baseline. Scoring
+// follows the current code and SCORING_CONFIG_PATH, so a changed model can be replayed as is.
+async function replay(args) {
+  const { values: options } = parseArgs({
+    args,
+    options: {
+      'from-slot': { type: 'string' },
+      'to-slot': { type: 'string' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      source: { type: 'string', default: 'trades' },
+      namespace: { type: 'string' },
+      reset: { type: 'boolean', default: false },
+      baseline: { type: 'string' },
+      report: { type: 'string' },
+    },
   });
 
-  // Connect to Chainstack WebSocket
-  await monitor.connect();
-  
-  // Graceful shutdown
-  process.on('SIGTERM', () => {
-    console.log('⚠️ Received SIGTERM, shutting down gracefully...');
-    monitor.disconnect();
-    if (healthServer) {
-      healthServer.close();
+  const range = {
+    fromSlot: parseSlot(options['from-slot'], 'from-slot'),
+    toSlot: parseSlot(options['to-slot'], 'to-slot'),
+    from: parseTime(options.from, 'from'),
+    to: parseTime(options.to, 'to'),
+  };
+  if (Object.values(range).every(bound => bound == null)) {
+    throw new Error(`A slot or time range is required\n${REPLAY_USAGE}`);
+  }
+
+  const namespace = options.namespace || `replay_${new Date().toISOString().replace(/\D/g, '').slice(0, 14)}`;
+  if (!/^replay_[a-z0-9_]+$/.test(namespace)) {
+    throw new Error('--namespace must start with "replay_" and use lowercase letters, digits and underscores');
+  }
+  if (!config.replayDatabaseUrl) {
+    throw new Error('REPLAY_DATABASE_URL (or DATABASE_URL) is required: replays write to a Postgres schema');
+  }
+
+  // An earlier replay's report (e.g. of the previous scoring model) instead of production
+  let baselineWallets = null;
+  if (options.baseline) {
+    baselineWallets = JSON.parse(fs.readFileSync(options.baseline, 'utf8')).wallets;
+    if (!baselineWallets) {
+      throw new Error(`${options.baseline} is not a replay report (no "wallets")`);
     }
-    process.exit(0);
+  }
+
+  validateEnv({ stream: false });
+  const source = createMonitorStore();
+  const output = createStore({
+    backend: 'postgres',
+    databaseUrl: config.replayDatabaseUrl,
+    databasePoolSize: config.databasePoolSize,
+    databaseSchema: namespace,
   });
 
-  // Start candidate processing
-  monitor.startCandidateProcessing();
-  
-  console.log('✅ Monitor service started successfully');
-  console.log('🔍 Monitoring Solana transactions 24/7...');
-  console.log('⚡ Candidate wallet processing enabled');
+  try {
+    if (await output.schemaExists()) {
+      if (!options.reset) {
+        throw new Error(`Namespace ${namespace} already exists, pass --reset to replace it`);
+      }
+      console.log(`🗑️ Dropping namespace ${namespace}...`);
+      await output.dropSchema();
+    }
+    await output.migrate();
+
+    console.log(`⏪ Replaying ${options.source} from ${config.storageBackend} into ${namespace}:`, range);
+    const startedAt = new Date().toISOString();
+    const monitor = new SolanaMonitor({ store: output, replay: true });
+    const runner = new ReplayRunner({
+      source,
+      output,
+      monitor,
+      from: options.source,
+      range,
+      pageSize: config.replayPageSize,
+      fetchConcurrency: config.txFetchConcurrency,
+      candidateConcurrency: config.candidateConcurrency,
+    });
+
+    const wallets = await runner.run();
+    await monitor.shutdown();
+
+    const baseline = baselineWallets || await loadProductionBaseline(source, Object.keys(wallets));
+    const report = {
+      namespace,
+      source: options.source,
+      range,
+      baseline: options.baseline || 'production',
+      scoringConfig: config.scoringConfigPath || 'default',
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      stats: runner.stats,
+      comparison: compareOutcomes(baseline, wallets),
+      wallets,
+    };
+
+    logReport(report);
+    if (options.report) {
+      fs.writeFileSync(options.report, JSON.stringify(report, null, 2));
+      console.log(`💾 Report written to ${options.report}`);
+    }
+
+  } finally {
+    await output.close();
+    await source.close();
+  }
 }
 
-// Start the application
-main().catch(error => {
-  console.error('❌ Fatal error starting monitor:', error);
-  process.exit(1);
-});
+// Start the application (`node index.js replay ...` replays history instead). Required as a
+// module (test/), nothing starts: the caller builds its own SolanaMonitor.
+if (require.main === module) {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (command === 'replay') {
+    replay(args)
+      .then(() => process.exit(0))
+      .catch(error => {
+        console.error('❌ Replay failed:', error.message);
+        process.exit(1);
+      });
+  } else {
+    main().catch(error => {
+      console.error('❌ Fatal error starting monitor:', error);
+      process.exit(1);
+    });
+  }
+}
+
+module.exports = {
+  SolanaMonitor,
+  config,
+};
@@ -0,0 +1,296 @@
+// Smart Money AI - Admin API
+// Authenticated control endpoints under /v1/admin: track/untrack wallets, pause monitoring per
+// wallet or DEX, re-run or override candidate evaluations and force a wallet refresh. Every
+// mutating call is written to admin_audit_log, whether it succeeded or not.
+
+const crypto = require('crypto');
+const { DEX_PROGRAM_IDS } = require('./constants');
+const {
+  ApiError,
+  API_PREFIX,
+  sendJson,
+  parseInteger,
+  parseAddress,
+  decodePathSegment,
+} = require('./api');
+
+const ADMIN_PREFIX = `${API_PREFIX}/admin`;
+const MAX_BODY_BYTES = 64 * 1024;
+const MAX_REASON_LENGTH = 500;
+
+// "name:key" entries name the actor in the audit log; bare keys get a positional name
+function parseAdminKeys(list) {
+  return list.map((entry, index) => {
+    const separator = entry.indexOf(':');
+    return separator > 0
+      ? { actor: entry.slice(0, separator), key: Buffer.from(entry.slice(separator + 1)) }
+      : { actor: `admin-${index + 1}`, key: Buffer.from(entry) };
+  });
+}
+
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new ApiError(413, `Body larger than ${MAX_BODY_BYTES} bytes`);
+    }
+    chunks.push(chunk);
+  }
+  if (size === 0) return {};
+
+  let body;
+  try {
+    body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch (error) {
+    throw new ApiError(400, 'Body is not valid JSON');
+  }
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ApiError(400, 'Body must be a JSON object');
+  }
+  return body;
+}
+
+function parseReason(body, { required = false } = {}) {
+  const { reason } = body;
+  if (reason == null || reason === '') {
+    if (required) throw new ApiError(400, 'reason is required');
+    return null;
+  }
+  if (typeof reason !== 'string' || reason.length > MAX_REASON_LENGTH) {
+    throw new ApiError(400, `reason must be a string of at most ${MAX_REASON_LENGTH} characters`);
+  }
+  return reason;
+}
+
+function requireAddress(value, name) {
+  const address = parseAddress(value, name);
+  if (!address) throw new ApiError(400, `${name} is required`);
+  return address;
+}
+
+function parseDex(value) {
+  if (!DEX_PROGRAM_IDS[value]) {
+    throw new ApiError(400, `Unknown DEX ${value} (expected ${Object.keys(DEX_PROGRAM_IDS).join(', ')})`);
+  }
+  return value;
+}
+
+// Candidate row trimmed for responses and the audit log (profile_data can be large)
+function summarizeCandidate(candidate) {
+  if (!candidate) return null;
+  const { wallet_address, status, score, rejection_reason, attempts, last_error, evaluated_at } = candidate;
+  return { wallet_address, status, score, rejection_reason, attempts, last_error, evaluated_at };
+}
+
+// ====================
+// ADMIN API
+// ====================
+
+class AdminApi {
+  constructor({ monitor, store, adminKeys = [] }) {
+    this.monitor = monitor;
+    this.store = store;
+    this.keys = parseAdminKeys(adminKeys);
+
+    // `action` marks a mutating route: it is audited under that name
+    this.routes = [
+      { method: 'POST', pattern: /^\/wallets$/, action: 'track_wallet', handler: ctx => this.trackWallet(ctx) },
+      { method: 'DELETE', pattern: /^\/wallets\/([^/]+)$/, action: 'untrack_wallet', handler: ctx => this.untrackWallet(ctx) },
+      { method: 'POST', pattern: /^\/wallets\/([^/]+)\/pause$/, action: 'pause_wallet', handler: ctx => this.setWalletPaused(ctx, true) },
+      { method: 'POST', pattern: /^\/wallets\/([^/]+)\/resume$/, action: 'resume_wallet', handler: ctx => this.setWalletPaused(ctx, false) },
+      { method: 'POST', pattern: /^\/dexes\/([^/]+)\/pause$/, action: 'pause_dex', handler: ctx => this.setDexPaused(ctx, true) },
+      { method: 'POST', pattern: /^\/dexes\/([^/]+)\/resume$/, action: 'resume_dex', handler: ctx => this.setDexPaused(ctx, false) },
+      { method: 'GET', pattern: /^\/pauses$/, handler: () => this.listPauses() },
+      { method: 'POST', pattern: /^\/candidates\/([^/]+)\/reanalyze$/, action: 'reanalyze_candidate', handler: ctx => this.reanalyzeCandidate(ctx) },
+      { method: 'POST', pattern: /^\/candidates\/([^/]+)\/promote$/, action: 'promote_candidate', handler: ctx => this.reviewCandidate(ctx, 'promote') },
+      { method: 'POST', pattern: /^\/candidates\/([^/]+)\/reject$/, action: 'reject_candidate', handler: ctx => this.reviewCandidate(ctx, 'reject') },
+      { method: 'POST', pattern: /^\/refresh$/, action: 'refresh_wallets', handler: () => this.refresh() },
+      { method: 'GET', pattern: /^\/audit$/, handler: ctx => this.listAudit(ctx) },
+    ];
+  }
+
+  get enabled() {
+    return this.keys.length > 0;
+  }
+
+  matches(pathname) {
+    return pathname === ADMIN_PREFIX || pathname.startsWith(`${ADMIN_PREFIX}/`);
+  }
+
+  // Actor name for the presented key, or null
+  authenticate(req) {
+    const header = req.headers.authorization || '';
+    const presented = header.startsWith('Bearer ') ? header.slice(7) : req.headers['x-api-key'];
+    if (!presented) return null;
+
+    const candidate = Buffer.from(presented);
+    const match = this.keys.find(({ key }) => key.length === candidate.length && crypto.timingSafeEqual(key, candidate));
+    return match ? match.actor : null;
+  }
+
+  async handle(req, res, url) {
+    try {
+      const actor = this.authenticate(req);
+      if (!actor) {
+        console.log(`⚠️ Rejected admin request without a valid key: ${req.method} ${url.pathname}`);
+        throw new ApiError(401, 'Missing or invalid admin key');
+      }
+
+      const path = url.pathname.slice(ADMIN_PREFIX.length);
+      const candidates = this.routes.filter(route => route.pattern.test(path));
+      if (candidates.length === 0) {
+        throw new ApiError(404, `No route for ${url.pathname}`);
+      }
+
+      const route = candidates.find(candidate => candidate.method === req.method);
+      if (!route) {
+        throw new ApiError(405, `Use ${candidates.map(candidate => candidate.method).join(' or ')}`);
+      }
+
+      const ctx = {
+        actor,
+        params: url.searchParams,
+        args: path.match(route.pattern).slice(1).map(decodePathSegment),
+        body: route.method === 'GET' ? {} : await readJsonBody(req),
+      };
+
+      const body = route.action
+        ? await this.audited(route.action, ctx, () => route.handler(ctx))
+        : await route.handler(ctx);
+      sendJson(res, 200, body);
+
+    } catch (error) {
+      if (error instanceof ApiError) {
+        sendJson(res, error.status, { error: error.message });
+        return;
+      }
+      console.error('❌ Admin API error:', error);
+      sendJson(res, 500, { error: 'Internal server error' });
+    }
+  }
+
+  // ====================
+  // AUDIT LOG
+  // ====================
+
+  async audited(action, ctx, run) {
+    const target = ctx.args[0] || ctx.body.address || null;
+    const entry = { actor: ctx.actor, action, target, params: ctx.body };
+
+    try {
+      const result = await run();
+      console.log(`🛡️ Admin ${ctx.actor}: ${action}${target ? ` ${target}` : ''}`);
+      await this.audit({ ...entry, success: true, result });
+      return result;
+
+    } catch (error) {
+      await this.audit({ ...entry, success: false, error: error.message });
+      throw error;
+    }
+  }
+
+  // Never fails the action itself: it has already happened by the time this runs
+  async audit(entry) {
+    try {
+      await this.store.insertAuditEntry({ ...entry, created_at: new Date().toISOString() });
+    } catch (error) {
+      console.error(`❌ Error writing audit log for ${entry.action}:`, error.message);
+    }
+  }
+
+  async listAudit({ params }) {
+    const limit = parseInteger(params, 'limit', { defaultValue: 100, min: 1, max: 1000 });
+    return { entries: await this.store.listAuditLog({ limit }), limit };
+  }
+
+  // ====================
+  // ROUTES
+  // ====================
+
+  // { address, display_name? }
+  async trackWallet({ body }) {
+    const address = requireAddress(body.address, 'address');
+    if (body.display_name != null && typeof body.display_name !== 'string') {
+      throw new ApiError(400, 'display_name must be a string');
+    }
+
+    await this.monitor.trackWallet(address, { displayName: body.display_name || null });
+    return { wallet_address: address, tracked: true };
+  }
+
+  async untrackWallet({ args: [address] }) {
+    requireAddress(address, 'address');
+
+    if (!await this.monitor.untrackWallet(address)) {
+      throw new ApiError(404, `Wallet ${address} not found`);
+    }
+    return { wallet_address: address, tracked: false };
+  }
+
+  // { reason? }
+  async setWalletPaused({ args: [address], body, actor }, paused) {
+    requireAddress(address, 'address');
+    const changed = await this.monitor.setPaused('wallet', address, paused, { reason: parseReason(body), actor });
+    return { kind: 'wallet', target: address, paused, changed };
+  }
+
+  // { reason? }
+  async setDexPaused({ args: [dex], body, actor }, paused) {
+    parseDex(dex);
+    const changed = await this.monitor.setPaused('dex', dex, paused, { reason: parseReason(body), actor });
+    return { kind: 'dex', target: dex, paused, changed };
+  }
+
+  async listPauses() {
+    return { pauses: await this.store.getPauses() };
+  }
+
+  async reanalyzeCandidate({ args: [address] }) {
+    requireAddress(address, 'address');
+
+    const result = await this.monitor.reanalyzeCandidate(address);
+    if (!result) {
+      throw new ApiError(404, `Candidate ${address} not found`);
+    }
+    if (result.busy) {
+      throw new ApiError(409, `Candidate ${address} is being profiled by another worker`);
+    }
+    return { candidate: summarizeCandidate(result.candidate) };
+  }
+
+  // promote: { reason?, score? }; reject: { reason }
+  async reviewCandidate({ args: [address], body, actor }, decision) {
+    requireAddress(address, 'address');
+    const reason = parseReason(body, { required: decision === 'reject' });
+
+    let score = null;
+    if (body.score != null) {
+      score = Number(body.score);
+      if (!Number.isFinite(score) || score < 0 || score > 100) {
+        throw new ApiError(400, 'score must be a number between 0 and 100');
+      }
+    }
+
+    const candidate = await this.monitor.reviewCandidate(address, { decision, reason, score, actor });
+    if (!candidate) {
+      throw new ApiError(404, `Candidate ${address} not found`);
+    }
+    return { candidate: summarizeCandidate(candidate) };
+  }
+
+  async refresh() {
+    await this.monitor.refreshTrackedWallets();
+    return {
+      tracked_wallets: this.monitor.trackedWallets.size,
+      paused_wallets: this.monitor.pausedWallets.size,
+      paused_dexes: Array.from(this.monitor.pausedDexes),
+    };
+  }
+}
+
+module.exports = {
+  AdminApi,
+};
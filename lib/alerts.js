@@ -0,0 +1,317 @@
+// Smart Money AI - Alert Dispatcher
+// Matches monitor events (tracked-wallet trades, cluster signals, Pump.fun lifecycle stages)
+// against configurable rules and delivers them to webhooks in generic, Discord, Slack or
+// Telegram format, with retry/backoff and per-rule rate limiting.
+
+const fs = require('fs');
+
+const WEBHOOK_FORMATS = ['generic', 'discord', 'slack', 'telegram'];
+
+const DEFAULT_RULE = {
+  name: 'default',
+  events: ['trade'],
+  side: 'any', // 'buy', 'sell' or 'any'
+  sellOnly: false,
+  newTokenOnly: false,
+  minSizeSol: 0,
+  minSizeUsd: 0,
+  maxSecondsSinceLaunch: null, // buys within N seconds of a Pump.fun launch we saw
+  mints: [], // empty = any mint
+  wallets: [], // empty = any tracked wallet
+  maxPerMinute: 30,
+  webhook: null, // { url, format, chatId }
+};
+
+// ====================
+// MESSAGE FORMATTING
+// ====================
+
+function shorten(address) {
+  return address ? `${address.substring(0, 4)}...${address.substring(address.length - 4)}` : 'unknown';
+}
+
+function formatAmount(value) {
+  if (value == null) return '?';
+  return Number(value).toLocaleString('en-US', { maximumFractionDigits: 4 });
+}
+
+function formatUsd(value) {
+  return value != null ? ` (~$${Number(value).toLocaleString('en-US', { maximumFractionDigits: 0 })})` : '';
+}
+
+function formatEventText(event) {
+  if (event.type === 'trade') {
+    const icon = event.side === 'buy' ? '🟢' : event.side === 'sell' ? '🔴' : '🔁';
+    const size = event.sizeSol != null
+      ? `${formatAmount(event.sizeSol)} SOL${formatUsd(event.sizeUsd)}`
+      : `${formatAmount(event.inputAmount)} ${shorten(event.inputMint)}`;
+    const lines = [
+      `${icon} ${event.side.toUpperCase()} ${size} of ${event.tokenSymbol || shorten(event.tokenMint)}${event.isNewToken ? ' (new token)' : ''}`,
+      `Wallet: ${event.walletAddress}`,
+      `Token: ${event.tokenMint}`,
+    ];
+    if (event.price != null) lines.push(`Price: ${formatAmount(event.price)}`);
+    if (event.dex) lines.push(`DEX: ${event.dex}${event.route?.length ? ` via ${event.route.join(' → ')}` : ''}`);
+    if (event.launch) {
+      lines.push(`Launch: +${formatAmount(event.launch.secondsSinceLaunch)}s / +${event.launch.slotsSinceLaunch} slots` +
+        (event.launch.curveProgress != null ? `, curve ${Math.round(event.launch.curveProgress * 100)}%` : ''));
+    }
+    lines.push(`https://solscan.io/tx/${event.signature}`);
+    return lines.join('\n');
+  }
+
+  if (event.type === 'cluster_buy') {
+    const lines = [
+      `🧠 CLUSTER BUY: ${event.walletCount} smart wallets bought ${event.tokenSymbol || shorten(event.tokenMint)} within ${event.windowMinutes}m`,
+      `Token: ${event.tokenMint}`,
+      `Total size: ${formatAmount(event.totalSizeSol)} SOL${formatUsd(event.totalSizeUsd)}`,
+      `First buyer: ${event.firstBuyer} (+${formatAmount(event.firstBuyerLatencySeconds)}s to cluster)`,
+      ...event.participants.map(p => `• ${shorten(p.walletAddress)} ${formatAmount(p.sizeSol)} SOL (+${formatAmount(p.secondsAfterFirstBuyer)}s)`),
+    ];
+    return lines.join('\n');
+  }
+
+  if (event.type.startsWith('pump_fun_')) {
+    const stage = {
+      pump_fun_launch: '🎈 PUMP.FUN LAUNCH',
+      pump_fun_complete: '🎓 PUMP.FUN CURVE COMPLETE',
+      pump_fun_migration: `🚚 PUMP.FUN MIGRATION${event.migrationVenue ? ` to ${event.migrationVenue}` : ''}`,
+    }[event.type] || event.type;
+    const lines = [
+      `${stage}: ${event.tokenSymbol || shorten(event.tokenMint)}${event.tokenName ? ` (${event.tokenName})` : ''}`,
+      `Token: ${event.tokenMint}`,
+    ];
+    if (event.creator) lines.push(`Creator: ${event.creator}`);
+    lines.push(`https://solscan.io/tx/${event.signature}`);
+    return lines.join('\n');
+  }
+
+  return `🔔 ${event.type}\n${JSON.stringify(event, null, 2)}`;
+}
+
+function buildPayload(event, webhook) {
+  const text = formatEventText(event);
+
+  switch (webhook.format) {
+    case 'discord':
+      return {
+        content: text.split('\n')[0],
+        embeds: [{
+          description: text.split('\n').slice(1).join('\n'),
+          color: event.side === 'sell' ? 0xe74c3c : 0x2ecc71,
+          timestamp: new Date().toISOString(),
+        }],
+      };
+    case 'slack':
+      return { text };
+    case 'telegram':
+      return {
+        chat_id: webhook.chatId,
+        text,
+        disable_web_page_preview: true,
+      };
+    default:
+      return { event };
+  }
+}
+
+// ====================
+// DISPATCHER
+// ====================
+
+class AlertDispatcher {
+  constructor({ rules = [], maxRetries = 3, retryDelayMs = 1000, timeoutMs = 10000 } = {}) {
+    this.rules = [];
+    for (const rule of rules) {
+      try {
+        this.rules.push(normalizeRule(rule));
+      } catch (error) {
+        console.error(`❌ ${error.message}, skipping it`);
+      }
+    }
+    this.maxRetries = maxRetries;
+    this.retryDelayMs = retryDelayMs;
+    this.timeoutMs = timeoutMs;
+    this.sentAt = new Map(); // rule -> timestamps of recent deliveries (names needn't be unique)
+
+    this.stats = {
+      matched: 0,
+      delivered: 0,
+      failed: 0,
+      rateLimited: 0,
+    };
+  }
+
+  get enabled() {
+    return this.rules.length > 0;
+  }
+
+  matches(rule, event) {
+    if (!rule.events.includes(event.type)) return false;
+    if (event.type !== 'trade') return true;
+
+    if (rule.sellOnly && event.side !== 'sell') return false;
+    if (rule.side !== 'any' && event.side !== rule.side) return false;
+    if (rule.newTokenOnly && !event.isNewToken) return false;
+    if (rule.mints.length > 0 && !rule.mints.includes(event.tokenMint)) return false;
+    if (rule.wallets.length > 0 && !rule.wallets.includes(event.walletAddress)) return false;
+    if (rule.minSizeSol > 0 && !(event.sizeSol >= rule.minSizeSol)) return false;
+    if (rule.minSizeUsd > 0 && !(event.sizeUsd >= rule.minSizeUsd)) return false;
+    if (rule.maxSecondsSinceLaunch != null && !(event.launch?.secondsSinceLaunch <= rule.maxSecondsSinceLaunch)) return false;
+
+    return true;
+  }
+
+  // Sliding one-minute window per rule
+  allow(rule) {
+    const now = Date.now();
+    const recent = (this.sentAt.get(rule) || []).filter(time => now - time < 60000);
+
+    if (recent.length >= rule.maxPerMinute) {
+      this.sentAt.set(rule, recent);
+      return false;
+    }
+
+    recent.push(now);
+    this.sentAt.set(rule, recent);
+    return true;
+  }
+
+  // Never throws; resolves once every matching rule has been attempted
+  async dispatch(event) {
+    const deliveries = [];
+
+    for (const rule of this.rules) {
+      if (!this.matches(rule, event)) continue;
+      this.stats.matched++;
+
+      if (!this.allow(rule)) {
+        this.stats.rateLimited++;
+        console.log(`⏳ Alert rule "${rule.name}" rate limited, dropping ${event.type} alert`);
+        continue;
+      }
+
+      deliveries.push(this.deliver(rule, event));
+    }
+
+    await Promise.all(deliveries);
+  }
+
+  async deliver(rule, event) {
+    const payload = buildPayload(event, rule.webhook);
+
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      let retryAfterMs = null;
+
+      try {
+        const response = await this.post(rule.webhook.url, payload);
+
+        if (response.ok) {
+          this.stats.delivered++;
+          console.log(`📣 Alert "${rule.name}" delivered (${rule.webhook.format})`);
+          return true;
+        }
+
+        // Client errors other than rate limits won't succeed on retry
+        if (response.status !== 429 && response.status < 500) {
+          console.error(`❌ Alert "${rule.name}" rejected: HTTP ${response.status}`);
+          break;
+        }
+
+        const retryAfter = parseFloat(response.headers.get('retry-after'));
+        if (!Number.isNaN(retryAfter)) retryAfterMs = retryAfter * 1000;
+        console.error(`⚠️ Alert "${rule.name}" failed: HTTP ${response.status} (attempt ${attempt + 1})`);
+
+      } catch (error) {
+        console.error(`⚠️ Alert "${rule.name}" failed: ${error.message} (attempt ${attempt + 1})`);
+      }
+
+      if (attempt < this.maxRetries) {
+        const delay = retryAfterMs ?? this.retryDelayMs * 2 ** attempt;
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+
+    this.stats.failed++;
+    return false;
+  }
+
+  async post(url, payload) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    try {
+      return await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(payload),
+        signal: controller.signal,
+      });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  getStats() {
+    return {
+      rules: this.rules.length,
+      ...this.stats,
+    };
+  }
+}
+
+// ====================
+// CONFIG LOADING
+// ====================
+
+function normalizeRule(rule) {
+  const normalized = { ...DEFAULT_RULE, ...rule };
+  const webhook = { format: 'generic', ...(rule.webhook || {}) };
+
+  if (!webhook.url) {
+    throw new Error(`Alert rule "${normalized.name}" has no webhook url`);
+  }
+  if (!WEBHOOK_FORMATS.includes(webhook.format)) {
+    throw new Error(`Alert rule "${normalized.name}" has unknown webhook format: ${webhook.format}`);
+  }
+  if (webhook.format === 'telegram' && !webhook.chatId) {
+    throw new Error(`Alert rule "${normalized.name}" needs a telegram chatId`);
+  }
+
+  normalized.webhook = webhook;
+  return normalized;
+}
+
+// Rules from a JSON file (ALERT_RULES_PATH), or a single catch-all rule from ALERT_WEBHOOK_URL
+function loadAlertRules({ path = null, webhookUrl = null, webhookFormat = 'generic', telegramChatId = null } = {}) {
+  if (path) {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(path, 'utf8'));
+      const rules = Array.isArray(parsed) ? parsed : parsed.rules || [];
+      console.log(`📣 Loaded ${rules.length} alert rule(s) from ${path}`);
+      return rules;
+    } catch (error) {
+      console.error(`❌ Failed to load alert rules from ${path}:`, error.message);
+      return [];
+    }
+  }
+
+  if (webhookUrl) {
+    return [{
+      name: 'default',
+      webhook: { url: webhookUrl, format: webhookFormat, chatId: telegramChatId },
+    }];
+  }
+
+  return [];
+}
+
+module.exports = {
+  AlertDispatcher,
+  WEBHOOK_FORMATS,
+  buildPayload,
+  formatEventText,
+  loadAlertRules,
+};
@@ -0,0 +1,378 @@
+// Smart Money AI - REST API
+// Read-only, versioned JSON API (/v1/...) served by the health server, plus the /v1/events
+// SSE stream. Every request needs one of the configured API keys; query parameters are
+// validated before they reach the store.
+
+const crypto = require('crypto');
+const { decodePublicKey } = require('./solanaAddress');
+const { JOB_STATUS } = require('./candidateQueue');
+const { WALLET_SORT_COLUMNS } = require('./storage');
+const { LIFECYCLE_STATUS } = require('./pumpFunLifecycle');
+
+const API_PREFIX = '/v1';
+const MAX_LIMIT = 500;
+const TRADE_TYPES = ['buy', 'sell'];
+
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+  }
+}
+
+function sendJson(res, statusCode, body, headers = {}) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+// ====================
+// VALIDATION
+// ====================
+
+function parseInteger(params, name, { defaultValue, min = 0, max = Infinity }) {
+  const raw = params.get(name);
+  if (raw == null || raw === '') return defaultValue;
+
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new ApiError(400, `${name} must be an integer between ${min} and ${max}`);
+  }
+  return value;
+}
+
+function parseEnum(params, name, allowed, defaultValue = null) {
+  const value = params.get(name);
+  if (value == null || value === '') return defaultValue;
+
+  if (!allowed.includes(value)) {
+    throw new ApiError(400, `${name} must be one of: ${allowed.join(', ')}`);
+  }
+  return value;
+}
+
+function parseBoolean(params, name) {
+  const value = params.get(name);
+  if (value == null || value === '') return null;
+
+  if (value !== 'true' && value !== 'false') {
+    throw new ApiError(400, `${name} must be true or false`);
+  }
+  return value === 'true';
+}
+
+function parseAddress(value, name) {
+  if (value == null || value === '') return null;
+
+  if (!decodePublicKey(value)) {
+    throw new ApiError(400, `${name} is not a valid Solana address`);
+  }
+  return value;
+}
+
+// Opaque keyset cursor: the (timestamp, id) of the last row returned. Decoding re-serializes
+// the timestamp, so stores only ever see an ISO string we produced, never the client's text.
+function encodeCursor(row) {
+  const timestamp = new Date(row.timestamp).toISOString();
+  return Buffer.from(JSON.stringify({ timestamp, id: row.id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return null;
+
+  try {
+    const { timestamp, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof timestamp !== 'string' || Number.isNaN(Date.parse(timestamp)) || !Number.isInteger(id)) {
+      throw new Error('bad cursor');
+    }
+    return { timestamp: new Date(timestamp).toISOString(), id };
+  } catch (error) {
+    throw new ApiError(400, 'cursor is invalid');
+  }
+}
+
+function decodePathSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    throw new ApiError(400, 'Malformed URL');
+  }
+}
+
+// ====================
+// API
+// ====================
+
+class ApiServer {
+  constructor({ monitor, store, events = null, apiKeys = [], corsOrigin = null }) {
+    this.monitor = monitor;
+    this.store = store;
+    this.events = events; // lib/eventStream, served at /v1/events
+    this.apiKeys = apiKeys.map(key => Buffer.from(key));
+    this.corsOrigin = corsOrigin;
+
+    this.routes = [
+      { pattern: /^\/wallets$/, handler: params => this.listWallets(params) },
+      { pattern: /^\/wallets\/([^/]+)$/, handler: (params, address) => this.getWallet(address) },
+      { pattern: /^\/candidates$/, handler: params => this.listCandidates(params) },
+      { pattern: /^\/trades$/, handler: params => this.listTrades(params) },
+      { pattern: /^\/signals$/, handler: params => this.listSignals(params) },
+      { pattern: /^\/tokens\/([^/]+)$/, handler: (params, mint) => this.getToken(mint) },
+      { pattern: /^\/pump-fun\/tokens$/, handler: params => this.listPumpFunTokens(params) },
+      { pattern: /^\/pump-fun\/tokens\/([^/]+)$/, handler: (params, mint) => this.getPumpFunToken(mint) },
+      { pattern: /^\/copy-trading$/, handler: () => this.listCopyPortfolios() },
+      { pattern: /^\/copy-trading\/([^/]+)$/, handler: (params, address) => this.getCopyPortfolio(params, address) },
+      { pattern: /^\/status$/, handler: () => this.getStatus() },
+    ];
+  }
+
+  get enabled() {
+    return this.apiKeys.length > 0;
+  }
+
+  matches(pathname) {
+    return pathname === API_PREFIX || pathname.startsWith(`${API_PREFIX}/`);
+  }
+
+  // Accepts `Authorization: Bearer <key>` or `X-API-Key: <key>`; constant-time comparison.
+  // `queryKey` is the ?api_key= fallback for EventSource, which cannot set headers.
+  authenticate(req, queryKey = null) {
+    const header = req.headers.authorization || '';
+    const presented = header.startsWith('Bearer ') ? header.slice(7) : (req.headers['x-api-key'] || queryKey);
+    if (!presented) return false;
+
+    const candidate = Buffer.from(presented);
+    return this.apiKeys.some(key => key.length === candidate.length && crypto.timingSafeEqual(key, candidate));
+  }
+
+  async handle(req, res, url) {
+    const headers = this.corsOrigin ? {
+      'Access-Control-Allow-Origin': this.corsOrigin,
+      'Access-Control-Allow-Headers': 'Authorization, X-API-Key',
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    } : {};
+
+    try {
+      if (req.method === 'OPTIONS' && this.corsOrigin) {
+        res.writeHead(204, headers);
+        res.end();
+        return;
+      }
+      const path = url.pathname.slice(API_PREFIX.length);
+      const isEventStream = path === '/events' && this.events;
+
+      if (!this.authenticate(req, isEventStream ? url.searchParams.get('api_key') : null)) {
+        throw new ApiError(401, 'Missing or invalid API key');
+      }
+      if (req.method !== 'GET') {
+        throw new ApiError(405, 'Method not allowed');
+      }
+
+      if (isEventStream) {
+        this.streamEvents(req, res, url.searchParams, headers);
+        return;
+      }
+
+      for (const route of this.routes) {
+        const match = path.match(route.pattern);
+        if (match) {
+          const body = await route.handler(url.searchParams, ...match.slice(1).map(decodePathSegment));
+          sendJson(res, 200, body, headers);
+          return;
+        }
+      }
+      throw new ApiError(404, `No route for ${url.pathname}`);
+
+    } catch (error) {
+      if (error instanceof ApiError) {
+        sendJson(res, error.status, { error: error.message }, headers);
+        return;
+      }
+      console.error('❌ API error:', error);
+      sendJson(res, 500, { error: 'Internal server error' }, headers);
+    }
+  }
+
+  // ====================
+  // ROUTES
+  // ====================
+
+  // ?type=&wallet=&mint=&dex= (comma separated); resumes after Last-Event-ID
+  streamEvents(req, res, params, headers) {
+    const { filters, error } = this.events.parseFilters(params);
+    if (error) {
+      throw new ApiError(400, error);
+    }
+
+    for (const [name, value] of Object.entries(headers)) {
+      res.setHeader(name, value);
+    }
+
+    const lastEventId = req.headers['last-event-id'] || params.get('last_event_id');
+    if (!this.events.subscribe(req, res, filters, { lastEventId })) {
+      throw new ApiError(503, 'Too many event stream clients');
+    }
+  }
+
+  // ?sort=score|trade_count|discovery_date|updated_at&order=desc&wallet_style=&verified=&limit=&offset=
+  async listWallets(params) {
+    const limit = parseInteger(params, 'limit', { defaultValue: 50, min: 1, max: MAX_LIMIT });
+    const offset = parseInteger(params, 'offset', { defaultValue: 0 });
+
+    const wallets = await this.store.listWallets({
+      sort: parseEnum(params, 'sort', WALLET_SORT_COLUMNS, 'score'),
+      ascending: parseEnum(params, 'order', ['asc', 'desc'], 'desc') === 'asc',
+      walletStyle: params.get('wallet_style') || null,
+      verified: parseBoolean(params, 'verified'),
+      limit,
+      offset,
+    });
+
+    return { wallets, limit, offset };
+  }
+
+  // Wallet row (with score_breakdown), PnL stats and its 50 most recent trades
+  async getWallet(address) {
+    parseAddress(address, 'address');
+
+    const [wallet, stats, trades] = await Promise.all([
+      this.store.getWallet(address),
+      this.store.getWalletStats(address),
+      this.store.listTrades({ walletAddress: address, limit: 50 }),
+    ]);
+
+    if (!wallet) {
+      throw new ApiError(404, `Wallet ${address} not found`);
+    }
+    return { wallet, stats, trades };
+  }
+
+  // ?status=pending|profiling|...&limit=&offset=
+  async listCandidates(params) {
+    const limit = parseInteger(params, 'limit', { defaultValue: 50, min: 1, max: MAX_LIMIT });
+    const offset = parseInteger(params, 'offset', { defaultValue: 0 });
+
+    const candidates = await this.store.listCandidates({
+      status: parseEnum(params, 'status', Object.values(JOB_STATUS)),
+      limit,
+      offset,
+    });
+
+    return { candidates, limit, offset };
+  }
+
+  // ?wallet=&mint=&type=buy|sell&limit=&cursor=; pass next_cursor back to get the next page
+  async listTrades(params) {
+    const limit = parseInteger(params, 'limit', { defaultValue: 50, min: 1, max: MAX_LIMIT });
+
+    const trades = await this.store.listTrades({
+      walletAddress: parseAddress(params.get('wallet'), 'wallet'),
+      mint: parseAddress(params.get('mint'), 'mint'),
+      tradeType: parseEnum(params, 'type', TRADE_TYPES),
+      before: decodeCursor(params.get('cursor')),
+      limit,
+    });
+
+    const last = trades[trades.length - 1];
+    return {
+      trades,
+      next_cursor: trades.length === limit && last?.timestamp ? encodeCursor(last) : null,
+    };
+  }
+
+  // ?mint=&limit=
+  async listSignals(params) {
+    const limit = parseInteger(params, 'limit', { defaultValue: 50, min: 1, max: MAX_LIMIT });
+    const signals = await this.store.getRecentSignals({
+      limit,
+      mint: parseAddress(params.get('mint'), 'mint'),
+    });
+    return { signals, limit };
+  }
+
+  // Metaplex metadata (resolved on first request) and the oracle price from our own swaps
+  async getToken(mint) {
+    parseAddress(mint, 'mint');
+
+    const metadata = this.monitor.tokens ? await this.monitor.tokens.get(mint) : null;
+    const price = this.monitor.prices.getPrice(mint);
+    if (!metadata && !price) {
+      throw new ApiError(404, `Token ${mint} not found`);
+    }
+    return { mint, metadata, price, sol_usd: this.monitor.prices.getSolUsd() };
+  }
+
+  // ?status=bonding|complete|migrated&limit=&offset=; most recent launches first
+  async listPumpFunTokens(params) {
+    const limit = parseInteger(params, 'limit', { defaultValue: 50, min: 1, max: MAX_LIMIT });
+    const offset = parseInteger(params, 'offset', { defaultValue: 0 });
+
+    const tokens = await this.store.listPumpFunTokens({
+      status: parseEnum(params, 'status', Object.values(LIFECYCLE_STATUS)),
+      limit,
+      offset,
+    });
+
+    return { tokens, limit, offset };
+  }
+
+  // Lifecycle record and the 50 most recent stored buys, each with its time since launch
+  async getPumpFunToken(mint) {
+    parseAddress(mint, 'mint');
+
+    const [token, buys] = await Promise.all([
+      this.store.getPumpFunToken(mint),
+      this.store.listTrades({ mint, tradeType: 'buy', limit: 50 }),
+    ]);
+
+    if (!token) {
+      throw new ApiError(404, `Pump.fun token ${mint} not found`);
+    }
+    return { token, buys };
+  }
+
+  // Simulated portfolios, best equity first, with the settings the simulator runs with
+  async listCopyPortfolios() {
+    const portfolios = await this.store.getCopyPortfolios();
+    return {
+      portfolios: portfolios.map(({ positions, leader_holdings, ...portfolio }) => portfolio),
+      settings: this.monitor.copyTrader ? this.monitor.copyTrader.settings : null,
+    };
+  }
+
+  // ?points=&fills=: the portfolio with its equity curve (oldest first) and most recent fills
+  async getCopyPortfolio(params, address) {
+    parseAddress(address, 'address');
+    const points = parseInteger(params, 'points', { defaultValue: 1000, min: 1, max: 10000 });
+    const fillLimit = parseInteger(params, 'fills', { defaultValue: 100, min: 1, max: MAX_LIMIT });
+
+    const [portfolio, equity, fills] = await Promise.all([
+      this.store.getCopyPortfolio(address),
+      this.store.listCopyEquity(address, { limit: points }),
+      this.store.listCopyFills(address, { limit: fillLimit }),
+    ]);
+
+    if (!portfolio) {
+      throw new ApiError(404, `No copy-trading portfolio for ${address}`);
+    }
+    return { portfolio, equity, fills };
+  }
+
+  async getStatus() {
+    return {
+      status: 'ok',
+      timestamp: new Date().toISOString(),
+      monitor: this.monitor.getStatus(),
+    };
+  }
+}
+
+module.exports = {
+  ApiServer,
+  ApiError,
+  API_PREFIX,
+  sendJson,
+  parseInteger,
+  parseAddress,
+  decodePathSegment,
+};
@@ -0,0 +1,251 @@
+// Smart Money AI - Gap Backfill
+// Remembers the last slot/signature seen on every log subscription target, in memory and in
+// the store. When a socket reconnects (or the service restarts), pages through
+// getSignaturesForAddress back to that signature and replays whatever was finalized during the
+// outage through the normal pipeline.
+
+const { targetKey } = require('./subscriptionManager');
+
+const MAX_PAGE_SIZE = 1000; // getSignaturesForAddress limit
+
+class BackfillManager {
+  constructor({
+    rpc,
+    onSignature, // (signatureInfo, target) => Promise, replays one missed signature
+    getStoredSignatures = async () => new Set(), // (signatures) => Promise<Set>, already handled
+    loadCursors = async () => [], // () => Promise<[{ target, slot, signature, updated_at }]>
+    saveCursor = () => {}, // ({ target, slot, signature, updated_at }), on every cursor move
+    pageSize = MAX_PAGE_SIZE,
+    maxSignaturesPerTarget = 1000,
+    delayMs = 5000, // let the new subscriptions confirm so backfill overlaps them instead of leaving a gap
+  }) {
+    this.rpc = rpc;
+    this.onSignature = onSignature;
+    this.getStoredSignatures = getStoredSignatures;
+    this.loadCursors = loadCursors;
+    this.saveCursor = saveCursor;
+    this.pageSize = Math.min(pageSize, MAX_PAGE_SIZE);
+    this.maxSignaturesPerTarget = maxSignaturesPerTarget;
+    this.delayMs = delayMs;
+
+    this.cursors = new Map(); // target key -> { slot, signature, updatedAt }
+    this.progress = new Map(); // target key -> last/current run
+    this.running = new Set(); // target keys being backfilled
+    this.pending = new Map(); // target key -> target, waiting for delayMs
+    this.timer = null;
+
+    this.stats = {
+      runs: 0,
+      fetched: 0,
+      replayed: 0,
+      skipped: 0,
+      truncated: 0,
+      errors: 0,
+    };
+  }
+
+  // ====================
+  // CURSORS
+  // ====================
+
+  // Cursors saved by the previous process, so the first connect backfills across the restart
+  async load() {
+    let rows;
+    try {
+      rows = await this.loadCursors();
+    } catch (error) {
+      console.error('❌ Error loading backfill cursors:', error.message);
+      return;
+    }
+
+    for (const row of rows) {
+      const cursor = this.cursors.get(row.target);
+      if (cursor && cursor.slot >= Number(row.slot)) continue;
+      this.cursors.set(row.target, { slot: Number(row.slot), signature: row.signature, updatedAt: row.updated_at });
+    }
+    console.log(`⏪ Loaded ${rows.length} backfill cursor(s)`);
+  }
+
+  // Called for every live notification; only ever moves forward
+  recordProcessed(target, slot, signature) {
+    if (!target || slot == null || !signature) return;
+
+    const key = targetKey(target);
+    const cursor = this.cursors.get(key);
+    if (cursor && cursor.slot > slot) return;
+
+    const updatedAt = new Date().toISOString();
+    this.cursors.set(key, { slot, signature, updatedAt });
+    this.saveCursor({ target: key, slot, signature, updated_at: updatedAt });
+  }
+
+  // Drop cursors for targets that are no longer subscribed
+  retain(targets) {
+    const keep = new Set(targets.map(targetKey));
+    for (const key of this.cursors.keys()) {
+      if (keep.has(key)) continue;
+      this.cursors.delete(key);
+      this.progress.delete(key);
+      this.pending.delete(key);
+    }
+  }
+
+  // ====================
+  // BACKFILL RUNS
+  // ====================
+
+  // Schedule a backfill for targets that have a cursor (never-seen targets have no gap to fill)
+  schedule(targets) {
+    for (const target of targets) {
+      const key = targetKey(target);
+      if (this.cursors.has(key)) this.pending.set(key, target);
+    }
+
+    if (this.pending.size === 0 || this.timer) return;
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      const batch = Array.from(this.pending.values());
+      this.pending.clear();
+      this.run(batch).catch(error => console.error('❌ Error running backfill:', error));
+    }, this.delayMs);
+  }
+
+  async run(targets) {
+    for (const target of targets) {
+      await this.backfillTarget(target);
+    }
+  }
+
+  async backfillTarget(target) {
+    const key = targetKey(target);
+    const cursor = this.cursors.get(key);
+    if (!cursor || this.running.has(key)) return;
+
+    this.running.add(key);
+    this.stats.runs++;
+
+    const run = {
+      status: 'fetching',
+      since: cursor.signature,
+      sinceSlot: cursor.slot,
+      fetched: 0,
+      replayed: 0,
+      skipped: 0,
+      truncated: false,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      error: null,
+    };
+    this.progress.set(key, run);
+
+    try {
+      const missed = await this.fetchSince(target.address, cursor.signature, run);
+      this.stats.fetched += missed.length;
+
+      if (missed.length > 0) {
+        console.log(`⏪ Backfilling ${missed.length} signature(s) for ${key}${run.truncated ? ' (truncated)' : ''}`);
+      }
+
+      // The gap usually overlaps what the live stream already stored around the drop
+      const stored = await this.getStoredSignatures(missed.map(info => info.signature));
+
+      // Oldest first, so replays and cursors move forward in order
+      run.status = 'replaying';
+      for (const info of missed.reverse()) {
+        if (stored.has(info.signature)) {
+          run.skipped++;
+          this.stats.skipped++;
+          this.recordProcessed(target, info.slot, info.signature);
+          continue;
+        }
+
+        await this.onSignature(info, target);
+        run.replayed++;
+        this.stats.replayed++;
+        this.recordProcessed(target, info.slot, info.signature);
+      }
+
+      run.status = 'complete';
+
+    } catch (error) {
+      run.status = 'failed';
+      run.error = error.message;
+      this.stats.errors++;
+      console.error(`❌ Backfill for ${key} failed:`, error.message);
+
+    } finally {
+      run.finishedAt = new Date().toISOString();
+      this.running.delete(key);
+    }
+  }
+
+  // Signatures newer than `until`, newest first, paged with `before`
+  async fetchSince(address, until, run) {
+    const signatures = [];
+    let before;
+
+    while (signatures.length < this.maxSignaturesPerTarget) {
+      const limit = Math.min(this.pageSize, this.maxSignaturesPerTarget - signatures.length);
+      const page = await this.rpc.call('getSignaturesForAddress', [
+        address,
+        {
+          limit,
+          until,
+          ...(before ? { before } : {}),
+          commitment: 'finalized',
+        },
+      ]);
+
+      if (!page || page.length === 0) return signatures;
+
+      signatures.push(...page);
+      run.fetched = signatures.length;
+
+      if (page.length < limit) return signatures;
+      before = page[page.length - 1].signature;
+    }
+
+    // Hit the cap before reaching the cursor: the oldest part of the gap is skipped
+    run.truncated = true;
+    this.stats.truncated++;
+    console.log(`⚠️ Backfill for ${address} stopped at ${this.maxSignaturesPerTarget} signatures before reaching its cursor; older missed signatures are skipped`);
+    return signatures;
+  }
+
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.pending.clear();
+  }
+
+  // ====================
+  // STATUS
+  // ====================
+
+  getStatus() {
+    const targets = [];
+    for (const [key, cursor] of this.cursors) {
+      const run = this.progress.get(key);
+      targets.push({
+        target: key,
+        lastSlot: cursor.slot,
+        lastSignature: cursor.signature,
+        backfill: run || null,
+      });
+    }
+
+    return {
+      ...this.stats,
+      active: Array.from(this.running),
+      scheduled: this.pending.size,
+      targets,
+    };
+  }
+}
+
+module.exports = {
+  BackfillManager,
+};
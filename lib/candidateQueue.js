@@ -0,0 +1,322 @@
+// Smart Money AI - Candidate Job Queue
+// Treats `candidate_wallets` as a durable work queue. Workers lease due rows with a
+// compare-and-set update, so several instances never profile the same wallet and a crash only
+// holds a row until its lease expires. Failures are retried with backoff, dead-lettered after
+// too many attempts, and rejected wallets come back for re-evaluation after a cooldown.
+
+const crypto = require('crypto');
+const os = require('os');
+
+const JOB_STATUS = {
+  PENDING: 'pending', // discovered, never evaluated
+  PROFILING: 'profiling', // leased by a worker until lease_expires_at
+  RETRY: 'retry', // retryable failure, due again at next_attempt_at
+  PROMOTED: 'promoted', // terminal
+  REJECTED: 'rejected', // scored too low; due again at reevaluate_at (if set)
+  FAILED: 'failed', // terminal failure, retrying won't help
+  DEAD: 'dead', // gave up after maxAttempts retryable failures
+};
+
+class CandidateQueue {
+  constructor({
+    store, // lib/storage backend
+    handler, // (candidate) => Promise<{ status: 'promoted' | 'rejected', afterSettle?, ...columns }>
+    batchSize = 10,
+    concurrency = 2,
+    pollIntervalMs = 30000,
+    leaseMs = 5 * 60 * 1000,
+    maxAttempts = 5,
+    retryDelayMs = 60 * 1000,
+    maxRetryDelayMs = 60 * 60 * 1000,
+    reevaluateAfterMs = 24 * 60 * 60 * 1000, // 0 = rejected is final
+  }) {
+    this.store = store;
+    this.handler = handler;
+    this.batchSize = batchSize;
+    this.concurrency = concurrency;
+    this.pollIntervalMs = pollIntervalMs;
+    this.leaseMs = leaseMs;
+    this.maxAttempts = maxAttempts;
+    this.retryDelayMs = retryDelayMs;
+    this.maxRetryDelayMs = maxRetryDelayMs;
+    this.reevaluateAfterMs = reevaluateAfterMs;
+
+    this.workerId = `${os.hostname()}-${crypto.randomBytes(4).toString('hex')}`;
+    this.running = false;
+    this.polling = false;
+    this.timer = null;
+    this.inFlight = 0;
+    this.lastPollAt = null;
+
+    this.stats = {
+      claimed: 0,
+      claimConflicts: 0,
+      promoted: 0,
+      rejected: 0,
+      retried: 0,
+      failed: 0,
+      deadLettered: 0,
+      leasesLost: 0,
+    };
+  }
+
+  // ====================
+  // POLLING
+  // ====================
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    console.log(`⚡ Candidate queue started (worker ${this.workerId}, batch ${this.batchSize}, concurrency ${this.concurrency})`);
+    this.schedule(5000);
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  schedule(delayMs) {
+    if (!this.running) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.poll();
+    }, delayMs);
+  }
+
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+    this.lastPollAt = new Date().toISOString();
+    let claimed = [];
+
+    try {
+      claimed = await this.claim();
+
+      if (claimed.length === 0) {
+        console.log('ℹ️ No candidates due for processing');
+      } else {
+        console.log(`📊 Processing ${claimed.length} candidate wallets...`);
+        await this.processAll(claimed);
+      }
+
+    } catch (error) {
+      console.error('❌ Error polling candidate queue:', error);
+
+    } finally {
+      this.polling = false;
+      // A full batch means there's likely more waiting
+      this.schedule(claimed.length >= this.batchSize ? 0 : this.pollIntervalMs);
+    }
+  }
+
+  async processAll(jobs) {
+    let next = 0;
+    const worker = async () => {
+      while (next < jobs.length) {
+        await this.process(jobs[next++]);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.max(1, this.concurrency) }, worker));
+  }
+
+  // ====================
+  // LEASING
+  // ====================
+
+  // Rows that are due: new, retry time reached, lease expired, or rejection cooldown over
+  async fetchDue(limit) {
+    return this.store.getDueCandidates({ now: new Date().toISOString(), limit });
+  }
+
+  async claim() {
+    // Over-fetch a little: other workers may win some of the rows
+    const due = await this.fetchDue(this.batchSize * 2);
+    const claimed = [];
+
+    for (const row of due) {
+      if (claimed.length >= this.batchSize) break;
+      const job = await this.lease(row);
+      if (job) claimed.push(job);
+    }
+
+    return claimed;
+  }
+
+  // Compare-and-set on (status, attempts): only one worker's update matches the row it read
+  // `fresh` restarts the attempt count (re-evaluations and forced runs)
+  async lease(row, { fresh = row.status === JOB_STATUS.REJECTED } = {}) {
+    const attempts = fresh ? 1 : (row.attempts || 0) + 1;
+
+    let job;
+    try {
+      job = await this.store.leaseCandidate(row, {
+        status: JOB_STATUS.PROFILING,
+        attempts,
+        lease_owner: this.workerId,
+        lease_expires_at: new Date(Date.now() + this.leaseMs).toISOString(),
+        updated_at: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error('❌ Error leasing candidate:', error.message);
+      return null;
+    }
+
+    if (!job) {
+      this.stats.claimConflicts++;
+      return null;
+    }
+
+    if (row.status === JOB_STATUS.PROFILING) {
+      console.log(`⏰ Lease expired for ${row.wallet_address.substring(0, 8)}... (held by ${row.lease_owner}), reclaimed`);
+    }
+
+    this.stats.claimed++;
+    return job;
+  }
+
+  // Process one candidate immediately, whatever its status (admin re-analysis). Returns the
+  // row as settled, or null while another worker holds a live lease on it.
+  async runNow(row) {
+    const leased = row.status === JOB_STATUS.PROFILING && new Date(row.lease_expires_at).getTime() > Date.now();
+    if (leased) return null;
+
+    const job = await this.lease(row, { fresh: true });
+    if (!job) return null;
+
+    await this.process(job);
+    return this.store.getCandidate(row.wallet_address);
+  }
+
+  // Final write for a leased job; a no-op if the lease was lost to another worker
+  async settle(job, fields) {
+    let settled;
+    try {
+      settled = await this.store.settleCandidate(job, {
+        ...fields,
+        lease_owner: null,
+        lease_expires_at: null,
+        updated_at: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error('❌ Error updating candidate:', error.message);
+      return false;
+    }
+
+    if (!settled) {
+      this.stats.leasesLost++;
+      console.log(`⚠️ Lost lease on ${job.wallet_address.substring(0, 8)}... before finishing, result discarded`);
+      return false;
+    }
+    return true;
+  }
+
+  // ====================
+  // OUTCOMES
+  // ====================
+
+  // `afterSettle` holds the handler's side effects (promotion, events). It runs only once the
+  // result is stored under our lease, so a lost lease never leaves a wallet promoted twice.
+  async process(job) {
+    this.inFlight++;
+
+    try {
+      const { status, afterSettle, ...fields } = await this.handler(job);
+      const now = new Date();
+
+      const settled = await this.settle(job, {
+        ...fields,
+        status,
+        last_error: null,
+        next_attempt_at: null,
+        evaluated_at: now.toISOString(),
+        reevaluate_at: status === JOB_STATUS.REJECTED && this.reevaluateAfterMs > 0
+          ? new Date(now.getTime() + this.reevaluateAfterMs).toISOString()
+          : null,
+      });
+      if (!settled) return;
+
+      try {
+        if (afterSettle) await afterSettle();
+      } catch (error) {
+        await this.fail(job, error, { settled: true });
+        return;
+      }
+      this.stats[status === JOB_STATUS.PROMOTED ? 'promoted' : 'rejected']++;
+
+    } catch (error) {
+      await this.fail(job, error);
+
+    } finally {
+      this.inFlight--;
+    }
+  }
+
+  // `settled`: the job's result is already stored and its lease released. Nothing leases a
+  // promoted or freshly rejected row, so it is reopened with a plain update.
+  async fail(job, error, { settled = false } = {}) {
+    const walletLabel = job.wallet_address.substring(0, 8) + '...';
+    const message = error?.message || String(error);
+    const write = fields => (settled ? this.reopen(job, fields) : this.settle(job, fields));
+
+    // Errors explicitly marked non-retryable (bad input, etc.) are terminal
+    if (error?.retryable === false) {
+      if (await write({ status: JOB_STATUS.FAILED, last_error: message, next_attempt_at: null })) {
+        this.stats.failed++;
+      }
+      console.error(`❌ Candidate ${walletLabel} failed permanently: ${message}`);
+      return;
+    }
+
+    if (job.attempts >= this.maxAttempts) {
+      if (await write({ status: JOB_STATUS.DEAD, last_error: message, next_attempt_at: null })) {
+        this.stats.deadLettered++;
+      }
+      console.error(`💀 Candidate ${walletLabel} dead-lettered after ${job.attempts} attempts: ${message}`);
+      return;
+    }
+
+    const delay = Math.min(this.retryDelayMs * 2 ** (job.attempts - 1), this.maxRetryDelayMs);
+    if (await write({
+      status: JOB_STATUS.RETRY,
+      last_error: message,
+      next_attempt_at: new Date(Date.now() + delay).toISOString(),
+    })) {
+      this.stats.retried++;
+    }
+    console.error(`⚠️ Candidate ${walletLabel} failed (${message}), retry ${job.attempts}/${this.maxAttempts} in ${Math.round(delay / 1000)}s`);
+  }
+
+  async reopen(job, fields) {
+    try {
+      await this.store.updateCandidate(job.wallet_address, {
+        ...fields,
+        evaluated_at: null,
+        reevaluate_at: null,
+        updated_at: new Date().toISOString(),
+      });
+      return true;
+    } catch (error) {
+      console.error('❌ Error updating candidate:', error.message);
+      return false;
+    }
+  }
+
+  getStats() {
+    return {
+      workerId: this.workerId,
+      running: this.running,
+      inFlight: this.inFlight,
+      lastPollAt: this.lastPollAt,
+      ...this.stats,
+    };
+  }
+}
+
+module.exports = {
+  CandidateQueue,
+  JOB_STATUS,
+};
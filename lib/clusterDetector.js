@@ -0,0 +1,112 @@
+// Smart Money AI - Cluster Signal Detector
+// Windowed detector over decoded tracked-wallet buys: emits a "cluster_buy" event when at
+// least N distinct wallets above a score threshold buy the same mint within T minutes.
+
+class ClusterDetector {
+  constructor({ minWallets = 3, windowMinutes = 30, minScore = 0 } = {}) {
+    this.minWallets = minWallets;
+    this.windowMs = windowMinutes * 60 * 1000;
+    this.minScore = minScore;
+
+    this.buysByMint = new Map(); // mint -> [{ walletAddress, timestamp, sizeSol, signature, score }]
+    this.lastSignalAt = new Map(); // mint -> timestamp of the last emitted cluster
+  }
+
+  // trade: { walletAddress, tokenMint, timestamp (ms), sizeSol, signature, score }
+  // Returns a cluster_buy event, or null
+  addBuy(trade) {
+    if ((trade.score ?? 0) < this.minScore) return null;
+
+    const buys = this.buysByMint.get(trade.tokenMint) || [];
+    if (buys.some(buy => buy.signature === trade.signature && buy.walletAddress === trade.walletAddress)) {
+      return null;
+    }
+    buys.push(trade);
+
+    // Trades can arrive out of order (fetch priorities, retries), so window on block time
+    buys.sort((a, b) => a.timestamp - b.timestamp);
+    const latest = buys[buys.length - 1].timestamp;
+    const windowBuys = buys.filter(buy => latest - buy.timestamp <= this.windowMs);
+    this.buysByMint.set(trade.tokenMint, windowBuys);
+
+    // One signal per mint per window
+    const lastSignal = this.lastSignalAt.get(trade.tokenMint);
+    if (lastSignal != null && latest - lastSignal <= this.windowMs) return null;
+
+    // Each wallet counts once, from its first buy in the window
+    const participants = new Map();
+    for (const buy of windowBuys) {
+      const participant = participants.get(buy.walletAddress);
+      if (participant) {
+        participant.sizeSol = (participant.sizeSol || 0) + (buy.sizeSol || 0);
+        participant.signatures.push(buy.signature);
+      } else {
+        participants.set(buy.walletAddress, {
+          walletAddress: buy.walletAddress,
+          firstBuyAt: buy.timestamp,
+          sizeSol: buy.sizeSol || 0,
+          score: buy.score ?? null,
+          signatures: [buy.signature],
+        });
+      }
+    }
+
+    if (participants.size < this.minWallets) return null;
+
+    this.lastSignalAt.set(trade.tokenMint, latest);
+    return this.buildEvent(trade.tokenMint, Array.from(participants.values()), latest);
+  }
+
+  buildEvent(tokenMint, participants, triggeredAt) {
+    const firstBuyAt = participants[0].firstBuyAt;
+
+    return {
+      type: 'cluster_buy',
+      tokenMint,
+      walletCount: participants.length,
+      totalSizeSol: participants.reduce((sum, p) => sum + p.sizeSol, 0),
+      windowMinutes: this.windowMs / 60000,
+      firstBuyer: participants[0].walletAddress,
+      firstBuyAt: new Date(firstBuyAt).toISOString(),
+      triggeredAt: new Date(triggeredAt).toISOString(),
+      // How long after the first buyer the cluster was confirmed
+      firstBuyerLatencySeconds: (triggeredAt - firstBuyAt) / 1000,
+      participants: participants.map(p => ({
+        walletAddress: p.walletAddress,
+        score: p.score,
+        sizeSol: p.sizeSol,
+        firstBuyAt: new Date(p.firstBuyAt).toISOString(),
+        secondsAfterFirstBuyer: (p.firstBuyAt - firstBuyAt) / 1000,
+        signatures: p.signatures,
+      })),
+    };
+  }
+
+  // Drop mints with no buys inside the window (call periodically)
+  prune(now = Date.now()) {
+    for (const [mint, buys] of this.buysByMint) {
+      const recent = buys.filter(buy => now - buy.timestamp <= this.windowMs);
+      if (recent.length === 0) {
+        this.buysByMint.delete(mint);
+      } else {
+        this.buysByMint.set(mint, recent);
+      }
+    }
+    for (const [mint, timestamp] of this.lastSignalAt) {
+      if (now - timestamp > this.windowMs) this.lastSignalAt.delete(mint);
+    }
+  }
+
+  getStats() {
+    return {
+      minWallets: this.minWallets,
+      windowMinutes: this.windowMs / 60000,
+      minScore: this.minScore,
+      activeMints: this.buysByMint.size,
+    };
+  }
+}
+
+module.exports = {
+  ClusterDetector,
+};
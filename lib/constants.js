@@ -0,0 +1,78 @@
+// Smart Money AI - Shared Solana constants
+
+// DEX Program IDs (from your existing constants)
+const DEX_PROGRAM_IDS = {
+  RAYDIUM: '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8',
+  JUPITER: 'JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4',
+  ORCA: 'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc',
+  PUMP_FUN: '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P',
+  METEORA: 'Eo7WjKq67rjJQSZxS6z3YkapzY3eMj6Xy8X5EQVn5UaB',
+  OPENBOOK: 'srmqPiDkJXRLGgxtFBRNJhGjLhQKLLqPKCCQGLFTQqo',
+};
+
+const ACTIVE_DEX_PROGRAMS = Object.values(DEX_PROGRAM_IDS);
+
+// What a DEX instruction did, as classified by lib/dexParsers
+const DEX_ACTIONS = {
+  SWAP: 'swap',
+  ADD_LIQUIDITY: 'add_liquidity',
+  REMOVE_LIQUIDITY: 'remove_liquidity',
+  CREATE_POOL: 'create_pool',
+};
+
+// Native programs, common SPL programs and sysvars - never user wallets
+const SYSTEM_ACCOUNT_IDS = {
+  SYSTEM_PROGRAM: '11111111111111111111111111111111',
+  TOKEN_PROGRAM: 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA',
+  TOKEN_2022_PROGRAM: 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb',
+  ASSOCIATED_TOKEN_PROGRAM: 'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL',
+  COMPUTE_BUDGET_PROGRAM: 'ComputeBudget111111111111111111111111111111',
+  MEMO_PROGRAM: 'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr',
+  MEMO_V1_PROGRAM: 'Memo1UhkJRfHyvLMcVucJwxXeuD728EqVDDwQDxFMNo',
+  METADATA_PROGRAM: 'metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s',
+  ADDRESS_LOOKUP_TABLE_PROGRAM: 'AddressLookupTab1e1111111111111111111111111',
+  BPF_LOADER_UPGRADEABLE: 'BPFLoaderUpgradeab1e11111111111111111111111',
+  STAKE_PROGRAM: 'Stake11111111111111111111111111111111111111',
+  VOTE_PROGRAM: 'Vote111111111111111111111111111111111111111',
+  SYSVAR_RENT: 'SysvarRent111111111111111111111111111111111',
+  SYSVAR_CLOCK: 'SysvarC1ock11111111111111111111111111111111',
+  SYSVAR_INSTRUCTIONS: 'Sysvar1nstructions1111111111111111111111111',
+  SYSVAR_RECENT_BLOCKHASHES: 'SysvarRecentB1ockHashes11111111111111111111',
+  INCINERATOR: '1nc1nerator11111111111111111111111111111111',
+};
+
+// Well-known mints
+const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const USDT_MINT = 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCELBfRFa9c';
+
+// Router, pool authority, fee and event accounts that sign or appear like wallets
+const DEFAULT_WALLET_DENYLIST = [
+  '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1', // Raydium AMM V4 authority
+  'D8cy77BBepLMngZx6ZukaTff5hCt1HrWyKk3Hnd9oitf', // Jupiter event authority
+  '4wTV1YmiEkRvAtNtsSGPtUrqRYQMe5SKy2uB4Jjaxnjf', // Pump.fun global
+  'Ce6TQqeHC9p8KetsN6JsjHK7UTZk7nasjjnr7XxXp9F1', // Pump.fun event authority
+  'CebN5WGQ4jvEPvsVU4EoHEpgzq1VV7AbicfhtW4xC9iM', // Pump.fun fee recipient
+];
+
+function getDexName(programId) {
+  return Object.keys(DEX_PROGRAM_IDS).find(key => DEX_PROGRAM_IDS[key] === programId) || null;
+}
+
+// First known DEX program among a transaction's account keys
+function detectDexProgram(accountKeys) {
+  return Object.values(DEX_PROGRAM_IDS).find(programId => accountKeys.includes(programId)) || null;
+}
+
+module.exports = {
+  DEX_PROGRAM_IDS,
+  ACTIVE_DEX_PROGRAMS,
+  DEX_ACTIONS,
+  SYSTEM_ACCOUNT_IDS,
+  WSOL_MINT,
+  USDC_MINT,
+  USDT_MINT,
+  DEFAULT_WALLET_DENYLIST,
+  getDexName,
+  detectDexProgram,
+};
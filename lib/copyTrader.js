@@ -0,0 +1,481 @@
+// Smart Money AI - Copy-Trade Simulator
+// Paper-trades the decoded buys and sells of followed wallets. Each followed wallet gets its own
+// virtual SOL portfolio: a copy fills `delaySlots` after the leader at the first price we see
+// from then on, pays slippage and fees, and moves the portfolio's equity curve and drawdown.
+
+const SIZING_MODES = ['fixed', 'proportional', 'equity_percent'];
+const SLIPPAGE_MODELS = ['fixed', 'linear'];
+
+// Positions below this many tokens are closed out
+const DUST_AMOUNT = 1e-9;
+
+function round(value, digits = 9) {
+  return value == null ? null : Number(value.toFixed(digits));
+}
+
+// ====================
+// PORTFOLIO
+// ====================
+
+// One followed wallet's virtual account, in SOL
+class CopyPortfolio {
+  constructor({ walletAddress, startingSol, startedAt = new Date().toISOString() }) {
+    this.walletAddress = walletAddress;
+    this.startingSol = startingSol;
+    this.startedAt = startedAt;
+    this.cashSol = startingSol;
+    this.positions = new Map(); // mint -> { tokens, costSol, lastPriceSol, openedAt }
+    this.leaderHoldings = new Map(); // mint -> tokens the leader bought since we started following
+    this.realizedPnlSol = 0;
+    this.feesSol = 0;
+    this.peakEquitySol = startingSol;
+    this.maxDrawdown = 0;
+    this.fills = 0;
+    this.skipped = 0;
+  }
+
+  static fromRow(row) {
+    const portfolio = new CopyPortfolio({
+      walletAddress: row.wallet_address,
+      startingSol: Number(row.starting_sol),
+      startedAt: new Date(row.started_at).toISOString(),
+    });
+    Object.assign(portfolio, {
+      cashSol: Number(row.cash_sol),
+      positions: new Map(Object.entries(row.positions || {})),
+      leaderHoldings: new Map(Object.entries(row.leader_holdings || {})),
+      realizedPnlSol: Number(row.realized_pnl_sol) || 0,
+      feesSol: Number(row.fees_sol) || 0,
+      peakEquitySol: Number(row.peak_equity_sol) || Number(row.starting_sol),
+      maxDrawdown: Number(row.max_drawdown) || 0,
+      fills: row.fills || 0,
+      skipped: row.skipped || 0,
+    });
+    return portfolio;
+  }
+
+  // `priceOf(mint)` -> SOL per token, or null to mark at the last fill price
+  valuate(priceOf) {
+    let positionsSol = 0;
+    let unrealizedPnlSol = 0;
+    for (const [mint, position] of this.positions) {
+      const value = position.tokens * (priceOf(mint) ?? position.lastPriceSol);
+      positionsSol += value;
+      unrealizedPnlSol += value - position.costSol;
+    }
+
+    const equitySol = this.cashSol + positionsSol;
+    this.peakEquitySol = Math.max(this.peakEquitySol, equitySol);
+    const drawdown = this.peakEquitySol > 0 ? (this.peakEquitySol - equitySol) / this.peakEquitySol : 0;
+    this.maxDrawdown = Math.max(this.maxDrawdown, drawdown);
+
+    return { equitySol, unrealizedPnlSol, drawdown };
+  }
+
+  toRow(valuation, settings) {
+    return {
+      wallet_address: this.walletAddress,
+      started_at: this.startedAt,
+      starting_sol: this.startingSol,
+      cash_sol: round(this.cashSol),
+      equity_sol: round(valuation.equitySol),
+      peak_equity_sol: round(this.peakEquitySol),
+      drawdown: round(valuation.drawdown, 6),
+      max_drawdown: round(this.maxDrawdown, 6),
+      realized_pnl_sol: round(this.realizedPnlSol),
+      unrealized_pnl_sol: round(valuation.unrealizedPnlSol),
+      fees_sol: round(this.feesSol),
+      return_pct: round((valuation.equitySol / this.startingSol - 1) * 100, 4),
+      fills: this.fills,
+      skipped: this.skipped,
+      open_positions: this.positions.size,
+      positions: Object.fromEntries(this.positions),
+      leader_holdings: Object.fromEntries(this.leaderHoldings),
+      settings,
+      updated_at: new Date().toISOString(),
+    };
+  }
+}
+
+// ====================
+// SIMULATOR
+// ====================
+
+class CopyTradeSimulator {
+  constructor({
+    store,
+    prices, // lib/priceOracle: quote conversion and marks for open positions
+    wallets = [], // followed wallets, or ['*'] for every tracked wallet
+    startingSol = 100,
+    sizing = 'fixed',
+    sizeSol = 1, // fixed: SOL per copied buy
+    sizeRatio = 0.1, // proportional: share of the leader's SOL size
+    sizePercent = 5, // equity_percent: share of current equity per buy
+    delaySlots = 2,
+    maxWaitSlots = 150, // then fill at the oracle price (or the leader's) instead of waiting
+    slippageModel = 'fixed',
+    slippageBps = 50,
+    slippageBpsPerSol = 10, // linear: extra slippage per SOL of order size
+    feeBps = 100, // DEX/platform fee on the SOL notional
+    txFeeSol = 0.0001, // network and priority fee per copied transaction
+    snapshotIntervalMs = 5 * 60 * 1000,
+  }) {
+    if (!SIZING_MODES.includes(sizing)) {
+      throw new Error(`Unknown copy-trade sizing: ${sizing} (expected ${SIZING_MODES.join(', ')})`);
+    }
+    if (!SLIPPAGE_MODELS.includes(slippageModel)) {
+      throw new Error(`Unknown slippage model: ${slippageModel} (expected ${SLIPPAGE_MODELS.join(' or ')})`);
+    }
+
+    this.store = store;
+    this.prices = prices;
+    this.followAll = wallets.includes('*');
+    this.wallets = new Set(wallets.filter(wallet => wallet !== '*'));
+    this.snapshotIntervalMs = snapshotIntervalMs;
+    this.settings = {
+      startingSol,
+      sizing,
+      sizeSol,
+      sizeRatio,
+      sizePercent,
+      delaySlots,
+      maxWaitSlots,
+      slippageModel,
+      slippageBps,
+      slippageBpsPerSol,
+      feeBps,
+      txFeeSol,
+    };
+
+    this.portfolios = new Map(); // followed wallet -> CopyPortfolio
+    this.loaded = false; // until then, a fresh portfolio could overwrite a stored one
+    this.pending = []; // orders waiting for their fill slot
+    this.currentSlot = 0; // highest slot among the swaps we've seen
+    this.snapshotTimer = null;
+
+    this.stats = {
+      ordersQueued: 0,
+      filled: 0,
+      expired: 0, // no print within maxWaitSlots: executed at the oracle (or leader) price
+      skipped: 0,
+      errors: 0,
+    };
+  }
+
+  get enabled() {
+    return this.followAll || this.wallets.size > 0;
+  }
+
+  follows(walletAddress) {
+    return this.followAll || this.wallets.has(walletAddress);
+  }
+
+  async start() {
+    await this.load();
+    if (!this.snapshotTimer) {
+      this.snapshotTimer = setInterval(() => this.snapshot(), this.snapshotIntervalMs);
+      this.snapshotTimer.unref();
+    }
+  }
+
+  stop() {
+    clearInterval(this.snapshotTimer);
+    this.snapshotTimer = null;
+  }
+
+  // Resumes persisted portfolios; pending orders don't survive a restart
+  async load() {
+    if (this.loaded) return true;
+    try {
+      const rows = await this.store.getCopyPortfolios();
+      for (const row of rows) {
+        this.portfolios.set(row.wallet_address, CopyPortfolio.fromRow(row));
+      }
+      this.loaded = true;
+      console.log(`📑 Copy trading: following ${this.followAll ? 'all tracked wallets' : `${this.wallets.size} wallet(s)`}, ${rows.length} portfolio(s) resumed`);
+
+    } catch (error) {
+      console.error('❌ Error loading copy-trade portfolios:', error.message);
+    }
+    return this.loaded;
+  }
+
+  getPortfolio(walletAddress) {
+    let portfolio = this.portfolios.get(walletAddress);
+    if (!portfolio) {
+      portfolio = new CopyPortfolio({ walletAddress, startingSol: this.settings.startingSol });
+      this.portfolios.set(walletAddress, portfolio);
+    }
+    return portfolio;
+  }
+
+  // SOL per token and SOL size of a decoded buy/sell, or null when the quote can't be priced
+  valueSwap(swap) {
+    if (swap.tradeType !== 'buy' && swap.tradeType !== 'sell') return null;
+
+    const isBuy = swap.tradeType === 'buy';
+    const tokenAmount = isBuy ? swap.outputAmount : swap.inputAmount;
+    const quoteAmount = isBuy ? swap.inputAmount : swap.outputAmount;
+    const quoteInSol = this.prices.priceInSol(swap.quoteMint);
+    if (quoteInSol == null || !(tokenAmount > 0)) return null;
+
+    const sizeSol = quoteAmount * quoteInSol;
+    return { tokenAmount, sizeSol, priceSol: sizeSol / tokenAmount };
+  }
+
+  // ====================
+  // ORDERS
+  // ====================
+
+  // A followed wallet's decoded trade: queue the copy
+  async onLeaderTrade(swap) {
+    const leader = this.valueSwap(swap);
+    if (!leader) return;
+    if (!await this.load()) {
+      this.stats.errors++;
+      return;
+    }
+
+    const portfolio = this.getPortfolio(swap.walletAddress);
+    const held = portfolio.leaderHoldings.get(swap.tokenMint) || 0;
+
+    // The leader's sell as a share of what we saw them buy (everything, if we saw none of it)
+    let sellFraction = null;
+    if (swap.tradeType === 'buy') {
+      portfolio.leaderHoldings.set(swap.tokenMint, held + leader.tokenAmount);
+    } else {
+      sellFraction = held > 0 ? Math.min(leader.tokenAmount / held, 1) : 1;
+      const remaining = held - leader.tokenAmount;
+      if (remaining > DUST_AMOUNT) {
+        portfolio.leaderHoldings.set(swap.tokenMint, remaining);
+      } else {
+        portfolio.leaderHoldings.delete(swap.tokenMint);
+      }
+    }
+
+    const order = {
+      walletAddress: swap.walletAddress,
+      side: swap.tradeType,
+      tokenMint: swap.tokenMint,
+      leaderSignature: swap.signature,
+      leaderSlot: swap.slot,
+      leaderPriceSol: leader.priceSol,
+      leaderSizeSol: leader.sizeSol,
+      sellFraction,
+      fillSlot: swap.slot + this.settings.delaySlots,
+    };
+    this.stats.ordersQueued++;
+    this.currentSlot = Math.max(this.currentSlot, swap.slot || 0);
+
+    if (this.settings.delaySlots === 0) {
+      await this.fill(order, leader.priceSol, swap.slot);
+    } else {
+      this.pending.push(order);
+    }
+  }
+
+  // Every decoded swap is a price print: it fills orders for its mint that are due and
+  // advances the clock that expires orders nobody trades against
+  async onSwap(swap) {
+    if (!swap?.slot) return;
+    this.currentSlot = Math.max(this.currentSlot, swap.slot);
+    if (this.pending.length === 0) return;
+
+    const print = this.valueSwap(swap);
+    const due = [];
+    this.pending = this.pending.filter(order => {
+      const atPrint = print && order.tokenMint === swap.tokenMint && swap.slot >= order.fillSlot;
+      const expired = this.currentSlot >= order.fillSlot + this.settings.maxWaitSlots;
+      if (!atPrint && !expired) return true;
+      due.push({ order, atPrint });
+      return false;
+    });
+
+    for (const { order, atPrint } of due) {
+      if (atPrint) {
+        await this.fill(order, print.priceSol, swap.slot);
+      } else {
+        this.stats.expired++;
+        await this.fill(order, this.prices.priceInSol(order.tokenMint) ?? order.leaderPriceSol, this.currentSlot);
+      }
+    }
+  }
+
+  slippageBps(orderSol) {
+    const { slippageModel, slippageBps, slippageBpsPerSol } = this.settings;
+    return slippageModel === 'linear' ? slippageBps + slippageBpsPerSol * orderSol : slippageBps;
+  }
+
+  buySize(portfolio, order) {
+    const { sizing, sizeSol, sizeRatio, sizePercent } = this.settings;
+    if (sizing === 'proportional') return order.leaderSizeSol * sizeRatio;
+    if (sizing === 'equity_percent') {
+      return portfolio.valuate(mint => this.prices.priceInSol(mint)).equitySol * sizePercent / 100;
+    }
+    return sizeSol;
+  }
+
+  async fill(order, marketPriceSol, fillSlot) {
+    try {
+      const portfolio = this.getPortfolio(order.walletAddress);
+      const { feeBps, txFeeSol } = this.settings;
+      const position = portfolio.positions.get(order.tokenMint);
+
+      let result;
+      if (order.side === 'buy') {
+        const orderSol = Math.min(this.buySize(portfolio, order), portfolio.cashSol - txFeeSol);
+        if (!(orderSol > 0)) {
+          return await this.skip(portfolio, order, 'insufficient_cash');
+        }
+
+        const slippageBps = this.slippageBps(orderSol);
+        const priceSol = marketPriceSol * (1 + slippageBps / 10000);
+        const feeSol = orderSol * feeBps / 10000 + txFeeSol;
+        const tokens = (orderSol - orderSol * feeBps / 10000) / priceSol;
+
+        const current = position || { tokens: 0, costSol: 0, lastPriceSol: priceSol, openedAt: new Date().toISOString() };
+        portfolio.positions.set(order.tokenMint, {
+          ...current,
+          tokens: current.tokens + tokens,
+          costSol: current.costSol + orderSol + txFeeSol,
+          lastPriceSol: priceSol,
+        });
+        portfolio.cashSol -= orderSol + txFeeSol;
+        result = { priceSol, slippageBps, tokens, solAmount: orderSol, feeSol, realizedPnlSol: null };
+
+      } else {
+        if (!position) {
+          return await this.skip(portfolio, order, 'no_position');
+        }
+
+        const tokens = position.tokens * order.sellFraction;
+        const grossSol = tokens * marketPriceSol;
+        const slippageBps = this.slippageBps(grossSol);
+        const priceSol = marketPriceSol * Math.max(1 - slippageBps / 10000, 0);
+        const feeSol = tokens * priceSol * feeBps / 10000 + txFeeSol;
+        const proceedsSol = tokens * priceSol - feeSol;
+        const costSol = position.costSol * order.sellFraction;
+        const realizedPnlSol = proceedsSol - costSol;
+
+        const remaining = position.tokens - tokens;
+        if (remaining > DUST_AMOUNT) {
+          portfolio.positions.set(order.tokenMint, {
+            ...position,
+            tokens: remaining,
+            costSol: position.costSol - costSol,
+            lastPriceSol: priceSol,
+          });
+        } else {
+          portfolio.positions.delete(order.tokenMint);
+        }
+        portfolio.cashSol += proceedsSol;
+        portfolio.realizedPnlSol += realizedPnlSol;
+        result = { priceSol, slippageBps, tokens, solAmount: proceedsSol, feeSol, realizedPnlSol };
+      }
+
+      portfolio.feesSol += result.feeSol;
+      portfolio.fills++;
+      this.stats.filled++;
+
+      const valuation = portfolio.valuate(mint => this.prices.priceInSol(mint));
+      console.log(`📑 Copied ${order.side} of ${order.tokenMint.substring(0, 8)}... for ${order.walletAddress.substring(0, 8)}...: ` +
+        `${round(result.solAmount, 4)} SOL @ ${result.priceSol.toPrecision(6)}, equity ${round(valuation.equitySol, 4)} SOL`);
+
+      await this.store.insertCopyFill({
+        ...this.fillRow(order, 'filled', fillSlot),
+        leader_price_sol: order.leaderPriceSol,
+        fill_price_sol: result.priceSol,
+        slippage_bps: round(result.slippageBps, 4),
+        token_amount: result.tokens,
+        sol_amount: round(result.solAmount),
+        fee_sol: round(result.feeSol),
+        realized_pnl_sol: round(result.realizedPnlSol),
+        equity_sol: round(valuation.equitySol),
+      });
+      await this.persist(portfolio, valuation);
+
+    } catch (error) {
+      this.stats.errors++;
+      console.error(`❌ Error simulating copy of ${order.leaderSignature.substring(0, 16)}...:`, error.message);
+    }
+  }
+
+  async skip(portfolio, order, reason) {
+    portfolio.skipped++;
+    this.stats.skipped++;
+    await this.store.insertCopyFill({
+      ...this.fillRow(order, 'skipped', null),
+      leader_price_sol: order.leaderPriceSol,
+      skip_reason: reason,
+    });
+    const valuation = portfolio.valuate(mint => this.prices.priceInSol(mint));
+    await this.store.upsertCopyPortfolio(portfolio.toRow(valuation, this.settings));
+  }
+
+  fillRow(order, status, fillSlot) {
+    return {
+      wallet_address: order.walletAddress,
+      leader_signature: order.leaderSignature,
+      leader_slot: order.leaderSlot,
+      side: order.side,
+      token_mint: order.tokenMint,
+      status,
+      fill_slot: fillSlot,
+      delay_slots: fillSlot != null ? fillSlot - order.leaderSlot : null,
+      created_at: new Date().toISOString(),
+    };
+  }
+
+  // ====================
+  // EQUITY CURVE
+  // ====================
+
+  async persist(portfolio, valuation) {
+    await this.store.upsertCopyPortfolio(portfolio.toRow(valuation, this.settings));
+    await this.store.insertCopyEquityPoint({
+      wallet_address: portfolio.walletAddress,
+      equity_sol: round(valuation.equitySol),
+      cash_sol: round(portfolio.cashSol),
+      drawdown: round(valuation.drawdown, 6),
+      recorded_at: new Date().toISOString(),
+    });
+  }
+
+  // Marks every portfolio to the oracle so the curve moves between fills too
+  async snapshot() {
+    if (!await this.load()) return;
+    for (const portfolio of this.portfolios.values()) {
+      if (!this.follows(portfolio.walletAddress)) continue;
+      try {
+        await this.persist(portfolio, portfolio.valuate(mint => this.prices.priceInSol(mint)));
+      } catch (error) {
+        this.stats.errors++;
+        console.error(`❌ Error recording copy-trade equity for ${portfolio.walletAddress.substring(0, 8)}...:`, error.message);
+      }
+    }
+  }
+
+  // Current equity per followed wallet, marked to the oracle
+  getSummaries() {
+    return Array.from(this.portfolios.values()).map(portfolio => {
+      const valuation = portfolio.valuate(mint => this.prices.priceInSol(mint));
+      return { walletAddress: portfolio.walletAddress, ...valuation, maxDrawdown: portfolio.maxDrawdown };
+    });
+  }
+
+  getStats() {
+    return {
+      following: this.followAll ? '*' : this.wallets.size,
+      portfolios: this.portfolios.size,
+      pendingOrders: this.pending.length,
+      ...this.stats,
+    };
+  }
+}
+
+module.exports = {
+  CopyTradeSimulator,
+  CopyPortfolio,
+  SIZING_MODES,
+  SLIPPAGE_MODELS,
+};
@@ -0,0 +1,110 @@
+// Smart Money AI - Anchor parser helpers
+// Anchor programs prefix instruction data with sha256("global:<name>")[0..8] and events with
+// sha256("event:<Name>")[0..8]. Events arrive as "Program data:" log lines (emit!) or as a
+// self-invocation whose data starts with EVENT_IX_TAG (emit_cpi!).
+
+const crypto = require('crypto');
+const { base58Encode } = require('../solanaAddress');
+
+// u64 0x1d9acb512ea545e4, little endian
+const EVENT_IX_TAG = Buffer.from('e445a52e51cb9a1d', 'hex');
+
+function discriminator(namespace, name) {
+  return crypto.createHash('sha256').update(`${namespace}:${name}`).digest().subarray(0, 8).toString('hex');
+}
+
+// swap_v2 -> SwapV2, the name Anchor logs as "Program log: Instruction: SwapV2"
+function logName(name) {
+  return name.split('_').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+}
+
+// Sequential Borsh reads; u64 amounts come back as decimal strings (exact and JSON-safe)
+class BorshReader {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.offset = 0;
+  }
+
+  take(length) {
+    if (this.offset + length > this.buffer.length) {
+      throw new RangeError('Data too short');
+    }
+    const bytes = this.buffer.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return bytes;
+  }
+
+  pubkey() {
+    return base58Encode(this.take(32));
+  }
+
+  u64() {
+    return this.take(8).readBigUInt64LE().toString();
+  }
+
+  i64() {
+    return Number(this.take(8).readBigInt64LE());
+  }
+
+  bool() {
+    return this.take(1)[0] !== 0;
+  }
+
+  string() {
+    const length = this.take(4).readUInt32LE();
+    return this.take(length).toString('utf8');
+  }
+}
+
+// `instructions` and `events` map names to a DEX_ACTIONS value; `decoders` read event fields.
+// `routed` marks an aggregator whose events carry one `amm` per hop.
+function createAnchorParser({ dex, programId, instructions, events = {}, decoders = {}, routed = false }) {
+  const byDiscriminator = new Map();
+  const byLogName = new Map();
+  for (const [name, action] of Object.entries(instructions)) {
+    byDiscriminator.set(discriminator('global', name), { instruction: name, action });
+    byLogName.set(logName(name), { instruction: name, action });
+  }
+
+  const eventsByDiscriminator = new Map(Object.entries(events).map(([name, action]) =>
+    [discriminator('event', name), { event: name, action }]
+  ));
+
+  return {
+    dex,
+    programId,
+    routed,
+
+    parseInstruction(data) {
+      if (data.length < 8) return null;
+      return byDiscriminator.get(data.subarray(0, 8).toString('hex')) || null;
+    },
+
+    parseLog(line) {
+      const match = line.match(/^Program log: Instruction: (\w+)$/);
+      return match ? byLogName.get(match[1]) || null : null;
+    },
+
+    // `data` without EVENT_IX_TAG; fields that fail to decode leave `details` null
+    parseEvent(data) {
+      const known = data.length >= 8 && eventsByDiscriminator.get(data.subarray(0, 8).toString('hex'));
+      if (!known) return null;
+
+      let details = null;
+      if (decoders[known.event]) {
+        try {
+          details = decoders[known.event](new BorshReader(data.subarray(8)));
+        } catch (error) {
+          details = null;
+        }
+      }
+      return { ...known, details };
+    },
+  };
+}
+
+module.exports = {
+  EVENT_IX_TAG,
+  BorshReader,
+  createAnchorParser,
+};
@@ -0,0 +1,238 @@
+// Smart Money AI - DEX Parsers
+// Registry of per-DEX parsers keyed like DEX_PROGRAM_IDS. Works out what a transaction did on
+// each DEX (swap, add/remove liquidity, create pool) from its instructions, inner instructions,
+// events and logs, including the AMMs a Jupiter route went through.
+
+const { DEX_PROGRAM_IDS, DEX_ACTIONS, getDexName, detectDexProgram } = require('../constants');
+const { base58Decode } = require('../solanaAddress');
+const { getAccountKeys } = require('../swapDecoder');
+const { EVENT_IX_TAG } = require('./anchor');
+const { raydiumParser } = require('./raydium');
+const { jupiterParser } = require('./jupiter');
+const { orcaParser } = require('./orca');
+const { pumpFunParser } = require('./pumpFun');
+const { meteoraParser } = require('./meteora');
+const { openbookParser } = require('./openbook');
+
+const DEX_PARSERS = {
+  RAYDIUM: raydiumParser,
+  JUPITER: jupiterParser,
+  ORCA: orcaParser,
+  PUMP_FUN: pumpFunParser,
+  METEORA: meteoraParser,
+  OPENBOOK: openbookParser,
+};
+
+const PARSERS_BY_PROGRAM = new Map(Object.values(DEX_PARSERS).map(parser => [parser.programId, parser]));
+
+const missing = Object.keys(DEX_PROGRAM_IDS).filter(dex => DEX_PARSERS[dex]?.programId !== DEX_PROGRAM_IDS[dex]);
+if (missing.length > 0) {
+  throw new Error(`No parser registered for DEX program(s): ${missing.join(', ')}`);
+}
+
+// ====================
+// LOGS
+// ====================
+
+const INVOKE_PATTERN = /^Program (\w+) invoke \[(\d+)\]$/;
+const EXIT_PATTERN = /^Program (\w+) (success|failed)/;
+const DATA_PREFIX = 'Program data: ';
+
+// Each log line with the program that emitted it, that program's call depth (1 = top level)
+// and the index of the top-level instruction it ran under
+function walkLogs(logs) {
+  const entries = [];
+  const stack = [];
+  let topLevelIndex = -1;
+
+  for (const line of logs || []) {
+    const invoke = line.match(INVOKE_PATTERN);
+    if (invoke) {
+      const depth = Number(invoke[2]);
+      if (depth === 1) topLevelIndex++;
+      stack.length = depth - 1;
+      stack.push(invoke[1]);
+      entries.push({ programId: invoke[1], depth, topLevelIndex, line, invoke: true });
+    } else if (EXIT_PATTERN.test(line)) {
+      stack.pop();
+    } else if (stack.length > 0) {
+      entries.push({ programId: stack[stack.length - 1], depth: stack.length, topLevelIndex, line, invoke: false });
+    }
+  }
+  return entries;
+}
+
+// DEX actions visible in a log notification, in log order. A parser without parseLog (its
+// program logs nothing identifying) reports each invocation with a null action.
+function classifyLogs(logs) {
+  const actions = [];
+
+  for (const { programId, depth, topLevelIndex, line, invoke } of walkLogs(logs)) {
+    const parser = PARSERS_BY_PROGRAM.get(programId);
+    if (!parser) continue;
+
+    const parsed = parser.parseLog
+      ? (!invoke && parser.parseLog(line))
+      : (invoke && { instruction: null, action: null });
+    if (parsed) {
+      actions.push({ dex: parser.dex, programId, depth, topLevelIndex, ...parsed });
+    }
+  }
+  return actions;
+}
+
+// Cheap pre-filter before fetching the full transaction
+function isDexActivity(logs) {
+  return classifyLogs(logs).length > 0;
+}
+
+// ====================
+// TRANSACTIONS
+// ====================
+
+function decodeData(data) {
+  try {
+    return Buffer.from(base58Decode(data || ''));
+  } catch (error) {
+    return Buffer.alloc(0);
+  }
+}
+
+// Top-level and inner instructions (encoding: 'json') in execution order
+function getInstructions(transaction) {
+  const message = transaction?.transaction?.message;
+  if (!message) return [];
+
+  const accountKeys = getAccountKeys(transaction);
+  const innerByIndex = new Map((transaction.meta?.innerInstructions || []).map(inner =>
+    [inner.index, inner.instructions]
+  ));
+
+  const resolve = (instruction, topLevelIndex, depth) => ({
+    programId: accountKeys[instruction.programIdIndex],
+    accounts: (instruction.accounts || []).map(index => accountKeys[index]),
+    data: decodeData(instruction.data),
+    topLevelIndex,
+    depth,
+  });
+
+  const instructions = [];
+  (message.instructions || []).forEach((instruction, index) => {
+    instructions.push(resolve(instruction, index, 1));
+    for (const inner of innerByIndex.get(index) || []) {
+      instructions.push(resolve(inner, index, inner.stackHeight ?? 2));
+    }
+  });
+  return instructions;
+}
+
+// Jupiter hops: one SwapEvent per AMM leg or, without events, the DEX swaps nested under the route
+function buildRoute(route, actions) {
+  const hops = route.events
+    .filter(event => event.amm)
+    .map(({ amm, inputMint, inputAmount, outputMint, outputAmount }) => ({
+      venue: getDexName(amm),
+      amm,
+      inputMint,
+      inputAmount,
+      outputMint,
+      outputAmount,
+    }));
+  if (hops.length > 0) return hops;
+
+  return actions
+    .filter(action => action !== route && action.topLevelIndex === route.topLevelIndex &&
+      action.depth > route.depth && action.action === DEX_ACTIONS.SWAP)
+    .map(action => ({ venue: action.dex, amm: action.programId }));
+}
+
+// Every recognised DEX instruction in the transaction, with its decoded events and, for
+// aggregators, its route
+function parseDexActions(transaction) {
+  const actions = [];
+  const events = [];
+
+  for (const { programId, accounts, data, topLevelIndex, depth } of getInstructions(transaction)) {
+    const parser = PARSERS_BY_PROGRAM.get(programId);
+    if (!parser) continue;
+
+    // emit_cpi! self-invocation: the event belongs to the instruction one level up
+    if (parser.parseEvent && data.subarray(0, 8).equals(EVENT_IX_TAG)) {
+      const event = parser.parseEvent(data.subarray(8));
+      if (event) events.push({ parser, topLevelIndex, depth: depth - 1, ...event });
+      continue;
+    }
+
+    const parsed = parser.parseInstruction(data);
+    if (parsed) {
+      actions.push({ dex: parser.dex, programId, topLevelIndex, depth, accounts, ...parsed, events: [] });
+    }
+  }
+
+  for (const { programId, topLevelIndex, depth, line } of walkLogs(transaction?.meta?.logMessages)) {
+    const parser = PARSERS_BY_PROGRAM.get(programId);
+    if (!parser?.parseEvent || !line.startsWith(DATA_PREFIX)) continue;
+
+    const event = parser.parseEvent(Buffer.from(line.slice(DATA_PREFIX.length), 'base64'));
+    if (event) events.push({ parser, topLevelIndex, depth, ...event });
+  }
+
+  for (const { parser, topLevelIndex, depth, event, action, details } of events) {
+    let owner = actions.find(candidate =>
+      candidate.programId === parser.programId && candidate.topLevelIndex === topLevelIndex
+    );
+
+    // An instruction we have no discriminator for (e.g. a newer version) still tells us via its event
+    if (!owner) {
+      owner = { dex: parser.dex, programId: parser.programId, topLevelIndex, depth, accounts: [], instruction: null, action, events: [] };
+      actions.push(owner);
+    }
+    owner.events.push({ event, ...details });
+  }
+
+  actions.sort((a, b) => a.topLevelIndex - b.topLevelIndex || a.depth - b.depth);
+  for (const action of actions) {
+    action.route = PARSERS_BY_PROGRAM.get(action.programId).routed ? buildRoute(action, actions) : null;
+  }
+  return actions;
+}
+
+// The outermost DEX action of each top-level instruction (nested ones are its hops), swaps first
+function primaryDexAction(actions) {
+  const outer = actions.filter(action => !actions.some(other =>
+    other.topLevelIndex === action.topLevelIndex && other.depth < action.depth
+  ));
+  return outer.find(action => action.action === DEX_ACTIONS.SWAP) || outer[0] || null;
+}
+
+// Venue and action for trade rows and events. Falls back to the first DEX program among the
+// accounts (with a null action) when no instruction was recognised; null when there is none.
+// Pass `actions` when the caller has already parsed them.
+function summarizeDexActivity(transaction, actions = parseDexActions(transaction)) {
+  const primary = primaryDexAction(actions);
+  if (primary) {
+    const { dex, programId, action, instruction, route } = primary;
+    return { dex, programId, action, instruction, route };
+  }
+
+  const programId = detectDexProgram(getAccountKeys(transaction));
+  return programId
+    ? { dex: getDexName(programId), programId, action: null, instruction: null, route: null }
+    : null;
+}
+
+// Unclassified activity counts as a swap, so balance-decoded trades are still kept
+function isSwapActivity(activity) {
+  return !activity?.action || activity.action === DEX_ACTIONS.SWAP;
+}
+
+module.exports = {
+  DEX_PARSERS,
+  walkLogs,
+  classifyLogs,
+  isDexActivity,
+  parseDexActions,
+  primaryDexAction,
+  summarizeDexActivity,
+  isSwapActivity,
+};
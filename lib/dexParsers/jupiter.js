@@ -0,0 +1,38 @@
+// Smart Money AI - Jupiter parser
+// Jupiter v6 aggregator: every route instruction is a swap. Each AMM hop emits a SwapEvent
+// naming the AMM program, which is how multi-venue routes are reconstructed.
+
+const { DEX_PROGRAM_IDS, DEX_ACTIONS } = require('../constants');
+const { createAnchorParser } = require('./anchor');
+
+const { SWAP } = DEX_ACTIONS;
+
+const jupiterParser = createAnchorParser({
+  dex: 'JUPITER',
+  programId: DEX_PROGRAM_IDS.JUPITER,
+  routed: true,
+  instructions: {
+    route: SWAP,
+    route_with_token_ledger: SWAP,
+    exact_out_route: SWAP,
+    shared_accounts_route: SWAP,
+    shared_accounts_route_with_token_ledger: SWAP,
+    shared_accounts_exact_out_route: SWAP,
+  },
+  events: {
+    SwapEvent: SWAP,
+  },
+  decoders: {
+    SwapEvent: reader => ({
+      amm: reader.pubkey(),
+      inputMint: reader.pubkey(),
+      inputAmount: reader.u64(),
+      outputMint: reader.pubkey(),
+      outputAmount: reader.u64(),
+    }),
+  },
+});
+
+module.exports = {
+  jupiterParser,
+};
@@ -0,0 +1,38 @@
+// Smart Money AI - Meteora parser
+// Meteora Dynamic AMM pools. Liquidity goes in balanced, imbalanced or as the bootstrap
+// deposit, and comes out balanced or from a single side.
+
+const { DEX_PROGRAM_IDS, DEX_ACTIONS } = require('../constants');
+const { createAnchorParser } = require('./anchor');
+
+const { SWAP, ADD_LIQUIDITY, REMOVE_LIQUIDITY, CREATE_POOL } = DEX_ACTIONS;
+
+const meteoraParser = createAnchorParser({
+  dex: 'METEORA',
+  programId: DEX_PROGRAM_IDS.METEORA,
+  instructions: {
+    swap: SWAP,
+    add_balance_liquidity: ADD_LIQUIDITY,
+    add_imbalance_liquidity: ADD_LIQUIDITY,
+    bootstrap_liquidity: ADD_LIQUIDITY,
+    remove_balance_liquidity: REMOVE_LIQUIDITY,
+    remove_liquidity_single_side: REMOVE_LIQUIDITY,
+    initialize_permissioned_pool: CREATE_POOL,
+    initialize_permissionless_pool: CREATE_POOL,
+    initialize_permissionless_pool_with_fee_tier: CREATE_POOL,
+    initialize_permissionless_constant_product_pool_with_config: CREATE_POOL,
+    initialize_permissionless_constant_product_pool_with_config2: CREATE_POOL,
+    initialize_customizable_permissionless_constant_product_pool: CREATE_POOL,
+  },
+  events: {
+    Swap: SWAP,
+    AddLiquidity: ADD_LIQUIDITY,
+    BootstrapLiquidity: ADD_LIQUIDITY,
+    RemoveLiquidity: REMOVE_LIQUIDITY,
+    PoolCreated: CREATE_POOL,
+  },
+});
+
+module.exports = {
+  meteoraParser,
+};
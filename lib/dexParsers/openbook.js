@@ -0,0 +1,32 @@
+// Smart Money AI - OpenBook parser
+// OpenBook (Serum v3 fork) central limit order book. Data is a version byte (0) and a u32
+// instruction tag. An order book has no pool liquidity to add or remove; placing an order
+// counts as a swap and the balance deltas show whether it filled. It logs nothing that
+// identifies the instruction, so only the transaction itself can be classified.
+
+const { DEX_PROGRAM_IDS, DEX_ACTIONS } = require('../constants');
+
+const { SWAP, CREATE_POOL } = DEX_ACTIONS;
+
+const INSTRUCTIONS = {
+  0: { instruction: 'initialize_market', action: CREATE_POOL },
+  1: { instruction: 'new_order', action: SWAP },
+  9: { instruction: 'new_order_v2', action: SWAP },
+  10: { instruction: 'new_order_v3', action: SWAP },
+  13: { instruction: 'send_take', action: SWAP },
+};
+
+const openbookParser = {
+  dex: 'OPENBOOK',
+  programId: DEX_PROGRAM_IDS.OPENBOOK,
+  routed: false,
+
+  parseInstruction(data) {
+    if (data.length < 5 || data[0] !== 0) return null;
+    return INSTRUCTIONS[data.readUInt32LE(1)] || null;
+  },
+};
+
+module.exports = {
+  openbookParser,
+};
@@ -0,0 +1,35 @@
+// Smart Money AI - Orca parser
+// Orca Whirlpool (concentrated liquidity). Positions are funded and drained with
+// increase/decrease_liquidity; two-hop swaps stay within Whirlpool.
+
+const { DEX_PROGRAM_IDS, DEX_ACTIONS } = require('../constants');
+const { createAnchorParser } = require('./anchor');
+
+const { SWAP, ADD_LIQUIDITY, REMOVE_LIQUIDITY, CREATE_POOL } = DEX_ACTIONS;
+
+const orcaParser = createAnchorParser({
+  dex: 'ORCA',
+  programId: DEX_PROGRAM_IDS.ORCA,
+  instructions: {
+    swap: SWAP,
+    swap_v2: SWAP,
+    two_hop_swap: SWAP,
+    two_hop_swap_v2: SWAP,
+    increase_liquidity: ADD_LIQUIDITY,
+    increase_liquidity_v2: ADD_LIQUIDITY,
+    decrease_liquidity: REMOVE_LIQUIDITY,
+    decrease_liquidity_v2: REMOVE_LIQUIDITY,
+    initialize_pool: CREATE_POOL,
+    initialize_pool_v2: CREATE_POOL,
+  },
+  events: {
+    Traded: SWAP,
+    LiquidityIncreased: ADD_LIQUIDITY,
+    LiquidityDecreased: REMOVE_LIQUIDITY,
+    PoolInitialized: CREATE_POOL,
+  },
+});
+
+module.exports = {
+  orcaParser,
+};
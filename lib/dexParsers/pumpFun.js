@@ -0,0 +1,60 @@
+// Smart Money AI - Pump.fun parser
+// Bonding-curve launchpad: `create` opens the curve (the token's first pool), buy/sell trade
+// against it, and withdraw/migrate move its liquidity out when the curve completes.
+// lib/pumpFunLifecycle follows each token through these stages.
+
+const { DEX_PROGRAM_IDS, DEX_ACTIONS } = require('../constants');
+const { createAnchorParser } = require('./anchor');
+
+const { SWAP, REMOVE_LIQUIDITY, CREATE_POOL } = DEX_ACTIONS;
+
+const pumpFunParser = createAnchorParser({
+  dex: 'PUMP_FUN',
+  programId: DEX_PROGRAM_IDS.PUMP_FUN,
+  instructions: {
+    create: CREATE_POOL,
+    buy: SWAP,
+    sell: SWAP,
+    withdraw: REMOVE_LIQUIDITY,
+    migrate: REMOVE_LIQUIDITY,
+  },
+  events: {
+    CreateEvent: CREATE_POOL,
+    TradeEvent: SWAP,
+    CompleteEvent: SWAP, // emitted by the buy that fills the curve
+  },
+  decoders: {
+    CreateEvent: reader => ({
+      name: reader.string(),
+      symbol: reader.string(),
+      uri: reader.string(),
+      mint: reader.pubkey(),
+      bondingCurve: reader.pubkey(),
+      user: reader.pubkey(),
+    }),
+    TradeEvent: reader => ({
+      mint: reader.pubkey(),
+      solAmount: reader.u64(),
+      tokenAmount: reader.u64(),
+      isBuy: reader.bool(),
+      user: reader.pubkey(),
+      timestamp: reader.i64(),
+      virtualSolReserves: reader.u64(),
+      virtualTokenReserves: reader.u64(),
+    }),
+    CompleteEvent: reader => ({
+      user: reader.pubkey(),
+      mint: reader.pubkey(),
+      bondingCurve: reader.pubkey(),
+      timestamp: reader.i64(),
+    }),
+  },
+});
+
+// withdraw and migrate both take the mint as their third account
+const PUMP_FUN_MINT_ACCOUNT_INDEX = 2;
+
+module.exports = {
+  pumpFunParser,
+  PUMP_FUN_MINT_ACCOUNT_INDEX,
+};
@@ -0,0 +1,46 @@
+// Smart Money AI - Raydium parser
+// Raydium AMM v4 is not an Anchor program: the first data byte is the instruction tag, and
+// each pool operation logs "ray_log: <base64>" whose first byte is the log type.
+
+const { DEX_PROGRAM_IDS, DEX_ACTIONS } = require('../constants');
+
+const { SWAP, ADD_LIQUIDITY, REMOVE_LIQUIDITY, CREATE_POOL } = DEX_ACTIONS;
+
+const INSTRUCTIONS = {
+  0: { instruction: 'initialize', action: CREATE_POOL },
+  1: { instruction: 'initialize2', action: CREATE_POOL },
+  3: { instruction: 'deposit', action: ADD_LIQUIDITY },
+  4: { instruction: 'withdraw', action: REMOVE_LIQUIDITY },
+  9: { instruction: 'swap_base_in', action: SWAP },
+  11: { instruction: 'swap_base_out', action: SWAP },
+};
+
+const LOG_TYPES = {
+  0: { instruction: 'initialize2', action: CREATE_POOL },
+  1: { instruction: 'deposit', action: ADD_LIQUIDITY },
+  2: { instruction: 'withdraw', action: REMOVE_LIQUIDITY },
+  3: { instruction: 'swap_base_in', action: SWAP },
+  4: { instruction: 'swap_base_out', action: SWAP },
+};
+
+const RAY_LOG_PREFIX = 'Program log: ray_log: ';
+
+const raydiumParser = {
+  dex: 'RAYDIUM',
+  programId: DEX_PROGRAM_IDS.RAYDIUM,
+  routed: false,
+
+  parseInstruction(data) {
+    return data.length > 0 ? INSTRUCTIONS[data[0]] || null : null;
+  },
+
+  parseLog(line) {
+    if (!line.startsWith(RAY_LOG_PREFIX)) return null;
+    const payload = Buffer.from(line.slice(RAY_LOG_PREFIX.length), 'base64');
+    return payload.length > 0 ? LOG_TYPES[payload[0]] || null : null;
+  },
+};
+
+module.exports = {
+  raydiumParser,
+};
@@ -0,0 +1,129 @@
+// Smart Money AI - RPC Endpoint Health
+// Per-endpoint latency, error rate and cooldown tracking, and the selection rule shared by
+// the HTTP pool and the WebSocket shards: healthiest available endpoint, earlier endpoints
+// preferred when equally healthy (so traffic fails back to the primary once it recovers).
+
+const OUTCOME_WINDOW = 50; // Outcomes kept for the rolling error rate
+const LATENCY_ALPHA = 0.2; // EWMA smoothing
+
+class EndpointHealth {
+  constructor(url, { priority = 0, cooldownMs = 30000, maxCooldownMs = 10 * 60 * 1000 } = {}) {
+    this.url = url;
+    this.name = redactUrl(url);
+    this.priority = priority;
+    this.baseCooldownMs = cooldownMs;
+    this.maxCooldownMs = maxCooldownMs;
+
+    this.outcomes = []; // true = success, false = failure
+    this.latencyMs = null;
+    this.requests = 0;
+    this.errors = 0;
+    this.consecutiveFailures = 0;
+    this.cooldownUntil = 0;
+    this.lastError = null;
+    this.lastErrorAt = null;
+  }
+
+  recordSuccess(latencyMs = null) {
+    this.requests++;
+    this.consecutiveFailures = 0;
+    this.cooldownUntil = 0;
+    this.pushOutcome(true);
+
+    if (latencyMs != null) {
+      this.latencyMs = this.latencyMs == null
+        ? latencyMs
+        : this.latencyMs * (1 - LATENCY_ALPHA) + latencyMs * LATENCY_ALPHA;
+    }
+  }
+
+  recordFailure(error = null) {
+    this.requests++;
+    this.errors++;
+    this.consecutiveFailures++;
+    this.pushOutcome(false);
+    this.lastError = error?.message || (error ? String(error) : null);
+    this.lastErrorAt = new Date().toISOString();
+
+    // Every consecutive failure doubles the time before the endpoint is tried again
+    const cooldown = Math.min(this.baseCooldownMs * 2 ** (this.consecutiveFailures - 1), this.maxCooldownMs);
+    this.cooldownUntil = Date.now() + cooldown;
+  }
+
+  pushOutcome(success) {
+    this.outcomes.push(success);
+    if (this.outcomes.length > OUTCOME_WINDOW) this.outcomes.shift();
+  }
+
+  get errorRate() {
+    if (this.outcomes.length === 0) return 0;
+    return this.outcomes.filter(success => !success).length / this.outcomes.length;
+  }
+
+  isAvailable(now = Date.now()) {
+    return now >= this.cooldownUntil;
+  }
+
+  // 0-100, higher is healthier
+  score() {
+    const latencyPenalty = this.latencyMs == null ? 0 : Math.min(this.latencyMs / 50, 30);
+    return Math.max(0, 100 - this.errorRate * 60 - latencyPenalty);
+  }
+
+  getStats() {
+    return {
+      endpoint: this.name,
+      priority: this.priority,
+      available: this.isAvailable(),
+      score: Math.round(this.score()),
+      latencyMs: this.latencyMs == null ? null : Math.round(this.latencyMs),
+      errorRate: Math.round(this.errorRate * 1000) / 1000,
+      requests: this.requests,
+      errors: this.errors,
+      consecutiveFailures: this.consecutiveFailures,
+      cooldownUntil: this.cooldownUntil > Date.now() ? new Date(this.cooldownUntil).toISOString() : null,
+      lastError: this.lastError,
+      lastErrorAt: this.lastErrorAt,
+    };
+  }
+}
+
+// Endpoints within this many score points count as equally healthy
+const SCORE_TOLERANCE = 10;
+
+// Picks from `endpoints` (objects with a `health` property), skipping `exclude`.
+// Falls back to endpoints in cooldown rather than returning nothing while any remain.
+function selectEndpoint(endpoints, { exclude = new Set() } = {}) {
+  const candidates = endpoints.filter(endpoint => !exclude.has(endpoint));
+  if (candidates.length === 0) return null;
+
+  const now = Date.now();
+  const available = candidates.filter(endpoint => endpoint.health.isAvailable(now));
+
+  if (available.length === 0) {
+    // Everything is cooling down: take the one that comes back first
+    return candidates.reduce((best, endpoint) =>
+      endpoint.health.cooldownUntil < best.health.cooldownUntil ? endpoint : best
+    );
+  }
+
+  const bestScore = Math.max(...available.map(endpoint => endpoint.health.score()));
+  return available
+    .filter(endpoint => endpoint.health.score() >= bestScore - SCORE_TOLERANCE)
+    .sort((a, b) => a.health.priority - b.health.priority)[0];
+}
+
+// Provider URLs usually embed the API key; only ever show the host
+function redactUrl(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return 'invalid-url';
+  }
+}
+
+module.exports = {
+  EndpointHealth,
+  selectEndpoint,
+  redactUrl,
+};
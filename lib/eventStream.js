@@ -0,0 +1,187 @@
+// Smart Money AI - Event Stream
+// Rebroadcasts monitor events (tracked-wallet trades, cluster signals, candidate discoveries,
+// promotions and rejections, Pump.fun launches and migrations) to Server-Sent Events
+// subscribers. Each client can filter by event type, wallet, mint or DEX, and resumes from
+// Last-Event-ID after a reconnect.
+
+const EVENT_TYPES = [
+  'trade', 'cluster_buy', 'candidate_discovered', 'candidate_promoted', 'candidate_rejected',
+  'pump_fun_launch', 'pump_fun_complete', 'pump_fun_migration',
+];
+
+// Comma separated query parameter -> Set (null when absent)
+function parseFilterList(params, name) {
+  const values = (params.get(name) || '').split(',').map(value => value.trim()).filter(Boolean);
+  return values.length > 0 ? new Set(values) : null;
+}
+
+class EventStream {
+  constructor({
+    maxClients = 100,
+    historySize = 1000, // events kept for Last-Event-ID replay
+    heartbeatMs = 15000,
+    maxBufferedBytes = 1024 * 1024, // a client this far behind is disconnected
+  } = {}) {
+    this.maxClients = maxClients;
+    this.historySize = historySize;
+    this.heartbeatMs = heartbeatMs;
+    this.maxBufferedBytes = maxBufferedBytes;
+
+    this.clients = new Set();
+    this.history = [];
+    // Seeded from the boot time so IDs keep increasing across restarts and a client's
+    // Last-Event-ID from the previous process never skips events from this one
+    this.nextId = Date.now() * 1000;
+    this.heartbeatTimer = null;
+
+    this.stats = {
+      published: 0,
+      delivered: 0,
+      connections: 0,
+      slowClientsDropped: 0,
+    };
+  }
+
+  // ====================
+  // PUBLISHING
+  // ====================
+
+  // `wallets`/`mint`/`dex` are what filters match against; `data` is the payload sent as-is
+  publish(type, { wallets = [], mint = null, dex = null, data = {} } = {}) {
+    const event = {
+      id: this.nextId++,
+      type,
+      timestamp: new Date().toISOString(),
+      wallets: wallets.filter(Boolean),
+      mint,
+      dex,
+      data,
+    };
+
+    this.history.push(event);
+    if (this.history.length > this.historySize) {
+      this.history.shift();
+    }
+    this.stats.published++;
+
+    for (const client of this.clients) {
+      this.deliver(client, event);
+    }
+    return event;
+  }
+
+  matches(filters, event) {
+    if (filters.types && !filters.types.has(event.type)) return false;
+    if (filters.wallets && !event.wallets.some(wallet => filters.wallets.has(wallet))) return false;
+    if (filters.mints && !filters.mints.has(event.mint)) return false;
+    if (filters.dexes && !filters.dexes.has(event.dex)) return false;
+    return true;
+  }
+
+  deliver(client, event) {
+    if (!this.matches(client.filters, event)) return;
+    if (this.dropIfSlow(client)) return;
+
+    const { id, type, ...payload } = event;
+    client.res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify({ id, type, ...payload })}\n\n`);
+    this.stats.delivered++;
+  }
+
+  // A consumer that stopped reading would otherwise grow our memory without bound
+  dropIfSlow(client) {
+    if (client.res.writableLength <= this.maxBufferedBytes) return false;
+
+    console.log(`⚠️ Dropping slow event stream client ${client.id}`);
+    this.stats.slowClientsDropped++;
+    client.res.end();
+    this.clients.delete(client);
+    return true;
+  }
+
+  // ====================
+  // SUBSCRIBERS
+  // ====================
+
+  // Validates ?type=&wallet=&mint=&dex= (comma separated); returns { filters } or { error }
+  parseFilters(params) {
+    const filters = {
+      types: parseFilterList(params, 'type'),
+      wallets: parseFilterList(params, 'wallet'),
+      mints: parseFilterList(params, 'mint'),
+      dexes: parseFilterList(params, 'dex'),
+    };
+
+    const unknown = filters.types ? [...filters.types].filter(type => !EVENT_TYPES.includes(type)) : [];
+    if (unknown.length > 0) {
+      return { error: `Unknown event type(s): ${unknown.join(', ')} (expected ${EVENT_TYPES.join(', ')})` };
+    }
+    return { filters };
+  }
+
+  // Takes over the response; replays history after Last-Event-ID (header or ?last_event_id=)
+  subscribe(req, res, filters, { lastEventId = null } = {}) {
+    if (this.clients.size >= this.maxClients) {
+      return false;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.write(`retry: 5000\n\n`);
+
+    const client = { id: this.stats.connections + 1, res, filters, connectedAt: new Date().toISOString() };
+    this.stats.connections++;
+    this.clients.add(client);
+
+    // An ID this process hasn't issued yet comes from before a restart (or a clock step back):
+    // send everything we have rather than nothing
+    let resumeAfter = parseInt(lastEventId, 10);
+    if (resumeAfter >= this.nextId) resumeAfter = 0;
+    if (Number.isInteger(resumeAfter)) {
+      this.history
+        .filter(event => event.id > resumeAfter)
+        .forEach(event => this.deliver(client, event));
+    }
+
+    req.on('close', () => this.clients.delete(client));
+    this.startHeartbeat();
+    return true;
+  }
+
+  // Comment lines keep proxies from closing idle streams
+  startHeartbeat() {
+    if (this.heartbeatTimer) return;
+    this.heartbeatTimer = setInterval(() => {
+      for (const client of this.clients) {
+        // Catches clients that stopped reading while no matching events were published
+        if (!this.dropIfSlow(client)) client.res.write(': heartbeat\n\n');
+      }
+    }, this.heartbeatMs);
+    this.heartbeatTimer.unref();
+  }
+
+  close() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+    for (const client of this.clients) {
+      client.res.end();
+    }
+    this.clients.clear();
+  }
+
+  getStats() {
+    return {
+      clients: this.clients.size,
+      lastEventId: this.history.length > 0 ? this.history[this.history.length - 1].id : null,
+      ...this.stats,
+    };
+  }
+}
+
+module.exports = {
+  EventStream,
+  EVENT_TYPES,
+};
@@ -0,0 +1,401 @@
+// Smart Money AI - Log Stream Pool
+// WebSocket logsSubscribe connections across one or more providers. Subscription targets are
+// sharded over several sockets when a provider caps subscriptions per connection, each shard
+// fails over to the healthiest endpoint when its socket drops, and fails back to a preferred
+// endpoint once that endpoint's cooldown has passed.
+
+const WebSocket = require('ws');
+const { SubscriptionManager, targetKey } = require('./subscriptionManager');
+const { EndpointHealth, selectEndpoint } = require('./endpointHealth');
+
+// ====================
+// SHARD (ONE SOCKET)
+// ====================
+
+class LogStreamShard {
+  constructor({ id, pool }) {
+    this.id = id;
+    this.pool = pool;
+    this.ws = null;
+    this.endpoint = null;
+    this.isConnected = false;
+    this.stopping = false;
+    this.reconnectAttempts = 0;
+    this.reconnectDelay = 5000;
+    this.reconnectTimer = null;
+    this.exhausted = false; // every endpoint used up its attempts; retrying at the longest backoff
+    this.connectStartedAt = null;
+    this.connectedAt = null;
+    this.targets = [];
+
+    this.subscriptions = new SubscriptionManager({
+      send: (message) => {
+        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return false;
+        this.ws.send(JSON.stringify(message));
+        return true;
+      },
+      commitment: pool.commitment,
+    });
+  }
+
+  connect(endpoint = null) {
+    if (this.isConnected || (this.ws && this.ws.readyState === WebSocket.CONNECTING)) {
+      console.log(`⚠️ Shard ${this.id} already connected or connecting`);
+      return;
+    }
+
+    this.stopping = false;
+    this.endpoint = endpoint || selectEndpoint(this.pool.endpoints);
+    this.connectStartedAt = Date.now();
+
+    try {
+      console.log(`🔗 Shard ${this.id}: connecting to ${this.endpoint.health.name}...`);
+
+      const ws = new WebSocket(this.endpoint.health.url);
+      this.ws = ws;
+
+      ws.onopen = () => {
+        console.log(`✅ Shard ${this.id}: connected to ${this.endpoint.health.name}`);
+        this.endpoint.health.recordSuccess(Date.now() - this.connectStartedAt);
+        this.isConnected = true;
+        this.connectedAt = new Date().toISOString();
+        this.reconnectAttempts = 0;
+        this.reconnectDelay = 5000;
+        if (this.exhausted) {
+          console.log(`✅ Shard ${this.id}: recovered after exhausting its reconnect attempts`);
+          this.exhausted = false;
+        }
+        this.syncSubscriptions();
+        this.pool.onOpen(this);
+        // Reconnected while the consumer is applying backpressure
+        if (this.pool.paused) this.pause();
+      };
+
+      ws.onmessage = (event) => {
+        this.handleMessage(event.data);
+      };
+
+      ws.onclose = (event) => {
+        // A replaced socket (failback/switch) closes after its successor took over
+        if (this.ws !== ws) return;
+
+        console.log(`🔌 Shard ${this.id}: WebSocket disconnected: ${event.code} - ${event.reason}`);
+        const wasConnected = this.isConnected;
+        this.isConnected = false;
+        this.subscriptions.reset();
+
+        if (this.stopping) return;
+
+        this.endpoint.health.recordFailure(new Error(`closed ${event.code}${event.reason ? ` ${event.reason}` : ''}`));
+        if (wasConnected) this.pool.onClose(this);
+        this.handleReconnect();
+      };
+
+      ws.onerror = (error) => {
+        console.error(`❌ Shard ${this.id}: WebSocket error:`, error.message || error);
+        this.isConnected = false;
+      };
+
+    } catch (error) {
+      console.error(`❌ Shard ${this.id}: failed to connect to ${this.endpoint.health.name}:`, error);
+      this.endpoint.health.recordFailure(error);
+      this.handleReconnect();
+    }
+  }
+
+  handleReconnect() {
+    const maxAttempts = this.pool.maxReconnectAttempts * this.pool.endpoints.length;
+    if (this.reconnectAttempts >= maxAttempts && !this.exhausted) {
+      // Keep trying: an outage across every provider should not take the process down with it
+      console.error(`❌ Shard ${this.id}: max reconnection attempts reached on every endpoint. Retrying every ${Math.round(this.pool.maxReconnectDelayMs / 1000)}s...`);
+      this.exhausted = true;
+      this.reconnectDelay = this.pool.maxReconnectDelayMs;
+    }
+
+    this.reconnectAttempts++;
+    this.pool.reconnects++;
+
+    // Fail over straight away when another endpoint is healthy; back off when all are struggling
+    const next = selectEndpoint(this.pool.endpoints);
+    const delay = next !== this.endpoint && next.health.isAvailable() ? 1000 : this.reconnectDelay;
+
+    const budget = this.exhausted ? 'exhausted' : `${this.reconnectAttempts}/${maxAttempts}`;
+    console.log(`🔄 Shard ${this.id}: reconnecting to ${next.health.name} in ${Math.round(delay / 1000)}s... Attempt ${budget}`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect(next);
+    }, delay);
+
+    // Exponential backoff, capped
+    this.reconnectDelay = Math.min(this.reconnectDelay * 1.5, this.pool.maxReconnectDelayMs);
+  }
+
+  // Move to another endpoint: close this socket and connect to `endpoint`
+  switchTo(endpoint) {
+    console.log(`↩️ Shard ${this.id}: switching ${this.endpoint.health.name} -> ${endpoint.health.name}`);
+
+    const oldWs = this.ws;
+    this.ws = null;
+    this.isConnected = false;
+    this.subscriptions.reset();
+    if (oldWs) oldWs.close();
+
+    this.pool.onClose(this);
+    this.connect(endpoint);
+  }
+
+  stop() {
+    this.stopping = true;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    if (this.ws) {
+      this.ws.close();
+    }
+  }
+
+  setTargets(targets) {
+    this.targets = targets;
+    this.syncSubscriptions();
+  }
+
+  syncSubscriptions() {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+
+    const { added, removed } = this.subscriptions.sync(this.targets);
+    if (added > 0 || removed > 0) {
+      console.log(`📡 Shard ${this.id}: subscriptions updated +${added} / -${removed} (${this.subscriptions.targets.size} targets)`);
+    }
+  }
+
+  handleMessage(data) {
+    try {
+      const message = JSON.parse(data);
+
+      // Only log important messages (not transaction data to reduce noise)
+      if (message.method !== 'logsNotification') {
+        console.log(`📥 Shard ${this.id}: WebSocket message received:`, JSON.stringify(message));
+      }
+
+      // Handle subscribe/unsubscribe confirmations and errors
+      if (this.subscriptions.handleResponse(message)) {
+        return;
+      }
+
+      // Handle log notifications
+      if (message.method === 'logsNotification' && message.params) {
+        const target = this.subscriptions.getTarget(message.params.subscription);
+        this.pool.onNotification(message.params.result, target, this);
+      }
+
+    } catch (error) {
+      console.error('❌ Error parsing WebSocket message:', error);
+    }
+  }
+
+  // Stop reading from the socket; the kernel buffers and eventually throttles the server
+  pause() {
+    this.ws?.pause();
+  }
+
+  resume() {
+    this.ws?.resume();
+  }
+
+  getStatus() {
+    return {
+      shard: this.id,
+      endpoint: this.endpoint?.health.name || null,
+      connected: this.isConnected,
+      paused: Boolean(this.ws?.isPaused),
+      connectedAt: this.connectedAt,
+      reconnectAttempts: this.reconnectAttempts,
+      exhausted: this.exhausted,
+      subscriptions: this.subscriptions.getStatus(),
+    };
+  }
+}
+
+// ====================
+// POOL (ALL SOCKETS)
+// ====================
+
+class LogStreamPool {
+  constructor({
+    urls,
+    maxSubscriptionsPerSocket = 0, // 0 = no cap, everything on one socket
+    maxReconnectAttempts = 10,
+    maxReconnectDelayMs = 60000,
+    commitment = 'finalized',
+    cooldownMs = 30000,
+    failbackIntervalMs = 5 * 60 * 1000,
+    onNotification,
+    onOpen = () => {},
+    onClose = () => {},
+  }) {
+    this.endpoints = urls.map((url, index) => ({
+      health: new EndpointHealth(url, { priority: index, cooldownMs }),
+    }));
+    this.maxSubscriptionsPerSocket = maxSubscriptionsPerSocket;
+    this.maxReconnectAttempts = maxReconnectAttempts;
+    this.maxReconnectDelayMs = maxReconnectDelayMs;
+    this.commitment = commitment;
+    this.failbackIntervalMs = failbackIntervalMs;
+    this.onNotification = onNotification;
+    this.onOpen = onOpen;
+    this.onClose = onClose;
+
+    this.shards = [];
+    this.assignments = new Map(); // target key -> shard
+    this.nextShardId = 1;
+    this.failbackTimer = null;
+    this.paused = false;
+    this.reconnects = 0; // across all shards, for the lifetime of the pool
+  }
+
+  get isConnected() {
+    return this.shards.some(shard => shard.isConnected);
+  }
+
+  // Some shard has been down through its whole reconnect budget and is still retrying
+  get degraded() {
+    return this.shards.some(shard => shard.exhausted);
+  }
+
+  start() {
+    if (this.shards.length === 0) {
+      this.addShard();
+    }
+    this.shards.forEach(shard => shard.connect());
+
+    if (this.endpoints.length > 1 && !this.failbackTimer) {
+      this.failbackTimer = setInterval(() => this.checkFailback(), this.failbackIntervalMs);
+    }
+  }
+
+  stop() {
+    if (this.failbackTimer) {
+      clearInterval(this.failbackTimer);
+      this.failbackTimer = null;
+    }
+    this.shards.forEach(shard => shard.stop());
+  }
+
+  // Backpressure from the consumer: no notifications are read until resume()
+  pause() {
+    if (this.paused) return;
+    this.paused = true;
+    this.shards.forEach(shard => shard.pause());
+  }
+
+  resume() {
+    if (!this.paused) return;
+    this.paused = false;
+    this.shards.forEach(shard => shard.resume());
+  }
+
+  addShard() {
+    const shard = new LogStreamShard({ id: this.nextShardId++, pool: this });
+    this.shards.push(shard);
+    return shard;
+  }
+
+  // Assign targets to shards. Existing assignments are kept so a sync never moves a live
+  // subscription; new targets fill the first shard with room, opening a new socket if needed.
+  sync(targets) {
+    const desired = new Map(targets.map(target => [targetKey(target), target]));
+
+    for (const key of this.assignments.keys()) {
+      if (!desired.has(key)) this.assignments.delete(key);
+    }
+
+    const cap = this.maxSubscriptionsPerSocket > 0 ? this.maxSubscriptionsPerSocket : Infinity;
+    const counts = new Map(this.shards.map(shard => [shard, 0]));
+    for (const shard of this.assignments.values()) {
+      counts.set(shard, (counts.get(shard) || 0) + 1);
+    }
+
+    for (const key of desired.keys()) {
+      if (this.assignments.has(key)) continue;
+
+      let shard = this.shards.find(candidate => counts.get(candidate) < cap);
+      if (!shard) {
+        shard = this.addShard();
+        counts.set(shard, 0);
+        if (this.started) shard.connect();
+      }
+
+      this.assignments.set(key, shard);
+      counts.set(shard, counts.get(shard) + 1);
+    }
+
+    // Close shards left without targets (always keep the first one)
+    for (const shard of [...this.shards]) {
+      if (counts.get(shard) === 0 && shard !== this.shards[0]) {
+        console.log(`🧹 Closing empty shard ${shard.id}`);
+        shard.stop();
+        this.shards.splice(this.shards.indexOf(shard), 1);
+      }
+    }
+
+    for (const shard of this.shards) {
+      const shardTargets = [];
+      for (const [key, assigned] of this.assignments) {
+        if (assigned === shard) shardTargets.push(desired.get(key));
+      }
+      shard.setTargets(shardTargets);
+    }
+  }
+
+  get started() {
+    return this.shards.some(shard => shard.ws || shard.reconnectTimer);
+  }
+
+  // Move shards back to a preferred endpoint once it is out of cooldown. Socket health only
+  // changes on connect and close, so the primary's score still carries the drop that moved us
+  // away; the cooldown is what says it is worth another try. If it fails again, the shard fails
+  // over as usual and the longer cooldown holds off the next attempt.
+  checkFailback() {
+    const now = Date.now();
+    const preferred = this.endpoints.find(endpoint => endpoint.health.isAvailable(now));
+    if (!preferred) return;
+
+    for (const shard of this.shards) {
+      if (!shard.isConnected || !shard.endpoint) continue;
+
+      if (preferred.health.priority < shard.endpoint.health.priority) {
+        shard.switchTo(preferred);
+      }
+    }
+  }
+
+  getStatus() {
+    const activeByEndpoint = new Map();
+    for (const shard of this.shards) {
+      if (!shard.endpoint) continue;
+      const name = shard.endpoint.health.name;
+      activeByEndpoint.set(name, (activeByEndpoint.get(name) || 0) + shard.subscriptions.getStatus().subscribed);
+    }
+
+    return {
+      connected: this.isConnected,
+      degraded: this.degraded,
+      paused: this.paused,
+      reconnects: this.reconnects,
+      maxSubscriptionsPerSocket: this.maxSubscriptionsPerSocket || null,
+      endpoints: this.endpoints.map(endpoint => ({
+        ...endpoint.health.getStats(),
+        activeSubscriptions: activeByEndpoint.get(endpoint.health.name) || 0,
+        connectedShards: this.shards.filter(shard => shard.isConnected && shard.endpoint === endpoint).length,
+      })),
+      shards: this.shards.map(shard => shard.getStatus()),
+    };
+  }
+}
+
+module.exports = {
+  LogStreamPool,
+  LogStreamShard,
+};
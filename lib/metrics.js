@@ -0,0 +1,219 @@
+// Smart Money AI - Metrics
+// Minimal Prometheus registry: counters, gauges and histograms with labels, rendered in the
+// text exposition format for /metrics. Metrics with a collect() callback are refreshed from
+// component stats at scrape time; the rest are updated as events happen.
+
+const { monitorEventLoopDelay } = require('perf_hooks');
+
+// Seconds; suits RPC calls and database batches alike
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (Number.isNaN(value)) return 'NaN';
+  return String(value);
+}
+
+// ====================
+// METRIC TYPES
+// ====================
+
+class Metric {
+  constructor(type, { name, help, labelNames = [], collect = null }) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.collect = collect; // async (metric) => void, called before each render
+    this.values = new Map(); // label values key -> { labels, value }
+  }
+
+  entry(labels, initial) {
+    const picked = {};
+    for (const name of this.labelNames) {
+      picked[name] = labels[name] ?? '';
+    }
+
+    const key = this.labelNames.map(name => picked[name]).join('\u0000');
+    let entry = this.values.get(key);
+    if (!entry) {
+      entry = { labels: picked, value: initial() };
+      this.values.set(key, entry);
+    }
+    return entry;
+  }
+
+  reset() {
+    this.values.clear();
+  }
+
+  lines() {
+    return Array.from(this.values.values())
+      .map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+  }
+}
+
+class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  inc(labels = {}, value = 1) {
+    this.entry(labels, () => 0).value += value;
+  }
+
+  // For collect(): mirror a total a component already keeps
+  set(labels, value) {
+    this.entry(labels, () => 0).value = value;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(options) {
+    super('gauge', options);
+  }
+
+  set(labels, value) {
+    this.entry(labels, () => 0).value = value;
+  }
+
+  inc(labels = {}, value = 1) {
+    this.entry(labels, () => 0).value += value;
+  }
+
+  dec(labels = {}, value = 1) {
+    this.entry(labels, () => 0).value -= value;
+  }
+}
+
+class Histogram extends Metric {
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super('histogram', options);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const entry = this.entry(labels, () => ({
+      counts: new Array(this.buckets.length).fill(0),
+      sum: 0,
+      count: 0,
+    })).value;
+
+    const index = this.buckets.findIndex(bound => value <= bound);
+    if (index !== -1) entry.counts[index]++;
+    entry.sum += value;
+    entry.count++;
+  }
+
+  lines() {
+    const lines = [];
+    for (const { labels, value } of this.values.values()) {
+      let cumulative = 0;
+      this.buckets.forEach((bound, index) => {
+        cumulative += value.counts[index];
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${cumulative}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(value.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${value.count}`);
+    }
+    return lines;
+  }
+}
+
+// ====================
+// REGISTRY
+// ====================
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  // Text exposition format; a failing collect() drops that metric from this scrape only
+  async render() {
+    const blocks = [];
+
+    for (const metric of this.metrics.values()) {
+      if (metric.collect) {
+        metric.reset();
+        try {
+          await metric.collect(metric);
+        } catch (error) {
+          console.error(`❌ Error collecting metric ${metric.name}:`, error.message);
+          continue;
+        }
+      }
+
+      blocks.push([
+        `# HELP ${metric.name} ${metric.help}`,
+        `# TYPE ${metric.name} ${metric.type}`,
+        ...metric.lines(),
+      ].join('\n'));
+    }
+
+    return blocks.join('\n') + '\n';
+  }
+}
+
+// Event-loop delay percentiles since the previous scrape (a stalled loop shows up here first)
+function registerEventLoopLag(registry, { resolutionMs = 20 } = {}) {
+  const delay = monitorEventLoopDelay({ resolution: resolutionMs });
+  delay.enable();
+
+  registry.gauge({
+    name: 'nodejs_eventloop_lag_seconds',
+    help: 'Event loop delay since the last scrape',
+    labelNames: ['quantile'],
+    collect: (gauge) => {
+      // Samples are nanoseconds and include the sampling interval itself; NaN when empty
+      const seconds = value => (Number.isFinite(value) ? Math.max(0, value / 1e6 - resolutionMs) / 1000 : 0);
+      gauge.set({ quantile: '0.5' }, seconds(delay.percentile(50)));
+      gauge.set({ quantile: '0.99' }, seconds(delay.percentile(99)));
+      gauge.set({ quantile: '1' }, seconds(delay.max));
+      delay.reset();
+    },
+  });
+
+  return delay;
+}
+
+module.exports = {
+  MetricsRegistry,
+  Counter,
+  Gauge,
+  Histogram,
+  DEFAULT_BUCKETS,
+  registerEventLoopLag,
+};
@@ -0,0 +1,239 @@
+// Smart Money AI - PnL Engine
+// Per-wallet, per-mint cost basis over decoded trades (FIFO or average cost), producing
+// realized/unrealized PnL, win rate, average hold time and ROI. All values are in SOL:
+// only SOL-quoted buys and sells move cost basis, token-to-token swaps are ignored.
+
+const { WSOL_MINT } = require('./constants');
+
+const COST_BASIS_METHODS = ['fifo', 'average'];
+
+// Dust left after a full exit (rounding, transfer fees) doesn't keep a position open
+const DUST_AMOUNT = 1e-9;
+
+// ====================
+// TRADE NORMALIZATION
+// ====================
+
+// From a decodeSwap() result
+function tradeFromSwap(swap) {
+  if (!swap || (swap.tradeType !== 'buy' && swap.tradeType !== 'sell')) return null;
+
+  const isBuy = swap.tradeType === 'buy';
+  return {
+    signature: swap.signature,
+    tokenMint: swap.tokenMint,
+    side: swap.tradeType,
+    tokenAmount: isBuy ? swap.outputAmount : swap.inputAmount,
+    quoteAmount: isBuy ? swap.inputAmount : swap.outputAmount,
+    quoteMint: swap.quoteMint,
+    timestamp: swap.blockTime ? swap.blockTime * 1000 : null,
+  };
+}
+
+// From a stored `trades` row
+function tradeFromRow(row) {
+  if (!row || (row.trade_type !== 'buy' && row.trade_type !== 'sell')) return null;
+
+  const isBuy = row.trade_type === 'buy';
+  return {
+    signature: row.transaction_signature,
+    tokenMint: row.token_mint,
+    side: row.trade_type,
+    tokenAmount: Number(isBuy ? row.token_out_amount : row.token_in_amount),
+    quoteAmount: Number(isBuy ? row.token_in_amount : row.token_out_amount),
+    quoteMint: row.quote_mint,
+    timestamp: row.timestamp ? new Date(row.timestamp).getTime() : null,
+  };
+}
+
+// ====================
+// PNL CALCULATION
+// ====================
+
+class PnlEngine {
+  constructor({ method = 'fifo' } = {}) {
+    if (!COST_BASIS_METHODS.includes(method)) {
+      throw new Error(`Unknown cost basis method: ${method} (expected ${COST_BASIS_METHODS.join(' or ')})`);
+    }
+    this.method = method;
+  }
+
+  // trades: normalized trades (see tradeFromSwap/tradeFromRow), any order.
+  // currentPrices: optional Map/object of mint -> SOL price; defaults to each mint's last trade price.
+  compute(trades, { currentPrices = null, now = Date.now() } = {}) {
+    const ordered = trades
+      .filter(trade => trade && trade.quoteMint === WSOL_MINT && trade.tokenAmount > 0 && trade.quoteAmount > 0)
+      .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+
+    const positions = new Map();
+    const sells = [];
+
+    for (const trade of ordered) {
+      let position = positions.get(trade.tokenMint);
+      if (!position) {
+        position = {
+          mint: trade.tokenMint,
+          lots: [], // FIFO: [{ amount, cost, timestamp }]
+          amount: 0,
+          costBasis: 0,
+          openedAt: null, // average cost: when the position last went from flat to open
+          invested: 0,
+          realizedPnl: 0,
+          lastPrice: null,
+          buys: 0,
+          sells: 0,
+        };
+        positions.set(trade.tokenMint, position);
+      }
+
+      position.lastPrice = trade.quoteAmount / trade.tokenAmount;
+
+      if (trade.side === 'buy') {
+        this.applyBuy(position, trade);
+      } else {
+        const result = this.applySell(position, trade);
+        if (result) sells.push(result);
+      }
+    }
+
+    return this.summarize(positions, sells, currentPrices, now);
+  }
+
+  applyBuy(position, trade) {
+    if (position.amount <= DUST_AMOUNT) {
+      position.openedAt = trade.timestamp;
+    }
+
+    position.amount += trade.tokenAmount;
+    position.costBasis += trade.quoteAmount;
+    position.invested += trade.quoteAmount;
+    position.buys++;
+
+    if (this.method === 'fifo') {
+      position.lots.push({ amount: trade.tokenAmount, cost: trade.quoteAmount, timestamp: trade.timestamp });
+    }
+  }
+
+  // Returns the realization for this sell, or null if we never saw the tokens being bought
+  applySell(position, trade) {
+    position.sells++;
+
+    const matched = Math.min(trade.tokenAmount, position.amount);
+    if (matched <= 0) return null;
+
+    // Only the part of the sell we hold basis for is realized
+    const proceeds = trade.quoteAmount * (matched / trade.tokenAmount);
+    let cost = 0;
+    let holdWeighted = 0;
+
+    if (this.method === 'fifo') {
+      let remaining = matched;
+      while (remaining > DUST_AMOUNT && position.lots.length > 0) {
+        const lot = position.lots[0];
+        const take = Math.min(lot.amount, remaining);
+        const lotCost = lot.cost * (take / lot.amount);
+
+        cost += lotCost;
+        holdWeighted += take * this.holdSeconds(lot.timestamp, trade.timestamp);
+
+        lot.amount -= take;
+        lot.cost -= lotCost;
+        remaining -= take;
+        if (lot.amount <= DUST_AMOUNT) position.lots.shift();
+      }
+    } else {
+      cost = position.costBasis * (matched / position.amount);
+      holdWeighted = matched * this.holdSeconds(position.openedAt, trade.timestamp);
+    }
+
+    position.amount -= matched;
+    position.costBasis -= cost;
+    if (position.amount <= DUST_AMOUNT) {
+      position.amount = 0;
+      position.costBasis = 0;
+      position.lots = [];
+    }
+
+    const pnl = proceeds - cost;
+    position.realizedPnl += pnl;
+
+    return {
+      mint: position.mint,
+      signature: trade.signature,
+      pnl,
+      cost,
+      proceeds,
+      holdSeconds: matched > 0 ? holdWeighted / matched : 0,
+    };
+  }
+
+  holdSeconds(from, to) {
+    if (from == null || to == null) return 0;
+    return Math.max(0, (to - from) / 1000);
+  }
+
+  summarize(positions, sells, currentPrices, now) {
+    const priceFor = (mint, fallback) => {
+      if (!currentPrices) return fallback;
+      const price = currentPrices instanceof Map ? currentPrices.get(mint) : currentPrices[mint];
+      return price ?? fallback;
+    };
+
+    let realizedPnl = 0;
+    let unrealizedPnl = 0;
+    let invested = 0;
+    let openPositions = 0;
+    const perMint = [];
+
+    for (const position of positions.values()) {
+      const price = priceFor(position.mint, position.lastPrice);
+      const marketValue = position.amount * (price || 0);
+      const unrealized = position.amount > 0 ? marketValue - position.costBasis : 0;
+
+      realizedPnl += position.realizedPnl;
+      unrealizedPnl += unrealized;
+      invested += position.invested;
+      if (position.amount > 0) openPositions++;
+
+      perMint.push({
+        mint: position.mint,
+        amount: position.amount,
+        cost_basis: position.costBasis,
+        invested: position.invested,
+        realized_pnl: position.realizedPnl,
+        unrealized_pnl: unrealized,
+        last_price: price,
+        buys: position.buys,
+        sells: position.sells,
+      });
+    }
+
+    const realizedCost = sells.reduce((sum, sell) => sum + sell.cost, 0);
+    const wins = sells.filter(sell => sell.pnl > 0).length;
+    const totalHold = sells.reduce((sum, sell) => sum + sell.holdSeconds, 0);
+
+    return {
+      cost_basis_method: this.method,
+      trade_count: Array.from(positions.values()).reduce((sum, p) => sum + p.buys + p.sells, 0),
+      closed_trades: sells.length,
+      open_positions: openPositions,
+      mints_traded: positions.size,
+      invested_sol: invested,
+      realized_pnl_sol: realizedPnl,
+      unrealized_pnl_sol: unrealizedPnl,
+      win_rate: sells.length > 0 ? wins / sells.length : null,
+      avg_hold_seconds: sells.length > 0 ? totalHold / sells.length : null,
+      roi: realizedCost > 0 ? realizedPnl / realizedCost : null,
+      total_roi: invested > 0 ? (realizedPnl + unrealizedPnl) / invested : null,
+      positions: perMint,
+      computed_at: new Date(now).toISOString(),
+    };
+  }
+}
+
+module.exports = {
+  PnlEngine,
+  COST_BASIS_METHODS,
+  tradeFromSwap,
+  tradeFromRow,
+};
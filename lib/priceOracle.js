@@ -0,0 +1,251 @@
+// Smart Money AI - Price Oracle
+// Token prices in SOL from our own decoded swaps: the last trade and a volume-weighted average
+// over a rolling window. SOL/USD comes from a configurable source (our own SOL/stablecoin swaps,
+// an HTTP JSON endpoint, or a fixed value). USDC and USDT are taken as $1.
+
+const { WSOL_MINT, USDC_MINT, USDT_MINT } = require('./constants');
+
+const SOL_USD_SOURCES = ['swaps', 'http', 'fixed'];
+const STABLE_MINTS = new Set([USDC_MINT, USDT_MINT]);
+
+// Trades of one price inside the window, plus the latest one
+class PriceSeries {
+  constructor({ windowMs, maxSamples }) {
+    this.windowMs = windowMs;
+    this.maxSamples = maxSamples;
+    this.samples = [];
+    this.last = null;
+    this.lastAt = null;
+  }
+
+  // `at` is the trade's block time, so replayed and backfilled trades don't count as current
+  record(at, price, volume) {
+    if (this.lastAt === null || at >= this.lastAt) {
+      this.last = price;
+      this.lastAt = at;
+    }
+
+    this.samples.push({ at, price, volume });
+    const cutoff = this.lastAt - this.windowMs;
+    while (this.samples.length > 0 && (this.samples[0].at < cutoff || this.samples.length > this.maxSamples)) {
+      this.samples.shift();
+    }
+  }
+
+  vwap() {
+    const cutoff = this.lastAt - this.windowMs;
+    let value = 0;
+    let volume = 0;
+    for (const sample of this.samples) {
+      if (sample.at < cutoff) continue;
+      value += sample.price * sample.volume;
+      volume += sample.volume;
+    }
+    return volume > 0 ? value / volume : null;
+  }
+}
+
+class PriceOracle {
+  constructor({
+    windowMs = 15 * 60 * 1000,
+    maxSamplesPerMint = 200,
+    maxMints = 10000,
+    solUsdSource = 'swaps',
+    solUsdPrice = null, // the 'fixed' value, and the fallback for the other sources
+    solUsdUrl = null,
+    solUsdJsonPath = 'solana.usd',
+    solUsdRefreshMs = 60000,
+  } = {}) {
+    if (!SOL_USD_SOURCES.includes(solUsdSource)) {
+      throw new Error(`Unknown SOL/USD source: ${solUsdSource} (expected ${SOL_USD_SOURCES.join(', ')})`);
+    }
+    if (solUsdSource === 'http' && !solUsdUrl) {
+      throw new Error('SOL/USD source "http" needs a URL');
+    }
+    if (solUsdSource === 'fixed' && !(solUsdPrice > 0)) {
+      throw new Error('SOL/USD source "fixed" needs a price');
+    }
+
+    this.windowMs = windowMs;
+    this.maxSamplesPerMint = maxSamplesPerMint;
+    this.maxMints = maxMints;
+    this.solUsdSource = solUsdSource;
+    this.solUsdPrice = solUsdPrice;
+    this.solUsdUrl = solUsdUrl;
+    this.solUsdJsonPath = solUsdJsonPath;
+    this.solUsdRefreshMs = solUsdRefreshMs;
+
+    this.series = new Map(); // mint -> PriceSeries in SOL, least recently traded first
+    this.solUsdSeries = new PriceSeries({ windowMs, maxSamples: maxSamplesPerMint });
+    this.httpSolUsd = null; // { value, at }
+    this.refreshTimer = null;
+
+    this.stats = {
+      swapsRecorded: 0,
+      solUsdRefreshes: 0,
+      solUsdErrors: 0,
+    };
+  }
+
+  // ====================
+  // SOL/USD
+  // ====================
+
+  start() {
+    if (this.solUsdSource !== 'http' || this.refreshTimer) return;
+    this.refreshSolUsd();
+    this.refreshTimer = setInterval(() => this.refreshSolUsd(), this.solUsdRefreshMs);
+    this.refreshTimer.unref();
+  }
+
+  stop() {
+    clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+  }
+
+  // Keeps the previous value when the endpoint fails
+  async refreshSolUsd() {
+    try {
+      const response = await fetch(this.solUsdUrl, { signal: AbortSignal.timeout(10000) });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const body = await response.json();
+      const value = Number(this.solUsdJsonPath.split('.').reduce((node, key) => node?.[key], body));
+      if (!(value > 0)) {
+        throw new Error(`no positive number at "${this.solUsdJsonPath}"`);
+      }
+
+      this.httpSolUsd = { value, at: Date.now() };
+      this.stats.solUsdRefreshes++;
+
+    } catch (error) {
+      this.stats.solUsdErrors++;
+      console.error('❌ Error refreshing SOL/USD price:', error.message);
+    }
+  }
+
+  // USD per SOL, or null when the source has nothing yet and no fallback is configured
+  getSolUsd() {
+    let value = null;
+    if (this.solUsdSource === 'swaps') {
+      value = this.solUsdSeries.vwap() ?? this.solUsdSeries.last;
+    } else if (this.solUsdSource === 'http') {
+      value = this.httpSolUsd?.value ?? null;
+    }
+    return value ?? this.solUsdPrice;
+  }
+
+  // ====================
+  // TOKEN PRICES
+  // ====================
+
+  // Feeds the oracle from a decoded swap (lib/swapDecoder)
+  recordSwap(swap) {
+    const at = swap.blockTime ? swap.blockTime * 1000 : Date.now();
+    const { inputMint, inputAmount, outputMint, outputAmount } = swap;
+    if (!(inputAmount > 0) || !(outputAmount > 0)) return;
+
+    // SOL <-> stablecoin swaps price SOL itself
+    if (inputMint === WSOL_MINT && STABLE_MINTS.has(outputMint)) {
+      this.solUsdSeries.record(at, outputAmount / inputAmount, inputAmount);
+      return;
+    }
+    if (outputMint === WSOL_MINT && STABLE_MINTS.has(inputMint)) {
+      this.solUsdSeries.record(at, inputAmount / outputAmount, outputAmount);
+      return;
+    }
+
+    if (swap.tradeType !== 'buy' && swap.tradeType !== 'sell') return;
+    const quoteAmount = swap.tradeType === 'buy' ? inputAmount : outputAmount;
+    const tokenAmount = swap.tradeType === 'buy' ? outputAmount : inputAmount;
+
+    // Stablecoin-quoted trades are converted at the current SOL/USD
+    const quoteInSol = this.priceInSol(swap.quoteMint);
+    if (quoteInSol == null) return;
+
+    const volumeSol = quoteAmount * quoteInSol;
+    this.getSeries(swap.tokenMint).record(at, volumeSol / tokenAmount, volumeSol);
+    this.stats.swapsRecorded++;
+  }
+
+  getSeries(mint) {
+    let series = this.series.get(mint);
+    if (series) {
+      this.series.delete(mint);
+    } else {
+      series = new PriceSeries({ windowMs: this.windowMs, maxSamples: this.maxSamplesPerMint });
+      if (this.series.size >= this.maxMints) {
+        this.series.delete(this.series.keys().next().value);
+      }
+    }
+    this.series.set(mint, series);
+    return series;
+  }
+
+  // SOL per token: 1 for SOL, via SOL/USD for stablecoins, otherwise VWAP (last trade as fallback)
+  priceInSol(mint) {
+    if (mint === WSOL_MINT) return 1;
+    if (STABLE_MINTS.has(mint)) {
+      const solUsd = this.getSolUsd();
+      return solUsd ? 1 / solUsd : null;
+    }
+
+    const series = this.series.get(mint);
+    return series ? series.vwap() ?? series.last : null;
+  }
+
+  // Null when we have never seen the mint trade
+  getPrice(mint) {
+    const solUsd = this.getSolUsd();
+    const priceSol = this.priceInSol(mint);
+    if (priceSol == null) return null;
+
+    const series = this.series.get(mint);
+    return {
+      mint,
+      priceSol,
+      priceUsd: STABLE_MINTS.has(mint) ? 1 : (solUsd ? priceSol * solUsd : null),
+      lastSol: series ? series.last : priceSol,
+      vwapSol: series ? series.vwap() : priceSol,
+      windowTrades: series ? series.samples.length : null,
+      lastTradeAt: series ? new Date(series.lastAt).toISOString() : null,
+    };
+  }
+
+  // { sol, usd } value of a decoded swap. A SOL or stablecoin leg is exact; otherwise either
+  // token is valued at its oracle price. Fields are null when there is nothing to go on.
+  notional(swap) {
+    const solUsd = this.getSolUsd();
+    const legs = [[swap.inputMint, swap.inputAmount], [swap.outputMint, swap.outputAmount]];
+    const value = sol => ({ sol, usd: solUsd ? sol * solUsd : null });
+
+    for (const [mint, amount] of legs) {
+      if (mint === WSOL_MINT) return value(amount);
+      if (STABLE_MINTS.has(mint)) return { sol: solUsd ? amount / solUsd : null, usd: amount };
+    }
+    for (const [mint, amount] of legs) {
+      const priceSol = this.priceInSol(mint);
+      if (priceSol != null) return value(amount * priceSol);
+    }
+    return { sol: null, usd: null };
+  }
+
+  getStats() {
+    return {
+      mints: this.series.size,
+      solUsd: this.getSolUsd(),
+      solUsdSource: this.solUsdSource,
+      solUsdUpdatedAt: this.solUsdSource === 'http' && this.httpSolUsd
+        ? new Date(this.httpSolUsd.at).toISOString()
+        : null,
+      ...this.stats,
+    };
+  }
+}
+
+module.exports = {
+  PriceOracle,
+  SOL_USD_SOURCES,
+};
@@ -0,0 +1,278 @@
+// Smart Money AI - Pump.fun Lifecycle
+// Follows Pump.fun tokens from launch (create) along the bonding curve to completion and
+// migration out of Pump.fun (Raydium, or PumpSwap for `migrate`). One record per mint in
+// pump_fun_tokens; buys of a mint whose launch we saw are timed against it.
+
+const { DEX_ACTIONS } = require('./constants');
+const { PUMP_FUN_MINT_ACCOUNT_INDEX } = require('./dexParsers/pumpFun');
+const { getSignature } = require('./swapDecoder');
+
+const LIFECYCLE_STATUS = {
+  BONDING: 'bonding',
+  COMPLETE: 'complete', // curve filled, liquidity still in Pump.fun
+  MIGRATED: 'migrated',
+};
+
+// Statuses only move forward, whatever order the transactions are processed in
+const STATUS_ORDER = [LIFECYCLE_STATUS.BONDING, LIFECYCLE_STATUS.COMPLETE, LIFECYCLE_STATUS.MIGRATED];
+
+// Pump.fun global defaults: curves start at 1.073B virtual tokens, 793.1M of them for sale
+const INITIAL_VIRTUAL_TOKEN_RESERVES = 1073000000000000n;
+const INITIAL_REAL_TOKEN_RESERVES = 793100000000000n;
+
+const MIGRATION_INSTRUCTIONS = ['withdraw', 'migrate'];
+
+// Share of the curve's tokens sold (0-1), from a TradeEvent's virtual token reserves
+function curveProgress(virtualTokenReserves) {
+  const sold = INITIAL_VIRTUAL_TOKEN_RESERVES - BigInt(virtualTokenReserves);
+  const progress = Number(sold * 10000n / INITIAL_REAL_TOKEN_RESERVES) / 10000;
+  return Math.min(Math.max(progress, 0), 1);
+}
+
+function toIsoTime(blockTime) {
+  return blockTime ? new Date(blockTime * 1000).toISOString() : null;
+}
+
+function emptyRecord(mint) {
+  return {
+    mint,
+    name: null,
+    symbol: null,
+    uri: null,
+    creator: null,
+    bonding_curve: null,
+    launch_signature: null,
+    launch_slot: null,
+    launched_at: null,
+    status: LIFECYCLE_STATUS.BONDING,
+    curve_progress: null,
+    last_trade_slot: null,
+    last_trade_at: null,
+    completed_slot: null,
+    completed_at: null,
+    migration_signature: null,
+    migration_slot: null,
+    migrated_at: null,
+    migration_venue: null,
+    updated_at: null,
+  };
+}
+
+class PumpFunLifecycle {
+  constructor({ store, save, maxTokens = 20000 }) {
+    this.store = store;
+    this.save = save; // (record) => Promise, e.g. a write buffer table
+    this.maxTokens = maxTokens;
+
+    this.records = new Map(); // mint -> record, or null when the store has none; LRU order
+    this.pending = new Map(); // mint -> in-flight store read
+
+    this.stats = {
+      launches: 0,
+      completions: 0,
+      migrations: 0,
+      curveUpdates: 0,
+      errors: 0,
+    };
+  }
+
+  // ====================
+  // RECORDS
+  // ====================
+
+  // The mint's record, or null when it has never been seen on Pump.fun. Throws on store errors.
+  async get(mint) {
+    if (this.records.has(mint)) {
+      const record = this.records.get(mint);
+      this.remember(mint, record);
+      return record;
+    }
+
+    if (!this.pending.has(mint)) {
+      const lookup = this.store.getPumpFunToken(mint)
+        .then(record => this.remember(mint, record || null))
+        .finally(() => this.pending.delete(mint));
+      this.pending.set(mint, lookup);
+    }
+    return this.pending.get(mint);
+  }
+
+  remember(mint, record) {
+    this.records.delete(mint);
+    this.records.set(mint, record);
+    if (this.records.size > this.maxTokens) {
+      this.records.delete(this.records.keys().next().value);
+    }
+    return record;
+  }
+
+  async getOrCreate(mint) {
+    return (await this.get(mint)) || this.remember(mint, emptyRecord(mint));
+  }
+
+  advance(record, status) {
+    if (STATUS_ORDER.indexOf(status) <= STATUS_ORDER.indexOf(record.status)) return false;
+    record.status = status;
+    return true;
+  }
+
+  // ====================
+  // TRANSACTIONS
+  // ====================
+
+  // Applies the Pump.fun actions of one transaction (lib/dexParsers parseDexActions) and saves
+  // every record it touched. Returns the lifecycle changes: { type, record } with type
+  // 'launch', 'complete' or 'migration'.
+  async observe(transaction, actions) {
+    const pumpActions = actions.filter(action => action.dex === 'PUMP_FUN');
+    if (pumpActions.length === 0) return [];
+
+    const tx = {
+      signature: getSignature(transaction),
+      slot: transaction.slot,
+      blockTime: transaction.blockTime,
+    };
+    const changes = [];
+    const touched = new Set();
+
+    try {
+      for (const action of pumpActions) {
+        for (const { event, ...details } of action.events) {
+          if (!details.mint) continue; // event that failed to decode
+
+          const record = await this.getOrCreate(details.mint);
+          const change = this.applyEvent(record, event, details, tx);
+          touched.add(record);
+          if (change) changes.push({ type: change, record });
+        }
+
+        if (MIGRATION_INSTRUCTIONS.includes(action.instruction)) {
+          const mint = action.accounts[PUMP_FUN_MINT_ACCOUNT_INDEX];
+          if (!mint) continue;
+
+          const record = await this.getOrCreate(mint);
+          touched.add(record);
+          if (this.applyMigration(record, action, actions, tx)) {
+            changes.push({ type: 'migration', record });
+          }
+        }
+      }
+
+      for (const record of touched) {
+        record.updated_at = new Date().toISOString();
+        await this.save({ ...record });
+      }
+
+    } catch (error) {
+      this.stats.errors++;
+      console.error(`❌ Error tracking Pump.fun lifecycle for ${(tx.signature || '?').substring(0, 16)}...:`, error.message);
+    }
+
+    return changes;
+  }
+
+  applyEvent(record, event, details, tx) {
+    switch (event) {
+      case 'CreateEvent': {
+        if (record.launch_slot != null) return null;
+        Object.assign(record, {
+          name: details.name,
+          symbol: details.symbol,
+          uri: details.uri,
+          creator: details.user,
+          bonding_curve: details.bondingCurve,
+          launch_signature: tx.signature,
+          launch_slot: tx.slot,
+          launched_at: toIsoTime(tx.blockTime),
+        });
+        this.stats.launches++;
+        return 'launch';
+      }
+
+      case 'TradeEvent': {
+        // Progress follows the latest trade, not the last one we happened to process
+        if (record.last_trade_slot != null && tx.slot < record.last_trade_slot) return null;
+        record.last_trade_slot = tx.slot;
+        record.last_trade_at = toIsoTime(tx.blockTime);
+        if (details.virtualTokenReserves != null && record.status === LIFECYCLE_STATUS.BONDING) {
+          record.curve_progress = curveProgress(details.virtualTokenReserves);
+        }
+        this.stats.curveUpdates++;
+        return null;
+      }
+
+      case 'CompleteEvent': {
+        record.bonding_curve = record.bonding_curve || details.bondingCurve;
+        record.curve_progress = 1;
+        if (record.completed_slot == null) {
+          record.completed_slot = tx.slot;
+          record.completed_at = toIsoTime(tx.blockTime);
+        }
+        if (!this.advance(record, LIFECYCLE_STATUS.COMPLETE)) return null;
+        this.stats.completions++;
+        return 'complete';
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  // `withdraw` hands the liquidity to a Raydium pool created in the same transaction;
+  // `migrate` moves it to PumpSwap
+  applyMigration(record, action, actions, tx) {
+    if (record.migration_slot != null) return false;
+
+    const raydiumPool = actions.some(other =>
+      other.dex === 'RAYDIUM' && other.action === DEX_ACTIONS.CREATE_POOL
+    );
+    Object.assign(record, {
+      curve_progress: 1,
+      migration_signature: tx.signature,
+      migration_slot: tx.slot,
+      migrated_at: toIsoTime(tx.blockTime),
+      migration_venue: action.instruction === 'migrate' ? 'PUMP_SWAP' : (raydiumPool ? 'RAYDIUM' : null),
+    });
+    this.advance(record, LIFECYCLE_STATUS.MIGRATED);
+    this.stats.migrations++;
+    return true;
+  }
+
+  // ====================
+  // LAUNCH TIMING
+  // ====================
+
+  // { slotsSinceLaunch, secondsSinceLaunch, curveProgress, status } for a trade of the mint,
+  // or null when we never saw it launch
+  async timeSinceLaunch(mint, { slot, blockTime }) {
+    let record;
+    try {
+      record = await this.get(mint);
+    } catch (error) {
+      console.error(`❌ Error loading Pump.fun launch for ${mint.substring(0, 8)}...:`, error.message);
+      return null;
+    }
+    if (record?.launch_slot == null) return null;
+
+    const launchedAt = record.launched_at ? new Date(record.launched_at).getTime() / 1000 : null;
+    return {
+      slotsSinceLaunch: slot - Number(record.launch_slot),
+      secondsSinceLaunch: blockTime && launchedAt != null ? blockTime - launchedAt : null,
+      curveProgress: record.curve_progress != null ? Number(record.curve_progress) : null,
+      status: record.status,
+    };
+  }
+
+  getStats() {
+    return {
+      cached: this.records.size,
+      ...this.stats,
+    };
+  }
+}
+
+module.exports = {
+  PumpFunLifecycle,
+  LIFECYCLE_STATUS,
+  curveProgress,
+};
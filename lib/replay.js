@@ -0,0 +1,232 @@
+// Smart Money AI - Replay
+// Re-runs stored history through the monitor's pipeline (decoding, wallet discovery, candidate
+// scoring) into an isolated output store, then compares the wallets it promoted with a
+// baseline: production's candidate_wallets, or the report of an earlier replay.
+
+const { JOB_STATUS } = require('./candidateQueue');
+
+// 'trades': full transactions kept in trades.raw_data, no RPC needed. 'raw_transactions':
+// stored notifications, re-filtered by their logs and re-fetched over HTTP RPC.
+const REPLAY_SOURCES = ['trades', 'raw_transactions'];
+
+const CANDIDATE_PAGE_SIZE = 1000;
+
+class ReplayRunner {
+  constructor({ source, output, monitor, from = 'trades', range, pageSize = 500, fetchConcurrency = 4, candidateConcurrency = 4 }) {
+    if (!REPLAY_SOURCES.includes(from)) {
+      throw new Error(`Unknown replay source: ${from} (expected ${REPLAY_SOURCES.join(' or ')})`);
+    }
+    if (from === 'raw_transactions' && monitor.rpc.size === 0) {
+      throw new Error('Replaying raw_transactions needs an HTTP RPC endpoint to fetch the transactions');
+    }
+
+    this.source = source; // the live store, only read
+    this.output = output;
+    this.monitor = monitor; // a SolanaMonitor in replay mode writing to `output`
+    this.from = from;
+    this.range = range; // { fromSlot, toSlot, from, to }
+    this.pageSize = pageSize;
+    this.fetchConcurrency = fetchConcurrency;
+    this.candidateConcurrency = candidateConcurrency;
+
+    this.stats = {
+      read: 0,
+      replayed: 0,
+      filtered: 0, // notifications the DEX log filter now rejects
+      missing: 0, // notifications whose transaction couldn't be fetched
+      candidates: 0,
+    };
+  }
+
+  // ====================
+  // STREAMING
+  // ====================
+
+  // Streams the range, scores every candidate it produced and returns { wallet: outcome }
+  async run() {
+    let after = null;
+
+    for (;;) {
+      const page = this.from === 'trades'
+        ? await this.source.listTradeTransactions({ ...this.range, after, limit: this.pageSize })
+        : await this.source.listRawTransactions({ ...this.range, after, limit: this.pageSize });
+      if (page.length === 0) break;
+
+      const items = this.from === 'trades'
+        ? page.map(fromTradeRow)
+        : await this.fetchTransactions(page.map(fromRawRow));
+
+      for (const item of items) {
+        await this.replayTransaction(item);
+      }
+
+      const last = items[items.length - 1];
+      after = { slot: last.slot, signature: last.signature };
+      console.log(`⏪ Replayed ${this.stats.read} transaction(s), up to slot ${last.slot}`);
+    }
+
+    await this.monitor.writes.flushAll();
+    return this.evaluateCandidates();
+  }
+
+  // Full transactions for the notifications that still pass the DEX log filter. Backfilled
+  // notifications have no logs and are always fetched, as they are live.
+  async fetchTransactions(items) {
+    for (let i = 0; i < items.length; i += this.fetchConcurrency) {
+      await Promise.all(items.slice(i, i + this.fetchConcurrency).map(async (item) => {
+        item.wanted = item.logs.length === 0 || this.monitor.isDEXTransaction(item.logs);
+        if (item.wanted) {
+          item.transaction = await this.monitor.getTransaction(item.signature);
+        }
+      }));
+    }
+    return items;
+  }
+
+  // Same steps as a live notification: the raw row, then the full transaction's analysis
+  async replayTransaction(item) {
+    this.stats.read++;
+    if (item.wanted === false) {
+      this.stats.filtered++;
+      return;
+    }
+
+    if (item.blockTime) {
+      this.monitor.replayTime = item.blockTime * 1000;
+    }
+    await this.monitor.storeRawTransaction(item.signature, {
+      blockTime: item.blockTime,
+      accounts: item.accounts,
+      logs: item.logs,
+    }, { slot: item.slot });
+
+    if (!item.transaction) {
+      this.stats.missing++;
+      return;
+    }
+
+    await this.monitor.analyzeAndStoreTransaction(item.transaction);
+    this.stats.replayed++;
+  }
+
+  // ====================
+  // SCORING
+  // ====================
+
+  // Every discovered candidate is scored once, over the trades replayed for it and as of the
+  // end of the range
+  async evaluateCandidates() {
+    const candidates = [];
+    for (let offset = 0; ; offset += CANDIDATE_PAGE_SIZE) {
+      const rows = await this.output.listCandidates({ limit: CANDIDATE_PAGE_SIZE, offset });
+      candidates.push(...rows);
+      if (rows.length < CANDIDATE_PAGE_SIZE) break;
+    }
+
+    console.log(`🔍 Scoring ${candidates.length} replayed candidate(s)...`);
+    const outcomes = {};
+    for (let i = 0; i < candidates.length; i += this.candidateConcurrency) {
+      await Promise.all(candidates.slice(i, i + this.candidateConcurrency).map(async (row) => {
+        const settled = await this.monitor.candidateQueue.runNow(row) || row;
+        outcomes[row.wallet_address] = toOutcome(settled);
+      }));
+    }
+
+    this.stats.candidates = candidates.length;
+    return outcomes;
+  }
+}
+
+function fromTradeRow(row) {
+  const transaction = row.raw_data;
+  return {
+    signature: row.transaction_signature,
+    slot: Number(row.block_number),
+    blockTime: transaction.blockTime ?? null,
+    accounts: [],
+    logs: transaction.meta?.logMessages || [],
+    transaction,
+  };
+}
+
+function fromRawRow(row) {
+  return {
+    signature: row.tx_signature,
+    slot: Number(row.slot),
+    blockTime: row.block_time != null ? Number(row.block_time) : null,
+    accounts: row.accounts || [],
+    logs: row.logs || [],
+    transaction: null,
+  };
+}
+
+function toOutcome(row) {
+  return {
+    status: row.status,
+    score: row.score != null ? Number(row.score) : null,
+    reason: row.rejection_reason || row.last_error || null,
+  };
+}
+
+// ====================
+// REPORT
+// ====================
+
+// Baseline outcomes from the live candidate_wallets rows of the replayed wallets
+async function loadProductionBaseline(store, walletAddresses) {
+  const rows = await store.getCandidates(walletAddresses);
+  return Object.fromEntries(rows.map(row => [row.wallet_address, toOutcome(row)]));
+}
+
+// Promotions under the baseline ("before") and the replay ("after"). Only wallets the replay
+// discovered are compared; a wallet the baseline never saw counts as not promoted.
+function compareOutcomes(before, after) {
+  const promotedBefore = new Set(Object.keys(before).filter(wallet => before[wallet].status === JOB_STATUS.PROMOTED));
+  const promotedAfter = Object.keys(after).filter(wallet => after[wallet].status === JOB_STATUS.PROMOTED);
+  const changes = [];
+
+  for (const [wallet, outcome] of Object.entries(after)) {
+    const previous = before[wallet] || null;
+    if (previous?.status === outcome.status && previous?.score === outcome.score) continue;
+    changes.push({ wallet, before: previous, after: outcome });
+  }
+
+  return {
+    promotions: {
+      before: Object.keys(after).filter(wallet => promotedBefore.has(wallet)).length,
+      after: promotedAfter.length,
+      kept: promotedAfter.filter(wallet => promotedBefore.has(wallet)),
+      added: promotedAfter.filter(wallet => !promotedBefore.has(wallet)),
+      removed: Object.keys(after).filter(wallet =>
+        promotedBefore.has(wallet) && after[wallet].status !== JOB_STATUS.PROMOTED
+      ),
+    },
+    changes,
+  };
+}
+
+function logReport(report) {
+  const { promotions } = report.comparison;
+  console.log('📊 Replay report:', {
+    namespace: report.namespace,
+    source: report.source,
+    baseline: report.baseline,
+    ...report.stats,
+  });
+  console.log(`✅ Promoted: ${promotions.after} replayed vs ${promotions.before} baseline ` +
+    `(${promotions.kept.length} kept, ${promotions.added.length} added, ${promotions.removed.length} removed)`);
+  for (const wallet of promotions.added) {
+    console.log(`   ➕ ${wallet} (score ${report.wallets[wallet].score})`);
+  }
+  for (const wallet of promotions.removed) {
+    console.log(`   ➖ ${wallet} (${report.wallets[wallet].reason || report.wallets[wallet].status})`);
+  }
+}
+
+module.exports = {
+  ReplayRunner,
+  REPLAY_SOURCES,
+  loadProductionBaseline,
+  compareOutcomes,
+  logReport,
+};
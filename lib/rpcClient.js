@@ -0,0 +1,87 @@
+// Smart Money AI - Solana HTTP JSON-RPC Client
+// Thin wrapper around fetch that tells retryable failures (rate limits, 5xx, timeouts)
+// apart from permanent ones.
+
+// JSON-RPC error codes worth retrying: node behind / slot skipped / long-term storage miss
+const RETRYABLE_RPC_CODES = new Set([-32004, -32005, -32007, -32009, -32014, 429]);
+
+class RpcError extends Error {
+  constructor(message, { code = null, status = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'RpcError';
+    this.code = code;
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+class RpcClient {
+  constructor(url, { timeoutMs = 15000 } = {}) {
+    this.url = url;
+    this.timeoutMs = timeoutMs;
+    this.requestId = 0;
+  }
+
+  async call(method, params = []) {
+    if (!this.url) {
+      throw new RpcError('No RPC URL configured');
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    let response;
+    try {
+      response = await fetch(this.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          jsonrpc: '2.0',
+          id: ++this.requestId,
+          method,
+          params,
+        }),
+        signal: controller.signal,
+      });
+    } catch (error) {
+      // Network failures and timeouts are always worth another try
+      throw new RpcError(`${method} request failed: ${error.message}`, { retryable: true });
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (response.status === 429 || response.status >= 500) {
+      throw new RpcError(`${method} HTTP ${response.status}`, {
+        status: response.status,
+        retryable: true,
+      });
+    }
+
+    let data;
+    try {
+      data = await response.json();
+    } catch (error) {
+      throw new RpcError(`${method} returned invalid JSON (HTTP ${response.status})`, {
+        status: response.status,
+        retryable: response.status >= 500,
+      });
+    }
+
+    if (data.error) {
+      throw new RpcError(`${method} RPC error: ${data.error.message}`, {
+        code: data.error.code,
+        status: response.status,
+        retryable: RETRYABLE_RPC_CODES.has(data.error.code),
+      });
+    }
+
+    return data.result;
+  }
+}
+
+module.exports = {
+  RpcClient,
+  RpcError,
+};
@@ -0,0 +1,69 @@
+// Smart Money AI - HTTP RPC Pool
+// Same call() interface as RpcClient, spread over several providers: each call goes to the
+// healthiest endpoint and fails over to the next one on retryable errors.
+
+const { RpcClient, RpcError } = require('./rpcClient');
+const { EndpointHealth, selectEndpoint } = require('./endpointHealth');
+
+class RpcPool {
+  constructor(urls, { timeoutMs = 15000, cooldownMs = 30000, onCall = () => {} } = {}) {
+    this.onCall = onCall; // ({ endpoint, method, durationMs, ok }) after every attempt
+    this.endpoints = urls.map((url, index) => ({
+      client: new RpcClient(url, { timeoutMs }),
+      health: new EndpointHealth(url, { priority: index, cooldownMs }),
+    }));
+  }
+
+  get size() {
+    return this.endpoints.length;
+  }
+
+  async call(method, params = []) {
+    if (this.endpoints.length === 0) {
+      throw new RpcError('No RPC URL configured');
+    }
+
+    const tried = new Set();
+    let lastError = null;
+
+    while (tried.size < this.endpoints.length) {
+      const endpoint = selectEndpoint(this.endpoints, { exclude: tried });
+      if (!endpoint) break;
+      tried.add(endpoint);
+
+      const startedAt = Date.now();
+      try {
+        const result = await endpoint.client.call(method, params);
+        endpoint.health.recordSuccess(Date.now() - startedAt);
+        this.onCall({ endpoint: endpoint.health.name, method, durationMs: Date.now() - startedAt, ok: true });
+        return result;
+
+      } catch (error) {
+        this.onCall({ endpoint: endpoint.health.name, method, durationMs: Date.now() - startedAt, ok: false });
+
+        if (!error.retryable) {
+          // Bad params and the like fail the same everywhere; the endpoint itself is fine
+          endpoint.health.recordSuccess(Date.now() - startedAt);
+          throw error;
+        }
+
+        endpoint.health.recordFailure(error);
+        lastError = error;
+
+        if (tried.size < this.endpoints.length) {
+          console.log(`⚠️ ${method} failed on ${endpoint.health.name} (${error.message}), failing over`);
+        }
+      }
+    }
+
+    throw lastError || new RpcError('No RPC endpoint available', { retryable: true });
+  }
+
+  getStats() {
+    return this.endpoints.map(endpoint => endpoint.health.getStats());
+  }
+}
+
+module.exports = {
+  RpcPool,
+};
@@ -0,0 +1,126 @@
+// Smart Money AI - Solana address helpers
+// Base58 decoding and the ed25519 on-curve check used to tell wallets from PDAs.
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BASE58_MAP = new Map(Array.from(BASE58_ALPHABET).map((char, index) => [char, BigInt(index)]));
+
+// ====================
+// BASE58
+// ====================
+
+function base58Decode(value) {
+  let number = 0n;
+  for (const char of value) {
+    const digit = BASE58_MAP.get(char);
+    if (digit === undefined) {
+      throw new Error(`Invalid base58 character: ${char}`);
+    }
+    number = number * 58n + digit;
+  }
+
+  const bytes = [];
+  while (number > 0n) {
+    bytes.unshift(Number(number & 0xffn));
+    number >>= 8n;
+  }
+
+  // Each leading '1' encodes a leading zero byte
+  for (const char of value) {
+    if (char !== '1') break;
+    bytes.unshift(0);
+  }
+
+  return Uint8Array.from(bytes);
+}
+
+function base58Encode(bytes) {
+  let number = 0n;
+  for (const byte of bytes) {
+    number = (number << 8n) + BigInt(byte);
+  }
+
+  let encoded = '';
+  while (number > 0n) {
+    encoded = BASE58_ALPHABET[Number(number % 58n)] + encoded;
+    number /= 58n;
+  }
+
+  for (const byte of bytes) {
+    if (byte !== 0) break;
+    encoded = '1' + encoded;
+  }
+
+  return encoded;
+}
+
+// Decodes to exactly 32 bytes, or null for anything that isn't a public key
+function decodePublicKey(address) {
+  if (typeof address !== 'string' || address.length < 32 || address.length > 44) return null;
+
+  try {
+    const bytes = base58Decode(address);
+    return bytes.length === 32 ? bytes : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// ====================
+// ED25519 CURVE CHECK
+// ====================
+
+const P = 2n ** 255n - 19n;
+
+function mod(a) {
+  const result = a % P;
+  return result >= 0n ? result : result + P;
+}
+
+function modPow(base, exponent) {
+  let result = 1n;
+  base = mod(base);
+  while (exponent > 0n) {
+    if (exponent & 1n) result = mod(result * base);
+    base = mod(base * base);
+    exponent >>= 1n;
+  }
+  return result;
+}
+
+const D = mod(-121665n * modPow(121666n, P - 2n));
+
+// True when the 32 bytes decompress to an ed25519 point, i.e. the address can have a private key.
+// Program derived addresses are deliberately off-curve, so they fail this check.
+function isOnCurveBytes(bytes) {
+  let y = 0n;
+  for (let i = 31; i >= 0; i--) {
+    y = (y << 8n) + BigInt(i === 31 ? bytes[i] & 0x7f : bytes[i]);
+  }
+  if (y >= P) return false;
+
+  const y2 = mod(y * y);
+  const u = mod(y2 - 1n);
+  const v = mod(D * y2 + 1n);
+
+  // x = u * v^3 * (u * v^7)^((p - 5) / 8)
+  const v3 = mod(v * v * v);
+  const v7 = mod(v3 * v3 * v);
+  const x = mod(u * v3 * modPow(u * v7, (P - 5n) / 8n));
+
+  // Either x or x * sqrt(-1) is a square root of u / v, otherwise there is no point
+  const vx2 = mod(v * x * x);
+  return vx2 === u || vx2 === mod(-u);
+}
+
+function isOnCurve(address) {
+  const bytes = decodePublicKey(address);
+  return bytes ? isOnCurveBytes(bytes) : false;
+}
+
+module.exports = {
+  base58Decode,
+  base58Encode,
+  decodePublicKey,
+  isOnCurve,
+  isOnCurveBytes,
+};
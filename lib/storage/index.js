@@ -0,0 +1,40 @@
+// Smart Money AI - Storage
+// Picks the repository backend from config. Both stores expose the same async methods and
+// throw on failure; callers never touch a database client directly.
+
+const STORAGE_BACKENDS = ['supabase', 'postgres'];
+
+// Columns listWallets() may sort by (interpolated into SQL by the postgres backend)
+const WALLET_SORT_COLUMNS = ['score', 'trade_count', 'discovery_date', 'updated_at'];
+
+// Everything but raw_data, which holds the full transaction
+const TRADE_COLUMNS = [
+  'id', 'wallet_address', 'transaction_signature', 'block_number', 'timestamp', 'dex_program_id',
+  'venue', 'action_type', 'route', 'status', 'trade_type', 'token_mint', 'token_in_mint', 'token_in_amount', 'token_out_mint',
+  'token_out_amount', 'price', 'quote_mint', 'notional_sol', 'notional_usd', 'slots_since_launch',
+  'seconds_since_launch', 'fee_payer', 'fee_lamports', 'created_at',
+];
+
+// `databaseSchema` (postgres only) puts every table in that schema, e.g. a replay namespace
+function createStore({ backend = 'supabase', supabaseUrl, supabaseServiceKey, databaseUrl, databasePoolSize, databaseSchema = null }) {
+  switch (backend) {
+    case 'supabase': {
+      const { SupabaseStore } = require('./supabaseStore');
+      return new SupabaseStore({ url: supabaseUrl, serviceKey: supabaseServiceKey });
+    }
+    case 'postgres': {
+      // Loaded only when selected: it installs process-wide pg type parsers
+      const { PostgresStore } = require('./postgresStore');
+      return new PostgresStore({ connectionString: databaseUrl, poolSize: databasePoolSize, schema: databaseSchema });
+    }
+    default:
+      throw new Error(`Unknown storage backend: ${backend} (expected ${STORAGE_BACKENDS.join(' or ')})`);
+  }
+}
+
+module.exports = {
+  STORAGE_BACKENDS,
+  WALLET_SORT_COLUMNS,
+  TRADE_COLUMNS,
+  createStore,
+};
@@ -0,0 +1,149 @@
+-- Smart Money AI - initial schema
+-- Applied automatically by the postgres backend; run it in the Supabase SQL editor for a new project.
+
+CREATE TABLE IF NOT EXISTS raw_transactions (
+  id BIGSERIAL PRIMARY KEY,
+  tx_signature VARCHAR(88) UNIQUE NOT NULL,
+  slot BIGINT,
+  block_time BIGINT,                 -- unix seconds
+  accounts TEXT[] DEFAULT '{}',
+  logs TEXT[] DEFAULT '{}',
+  processed BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_raw_transactions_accounts ON raw_transactions USING GIN (accounts);
+CREATE INDEX IF NOT EXISTS idx_raw_transactions_created_at ON raw_transactions(created_at);
+
+CREATE TABLE IF NOT EXISTS candidate_wallets (
+  id BIGSERIAL UNIQUE,
+  wallet_address VARCHAR(44) PRIMARY KEY,
+  discovery_timestamp TIMESTAMPTZ DEFAULT NOW(),
+  discovery_source VARCHAR(50),
+  discovery_type VARCHAR(50),
+  initial_score DECIMAL(5,2),
+  confidence DECIMAL(5,2),
+  status VARCHAR(20) DEFAULT 'pending',
+  discovery_metadata JSONB,
+  score DECIMAL(5,2),
+  score_breakdown JSONB,
+  rejection_reason TEXT,
+  profile_data JSONB,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  lease_owner TEXT,
+  lease_expires_at TIMESTAMPTZ,
+  next_attempt_at TIMESTAMPTZ,
+  last_error TEXT,
+  evaluated_at TIMESTAMPTZ,
+  reevaluate_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_candidate_wallets_status ON candidate_wallets(status);
+
+CREATE TABLE IF NOT EXISTS trades (
+  id BIGSERIAL PRIMARY KEY,
+  wallet_address VARCHAR(44) NOT NULL,
+  transaction_signature VARCHAR(88) NOT NULL,
+  block_number BIGINT,
+  timestamp TIMESTAMPTZ,
+  dex_program_id VARCHAR(44),
+  status VARCHAR(20),
+  trade_type VARCHAR(20),
+  token_mint VARCHAR(44),
+  token_in_mint VARCHAR(44),
+  token_in_amount NUMERIC,
+  token_out_mint VARCHAR(44),
+  token_out_amount NUMERIC,
+  price NUMERIC,
+  quote_mint VARCHAR(44),
+  fee_payer VARCHAR(44),
+  fee_lamports BIGINT,
+  raw_data JSONB,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (transaction_signature, wallet_address)
+);
+
+CREATE INDEX IF NOT EXISTS idx_trades_wallet_timestamp ON trades(wallet_address, timestamp);
+
+CREATE TABLE IF NOT EXISTS wallets (
+  wallet_address VARCHAR(44) PRIMARY KEY,
+  display_name TEXT,
+  score DECIMAL(5,2),
+  score_breakdown JSONB,
+  is_verified BOOLEAN DEFAULT FALSE,
+  discovery_date TIMESTAMPTZ,
+  discovery_version VARCHAR(10),
+  discovery_source VARCHAR(50),
+  discovery_confidence DECIMAL(5,2),
+  trade_count INTEGER,
+  analysis_status VARCHAR(20),
+  wallet_style VARCHAR(30),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS wallet_stats (
+  wallet_address VARCHAR(44) PRIMARY KEY,
+  cost_basis_method VARCHAR(10),
+  trade_count INTEGER,
+  closed_trades INTEGER,
+  open_positions INTEGER,
+  mints_traded INTEGER,
+  invested_sol NUMERIC,
+  realized_pnl_sol NUMERIC,
+  unrealized_pnl_sol NUMERIC,
+  win_rate NUMERIC,
+  avg_hold_seconds NUMERIC,
+  roi NUMERIC,
+  total_roi NUMERIC,
+  positions JSONB,
+  computed_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ
+);
+
+CREATE TABLE IF NOT EXISTS signals (
+  id BIGSERIAL PRIMARY KEY,
+  signal_type VARCHAR(30) NOT NULL,
+  token_mint VARCHAR(44) NOT NULL,
+  wallet_count INTEGER,
+  total_size_sol NUMERIC,
+  window_minutes NUMERIC,
+  first_buyer VARCHAR(44),
+  first_buy_at TIMESTAMPTZ,
+  triggered_at TIMESTAMPTZ,
+  first_buyer_latency_seconds NUMERIC,
+  participants JSONB,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_signals_triggered_at ON signals(triggered_at);
+
+-- Last slot and signature seen per log subscription target, so backfill resumes after a restart
+CREATE TABLE IF NOT EXISTS backfill_cursors (
+  target VARCHAR(64) PRIMARY KEY,    -- 'program:<id>' or 'wallet:<address>'
+  slot BIGINT NOT NULL,
+  signature VARCHAR(88) NOT NULL,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Wallet list changes for the postgres backend (LISTEN wallet_changes); Supabase uses Realtime instead
+CREATE OR REPLACE FUNCTION notify_wallet_change() RETURNS trigger AS $$
+BEGIN
+  PERFORM pg_notify('wallet_changes', json_build_object(
+    'eventType', TG_OP,
+    'new', CASE WHEN TG_OP = 'DELETE' THEN NULL
+      ELSE json_build_object('wallet_address', NEW.wallet_address, 'is_verified', NEW.is_verified, 'score', NEW.score) END,
+    'old', CASE WHEN TG_OP = 'INSERT' THEN NULL
+      ELSE json_build_object('wallet_address', OLD.wallet_address, 'is_verified', OLD.is_verified, 'score', OLD.score) END
+  )::text);
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS wallets_notify ON wallets;
+CREATE TRIGGER wallets_notify
+  AFTER INSERT OR UPDATE OR DELETE ON wallets
+  FOR EACH ROW EXECUTE FUNCTION notify_wallet_change();
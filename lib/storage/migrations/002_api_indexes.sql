@@ -0,0 +1,6 @@
+-- Smart Money AI - indexes for the REST API
+-- Keyset pagination over trades (newest first) and the default wallet listing order.
+
+CREATE INDEX IF NOT EXISTS idx_trades_timestamp_id ON trades(timestamp DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_trades_token_mint ON trades(token_mint);
+CREATE INDEX IF NOT EXISTS idx_wallets_score ON wallets(score DESC);
@@ -0,0 +1,25 @@
+-- Smart Money AI - admin API
+-- Per-wallet / per-DEX monitoring pauses and the audit trail of admin actions.
+
+CREATE TABLE IF NOT EXISTS monitor_pauses (
+  kind VARCHAR(10) NOT NULL,         -- 'wallet' or 'dex'
+  target VARCHAR(44) NOT NULL,       -- wallet address or DEX name (see lib/constants.js)
+  reason TEXT,
+  paused_by TEXT,
+  paused_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (kind, target)
+);
+
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  actor TEXT NOT NULL,
+  action VARCHAR(50) NOT NULL,
+  target TEXT,
+  params JSONB,
+  success BOOLEAN NOT NULL,
+  result JSONB,
+  error TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created_at ON admin_audit_log(created_at);
@@ -0,0 +1,6 @@
+-- Smart Money AI - DEX actions on trades
+-- Venue and action type classified by lib/dexParsers, plus the AMM hops of aggregator routes.
+
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS venue VARCHAR(20);          -- DEX_PROGRAM_IDS key, e.g. 'JUPITER'
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS action_type VARCHAR(20);    -- 'swap', 'add_liquidity', 'remove_liquidity', 'create_pool'
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS route JSONB;                -- Jupiter: [{ venue, amm, inputMint, inputAmount, outputMint, outputAmount }]
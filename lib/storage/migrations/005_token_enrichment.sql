@@ -0,0 +1,14 @@
+-- Smart Money AI - token enrichment
+-- Cached Metaplex metadata per mint, and the SOL/USD value of each trade when it was stored.
+
+CREATE TABLE IF NOT EXISTS token_metadata (
+  mint VARCHAR(44) PRIMARY KEY,
+  decimals SMALLINT,
+  symbol VARCHAR(32),
+  name VARCHAR(64),
+  uri TEXT,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS notional_sol NUMERIC;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS notional_usd NUMERIC;
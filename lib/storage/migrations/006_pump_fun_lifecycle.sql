@@ -0,0 +1,32 @@
+-- Smart Money AI - Pump.fun lifecycle
+-- One row per Pump.fun mint: launch, bonding-curve progress, completion and migration.
+-- Buys are tagged with how long after the launch they landed.
+
+CREATE TABLE IF NOT EXISTS pump_fun_tokens (
+  mint VARCHAR(44) PRIMARY KEY,
+  name VARCHAR(64),
+  symbol VARCHAR(32),
+  uri TEXT,
+  creator VARCHAR(44),
+  bonding_curve VARCHAR(44),
+  launch_signature VARCHAR(88),
+  launch_slot BIGINT,                  -- null when the launch happened before we were watching
+  launched_at TIMESTAMPTZ,
+  status VARCHAR(10) NOT NULL DEFAULT 'bonding', -- 'bonding', 'complete' or 'migrated'
+  curve_progress NUMERIC,              -- share of the curve's tokens sold, 0-1
+  last_trade_slot BIGINT,
+  last_trade_at TIMESTAMPTZ,
+  completed_slot BIGINT,
+  completed_at TIMESTAMPTZ,
+  migration_signature VARCHAR(88),
+  migration_slot BIGINT,
+  migrated_at TIMESTAMPTZ,
+  migration_venue VARCHAR(20),         -- 'RAYDIUM' or 'PUMP_SWAP'
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pump_fun_tokens_status ON pump_fun_tokens(status, launch_slot DESC);
+CREATE INDEX IF NOT EXISTS idx_pump_fun_tokens_launch_slot ON pump_fun_tokens(launch_slot DESC);
+
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS slots_since_launch BIGINT;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS seconds_since_launch INTEGER;
@@ -0,0 +1,60 @@
+-- Smart Money AI - copy-trading simulator
+-- One virtual portfolio per followed wallet, every simulated fill (or skip), and the equity
+-- curve sampled on each fill and periodically in between.
+
+CREATE TABLE IF NOT EXISTS copy_trade_portfolios (
+  wallet_address VARCHAR(44) PRIMARY KEY,  -- the followed wallet
+  started_at TIMESTAMPTZ NOT NULL,
+  starting_sol NUMERIC NOT NULL,
+  cash_sol NUMERIC,
+  equity_sol NUMERIC,                      -- cash + open positions at oracle prices
+  peak_equity_sol NUMERIC,
+  drawdown NUMERIC,                        -- current, as a share of the peak
+  max_drawdown NUMERIC,
+  realized_pnl_sol NUMERIC,
+  unrealized_pnl_sol NUMERIC,
+  fees_sol NUMERIC,
+  return_pct NUMERIC,
+  fills INTEGER DEFAULT 0,
+  skipped INTEGER DEFAULT 0,
+  open_positions INTEGER DEFAULT 0,
+  positions JSONB,                         -- mint -> { tokens, costSol, lastPriceSol, openedAt }
+  leader_holdings JSONB,                   -- mint -> tokens the leader bought while followed
+  settings JSONB,                          -- sizing, delay, slippage and fees in effect
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS copy_trade_fills (
+  id BIGSERIAL PRIMARY KEY,
+  wallet_address VARCHAR(44) NOT NULL,
+  leader_signature VARCHAR(88) NOT NULL,
+  leader_slot BIGINT,
+  side VARCHAR(4) NOT NULL,                -- 'buy' or 'sell'
+  token_mint VARCHAR(44) NOT NULL,
+  status VARCHAR(10) NOT NULL,             -- 'filled' or 'skipped'
+  skip_reason VARCHAR(30),                 -- 'insufficient_cash' or 'no_position'
+  fill_slot BIGINT,
+  delay_slots INTEGER,
+  leader_price_sol NUMERIC,
+  fill_price_sol NUMERIC,                  -- after slippage
+  slippage_bps NUMERIC,
+  token_amount NUMERIC,
+  sol_amount NUMERIC,                      -- spent on a buy, received on a sell (after fees)
+  fee_sol NUMERIC,
+  realized_pnl_sol NUMERIC,
+  equity_sol NUMERIC,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_copy_trade_fills_wallet ON copy_trade_fills(wallet_address, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS copy_trade_equity (
+  id BIGSERIAL PRIMARY KEY,
+  wallet_address VARCHAR(44) NOT NULL,
+  equity_sol NUMERIC,
+  cash_sol NUMERIC,
+  drawdown NUMERIC,
+  recorded_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_copy_trade_equity_wallet ON copy_trade_equity(wallet_address, recorded_at DESC);
@@ -0,0 +1,636 @@
+// Smart Money AI - Postgres Store
+// Self-hosted backend over plain Postgres (DATABASE_URL). Applies the SQL files in
+// ./migrations on startup, and delivers wallet list changes via LISTEN/NOTIFY.
+
+const fs = require('fs');
+const path = require('path');
+const { Pool, Client, types } = require('pg');
+const { JOB_STATUS } = require('../candidateQueue');
+const { WALLET_SORT_COLUMNS, TRADE_COLUMNS } = require('./index');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const WALLET_CHANNEL = 'wallet_changes';
+
+// NUMERIC and BIGINT come back as strings by default; the monitor does arithmetic on them
+types.setTypeParser(1700, value => parseFloat(value));
+types.setTypeParser(20, value => parseInt(value, 10));
+
+// Columns pg must receive as JSON text (arrays would otherwise become Postgres arrays)
+const JSON_COLUMNS = {
+  candidate_wallets: ['discovery_metadata', 'score_breakdown', 'profile_data'],
+  trades: ['raw_data', 'route'],
+  wallets: ['score_breakdown'],
+  wallet_stats: ['positions'],
+  signals: ['participants'],
+  admin_audit_log: ['params', 'result'],
+  copy_trade_portfolios: ['positions', 'leader_holdings', 'settings'],
+};
+
+// Schema names are interpolated into SQL
+const SCHEMA_PATTERN = /^[a-z_][a-z0-9_]*$/;
+
+function toValue(table, column, value) {
+  if (value != null && (JSON_COLUMNS[table] || []).includes(column)) {
+    return JSON.stringify(value);
+  }
+  return value;
+}
+
+// WHERE conditions for a replay range: slot bounds, time bounds and (slot, signature) paging
+// over the given columns. `toTime` converts the ISO `from`/`to` to the time column's type.
+function replayRangeConditions({ slot, time, signature, toTime = value => value }, range, params) {
+  const { fromSlot = null, toSlot = null, from = null, to = null, after = null } = range;
+  const where = [`${slot} IS NOT NULL`];
+  const bounds = [
+    [`${slot} >=`, fromSlot],
+    [`${slot} <=`, toSlot],
+    [`${time} >=`, from && toTime(from)],
+    [`${time} <=`, to && toTime(to)],
+  ];
+
+  for (const [condition, value] of bounds) {
+    if (value == null) continue;
+    params.push(value);
+    where.push(`${condition} $${params.length}`);
+  }
+  if (after) {
+    params.push(after.slot, after.signature);
+    where.push(`(${slot}, ${signature}) > ($${params.length - 1}, $${params.length})`);
+  }
+  return where;
+}
+
+class PostgresStore {
+  // `schema` keeps every table in that schema instead of the default search_path (replay
+  // namespaces); migrate() creates it
+  constructor({ connectionString, poolSize = 10, schema = null }) {
+    if (schema && !SCHEMA_PATTERN.test(schema)) {
+      throw new Error(`Invalid schema name: ${schema}`);
+    }
+
+    this.name = 'postgres';
+    this.connectionString = connectionString;
+    this.schema = schema;
+    this.pool = new Pool({
+      connectionString,
+      max: poolSize,
+      ...(schema ? { options: `-c search_path=${schema}` } : {}),
+    });
+    this.pool.on('error', error => console.error('❌ Postgres pool error:', error.message));
+  }
+
+  async query(sql, params = []) {
+    const { rows } = await this.pool.query(sql, params);
+    return rows;
+  }
+
+  // ====================
+  // MIGRATIONS
+  // ====================
+
+  async migrate() {
+    const client = await this.pool.connect();
+
+    try {
+      if (this.schema) {
+        await client.query(`CREATE SCHEMA IF NOT EXISTS ${this.schema}`);
+      }
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          name TEXT PRIMARY KEY,
+          applied_at TIMESTAMPTZ DEFAULT NOW()
+        )
+      `);
+
+      const { rows } = await client.query('SELECT name FROM schema_migrations');
+      const applied = new Set(rows.map(row => row.name));
+      const files = fs.readdirSync(MIGRATIONS_DIR).filter(file => file.endsWith('.sql')).sort();
+
+      for (const file of files) {
+        if (applied.has(file)) continue;
+
+        console.log(`🗄️ Applying migration ${file}...`);
+        await client.query('BEGIN');
+        try {
+          await client.query(fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8'));
+          await client.query('INSERT INTO schema_migrations (name) VALUES ($1)', [file]);
+          await client.query('COMMIT');
+        } catch (error) {
+          await client.query('ROLLBACK');
+          throw new Error(`Migration ${file} failed: ${error.message}`);
+        }
+      }
+
+      // NOTIFY channels are database-wide: a namespace's wallets must not reach the live monitor
+      if (this.schema) {
+        await client.query('DROP TRIGGER IF EXISTS wallets_notify ON wallets');
+      }
+
+    } finally {
+      client.release();
+    }
+  }
+
+  async close() {
+    await this.pool.end();
+  }
+
+  async schemaExists() {
+    const rows = await this.query('SELECT 1 FROM information_schema.schemata WHERE schema_name = $1', [this.schema]);
+    return rows.length > 0;
+  }
+
+  // Drops the store's schema with everything in it; only for stores created with one
+  async dropSchema() {
+    if (!this.schema) {
+      throw new Error('Refusing to drop the default schema');
+    }
+    await this.query(`DROP SCHEMA IF EXISTS ${this.schema} CASCADE`);
+  }
+
+  // ====================
+  // QUERY BUILDING
+  // ====================
+
+  // One statement per set of columns: a column some rows leave out must not reach the
+  // conflict update for the others, or EXCLUDED would overwrite stored values with DEFAULT
+  async insert(table, rows, options = {}) {
+    rows = Array.isArray(rows) ? rows : [rows];
+
+    const batches = new Map(); // sorted column list -> rows
+    for (const row of rows) {
+      const key = Object.keys(row).sort().join(',');
+      if (!batches.has(key)) batches.set(key, []);
+      batches.get(key).push(row);
+    }
+
+    const results = [];
+    for (const batch of batches.values()) {
+      results.push(...await this.insertBatch(table, batch, options));
+    }
+    return results;
+  }
+
+  // Rows that all have the same columns
+  async insertBatch(table, rows, { conflict = null, ignoreDuplicates = false, returning = false }) {
+    const columns = Object.keys(rows[0]);
+    const values = [];
+    const tuples = rows.map(row => `(${columns.map(column => {
+      values.push(toValue(table, column, row[column]));
+      return `$${values.length}`;
+    }).join(', ')})`);
+
+    let sql = `INSERT INTO ${table} (${columns.join(', ')}) VALUES ${tuples.join(', ')}`;
+
+    if (conflict) {
+      const updates = columns.filter(column => !conflict.includes(column));
+      sql += ignoreDuplicates || updates.length === 0
+        ? ` ON CONFLICT (${conflict.join(', ')}) DO NOTHING`
+        : ` ON CONFLICT (${conflict.join(', ')}) DO UPDATE SET ${updates.map(column => `${column} = EXCLUDED.${column}`).join(', ')}`;
+    }
+    if (returning) sql += ' RETURNING *';
+
+    return this.query(sql, values);
+  }
+
+  // UPDATE ... WHERE every `where` column equals its value; returns the updated rows
+  async update(table, fields, where) {
+    const setColumns = Object.keys(fields);
+    const whereColumns = Object.keys(where);
+    const params = [
+      ...setColumns.map(column => toValue(table, column, fields[column])),
+      ...whereColumns.map(column => where[column]),
+    ];
+
+    const sql = `UPDATE ${table} SET ${setColumns.map((column, index) => `${column} = $${index + 1}`).join(', ')}`
+      + ` WHERE ${whereColumns.map((column, index) => `${column} = $${setColumns.length + index + 1}`).join(' AND ')}`
+      + ' RETURNING *';
+
+    return this.query(sql, params);
+  }
+
+  // ====================
+  // WALLETS
+  // ====================
+
+  async getTrackedWallets() {
+    return this.query('SELECT wallet_address, score FROM wallets WHERE is_verified = TRUE');
+  }
+
+  async upsertWallet(row) {
+    await this.insert('wallets', row, { conflict: ['wallet_address'] });
+  }
+
+  async getWallet(walletAddress) {
+    const rows = await this.query('SELECT * FROM wallets WHERE wallet_address = $1', [walletAddress]);
+    return rows[0] || null;
+  }
+
+  async listWallets({ sort = 'score', ascending = false, walletStyle = null, verified = null, limit = 50, offset = 0 } = {}) {
+    if (!WALLET_SORT_COLUMNS.includes(sort)) {
+      throw new Error(`Cannot sort wallets by ${sort}`);
+    }
+
+    const where = [];
+    const params = [];
+    if (walletStyle) {
+      params.push(walletStyle);
+      where.push(`wallet_style = $${params.length}`);
+    }
+    if (verified != null) {
+      params.push(verified);
+      where.push(`is_verified = $${params.length}`);
+    }
+    params.push(limit, offset);
+
+    return this.query(`
+      SELECT * FROM wallets
+      ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY ${sort} ${ascending ? 'ASC' : 'DESC'} NULLS LAST, wallet_address ASC
+      LIMIT $${params.length - 1} OFFSET $${params.length}
+    `, params);
+  }
+
+  // Same callback contract as the Supabase store; reconnects the LISTEN client on errors
+  subscribeWalletChanges({ onChange, onStatus }) {
+    let client = null;
+    let closed = false;
+    let retryTimer = null;
+
+    const connect = async () => {
+      client = new Client({ connectionString: this.connectionString });
+
+      client.on('notification', (message) => {
+        try {
+          onChange(JSON.parse(message.payload));
+        } catch (error) {
+          console.error('❌ Bad wallet change notification:', error.message);
+        }
+      });
+
+      client.on('error', (error) => {
+        onStatus('CHANNEL_ERROR', error);
+        reconnect();
+      });
+
+      try {
+        await client.connect();
+        await client.query(`LISTEN ${WALLET_CHANNEL}`);
+        onStatus('SUBSCRIBED');
+      } catch (error) {
+        onStatus('CHANNEL_ERROR', error);
+        reconnect();
+      }
+    };
+
+    const reconnect = () => {
+      if (closed || retryTimer) return;
+      client?.end().catch(() => {});
+      retryTimer = setTimeout(() => {
+        retryTimer = null;
+        connect();
+      }, 5000);
+    };
+
+    connect();
+
+    return {
+      close: async () => {
+        closed = true;
+        clearTimeout(retryTimer);
+        await client?.end().catch(() => {});
+      },
+    };
+  }
+
+  // ====================
+  // RAW TRANSACTIONS
+  // ====================
+
+  async upsertRawTransactions(rows) {
+    await this.insert('raw_transactions', rows, { conflict: ['tx_signature'] });
+  }
+
+  // The subset of `signatures` already stored
+  async getStoredSignatures(signatures) {
+    if (signatures.length === 0) return new Set();
+    const rows = await this.query(
+      'SELECT tx_signature FROM raw_transactions WHERE tx_signature = ANY($1::text[])',
+      [signatures]
+    );
+    return new Set(rows.map(row => row.tx_signature));
+  }
+
+  async getWalletRawTransactions(walletAddress, { limit = 50 } = {}) {
+    return this.query(
+      'SELECT * FROM raw_transactions WHERE accounts @> ARRAY[$1]::text[] ORDER BY created_at DESC LIMIT $2',
+      [walletAddress, limit]
+    );
+  }
+
+  // Notifications in slot order, for replay. `from`/`to` are ISO times (block_time is unix
+  // seconds); `after` is the { slot, signature } of the last row of the previous page.
+  async listRawTransactions({ limit = 500, ...range } = {}) {
+    const params = [];
+    const where = replayRangeConditions({
+      slot: 'slot',
+      time: 'block_time',
+      signature: 'tx_signature',
+      toTime: value => Math.floor(new Date(value).getTime() / 1000),
+    }, range, params);
+    params.push(limit);
+
+    return this.query(`
+      SELECT tx_signature, slot, block_time, accounts, logs FROM raw_transactions
+      WHERE ${where.join(' AND ')}
+      ORDER BY slot ASC, tx_signature ASC
+      LIMIT $${params.length}
+    `, params);
+  }
+
+  // ====================
+  // BACKFILL CURSORS
+  // ====================
+
+  async getBackfillCursors() {
+    return this.query('SELECT target, slot, signature, updated_at FROM backfill_cursors');
+  }
+
+  async upsertBackfillCursors(rows) {
+    await this.insert('backfill_cursors', rows, { conflict: ['target'] });
+  }
+
+  // ====================
+  // CANDIDATES
+  // ====================
+
+  async getCandidate(walletAddress) {
+    const rows = await this.query('SELECT * FROM candidate_wallets WHERE wallet_address = $1', [walletAddress]);
+    return rows[0] || null;
+  }
+
+  // Rows for the given addresses (those without one are simply absent)
+  async getCandidates(walletAddresses) {
+    return this.query('SELECT * FROM candidate_wallets WHERE wallet_address = ANY($1)', [walletAddresses]);
+  }
+
+  // Unconditional update (admin overrides); drops any lease so a running worker's result is discarded
+  async updateCandidate(walletAddress, fields) {
+    const rows = await this.update('candidate_wallets', fields, { wallet_address: walletAddress });
+    return rows[0] || null;
+  }
+
+  async insertCandidates(rows) {
+    await this.insert('candidate_wallets', rows, { conflict: ['wallet_address'], ignoreDuplicates: true });
+  }
+
+  async listCandidates({ status = null, limit = 50, offset = 0 } = {}) {
+    if (status) {
+      return this.query(
+        'SELECT * FROM candidate_wallets WHERE status = $1 ORDER BY discovery_timestamp DESC LIMIT $2 OFFSET $3',
+        [status, limit, offset]
+      );
+    }
+    return this.query(
+      'SELECT * FROM candidate_wallets ORDER BY discovery_timestamp DESC LIMIT $1 OFFSET $2',
+      [limit, offset]
+    );
+  }
+
+  async getDueCandidates({ now, limit }) {
+    return this.query(`
+      SELECT * FROM candidate_wallets
+      WHERE status = $1
+         OR (status = $2 AND next_attempt_at <= $5)
+         OR (status = $3 AND lease_expires_at < $5)
+         OR (status = $4 AND reevaluate_at <= $5)
+      ORDER BY discovery_timestamp ASC
+      LIMIT $6
+    `, [JOB_STATUS.PENDING, JOB_STATUS.RETRY, JOB_STATUS.PROFILING, JOB_STATUS.REJECTED, now, limit]);
+  }
+
+  // { status: count } across the whole table
+  async countCandidatesByStatus() {
+    const rows = await this.query('SELECT status, COUNT(*)::int AS count FROM candidate_wallets GROUP BY status');
+    return Object.fromEntries(rows.map(row => [row.status, row.count]));
+  }
+
+  async leaseCandidate(row, fields) {
+    const rows = await this.update('candidate_wallets', fields, {
+      id: row.id,
+      status: row.status,
+      attempts: row.attempts || 0,
+    });
+    return rows[0] || null;
+  }
+
+  async settleCandidate(job, fields) {
+    const rows = await this.update('candidate_wallets', fields, {
+      id: job.id,
+      lease_owner: job.lease_owner,
+      attempts: job.attempts,
+    });
+    return rows.length > 0;
+  }
+
+  // ====================
+  // TRADES & STATS
+  // ====================
+
+  async upsertTrades(rows) {
+    await this.insert('trades', rows, { conflict: ['transaction_signature', 'wallet_address'] });
+  }
+
+  // The wallet's newest `limit` decoded trades, oldest first (FIFO cost basis needs time order)
+  async getDecodedTrades(walletAddress, { limit = 1000 } = {}) {
+    const rows = await this.query(`
+      SELECT transaction_signature, trade_type, token_mint, token_in_amount, token_out_amount, quote_mint, dex_program_id, timestamp
+      FROM trades
+      WHERE wallet_address = $1 AND status = 'decoded'
+      ORDER BY timestamp DESC, id DESC
+      LIMIT $2
+    `, [walletAddress, limit]);
+    return rows.reverse();
+  }
+
+  // One row per stored transaction (raw_data holds the full transaction) in slot order, for
+  // replay; paged like listRawTransactions
+  async listTradeTransactions({ limit = 500, ...range } = {}) {
+    const params = [];
+    const where = replayRangeConditions({
+      slot: 'block_number',
+      time: 'timestamp',
+      signature: 'transaction_signature',
+    }, range, params);
+    params.push(limit);
+
+    return this.query(`
+      SELECT DISTINCT ON (block_number, transaction_signature) transaction_signature, block_number, raw_data
+      FROM trades
+      WHERE raw_data IS NOT NULL AND ${where.join(' AND ')}
+      ORDER BY block_number ASC, transaction_signature ASC
+      LIMIT $${params.length}
+    `, params);
+  }
+
+  // Newest first; `before` is the { timestamp, id } of the last row of the previous page
+  async listTrades({ walletAddress = null, mint = null, tradeType = null, before = null, limit = 50 } = {}) {
+    const where = [];
+    const params = [];
+    const filters = { wallet_address: walletAddress, token_mint: mint, trade_type: tradeType };
+
+    for (const [column, value] of Object.entries(filters)) {
+      if (value == null) continue;
+      params.push(value);
+      where.push(`${column} = $${params.length}`);
+    }
+    if (before) {
+      params.push(before.timestamp, before.id);
+      where.push(`(timestamp, id) < ($${params.length - 1}, $${params.length})`);
+    }
+    params.push(limit);
+
+    return this.query(`
+      SELECT ${TRADE_COLUMNS.join(', ')} FROM trades
+      ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY timestamp DESC, id DESC
+      LIMIT $${params.length}
+    `, params);
+  }
+
+  async upsertWalletStats(row) {
+    await this.insert('wallet_stats', row, { conflict: ['wallet_address'] });
+  }
+
+  async getWalletStats(walletAddress) {
+    const rows = await this.query('SELECT * FROM wallet_stats WHERE wallet_address = $1', [walletAddress]);
+    return rows[0] || null;
+  }
+
+  // ====================
+  // TOKEN METADATA
+  // ====================
+
+  async getTokenMetadata(mint) {
+    const rows = await this.query('SELECT * FROM token_metadata WHERE mint = $1', [mint]);
+    return rows[0] || null;
+  }
+
+  async upsertTokenMetadata(row) {
+    await this.insert('token_metadata', row, { conflict: ['mint'] });
+  }
+
+  // ====================
+  // PUMP.FUN LIFECYCLE
+  // ====================
+
+  async getPumpFunToken(mint) {
+    const rows = await this.query('SELECT * FROM pump_fun_tokens WHERE mint = $1', [mint]);
+    return rows[0] || null;
+  }
+
+  async upsertPumpFunTokens(rows) {
+    await this.insert('pump_fun_tokens', rows, { conflict: ['mint'] });
+  }
+
+  // Most recent launches first
+  async listPumpFunTokens({ status = null, limit = 50, offset = 0 } = {}) {
+    if (status) {
+      return this.query(
+        'SELECT * FROM pump_fun_tokens WHERE status = $1 ORDER BY launch_slot DESC NULLS LAST LIMIT $2 OFFSET $3',
+        [status, limit, offset]
+      );
+    }
+    return this.query(
+      'SELECT * FROM pump_fun_tokens ORDER BY launch_slot DESC NULLS LAST LIMIT $1 OFFSET $2',
+      [limit, offset]
+    );
+  }
+
+  // ====================
+  // COPY TRADING
+  // ====================
+
+  async getCopyPortfolios() {
+    return this.query('SELECT * FROM copy_trade_portfolios ORDER BY equity_sol DESC');
+  }
+
+  async getCopyPortfolio(walletAddress) {
+    const rows = await this.query('SELECT * FROM copy_trade_portfolios WHERE wallet_address = $1', [walletAddress]);
+    return rows[0] || null;
+  }
+
+  async upsertCopyPortfolio(row) {
+    await this.insert('copy_trade_portfolios', row, { conflict: ['wallet_address'] });
+  }
+
+  async insertCopyFill(row) {
+    await this.insert('copy_trade_fills', row);
+  }
+
+  async listCopyFills(walletAddress, { limit = 100 } = {}) {
+    return this.query(
+      'SELECT * FROM copy_trade_fills WHERE wallet_address = $1 ORDER BY created_at DESC LIMIT $2',
+      [walletAddress, limit]
+    );
+  }
+
+  async insertCopyEquityPoint(row) {
+    await this.insert('copy_trade_equity', row);
+  }
+
+  // The most recent `limit` points, oldest first
+  async listCopyEquity(walletAddress, { limit = 1000 } = {}) {
+    const rows = await this.query(
+      'SELECT equity_sol, cash_sol, drawdown, recorded_at FROM copy_trade_equity WHERE wallet_address = $1 ORDER BY recorded_at DESC LIMIT $2',
+      [walletAddress, limit]
+    );
+    return rows.reverse();
+  }
+
+  // ====================
+  // ADMIN
+  // ====================
+
+  async getPauses() {
+    return this.query('SELECT * FROM monitor_pauses ORDER BY paused_at ASC');
+  }
+
+  async upsertPause(row) {
+    await this.insert('monitor_pauses', row, { conflict: ['kind', 'target'] });
+  }
+
+  // True when a pause was removed
+  async deletePause(kind, target) {
+    const rows = await this.query('DELETE FROM monitor_pauses WHERE kind = $1 AND target = $2 RETURNING kind', [kind, target]);
+    return rows.length > 0;
+  }
+
+  async insertAuditEntry(row) {
+    await this.insert('admin_audit_log', row);
+  }
+
+  async listAuditLog({ limit = 100 } = {}) {
+    return this.query('SELECT * FROM admin_audit_log ORDER BY created_at DESC, id DESC LIMIT $1', [limit]);
+  }
+
+  // ====================
+  // SIGNALS
+  // ====================
+
+  async insertSignal(row) {
+    await this.insert('signals', row);
+  }
+
+  async getRecentSignals({ limit = 50, mint = null } = {}) {
+    if (mint) {
+      return this.query('SELECT * FROM signals WHERE token_mint = $1 ORDER BY triggered_at DESC LIMIT $2', [mint, limit]);
+    }
+    return this.query('SELECT * FROM signals ORDER BY triggered_at DESC LIMIT $1', [limit]);
+  }
+}
+
+module.exports = {
+  PostgresStore,
+};
@@ -0,0 +1,536 @@
+// Smart Money AI - Supabase Store
+// Hosted backend: every query goes through the Supabase service-role client, and wallet
+// list changes arrive via Supabase Realtime.
+
+const { createClient } = require('@supabase/supabase-js');
+const { JOB_STATUS } = require('../candidateQueue');
+const { TRADE_COLUMNS } = require('./index');
+
+const SIGNATURE_CHUNK_SIZE = 100; // ~9KB of signatures per `in` filter
+
+// Supabase returns { data, error }; the store interface throws instead
+function unwrap({ data, error }, action) {
+  if (error) {
+    throw new Error(`${action}: ${error.message}`);
+  }
+  return data;
+}
+
+class SupabaseStore {
+  constructor({ url, serviceKey }) {
+    this.name = 'supabase';
+    // Initialize Supabase Admin Client (SERVICE ROLE KEY!)
+    this.client = createClient(url, serviceKey);
+  }
+
+  // Schema is managed in the Supabase project (lib/storage/migrations holds the SQL)
+  async migrate() {}
+
+  async close() {
+    await this.client.removeAllChannels();
+  }
+
+  // ====================
+  // WALLETS
+  // ====================
+
+  async getTrackedWallets() {
+    return unwrap(await this.client
+      .from('wallets')
+      .select('wallet_address, score')
+      .eq('is_verified', true), 'Error loading wallets') || [];
+  }
+
+  async upsertWallet(row) {
+    unwrap(await this.client
+      .from('wallets')
+      .upsert(row, { onConflict: 'wallet_address' }), 'Error upserting wallet');
+  }
+
+  async getWallet(walletAddress) {
+    return unwrap(await this.client
+      .from('wallets')
+      .select('*')
+      .eq('wallet_address', walletAddress)
+      .maybeSingle(), 'Error fetching wallet');
+  }
+
+  async listWallets({ sort = 'score', ascending = false, walletStyle = null, verified = null, limit = 50, offset = 0 } = {}) {
+    let query = this.client
+      .from('wallets')
+      .select('*')
+      .order(sort, { ascending, nullsFirst: false })
+      .order('wallet_address', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (walletStyle) {
+      query = query.eq('wallet_style', walletStyle);
+    }
+    if (verified != null) {
+      query = query.eq('is_verified', verified);
+    }
+
+    return unwrap(await query, 'Error listing wallets') || [];
+  }
+
+  // onChange({ eventType, new, old }), onStatus(status, error) with Realtime channel statuses
+  subscribeWalletChanges({ onChange, onStatus }) {
+    const channel = this.client
+      .channel('monitor-wallets')
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'wallets' }, onChange)
+      .subscribe(onStatus);
+
+    return {
+      close: () => this.client.removeChannel(channel),
+    };
+  }
+
+  // ====================
+  // RAW TRANSACTIONS
+  // ====================
+
+  async upsertRawTransactions(rows) {
+    unwrap(await this.client
+      .from('raw_transactions')
+      .upsert(rows, { onConflict: 'tx_signature' }), 'Error storing raw transactions');
+  }
+
+  // The subset of `signatures` already stored; chunked to keep the filter within URL limits
+  async getStoredSignatures(signatures) {
+    const stored = new Set();
+    for (let i = 0; i < signatures.length; i += SIGNATURE_CHUNK_SIZE) {
+      const rows = unwrap(await this.client
+        .from('raw_transactions')
+        .select('tx_signature')
+        .in('tx_signature', signatures.slice(i, i + SIGNATURE_CHUNK_SIZE)), 'Error checking stored signatures') || [];
+      rows.forEach(row => stored.add(row.tx_signature));
+    }
+    return stored;
+  }
+
+  async getWalletRawTransactions(walletAddress, { limit = 50 } = {}) {
+    return unwrap(await this.client
+      .from('raw_transactions')
+      .select('*')
+      .contains('accounts', [walletAddress])
+      .order('created_at', { ascending: false })
+      .limit(limit), 'Error fetching wallet transactions') || [];
+  }
+
+  // Notifications in slot order, for replay. `from`/`to` are ISO times (block_time is unix
+  // seconds); `after` is the { slot, signature } of the last row of the previous page.
+  async listRawTransactions({ fromSlot = null, toSlot = null, from = null, to = null, after = null, limit = 500 } = {}) {
+    let query = this.client
+      .from('raw_transactions')
+      .select('tx_signature, slot, block_time, accounts, logs')
+      .not('slot', 'is', null)
+      .order('slot', { ascending: true })
+      .order('tx_signature', { ascending: true })
+      .limit(limit);
+
+    if (fromSlot != null) query = query.gte('slot', fromSlot);
+    if (toSlot != null) query = query.lte('slot', toSlot);
+    if (from) query = query.gte('block_time', Math.floor(new Date(from).getTime() / 1000));
+    if (to) query = query.lte('block_time', Math.floor(new Date(to).getTime() / 1000));
+    if (after) {
+      query = query.or(`slot.gt.${after.slot},and(slot.eq.${after.slot},tx_signature.gt.${after.signature})`);
+    }
+
+    return unwrap(await query, 'Error listing raw transactions') || [];
+  }
+
+  // ====================
+  // BACKFILL CURSORS
+  // ====================
+
+  async getBackfillCursors() {
+    return unwrap(await this.client
+      .from('backfill_cursors')
+      .select('target, slot, signature, updated_at'), 'Error loading backfill cursors') || [];
+  }
+
+  async upsertBackfillCursors(rows) {
+    unwrap(await this.client
+      .from('backfill_cursors')
+      .upsert(rows, { onConflict: 'target' }), 'Error storing backfill cursors');
+  }
+
+  // ====================
+  // CANDIDATES
+  // ====================
+
+  async getCandidate(walletAddress) {
+    return unwrap(await this.client
+      .from('candidate_wallets')
+      .select('*')
+      .eq('wallet_address', walletAddress)
+      .maybeSingle(), 'Error fetching candidate');
+  }
+
+  // Rows for the given addresses (those without one are simply absent)
+  async getCandidates(walletAddresses) {
+    const rows = [];
+    // Chunked: the filter goes into the request URL
+    for (let i = 0; i < walletAddresses.length; i += 200) {
+      rows.push(...(unwrap(await this.client
+        .from('candidate_wallets')
+        .select('*')
+        .in('wallet_address', walletAddresses.slice(i, i + 200)), 'Error fetching candidates') || []));
+    }
+    return rows;
+  }
+
+  // Unconditional update (admin overrides); drops any lease so a running worker's result is discarded
+  async updateCandidate(walletAddress, fields) {
+    const data = unwrap(await this.client
+      .from('candidate_wallets')
+      .update(fields)
+      .eq('wallet_address', walletAddress)
+      .select(), 'Error updating candidate');
+
+    return data?.[0] || null;
+  }
+
+  // Never resets a candidate that is already being profiled/promoted/rejected
+  async insertCandidates(rows) {
+    unwrap(await this.client
+      .from('candidate_wallets')
+      .upsert(rows, { onConflict: 'wallet_address', ignoreDuplicates: true }), 'Error storing candidate wallets');
+  }
+
+  async listCandidates({ status = null, limit = 50, offset = 0 } = {}) {
+    let query = this.client
+      .from('candidate_wallets')
+      .select('*')
+      .order('discovery_timestamp', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    return unwrap(await query, 'Error listing candidates') || [];
+  }
+
+  async getDueCandidates({ now, limit }) {
+    return unwrap(await this.client
+      .from('candidate_wallets')
+      .select('*')
+      .or([
+        `status.eq.${JOB_STATUS.PENDING}`,
+        `and(status.eq.${JOB_STATUS.RETRY},next_attempt_at.lte.${now})`,
+        `and(status.eq.${JOB_STATUS.PROFILING},lease_expires_at.lt.${now})`,
+        `and(status.eq.${JOB_STATUS.REJECTED},reevaluate_at.lte.${now})`,
+      ].join(','))
+      .order('discovery_timestamp', { ascending: true })
+      .limit(limit), 'Error fetching due candidates') || [];
+  }
+
+  // { status: count }; PostgREST has no GROUP BY, so one head-only count per status
+  async countCandidatesByStatus() {
+    const statuses = Object.values(JOB_STATUS);
+    const results = await Promise.all(statuses.map(status => this.client
+      .from('candidate_wallets')
+      .select('*', { count: 'exact', head: true })
+      .eq('status', status)));
+
+    return Object.fromEntries(statuses.map((status, index) => {
+      unwrap(results[index], 'Error counting candidates');
+      return [status, results[index].count || 0];
+    }));
+  }
+
+  // Compare-and-set on (status, attempts); null when another worker got there first
+  async leaseCandidate(row, fields) {
+    const data = unwrap(await this.client
+      .from('candidate_wallets')
+      .update(fields)
+      .eq('id', row.id)
+      .eq('status', row.status)
+      .eq('attempts', row.attempts || 0)
+      .select(), 'Error leasing candidate');
+
+    return data?.[0] || null;
+  }
+
+  // Only applies while `job` still holds its lease
+  async settleCandidate(job, fields) {
+    const data = unwrap(await this.client
+      .from('candidate_wallets')
+      .update(fields)
+      .eq('id', job.id)
+      .eq('lease_owner', job.lease_owner)
+      .eq('attempts', job.attempts)
+      .select('id'), 'Error updating candidate');
+
+    return (data?.length || 0) > 0;
+  }
+
+  // ====================
+  // TRADES & STATS
+  // ====================
+
+  async upsertTrades(rows) {
+    unwrap(await this.client
+      .from('trades')
+      .upsert(rows, { onConflict: 'transaction_signature,wallet_address' }), 'Error storing trade data');
+  }
+
+  // The wallet's newest `limit` decoded trades, oldest first (FIFO cost basis needs time order)
+  async getDecodedTrades(walletAddress, { limit = 1000 } = {}) {
+    const rows = unwrap(await this.client
+      .from('trades')
+      .select('transaction_signature, trade_type, token_mint, token_in_amount, token_out_amount, quote_mint, dex_program_id, timestamp')
+      .eq('wallet_address', walletAddress)
+      .eq('status', 'decoded')
+      .order('timestamp', { ascending: false })
+      .order('id', { ascending: false })
+      .limit(limit), 'Error fetching wallet trades') || [];
+    return rows.reverse();
+  }
+
+  // One row per stored transaction (raw_data holds the full transaction) in slot order, for
+  // replay; paged like listRawTransactions. A page may hold fewer than `limit` transactions.
+  async listTradeTransactions({ fromSlot = null, toSlot = null, from = null, to = null, after = null, limit = 500 } = {}) {
+    let query = this.client
+      .from('trades')
+      .select('transaction_signature, block_number, raw_data')
+      .not('raw_data', 'is', null)
+      .not('block_number', 'is', null)
+      .order('block_number', { ascending: true })
+      .order('transaction_signature', { ascending: true })
+      .limit(limit);
+
+    if (fromSlot != null) query = query.gte('block_number', fromSlot);
+    if (toSlot != null) query = query.lte('block_number', toSlot);
+    if (from) query = query.gte('timestamp', from);
+    if (to) query = query.lte('timestamp', to);
+    if (after) {
+      query = query.or(`block_number.gt.${after.slot},and(block_number.eq.${after.slot},transaction_signature.gt.${after.signature})`);
+    }
+
+    // Every wallet's row of a transaction carries the same raw_data
+    const rows = unwrap(await query, 'Error listing trade transactions') || [];
+    return rows.filter((row, index) => index === 0 || row.transaction_signature !== rows[index - 1].transaction_signature);
+  }
+
+  // Newest first; `before` is the { timestamp, id } of the last row of the previous page
+  async listTrades({ walletAddress = null, mint = null, tradeType = null, before = null, limit = 50 } = {}) {
+    let query = this.client
+      .from('trades')
+      .select(TRADE_COLUMNS.join(','))
+      .order('timestamp', { ascending: false })
+      .order('id', { ascending: false })
+      .limit(limit);
+
+    if (walletAddress) query = query.eq('wallet_address', walletAddress);
+    if (mint) query = query.eq('token_mint', mint);
+    if (tradeType) query = query.eq('trade_type', tradeType);
+    if (before) {
+      // Rebuilt rather than passed through: the values end up inside a filter expression.
+      // Quoted, as ISO timestamps contain PostgREST's reserved characters.
+      const timestamp = new Date(before.timestamp).toISOString();
+      const id = Number(before.id);
+      if (!Number.isInteger(id)) {
+        throw new Error('Error listing trades: invalid cursor id');
+      }
+      query = query.or(`timestamp.lt."${timestamp}",and(timestamp.eq."${timestamp}",id.lt.${id})`);
+    }
+
+    return unwrap(await query, 'Error listing trades') || [];
+  }
+
+  async upsertWalletStats(row) {
+    unwrap(await this.client
+      .from('wallet_stats')
+      .upsert(row, { onConflict: 'wallet_address' }), 'Error storing wallet stats');
+  }
+
+  async getWalletStats(walletAddress) {
+    return unwrap(await this.client
+      .from('wallet_stats')
+      .select('*')
+      .eq('wallet_address', walletAddress)
+      .maybeSingle(), 'Error fetching wallet stats');
+  }
+
+  // ====================
+  // TOKEN METADATA
+  // ====================
+
+  async getTokenMetadata(mint) {
+    return unwrap(await this.client
+      .from('token_metadata')
+      .select('*')
+      .eq('mint', mint)
+      .maybeSingle(), 'Error fetching token metadata');
+  }
+
+  async upsertTokenMetadata(row) {
+    unwrap(await this.client
+      .from('token_metadata')
+      .upsert(row, { onConflict: 'mint' }), 'Error storing token metadata');
+  }
+
+  // ====================
+  // PUMP.FUN LIFECYCLE
+  // ====================
+
+  async getPumpFunToken(mint) {
+    return unwrap(await this.client
+      .from('pump_fun_tokens')
+      .select('*')
+      .eq('mint', mint)
+      .maybeSingle(), 'Error fetching Pump.fun token');
+  }
+
+  async upsertPumpFunTokens(rows) {
+    unwrap(await this.client
+      .from('pump_fun_tokens')
+      .upsert(rows, { onConflict: 'mint' }), 'Error storing Pump.fun tokens');
+  }
+
+  // Most recent launches first
+  async listPumpFunTokens({ status = null, limit = 50, offset = 0 } = {}) {
+    let query = this.client
+      .from('pump_fun_tokens')
+      .select('*')
+      .order('launch_slot', { ascending: false, nullsFirst: false })
+      .range(offset, offset + limit - 1);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    return unwrap(await query, 'Error listing Pump.fun tokens') || [];
+  }
+
+  // ====================
+  // COPY TRADING
+  // ====================
+
+  async getCopyPortfolios() {
+    return unwrap(await this.client
+      .from('copy_trade_portfolios')
+      .select('*')
+      .order('equity_sol', { ascending: false }), 'Error loading copy-trade portfolios') || [];
+  }
+
+  async getCopyPortfolio(walletAddress) {
+    return unwrap(await this.client
+      .from('copy_trade_portfolios')
+      .select('*')
+      .eq('wallet_address', walletAddress)
+      .maybeSingle(), 'Error fetching copy-trade portfolio');
+  }
+
+  async upsertCopyPortfolio(row) {
+    unwrap(await this.client
+      .from('copy_trade_portfolios')
+      .upsert(row, { onConflict: 'wallet_address' }), 'Error storing copy-trade portfolio');
+  }
+
+  async insertCopyFill(row) {
+    unwrap(await this.client
+      .from('copy_trade_fills')
+      .insert(row), 'Error storing copy-trade fill');
+  }
+
+  async listCopyFills(walletAddress, { limit = 100 } = {}) {
+    return unwrap(await this.client
+      .from('copy_trade_fills')
+      .select('*')
+      .eq('wallet_address', walletAddress)
+      .order('created_at', { ascending: false })
+      .limit(limit), 'Error listing copy-trade fills') || [];
+  }
+
+  async insertCopyEquityPoint(row) {
+    unwrap(await this.client
+      .from('copy_trade_equity')
+      .insert(row), 'Error storing copy-trade equity');
+  }
+
+  // The most recent `limit` points, oldest first
+  async listCopyEquity(walletAddress, { limit = 1000 } = {}) {
+    const rows = unwrap(await this.client
+      .from('copy_trade_equity')
+      .select('equity_sol, cash_sol, drawdown, recorded_at')
+      .eq('wallet_address', walletAddress)
+      .order('recorded_at', { ascending: false })
+      .limit(limit), 'Error listing copy-trade equity') || [];
+    return rows.reverse();
+  }
+
+  // ====================
+  // ADMIN
+  // ====================
+
+  async getPauses() {
+    return unwrap(await this.client
+      .from('monitor_pauses')
+      .select('*')
+      .order('paused_at', { ascending: true }), 'Error loading pauses') || [];
+  }
+
+  async upsertPause(row) {
+    unwrap(await this.client
+      .from('monitor_pauses')
+      .upsert(row, { onConflict: 'kind,target' }), 'Error storing pause');
+  }
+
+  // True when a pause was removed
+  async deletePause(kind, target) {
+    const data = unwrap(await this.client
+      .from('monitor_pauses')
+      .delete()
+      .eq('kind', kind)
+      .eq('target', target)
+      .select('kind'), 'Error removing pause');
+
+    return (data?.length || 0) > 0;
+  }
+
+  async insertAuditEntry(row) {
+    unwrap(await this.client
+      .from('admin_audit_log')
+      .insert(row), 'Error writing audit log');
+  }
+
+  async listAuditLog({ limit = 100 } = {}) {
+    return unwrap(await this.client
+      .from('admin_audit_log')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .limit(limit), 'Error fetching audit log') || [];
+  }
+
+  // ====================
+  // SIGNALS
+  // ====================
+
+  async insertSignal(row) {
+    unwrap(await this.client
+      .from('signals')
+      .insert(row), 'Error storing signal');
+  }
+
+  async getRecentSignals({ limit = 50, mint = null } = {}) {
+    let query = this.client
+      .from('signals')
+      .select('*')
+      .order('triggered_at', { ascending: false })
+      .limit(limit);
+
+    if (mint) {
+      query = query.eq('token_mint', mint);
+    }
+
+    return unwrap(await query, 'Error fetching signals') || [];
+  }
+}
+
+module.exports = {
+  SupabaseStore,
+};
@@ -0,0 +1,309 @@
+// Smart Money AI - Log Subscription Manager
+// Tracks request id -> subscription id -> target for every logsSubscribe, diffs the desired
+// target set against the current one so only changes are (un)subscribed, and retries
+// failed subscriptions with backoff.
+
+const STATE = {
+  PENDING: 'pending', // waiting to be sent (socket down or retry scheduled)
+  SUBSCRIBING: 'subscribing', // logsSubscribe sent, no confirmation yet
+  SUBSCRIBED: 'subscribed',
+  FAILED: 'failed', // gave up after maxAttempts
+  UNSUBSCRIBING: 'unsubscribing',
+};
+
+function targetKey(target) {
+  return `${target.type}:${target.address}`;
+}
+
+class SubscriptionManager {
+  constructor({ send, commitment = 'finalized', maxAttempts = 5, retryDelayMs = 2000, maxRetryDelayMs = 5 * 60 * 1000 }) {
+    this.send = send; // (message) => boolean, false when the socket isn't open
+    this.commitment = commitment;
+    this.maxAttempts = maxAttempts;
+    this.retryDelayMs = retryDelayMs;
+    this.maxRetryDelayMs = maxRetryDelayMs;
+
+    this.targets = new Map(); // key -> entry
+    this.requests = new Map(); // request id -> { action, key }
+    this.subscriptions = new Map(); // subscription id -> key
+    this.nextRequestId = 1;
+  }
+
+  // ====================
+  // DIFFING
+  // ====================
+
+  // targets: [{ type: 'program' | 'wallet', address, label }]
+  sync(targets) {
+    const desired = new Map(targets.map(target => [targetKey(target), target]));
+    let added = 0;
+    let removed = 0;
+
+    for (const [key, entry] of this.targets) {
+      if (!desired.has(key) && !entry.removing) {
+        this.remove(key);
+        removed++;
+      }
+    }
+
+    for (const [key, target] of desired) {
+      const entry = this.targets.get(key);
+      if (!entry) {
+        this.add(target);
+        added++;
+      } else if (entry.removing) {
+        // Re-added before the unsubscribe went through; an unsubscribe already sent is
+        // followed by a fresh subscribe once it is acknowledged
+        entry.removing = false;
+      } else if (entry.state === STATE.PENDING && !entry.retryTimer) {
+        this.subscribe(entry);
+      } else if (entry.state === STATE.FAILED) {
+        // Gave up earlier; each sync gets a fresh round of attempts
+        entry.attempts = 0;
+        this.subscribe(entry);
+      }
+    }
+
+    return { added, removed };
+  }
+
+  add(target) {
+    const entry = {
+      key: targetKey(target),
+      type: target.type,
+      address: target.address,
+      label: target.label || null,
+      state: STATE.PENDING,
+      requestId: null,
+      subscriptionId: null,
+      attempts: 0,
+      lastError: null,
+      subscribedAt: null,
+      removing: false,
+      retryTimer: null,
+    };
+    this.targets.set(entry.key, entry);
+    this.subscribe(entry);
+    return entry;
+  }
+
+  remove(key) {
+    const entry = this.targets.get(key);
+    if (!entry) return;
+
+    this.clearRetry(entry);
+
+    if (entry.state === STATE.SUBSCRIBED) {
+      this.unsubscribe(entry);
+    } else if (entry.state === STATE.SUBSCRIBING || entry.state === STATE.UNSUBSCRIBING) {
+      // Unsubscribe as soon as the confirmation arrives, or let the pending one finish
+      entry.removing = true;
+    } else {
+      this.targets.delete(key);
+    }
+  }
+
+  // ====================
+  // RPC MESSAGES
+  // ====================
+
+  subscribe(entry) {
+    const requestId = this.nextRequestId++;
+    const sent = this.send({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'logsSubscribe',
+      params: [
+        {
+          mentions: [entry.address],
+        },
+        {
+          commitment: this.commitment,
+        },
+      ],
+    });
+
+    if (!sent) {
+      entry.state = STATE.PENDING;
+      return;
+    }
+
+    entry.state = STATE.SUBSCRIBING;
+    entry.requestId = requestId;
+    entry.attempts++;
+    this.requests.set(requestId, { action: 'subscribe', key: entry.key });
+  }
+
+  unsubscribe(entry) {
+    const requestId = this.nextRequestId++;
+    entry.removing = true;
+
+    const sent = this.send({
+      jsonrpc: '2.0',
+      id: requestId,
+      method: 'logsUnsubscribe',
+      params: [entry.subscriptionId],
+    });
+
+    if (!sent) {
+      // The subscription dies with the socket anyway
+      this.forget(entry);
+      return;
+    }
+
+    entry.state = STATE.UNSUBSCRIBING;
+    this.requests.set(requestId, { action: 'unsubscribe', key: entry.key });
+  }
+
+  // Returns true when the message was a response to one of our requests
+  handleResponse(message) {
+    if (message.id == null || !this.requests.has(message.id)) return false;
+
+    const { action, key } = this.requests.get(message.id);
+    this.requests.delete(message.id);
+
+    const entry = this.targets.get(key);
+    if (!entry) return true;
+
+    if (action === 'subscribe') {
+      if (message.error) {
+        this.handleFailure(entry, message.error);
+        return true;
+      }
+
+      entry.state = STATE.SUBSCRIBED;
+      entry.subscriptionId = message.result;
+      entry.subscribedAt = new Date().toISOString();
+      entry.lastError = null;
+      this.subscriptions.set(message.result, key);
+
+      if (entry.removing) {
+        this.unsubscribe(entry);
+      }
+      return true;
+    }
+
+    // Unsubscribe: drop it even on error, the server no longer knows the id or will stop sending
+    if (message.error) {
+      console.error(`⚠️ logsUnsubscribe for ${entry.key} failed:`, message.error);
+    }
+
+    if (!entry.removing) {
+      // Wanted again in the meantime: the old subscription id is gone either way
+      this.subscriptions.delete(entry.subscriptionId);
+      entry.subscriptionId = null;
+      entry.subscribedAt = null;
+      entry.attempts = 0;
+      this.subscribe(entry);
+      return true;
+    }
+
+    this.forget(entry);
+    return true;
+  }
+
+  handleFailure(entry, error) {
+    entry.lastError = error?.message || String(error);
+
+    if (entry.removing) {
+      this.targets.delete(entry.key);
+      return;
+    }
+
+    if (entry.attempts >= this.maxAttempts) {
+      entry.state = STATE.FAILED;
+      console.error(`❌ Subscription to ${entry.key} failed permanently after ${entry.attempts} attempts: ${entry.lastError}`);
+      return;
+    }
+
+    entry.state = STATE.PENDING;
+    const delay = Math.min(this.retryDelayMs * 2 ** (entry.attempts - 1), this.maxRetryDelayMs);
+    console.error(`⚠️ Subscription to ${entry.key} failed (${entry.lastError}), retrying in ${Math.round(delay / 1000)}s`);
+
+    entry.retryTimer = setTimeout(() => {
+      entry.retryTimer = null;
+      if (this.targets.get(entry.key) === entry && entry.state === STATE.PENDING) {
+        this.subscribe(entry);
+      }
+    }, delay);
+  }
+
+  forget(entry) {
+    this.clearRetry(entry);
+    if (entry.subscriptionId != null) {
+      this.subscriptions.delete(entry.subscriptionId);
+    }
+    this.targets.delete(entry.key);
+  }
+
+  clearRetry(entry) {
+    if (entry.retryTimer) {
+      clearTimeout(entry.retryTimer);
+      entry.retryTimer = null;
+    }
+  }
+
+  // ====================
+  // CONNECTION LIFECYCLE
+  // ====================
+
+  // Socket closed: every subscription id is void. Targets stay so they resubscribe on reconnect.
+  reset() {
+    this.requests.clear();
+    this.subscriptions.clear();
+
+    for (const [key, entry] of this.targets) {
+      this.clearRetry(entry);
+      if (entry.removing) {
+        this.targets.delete(key);
+        continue;
+      }
+      entry.state = STATE.PENDING;
+      entry.requestId = null;
+      entry.subscriptionId = null;
+      entry.attempts = 0;
+      entry.subscribedAt = null;
+    }
+  }
+
+  // ====================
+  // LOOKUPS & STATUS
+  // ====================
+
+  getTarget(subscriptionId) {
+    const key = this.subscriptions.get(subscriptionId);
+    const entry = key ? this.targets.get(key) : null;
+    return entry ? { type: entry.type, address: entry.address, label: entry.label } : null;
+  }
+
+  getStatus() {
+    const byState = {};
+    for (const state of Object.values(STATE)) byState[state] = 0;
+
+    const targets = [];
+    for (const entry of this.targets.values()) {
+      byState[entry.state]++;
+      targets.push({
+        target: entry.key,
+        label: entry.label,
+        state: entry.state,
+        subscriptionId: entry.subscriptionId,
+        attempts: entry.attempts,
+        lastError: entry.lastError,
+        subscribedAt: entry.subscribedAt,
+      });
+    }
+
+    return {
+      total: this.targets.size,
+      ...byState,
+      targets,
+    };
+  }
+}
+
+module.exports = {
+  SubscriptionManager,
+  SUBSCRIPTION_STATE: STATE,
+  targetKey,
+};
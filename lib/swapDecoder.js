@@ -0,0 +1,169 @@
+// Smart Money AI - Swap Decoder
+// Works out the swap legs of a fetched transaction (getTransaction, encoding: 'json')
+// from token balance and SOL balance deltas.
+
+const { WSOL_MINT, USDC_MINT, USDT_MINT } = require('./constants');
+
+// ====================
+// CONSTANTS
+// ====================
+
+const SOL_DECIMALS = 9;
+const LAMPORTS_PER_SOL = 10 ** SOL_DECIMALS;
+
+// Mints a trade is priced in; the other leg is the token being bought or sold
+const QUOTE_MINTS = new Set([WSOL_MINT, USDC_MINT, USDT_MINT]);
+
+// Deltas smaller than this (in lamports) are rent/fee noise, not a swap leg
+const MIN_SOL_LEG_LAMPORTS = 10000;
+
+// ====================
+// ACCOUNT HELPERS
+// ====================
+
+// Full account list in balance-index order: static keys, then loaded writable, then loaded readonly (v0)
+function getAccountKeys(transaction) {
+  const message = transaction?.transaction?.message;
+  if (!message) return [];
+
+  const staticKeys = (message.accountKeys || []).map(key =>
+    typeof key === 'string' ? key : key.pubkey
+  );
+  const loaded = transaction.meta?.loadedAddresses || {};
+
+  return [...staticKeys, ...(loaded.writable || []), ...(loaded.readonly || [])];
+}
+
+function getSignature(transaction) {
+  return transaction?.signature || transaction?.transaction?.signatures?.[0] || null;
+}
+
+// ====================
+// BALANCE DELTAS
+// ====================
+
+// Raw (integer) token delta per mint for a single owner
+function getTokenDeltas(meta, owner) {
+  const deltas = new Map();
+
+  const apply = (balances, sign) => {
+    for (const balance of balances || []) {
+      if (balance.owner !== owner) continue;
+
+      const entry = deltas.get(balance.mint) || {
+        mint: balance.mint,
+        decimals: balance.uiTokenAmount?.decimals ?? 0,
+        raw: 0n,
+      };
+      entry.raw += sign * BigInt(balance.uiTokenAmount?.amount || '0');
+      deltas.set(balance.mint, entry);
+    }
+  };
+
+  apply(meta.preTokenBalances, -1n);
+  apply(meta.postTokenBalances, 1n);
+
+  return deltas;
+}
+
+// Native SOL delta for an account, with the network fee added back for the fee payer
+function getSolDelta(meta, accountKeys, walletAddress) {
+  const index = accountKeys.indexOf(walletAddress);
+  if (index === -1) return 0n;
+
+  const pre = BigInt(meta.preBalances?.[index] ?? 0);
+  const post = BigInt(meta.postBalances?.[index] ?? 0);
+  const fee = index === 0 ? BigInt(meta.fee || 0) : 0n;
+
+  return post - pre + fee;
+}
+
+function toUiAmount(raw, decimals) {
+  const negative = raw < 0n;
+  const abs = negative ? -raw : raw;
+  const base = 10n ** BigInt(decimals);
+  const value = Number(abs / base) + Number(abs % base) / Number(base);
+  return negative ? -value : value;
+}
+
+// ====================
+// SWAP DECODING
+// ====================
+
+// Decode the swap made by `walletAddress` (defaults to the fee payer).
+// Returns null when the wallet has no opposing in/out legs in this transaction.
+function decodeSwap(transaction, walletAddress = null) {
+  const meta = transaction?.meta;
+  if (!meta || meta.err) return null;
+
+  const accountKeys = getAccountKeys(transaction);
+  const feePayer = accountKeys[0] || null;
+  const wallet = walletAddress || feePayer;
+  if (!wallet) return null;
+
+  const tokenDeltas = getTokenDeltas(meta, wallet);
+
+  // Native SOL and wrapped SOL are the same asset: fold them into one WSOL leg
+  const wsol = tokenDeltas.get(WSOL_MINT) || { mint: WSOL_MINT, decimals: SOL_DECIMALS, raw: 0n };
+  wsol.raw += getSolDelta(meta, accountKeys, wallet);
+  if (wsol.raw > -BigInt(MIN_SOL_LEG_LAMPORTS) && wsol.raw < BigInt(MIN_SOL_LEG_LAMPORTS)) {
+    tokenDeltas.delete(WSOL_MINT);
+  } else {
+    tokenDeltas.set(WSOL_MINT, wsol);
+  }
+
+  const legs = Array.from(tokenDeltas.values())
+    .filter(leg => leg.raw !== 0n)
+    .map(leg => ({ ...leg, amount: toUiAmount(leg.raw, leg.decimals) }));
+
+  // Largest outflow is what was sold, largest inflow is what was bought
+  const byMagnitude = (a, b) => Math.abs(b.amount) - Math.abs(a.amount);
+  const input = legs.filter(leg => leg.raw < 0n).sort(byMagnitude)[0];
+  const output = legs.filter(leg => leg.raw > 0n).sort(byMagnitude)[0];
+
+  if (!input || !output) return null;
+
+  const inputAmount = Math.abs(input.amount);
+  const outputAmount = output.amount;
+
+  let tradeType = 'swap';
+  let tokenMint = output.mint;
+  let price = inputAmount / outputAmount; // input per unit of output
+
+  if (QUOTE_MINTS.has(input.mint) && !QUOTE_MINTS.has(output.mint)) {
+    tradeType = 'buy';
+  } else if (QUOTE_MINTS.has(output.mint) && !QUOTE_MINTS.has(input.mint)) {
+    tradeType = 'sell';
+    tokenMint = input.mint;
+    price = outputAmount / inputAmount; // still quote per token
+  }
+
+  return {
+    signature: getSignature(transaction),
+    slot: transaction.slot ?? null,
+    blockTime: transaction.blockTime ?? null,
+    walletAddress: wallet,
+    feePayer,
+    fee: meta.fee || 0,
+    tradeType,
+    tokenMint,
+    inputMint: input.mint,
+    inputAmount,
+    inputDecimals: input.decimals,
+    outputMint: output.mint,
+    outputAmount,
+    outputDecimals: output.decimals,
+    price: Number.isFinite(price) ? price : null,
+    quoteMint: tradeType === 'buy' ? input.mint : tradeType === 'sell' ? output.mint : null,
+  };
+}
+
+module.exports = {
+  QUOTE_MINTS,
+  LAMPORTS_PER_SOL,
+  getAccountKeys,
+  getSignature,
+  getTokenDeltas,
+  getSolDelta,
+  decodeSwap,
+};
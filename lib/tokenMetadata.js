@@ -0,0 +1,201 @@
+// Smart Money AI - Token Metadata
+// Resolves a mint's decimals (SPL mint account) and name, symbol and uri (Metaplex metadata PDA)
+// with a single getMultipleAccounts call. Results are kept in memory and in token_metadata,
+// so each mint costs one RPC round trip for the life of the database.
+
+const crypto = require('crypto');
+const { SYSTEM_ACCOUNT_IDS, WSOL_MINT, USDC_MINT, USDT_MINT } = require('./constants');
+const { base58Decode, base58Encode, isOnCurveBytes } = require('./solanaAddress');
+
+const METADATA_PROGRAM_ID = SYSTEM_ACCOUNT_IDS.METADATA_PROGRAM;
+
+// SPL Token and Token-2022 mints share this layout: mint authority option (36), supply (8), decimals
+const MINT_DECIMALS_OFFSET = 44;
+
+// Metadata account: key (1), update authority (32), mint (32), then name, symbol and uri
+const METADATA_STRINGS_OFFSET = 65;
+
+// Never looked up: the quote mints every trade is priced in
+const KNOWN_TOKENS = [
+  { mint: WSOL_MINT, decimals: 9, symbol: 'SOL', name: 'Wrapped SOL', uri: null },
+  { mint: USDC_MINT, decimals: 6, symbol: 'USDC', name: 'USD Coin', uri: null },
+  { mint: USDT_MINT, decimals: 6, symbol: 'USDT', name: 'USDT', uri: null },
+];
+
+// First bump (255 down) whose seed hash is off the ed25519 curve
+function findProgramAddress(seeds, programId) {
+  const program = base58Decode(programId);
+  for (let bump = 255; bump >= 0; bump--) {
+    const hash = crypto.createHash('sha256')
+      .update(Buffer.concat([...seeds, Buffer.from([bump]), program, Buffer.from('ProgramDerivedAddress')]))
+      .digest();
+    if (!isOnCurveBytes(hash)) return base58Encode(hash);
+  }
+  throw new Error('Unable to find a viable program address bump seed');
+}
+
+function getMetadataAddress(mint) {
+  return findProgramAddress([
+    Buffer.from('metadata'),
+    base58Decode(METADATA_PROGRAM_ID),
+    base58Decode(mint),
+  ], METADATA_PROGRAM_ID);
+}
+
+// Borsh strings, NUL-padded by Metaplex to fixed lengths
+function parseMetadata(data) {
+  let offset = METADATA_STRINGS_OFFSET;
+  const readString = () => {
+    const length = data.readUInt32LE(offset);
+    const value = data.subarray(offset + 4, offset + 4 + length).toString('utf8');
+    offset += 4 + length;
+    return value.replace(/\0/g, '').trim() || null;
+  };
+
+  return { name: readString(), symbol: readString(), uri: readString() };
+}
+
+class TokenMetadataService {
+  constructor({ rpc, store, maxEntries = 10000, retryAfterMs = 10 * 60 * 1000 }) {
+    this.rpc = rpc;
+    this.store = store;
+    this.maxEntries = maxEntries;
+    this.retryAfterMs = retryAfterMs; // after a failed or empty lookup
+
+    this.known = new Map(KNOWN_TOKENS.map(token => [token.mint, token])); // outside the LRU, never evicted
+    this.cache = new Map(); // insertion order = LRU order
+    this.pending = new Map(); // mint -> in-flight lookup
+    this.failedAt = new Map();
+
+    this.stats = {
+      hits: 0,
+      loaded: 0, // from token_metadata
+      resolved: 0, // from RPC
+      failed: 0,
+    };
+  }
+
+  // Cached entry or null; never waits on the database or RPC
+  peek(mint) {
+    return this.known.get(mint) || this.cache.get(mint) || null;
+  }
+
+  // { mint, decimals, symbol, name, uri }, or null when it can't be resolved right now.
+  // Concurrent calls for one mint share a lookup.
+  async get(mint) {
+    const known = this.known.get(mint);
+    if (known) {
+      this.stats.hits++;
+      return known;
+    }
+
+    const cached = this.cache.get(mint);
+    if (cached) {
+      this.stats.hits++;
+      this.remember(cached);
+      return cached;
+    }
+
+    if (this.pending.has(mint)) {
+      return this.pending.get(mint);
+    }
+    if (Date.now() - (this.failedAt.get(mint) || 0) < this.retryAfterMs) {
+      return null;
+    }
+
+    const lookup = this.resolve(mint).finally(() => this.pending.delete(mint));
+    this.pending.set(mint, lookup);
+    return lookup;
+  }
+
+  async resolve(mint) {
+    try {
+      const stored = await this.store.getTokenMetadata(mint);
+      if (stored) {
+        this.stats.loaded++;
+        return this.remember(stored);
+      }
+
+      const fetched = await this.fetch(mint);
+      if (!fetched) {
+        this.markFailed(mint);
+        return null;
+      }
+
+      this.stats.resolved++;
+      try {
+        await this.store.upsertTokenMetadata(fetched);
+      } catch (error) {
+        console.error('❌ Error storing token metadata:', error.message);
+      }
+      return this.remember(fetched);
+
+    } catch (error) {
+      console.error(`❌ Error resolving token metadata for ${mint.substring(0, 8)}...:`, error.message);
+      this.markFailed(mint);
+      return null;
+    }
+  }
+
+  // Null when the mint account doesn't exist (yet) or isn't a mint
+  async fetch(mint) {
+    const result = await this.rpc.call('getMultipleAccounts', [
+      [mint, getMetadataAddress(mint)],
+      { encoding: 'base64', commitment: 'confirmed' },
+    ]);
+    const [mintAccount, metadataAccount] = result?.value || [];
+
+    const mintData = mintAccount ? Buffer.from(mintAccount.data[0], 'base64') : null;
+    if (!mintData || mintData.length <= MINT_DECIMALS_OFFSET) return null;
+
+    // Tokens without a Metaplex account (e.g. Token-2022 metadata extension) keep decimals only
+    let metadata = { name: null, symbol: null, uri: null };
+    if (metadataAccount?.owner === METADATA_PROGRAM_ID) {
+      try {
+        metadata = parseMetadata(Buffer.from(metadataAccount.data[0], 'base64'));
+      } catch (error) {
+        console.error(`⚠️ Unreadable Metaplex metadata for ${mint.substring(0, 8)}...:`, error.message);
+      }
+    }
+
+    return {
+      mint,
+      decimals: mintData[MINT_DECIMALS_OFFSET],
+      symbol: metadata.symbol,
+      name: metadata.name,
+      uri: metadata.uri,
+      updated_at: new Date().toISOString(),
+    };
+  }
+
+  remember(token) {
+    this.cache.delete(token.mint);
+    this.cache.set(token.mint, token);
+    if (this.cache.size > this.maxEntries) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    return token;
+  }
+
+  markFailed(mint) {
+    this.stats.failed++;
+    this.failedAt.set(mint, Date.now());
+    if (this.failedAt.size > this.maxEntries) {
+      this.failedAt.delete(this.failedAt.keys().next().value);
+    }
+  }
+
+  getStats() {
+    return {
+      cached: this.cache.size,
+      pending: this.pending.size,
+      ...this.stats,
+    };
+  }
+}
+
+module.exports = {
+  TokenMetadataService,
+  getMetadataAddress,
+  parseMetadata,
+};
@@ -0,0 +1,295 @@
+// Smart Money AI - Transaction Fetch Queue
+// Resolves full transactions for DEX signatures with bounded concurrency, a token-bucket
+// rate limit and retries. Tracked-wallet signatures jump ahead of general DEX traffic, and
+// background lookups (candidate profiling) wait behind both.
+
+const PRIORITY = {
+  HIGH: 'high',
+  NORMAL: 'normal',
+  LOW: 'low',
+};
+
+// Drain order; load shedding takes from the end
+const PRIORITY_ORDER = [PRIORITY.HIGH, PRIORITY.NORMAL, PRIORITY.LOW];
+
+class TransactionFetchQueue {
+  constructor({
+    fetchTransaction,
+    onTransaction,
+    concurrency = 4,
+    ratePerSecond = 10,
+    maxRetries = 3,
+    retryDelayMs = 1000,
+    maxQueueSize = 5000,
+  }) {
+    this.fetchTransaction = fetchTransaction;
+    this.onTransaction = onTransaction;
+    this.concurrency = concurrency;
+    this.ratePerSecond = ratePerSecond;
+    this.maxRetries = maxRetries;
+    this.retryDelayMs = retryDelayMs;
+    this.maxQueueSize = maxQueueSize;
+
+    this.queues = {
+      [PRIORITY.HIGH]: [],
+      [PRIORITY.NORMAL]: [],
+      [PRIORITY.LOW]: [],
+    };
+    this.items = new Map(); // signature -> item (queued, waiting for retry or in flight)
+    this.active = 0;
+    this.running = false;
+    this.drainTimer = null;
+    this.retryTimers = new Map(); // item -> pending retry timeout
+
+    // Token bucket
+    this.tokens = ratePerSecond;
+    this.lastRefill = Date.now();
+
+    this.stats = {
+      enqueued: 0,
+      fetched: 0,
+      retried: 0,
+      failed: 0,
+      dropped: 0,
+    };
+  }
+
+  // ====================
+  // QUEUEING
+  // ====================
+
+  // Fetch and hand the transaction to onTransaction
+  enqueue(signature, { priority = PRIORITY.NORMAL, context = null } = {}) {
+    const existing = this.items.get(signature);
+
+    if (existing) {
+      // Upgrade a queued general DEX signature once we learn it involves a tracked wallet
+      this.raisePriority(existing, priority);
+      if (!existing.analyze) {
+        // Only requested through fetch() so far
+        existing.analyze = true;
+        existing.context = context;
+      }
+      return false;
+    }
+
+    const item = this.add(signature, { priority, context, analyze: true });
+    if (!item) return false;
+
+    this.drain();
+    return true;
+  }
+
+  // Fetch for a caller that handles the transaction itself (onTransaction isn't called unless
+  // the signature is also enqueue()d). Resolves with null once retries are exhausted or the
+  // request is shed.
+  fetch(signature, { priority = PRIORITY.LOW } = {}) {
+    return new Promise((resolve) => {
+      let item = this.items.get(signature);
+
+      if (item) {
+        this.raisePriority(item, priority);
+      } else {
+        item = this.add(signature, { priority, context: null, analyze: false });
+        if (!item) {
+          resolve(null);
+          return;
+        }
+      }
+
+      item.waiters.push(resolve);
+      this.drain();
+    });
+  }
+
+  add(signature, { priority, context, analyze }) {
+    if (this.size() >= this.maxQueueSize) {
+      // Shed the oldest work of the lowest priority, but never for something less urgent.
+      // Tracked wallets are never dropped for it and always get in.
+      const rank = PRIORITY_ORDER.indexOf(priority);
+      const victimQueue = PRIORITY_ORDER.slice(Math.max(rank, 1)).reverse()
+        .map(level => this.queues[level])
+        .find(queue => queue.length > 0);
+      const victim = victimQueue?.shift();
+
+      if (!victim && priority !== PRIORITY.HIGH) {
+        this.stats.dropped++;
+        return null;
+      }
+      if (victim) {
+        this.items.delete(victim.signature);
+        this.settle(victim, null);
+        this.stats.dropped++;
+      }
+    }
+
+    const item = { signature, priority, context, analyze, waiters: [], attempts: 0, state: 'queued' };
+    this.items.set(signature, item);
+    this.queues[priority].push(item);
+    this.stats.enqueued++;
+    return item;
+  }
+
+  raisePriority(item, priority) {
+    if (PRIORITY_ORDER.indexOf(priority) >= PRIORITY_ORDER.indexOf(item.priority)) return;
+
+    if (item.state === 'queued') {
+      this.removeFromQueue(item.priority, item);
+      this.queues[priority].push(item);
+    }
+    item.priority = priority;
+  }
+
+  // Resolve fetch() callers waiting on this item
+  settle(item, transaction) {
+    for (const resolve of item.waiters) resolve(transaction);
+    item.waiters = [];
+  }
+
+  removeFromQueue(priority, item) {
+    const queue = this.queues[priority];
+    const index = queue.indexOf(item);
+    if (index !== -1) queue.splice(index, 1);
+  }
+
+  has(signature) {
+    return this.items.has(signature);
+  }
+
+  size() {
+    return PRIORITY_ORDER.reduce((total, priority) => total + this.queues[priority].length, 0);
+  }
+
+  // ====================
+  // PROCESSING
+  // ====================
+
+  start() {
+    this.running = true;
+    this.drain();
+  }
+
+  // Waiting retries go back to the queue, so a later start() picks them up
+  stop() {
+    this.running = false;
+    if (this.drainTimer) {
+      clearTimeout(this.drainTimer);
+      this.drainTimer = null;
+    }
+    for (const [item, timer] of this.retryTimers) {
+      clearTimeout(timer);
+      item.state = 'queued';
+      this.queues[item.priority].push(item);
+    }
+    this.retryTimers.clear();
+  }
+
+  refillTokens() {
+    const now = Date.now();
+    const elapsed = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.ratePerSecond, this.tokens + elapsed * this.ratePerSecond);
+    this.lastRefill = now;
+  }
+
+  drain() {
+    if (!this.running || this.drainTimer) return;
+
+    while (this.active < this.concurrency && this.size() > 0) {
+      this.refillTokens();
+
+      if (this.tokens < 1) {
+        // Wait until the next token is available
+        const waitMs = Math.ceil(((1 - this.tokens) / this.ratePerSecond) * 1000);
+        this.drainTimer = setTimeout(() => {
+          this.drainTimer = null;
+          this.drain();
+        }, waitMs);
+        return;
+      }
+
+      this.tokens -= 1;
+      const queue = PRIORITY_ORDER.map(priority => this.queues[priority]).find(level => level.length > 0);
+      this.process(queue.shift());
+    }
+  }
+
+  async process(item) {
+    this.active++;
+    item.state = 'in_flight';
+    item.attempts++;
+
+    let transaction = null;
+    let error = null;
+
+    try {
+      transaction = await this.fetchTransaction(item.signature);
+    } catch (err) {
+      error = err;
+    }
+
+    this.active--;
+
+    // A null result means the node hasn't indexed the transaction yet - retry it like a transient error
+    const retryable = error ? error.retryable !== false : !transaction;
+
+    if (transaction) {
+      this.items.delete(item.signature);
+      this.stats.fetched++;
+      this.settle(item, transaction);
+
+      if (item.analyze) {
+        try {
+          await this.onTransaction(transaction, item);
+        } catch (err) {
+          console.error('❌ Error handling fetched transaction:', err);
+        }
+      }
+    } else if (retryable && item.attempts <= this.maxRetries && !this.running) {
+      // Stopped while in flight: no timer, the retry waits in the queue for start()
+      this.stats.retried++;
+      item.state = 'queued';
+      this.queues[item.priority].push(item);
+    } else if (retryable && item.attempts <= this.maxRetries) {
+      this.stats.retried++;
+      item.state = 'retry_wait';
+
+      const delay = this.retryDelayMs * 2 ** (item.attempts - 1);
+      this.retryTimers.set(item, setTimeout(() => {
+        this.retryTimers.delete(item);
+        if (!this.items.has(item.signature)) return;
+        item.state = 'queued';
+        this.queues[item.priority].push(item);
+        this.drain();
+      }, delay));
+    } else {
+      this.items.delete(item.signature);
+      this.settle(item, null);
+      this.stats.failed++;
+      console.error(`❌ Giving up on transaction ${item.signature.substring(0, 16)}... after ${item.attempts} attempt(s):`,
+        error ? error.message : 'not found');
+    }
+
+    this.drain();
+  }
+
+  // ====================
+  // STATUS
+  // ====================
+
+  getStats() {
+    return {
+      queued: {
+        high: this.queues[PRIORITY.HIGH].length,
+        normal: this.queues[PRIORITY.NORMAL].length,
+        low: this.queues[PRIORITY.LOW].length,
+      },
+      inFlight: this.active,
+      ...this.stats,
+    };
+  }
+}
+
+module.exports = {
+  TransactionFetchQueue,
+  PRIORITY,
+};
@@ -0,0 +1,184 @@
+// Smart Money AI - Historical Wallet Profiler
+// Pulls a candidate's recent on-chain history over HTTP RPC (last N signatures plus their
+// transactions) and decodes it into trade rows, so scoring sees the wallet's real track record
+// and not just the few transactions we happened to catch live. Profiles are cached per wallet.
+// Transactions come through `fetchTransaction`, which the monitor points at its fetch queue so
+// profiling shares the getTransaction rate limit with live traffic.
+
+const { decodeSwap } = require('./swapDecoder');
+const { summarizeDexActivity, isSwapActivity } = require('./dexParsers');
+
+class WalletProfiler {
+  constructor({ rpc, fetchTransaction = null, signatureLimit = 100, concurrency = 2, cacheTtlMs = 6 * 60 * 60 * 1000, maxCacheSize = 500 }) {
+    this.rpc = rpc;
+    this.fetchTransaction = fetchTransaction || (signature => this.rpc.call('getTransaction', [
+      signature,
+      {
+        encoding: 'json',
+        commitment: 'finalized',
+        maxSupportedTransactionVersion: 0,
+      },
+    ]));
+    this.signatureLimit = Math.min(signatureLimit, 1000); // getSignaturesForAddress limit
+    this.concurrency = concurrency;
+    this.cacheTtlMs = cacheTtlMs;
+    this.maxCacheSize = maxCacheSize;
+
+    this.cache = new Map(); // wallet -> { profile, expiresAt }
+    this.inFlight = new Map(); // wallet -> Promise, so concurrent callers share one fetch
+
+    this.stats = {
+      profiled: 0,
+      cacheHits: 0,
+      transactionsFetched: 0,
+      transactionsFailed: 0,
+      errors: 0,
+    };
+  }
+
+  // Returns the cached profile while fresh; otherwise fetches. Throws on RPC failure and when
+  // any transaction couldn't be fetched (e.g. shed by a busy fetch queue): a partial history
+  // would be scored and cached as if it were the wallet's whole record.
+  async profile(walletAddress) {
+    const cached = this.cache.get(walletAddress);
+    if (cached && cached.expiresAt > Date.now()) {
+      this.stats.cacheHits++;
+      return { ...cached.profile, from_cache: true };
+    }
+
+    if (this.inFlight.has(walletAddress)) {
+      return this.inFlight.get(walletAddress);
+    }
+
+    const promise = this.fetchProfile(walletAddress)
+      .then(profile => {
+        this.remember(walletAddress, profile);
+        return profile;
+      })
+      .catch(error => {
+        this.stats.errors++;
+        throw error;
+      })
+      .finally(() => this.inFlight.delete(walletAddress));
+
+    this.inFlight.set(walletAddress, promise);
+    return promise;
+  }
+
+  async fetchProfile(walletAddress) {
+    console.log(`📜 Fetching on-chain history for ${walletAddress.substring(0, 8)}... (last ${this.signatureLimit} signatures)`);
+
+    const signatures = await this.rpc.call('getSignaturesForAddress', [
+      walletAddress,
+      {
+        limit: this.signatureLimit,
+        commitment: 'finalized',
+      },
+    ]) || [];
+
+    // Failed transactions moved nothing
+    const successful = signatures.filter(info => !info.err);
+    const transactions = await this.fetchTransactions(successful.map(info => info.signature));
+    if (transactions.length < successful.length) {
+      throw new Error(`Fetched ${transactions.length} of ${successful.length} transactions for ${walletAddress.substring(0, 8)}...`);
+    }
+
+    const trades = [];
+    for (const transaction of transactions) {
+      const swap = decodeSwap(transaction, walletAddress);
+      const activity = summarizeDexActivity(transaction);
+      if (!swap || !isSwapActivity(activity)) continue;
+
+      // Same shape as the `trades` rows scoring reads, so both can be merged
+      trades.push({
+        transaction_signature: swap.signature,
+        trade_type: swap.tradeType,
+        token_mint: swap.tokenMint,
+        token_in_amount: swap.inputAmount,
+        token_out_amount: swap.outputAmount,
+        quote_mint: swap.quoteMint,
+        dex_program_id: activity?.programId || null,
+        timestamp: swap.blockTime ? new Date(swap.blockTime * 1000).toISOString() : null,
+      });
+    }
+    trades.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    const blockTimes = signatures.map(info => info.blockTime).filter(Boolean);
+    this.stats.profiled++;
+
+    return {
+      wallet_address: walletAddress,
+      signature_count: signatures.length,
+      failed_signatures: signatures.length - successful.length,
+      fetched_transactions: transactions.length,
+      decoded_trades: trades.length,
+      first_seen_at: blockTimes.length > 0 ? new Date(Math.min(...blockTimes) * 1000).toISOString() : null,
+      last_seen_at: blockTimes.length > 0 ? new Date(Math.max(...blockTimes) * 1000).toISOString() : null,
+      // A full page means there is older history we didn't look at
+      complete: signatures.length < this.signatureLimit,
+      trades,
+      fetched_at: new Date().toISOString(),
+      from_cache: false,
+    };
+  }
+
+  // Every signature's transaction, `concurrency` requests outstanding at a time; failures
+  // (and transactions the fetch queue gave up on or shed) are left out
+  async fetchTransactions(signatures) {
+    const transactions = [];
+    let next = 0;
+
+    const worker = async () => {
+      while (next < signatures.length) {
+        const signature = signatures[next++];
+        try {
+          const transaction = await this.fetchTransaction(signature);
+          if (transaction) {
+            transactions.push(transaction);
+            this.stats.transactionsFetched++;
+          } else {
+            this.stats.transactionsFailed++;
+          }
+        } catch (error) {
+          this.stats.transactionsFailed++;
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.max(1, this.concurrency) }, worker));
+    return transactions;
+  }
+
+  remember(walletAddress, profile) {
+    this.cache.delete(walletAddress);
+    this.cache.set(walletAddress, { profile, expiresAt: Date.now() + this.cacheTtlMs });
+
+    // Map keeps insertion order: the first key is the oldest entry
+    while (this.cache.size > this.maxCacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  getStats() {
+    return {
+      cached: this.cache.size,
+      inFlight: this.inFlight.size,
+      ...this.stats,
+    };
+  }
+}
+
+// Stored rows win over history rows for the same signature; result is oldest first
+function mergeTradeRows(storedRows, historyRows) {
+  const bySignature = new Map();
+  for (const row of historyRows) bySignature.set(row.transaction_signature, row);
+  for (const row of storedRows) bySignature.set(row.transaction_signature, row);
+
+  return Array.from(bySignature.values())
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+module.exports = {
+  WalletProfiler,
+  mergeTradeRows,
+};
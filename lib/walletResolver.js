@@ -0,0 +1,86 @@
+// Smart Money AI - Wallet Resolver
+// Picks the real user wallets out of a fetched transaction: the fee payer and other signers
+// from the message header, minus programs, mints, sysvars, token accounts, throwaway
+// keypairs, off-curve addresses and the configured denylist.
+
+const {
+  ACTIVE_DEX_PROGRAMS,
+  SYSTEM_ACCOUNT_IDS,
+  WSOL_MINT,
+  USDC_MINT,
+  USDT_MINT,
+  DEFAULT_WALLET_DENYLIST,
+} = require('./constants');
+const { getAccountKeys } = require('./swapDecoder');
+const { isOnCurve } = require('./solanaAddress');
+
+const STATIC_EXCLUSIONS = new Set([
+  ...ACTIVE_DEX_PROGRAMS,
+  ...Object.values(SYSTEM_ACCOUNT_IDS),
+  WSOL_MINT,
+  USDC_MINT,
+  USDT_MINT,
+]);
+
+class WalletResolver {
+  constructor({ denylist = [] } = {}) {
+    this.denylist = new Set([...DEFAULT_WALLET_DENYLIST, ...denylist]);
+  }
+
+  // Returns [{ address, role }] where role is 'fee_payer' or 'signer'
+  resolve(transaction) {
+    const message = transaction?.transaction?.message;
+    const meta = transaction?.meta;
+    if (!message || !meta) return [];
+
+    const accountKeys = getAccountKeys(transaction);
+    const numSigners = message.header?.numRequiredSignatures || 1;
+    const excluded = this.getTransactionExclusions(transaction, accountKeys);
+
+    const wallets = [];
+    for (let index = 0; index < numSigners && index < accountKeys.length; index++) {
+      const address = accountKeys[index];
+
+      if (excluded.has(address) || this.denylist.has(address)) continue;
+
+      // Keypairs created and closed inside the transaction (temporary WSOL accounts etc.)
+      if (index > 0 && !meta.preBalances?.[index] && !meta.postBalances?.[index]) continue;
+
+      if (!isOnCurve(address)) continue;
+
+      wallets.push({ address, role: index === 0 ? 'fee_payer' : 'signer' });
+    }
+
+    return wallets;
+  }
+
+  // Accounts this particular transaction tells us are not wallets
+  getTransactionExclusions(transaction, accountKeys) {
+    const excluded = new Set(STATIC_EXCLUSIONS);
+    const { meta } = transaction;
+    const instructions = transaction.transaction.message.instructions || [];
+
+    // Invoked programs
+    for (const instruction of instructions) {
+      const programId = accountKeys[instruction.programIdIndex];
+      if (programId) excluded.add(programId);
+    }
+
+    // Mints and token accounts
+    for (const balance of [...(meta.preTokenBalances || []), ...(meta.postTokenBalances || [])]) {
+      excluded.add(balance.mint);
+      const tokenAccount = accountKeys[balance.accountIndex];
+      if (tokenAccount) excluded.add(tokenAccount);
+    }
+
+    return excluded;
+  }
+
+  isDenylisted(address) {
+    return this.denylist.has(address);
+  }
+}
+
+module.exports = {
+  WalletResolver,
+};
@@ -0,0 +1,187 @@
+// Smart Money AI - Wallet Scoring Model
+// Scores a candidate wallet analysis from configurable, weighted factors and decides
+// promotion. Every decision carries a per-factor breakdown so promotions can be audited.
+
+const fs = require('fs');
+const { WSOL_MINT } = require('./constants');
+
+// Each factor earns min(value / target, 1) * weight points (negative values earn 0).
+// The total is normalized to 0-100 over the enabled weights.
+const DEFAULT_SCORING_CONFIG = {
+  promotionThreshold: 40,
+  minClosedTrades: 1, // Below this the wallet is rejected without scoring
+  factors: {
+    pnl: { weight: 25, target: 10 }, // realized profit in SOL
+    win_rate: { weight: 25, target: 0.6 }, // share of winning closed trades
+    roi: { weight: 20, target: 1 }, // realized ROI (1 = +100%)
+    dex_diversity: { weight: 10, target: 3 }, // distinct DEX programs traded on
+    trade_size: { weight: 10, target: 5 }, // average SOL per trade
+    trading_span: { weight: 10, target: 30 }, // days since the oldest trade we know of (not account age)
+  },
+};
+
+// ====================
+// FACTOR EXTRACTORS
+// ====================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FACTOR_EXTRACTORS = {
+  pnl: (analysis) => analysis.pnl?.realized_pnl_sol ?? null,
+  win_rate: (analysis) => analysis.pnl?.win_rate ?? null,
+  roi: (analysis) => analysis.pnl?.roi ?? null,
+  dex_diversity: (analysis) => analysis.activity?.dex_programs?.length ?? null,
+  trade_size: (analysis) => analysis.activity?.avg_trade_size_sol ?? null,
+  // Days from the oldest stored or profiled trade, not the account's creation. Measured at
+  // analysis time, so replayed history is scored as of its own time.
+  trading_span: (analysis) => {
+    const firstSeen = analysis.activity?.first_seen_at;
+    if (!firstSeen) return null;
+    const analyzedAt = analysis.analysis_timestamp ? new Date(analysis.analysis_timestamp).getTime() : Date.now();
+    return Math.max(0, (analyzedAt - new Date(firstSeen).getTime()) / DAY_MS);
+  },
+};
+
+// Activity summary over stored `trades` rows, used by the diversity/size/span factors
+function summarizeActivity(tradeRows = []) {
+  const dexPrograms = new Set();
+  let solVolume = 0;
+  let solTrades = 0;
+  let firstSeen = null;
+
+  for (const row of tradeRows) {
+    if (row.dex_program_id) dexPrograms.add(row.dex_program_id);
+
+    const solAmount = row.trade_type === 'buy' ? row.token_in_amount
+      : row.trade_type === 'sell' ? row.token_out_amount
+      : null;
+    if (solAmount != null && row.quote_mint === WSOL_MINT) {
+      solVolume += Number(solAmount);
+      solTrades++;
+    }
+
+    if (row.timestamp && (!firstSeen || new Date(row.timestamp) < new Date(firstSeen))) {
+      firstSeen = row.timestamp;
+    }
+  }
+
+  return {
+    dex_programs: Array.from(dexPrograms),
+    avg_trade_size_sol: solTrades > 0 ? solVolume / solTrades : null,
+    sol_volume: solVolume,
+    first_seen_at: firstSeen,
+  };
+}
+
+// ====================
+// SCORING MODEL
+// ====================
+
+class WalletScoringModel {
+  constructor(scoringConfig = {}) {
+    this.config = mergeConfig(DEFAULT_SCORING_CONFIG, scoringConfig);
+    this.extractors = { ...FACTOR_EXTRACTORS };
+  }
+
+  // Plug in an extra factor; give it a weight/target in the config to enable it
+  registerFactor(name, extractor, { weight = 0, target = 1 } = {}) {
+    this.extractors[name] = extractor;
+    if (!this.config.factors[name]) {
+      this.config.factors[name] = { weight, target };
+    }
+  }
+
+  // Returns { score, promote, reason, breakdown }
+  evaluate(analysis) {
+    const breakdown = {};
+    let earned = 0;
+    let totalWeight = 0;
+
+    for (const [name, factorConfig] of Object.entries(this.config.factors)) {
+      const { weight = 0, target = 1, enabled = true } = factorConfig;
+      const extractor = this.extractors[name];
+      if (!enabled || weight <= 0 || !extractor) continue;
+
+      const value = extractor(analysis);
+      const normalized = value == null || target <= 0
+        ? 0
+        : Math.min(Math.max(value / target, 0), 1);
+      const points = normalized * weight;
+
+      breakdown[name] = {
+        value,
+        target,
+        weight,
+        points: Math.round(points * 100) / 100,
+      };
+      earned += points;
+      totalWeight += weight;
+    }
+
+    const score = totalWeight > 0 ? Math.round((earned / totalWeight) * 100) : 0;
+    const closedTrades = analysis.pnl?.closed_trades || 0;
+    const { promotionThreshold, minClosedTrades } = this.config;
+
+    let promote = score >= promotionThreshold;
+    let reason = promote
+      ? `Score ${score} >= ${promotionThreshold}`
+      : `Score too low: ${score} < ${promotionThreshold}`;
+
+    if (closedTrades < minClosedTrades) {
+      promote = false;
+      reason = `Not enough closed trades: ${closedTrades} < ${minClosedTrades}`;
+    }
+
+    return {
+      score,
+      promote,
+      reason,
+      breakdown: {
+        factors: breakdown,
+        threshold: promotionThreshold,
+        min_closed_trades: minClosedTrades,
+        scored_at: new Date().toISOString(),
+      },
+    };
+  }
+}
+
+// ====================
+// CONFIG LOADING
+// ====================
+
+function mergeConfig(base, override) {
+  const factors = { ...base.factors };
+  for (const [name, factor] of Object.entries(override.factors || {})) {
+    factors[name] = { ...(factors[name] || {}), ...factor };
+  }
+  return { ...base, ...override, factors };
+}
+
+// JSON file (SCORING_CONFIG_PATH) first, then single-value env overrides
+function loadScoringConfig({ path = null, promotionThreshold = null } = {}) {
+  let scoringConfig = {};
+
+  if (path) {
+    try {
+      scoringConfig = JSON.parse(fs.readFileSync(path, 'utf8'));
+      console.log(`📐 Loaded scoring config from ${path}`);
+    } catch (error) {
+      console.error(`❌ Failed to load scoring config from ${path}:`, error.message);
+    }
+  }
+
+  if (promotionThreshold != null && !Number.isNaN(promotionThreshold)) {
+    scoringConfig.promotionThreshold = promotionThreshold;
+  }
+
+  return scoringConfig;
+}
+
+module.exports = {
+  WalletScoringModel,
+  DEFAULT_SCORING_CONFIG,
+  FACTOR_EXTRACTORS,
+  summarizeActivity,
+  loadScoringConfig,
+};
@@ -0,0 +1,295 @@
+// Smart Money AI - Write Buffer
+// Batches high-volume upserts per table. Rows are flushed when a table's batch is full or
+// every flush interval, and duplicate keys within a batch are coalesced into one row. Past the
+// high-water mark, add() waits and onPressure() fires so the caller can pause its sources.
+
+class WriteBuffer {
+  constructor({
+    tables, // name -> { key: (row) => string, write: (rows) => Promise, keepFirst: boolean, index: (row) => value }
+    maxBatchSize = 500,
+    flushIntervalMs = 1000,
+    maxBufferedRows = 10000,
+    maxRetries = 3,
+    retryDelayMs = 500,
+    onPressure = () => {}, // (true) above the high-water mark, (false) once drained to half
+    onBatch = () => {}, // ({ table, rows, durationMs, ok }) after every write attempt
+  }) {
+    this.maxBatchSize = maxBatchSize;
+    this.flushIntervalMs = flushIntervalMs;
+    this.maxBufferedRows = maxBufferedRows;
+    this.maxRetries = maxRetries;
+    this.retryDelayMs = retryDelayMs;
+    this.onPressure = onPressure;
+    this.onBatch = onBatch;
+
+    this.tables = new Map();
+    for (const [name, options] of Object.entries(tables)) {
+      this.tables.set(name, {
+        name,
+        key: options.key,
+        write: options.write,
+        keepFirst: options.keepFirst || false, // insert-if-absent tables keep the first row seen
+        index: options.index || null, // optional lookup column for pendingRows(table, value)
+        pending: new Map(), // key -> row
+        pendingByIndex: new Map(), // index value -> Set of keys in `pending`
+        writing: [], // batch being written: out of `pending`, not yet in the store
+        writingByIndex: new Map(), // index value -> rows in `writing`
+        flushing: null,
+        stats: {
+          added: 0,
+          coalesced: 0,
+          flushedRows: 0,
+          batches: 0,
+          failedBatches: 0,
+          droppedRows: 0,
+          lastBatchSize: 0,
+          lastBatchMs: null,
+          totalBatchMs: 0,
+          maxBatchMs: 0,
+        },
+      });
+    }
+
+    this.timer = null;
+    this.underPressure = false;
+    this.waiters = []; // add() calls waiting for room
+    this.pressureEvents = 0;
+  }
+
+  get buffered() {
+    let total = 0;
+    for (const table of this.tables.values()) total += table.pending.size;
+    return total;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.flushAll().catch(error => console.error('❌ Error flushing write buffer:', error));
+    }, this.flushIntervalMs);
+  }
+
+  // Stops the timer and writes out everything still buffered
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    await this.flushAll();
+  }
+
+  // ====================
+  // BUFFERING
+  // ====================
+
+  // Resolves once the row is buffered; waits while the buffer is over its limit
+  async add(tableName, row) {
+    const table = this.tables.get(tableName);
+    if (!table) {
+      throw new Error(`Write buffer has no table ${tableName}`);
+    }
+
+    while (this.buffered >= this.maxBufferedRows) {
+      this.setPressure(true);
+      await new Promise(resolve => this.waiters.push(resolve));
+    }
+
+    const key = table.key(row);
+    const existing = table.pending.get(key);
+    table.stats.added++;
+
+    if (existing) {
+      table.stats.coalesced++;
+      if (!table.keepFirst) {
+        this.unindex(table, key, existing);
+        table.pending.set(key, { ...existing, ...row });
+        this.reindex(table, key, table.pending.get(key));
+      }
+    } else {
+      table.pending.set(key, row);
+      this.reindex(table, key, row);
+    }
+
+    if (this.buffered >= this.maxBufferedRows) {
+      this.setPressure(true);
+    }
+    if (table.pending.size >= this.maxBatchSize) {
+      this.flushTable(tableName).catch(error => console.error(`❌ Error flushing ${tableName}:`, error));
+    }
+  }
+
+  // Rows added but not yet written, for readers that can't wait for the next flush. With
+  // `value`, only rows whose index column equals it, found without scanning the buffer.
+  pendingRows(tableName, value) {
+    const table = this.tables.get(tableName);
+    if (!table) {
+      throw new Error(`Write buffer has no table ${tableName}`);
+    }
+    if (value === undefined) {
+      return [...table.writing, ...table.pending.values()];
+    }
+    if (!table.index) {
+      throw new Error(`Write buffer table ${tableName} has no index`);
+    }
+
+    const keys = table.pendingByIndex.get(value) || [];
+    return [...(table.writingByIndex.get(value) || []), ...Array.from(keys, key => table.pending.get(key))];
+  }
+
+  reindex(table, key, row) {
+    if (!table.index) return;
+    const value = table.index(row);
+    if (!table.pendingByIndex.has(value)) table.pendingByIndex.set(value, new Set());
+    table.pendingByIndex.get(value).add(key);
+  }
+
+  unindex(table, key, row) {
+    if (!table.index) return;
+    const value = table.index(row);
+    const keys = table.pendingByIndex.get(value);
+    keys?.delete(key);
+    if (keys?.size === 0) table.pendingByIndex.delete(value);
+  }
+
+  // The batch being written, indexed like `pending`
+  setWriting(table, rows) {
+    table.writing = rows;
+    table.writingByIndex.clear();
+    if (!table.index) return;
+    for (const row of rows) {
+      const value = table.index(row);
+      if (!table.writingByIndex.has(value)) table.writingByIndex.set(value, []);
+      table.writingByIndex.get(value).push(row);
+    }
+  }
+
+  setPressure(underPressure) {
+    if (this.underPressure === underPressure) return;
+    this.underPressure = underPressure;
+
+    if (underPressure) {
+      this.pressureEvents++;
+      console.log(`⏸️ Write buffer full (${this.buffered} rows), applying backpressure`);
+    } else {
+      console.log(`▶️ Write buffer drained (${this.buffered} rows), resuming`);
+    }
+    this.onPressure(underPressure);
+  }
+
+  // ====================
+  // FLUSHING
+  // ====================
+
+  async flushAll() {
+    await Promise.all(Array.from(this.tables.keys()).map(name => this.flushTable(name)));
+  }
+
+  // Writes the table out in batches; concurrent callers wait for the flush in progress
+  async flushTable(tableName) {
+    const table = this.tables.get(tableName);
+
+    while (table.flushing) {
+      await table.flushing;
+    }
+    if (table.pending.size === 0) return;
+
+    table.flushing = (async () => {
+      while (table.pending.size > 0) {
+        const rows = [];
+        for (const [key, row] of table.pending) {
+          rows.push(row);
+          table.pending.delete(key);
+          this.unindex(table, key, row);
+          if (rows.length >= this.maxBatchSize) break;
+        }
+        this.setWriting(table, rows);
+        await this.writeBatch(table, rows);
+        this.setWriting(table, []);
+        this.release();
+      }
+    })();
+
+    try {
+      await table.flushing;
+    } finally {
+      table.flushing = null;
+    }
+  }
+
+  async writeBatch(table, rows) {
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      const startedAt = Date.now();
+
+      try {
+        await table.write(rows);
+
+        const elapsed = Date.now() - startedAt;
+        table.stats.batches++;
+        table.stats.flushedRows += rows.length;
+        table.stats.lastBatchSize = rows.length;
+        table.stats.lastBatchMs = elapsed;
+        table.stats.totalBatchMs += elapsed;
+        table.stats.maxBatchMs = Math.max(table.stats.maxBatchMs, elapsed);
+        this.onBatch({ table: table.name, rows: rows.length, durationMs: elapsed, ok: true });
+        console.log(`💾 Flushed ${rows.length} ${table.name} row(s) in ${elapsed}ms`);
+        return;
+
+      } catch (error) {
+        table.stats.failedBatches++;
+        this.onBatch({ table: table.name, rows: rows.length, durationMs: Date.now() - startedAt, ok: false });
+        console.error(`⚠️ Writing ${rows.length} ${table.name} row(s) failed (attempt ${attempt + 1}): ${error.message}`);
+
+        if (attempt < this.maxRetries) {
+          await new Promise(resolve => setTimeout(resolve, this.retryDelayMs * 2 ** attempt));
+        }
+      }
+    }
+
+    table.stats.droppedRows += rows.length;
+    console.error(`❌ Dropped ${rows.length} ${table.name} row(s) after ${this.maxRetries + 1} attempts`);
+  }
+
+  // Wake waiting add() calls and lift backpressure once drained to half the limit
+  release() {
+    const buffered = this.buffered;
+
+    if (buffered < this.maxBufferedRows && this.waiters.length > 0) {
+      const waiters = this.waiters;
+      this.waiters = [];
+      waiters.forEach(resolve => resolve());
+    }
+    if (this.underPressure && buffered <= this.maxBufferedRows / 2) {
+      this.setPressure(false);
+    }
+  }
+
+  // ====================
+  // METRICS
+  // ====================
+
+  getStats() {
+    const tables = {};
+    for (const [name, table] of this.tables) {
+      const { totalBatchMs, ...stats } = table.stats;
+      tables[name] = {
+        pending: table.pending.size,
+        flushing: Boolean(table.flushing),
+        ...stats,
+        avgBatchMs: stats.batches > 0 ? Math.round(totalBatchMs / stats.batches) : null,
+      };
+    }
+
+    return {
+      buffered: this.buffered,
+      maxBufferedRows: this.maxBufferedRows,
+      underPressure: this.underPressure,
+      pressureEvents: this.pressureEvents,
+      waiting: this.waiters.length,
+      tables,
+    };
+  }
+}
+
+module.exports = {
+  WriteBuffer,
+};
@@ -0,0 +1,134 @@
+// Smart Money AI - Admin API tests
+// AdminApi behind a local HTTP server, auditing into the in-memory store. The monitor is a
+// stand-in that records the calls it gets.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { AdminApi } = require('../lib/adminApi');
+const { MemoryStore } = require('./helpers/memoryStore');
+
+const WALLET = '2o32pXgN5JiXbcRvJNAS2X7b5m66sZkay1AdGzxCzdFU';
+
+function recordingMonitor() {
+  const calls = [];
+  return {
+    calls,
+    trackedWallets: new Set(),
+    pausedWallets: new Set(),
+    pausedDexes: new Set(),
+    trackWallet: async (address, options) => { calls.push(['trackWallet', address, options]); },
+    untrackWallet: async (address) => {
+      calls.push(['untrackWallet', address]);
+      return false;
+    },
+    setPaused: async (kind, target, paused, options) => {
+      calls.push(['setPaused', kind, target, paused, options]);
+      return true;
+    },
+    refreshTrackedWallets: async () => { calls.push(['refreshTrackedWallets']); },
+  };
+}
+
+describe('AdminApi', () => {
+  const consoleLog = console.log;
+  const consoleError = console.error;
+  let server;
+  let baseUrl;
+  let store;
+  let monitor;
+  let admin;
+
+  before(async () => {
+    console.log = () => {};
+    console.error = () => {};
+    server = http.createServer((req, res) => admin.handle(req, res, new URL(req.url, 'http://localhost')));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    console.log = consoleLog;
+    console.error = consoleError;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    store = new MemoryStore();
+    monitor = recordingMonitor();
+    admin = new AdminApi({ monitor, store, adminKeys: ['alice:alice-key', 'bare-key'] });
+  });
+
+  async function request(method, path, { body, key = 'alice-key' } = {}) {
+    const response = await fetch(`${baseUrl}/v1/admin${path}`, {
+      method,
+      headers: key ? { Authorization: `Bearer ${key}` } : {},
+      body: typeof body === 'string' ? body : body && JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  it('needs an admin key and names the actor from it', async () => {
+    assert.equal((await request('POST', '/refresh', { key: null })).status, 401);
+    assert.equal((await request('POST', '/refresh', { key: 'read-key' })).status, 401);
+
+    const viaHeader = await fetch(`${baseUrl}/v1/admin/refresh`, { method: 'POST', headers: { 'X-API-Key': 'bare-key' } });
+    assert.equal(viaHeader.status, 200);
+    assert.equal((await request('POST', '/refresh')).status, 200);
+
+    const entries = await store.listAuditLog();
+    assert.deepEqual(entries.map(entry => entry.actor).sort(), ['admin-2', 'alice']);
+    assert.equal(store.tables.admin_audit_log.length, 2);
+  });
+
+  it('routes by path and method', async () => {
+    assert.deepEqual(await request('POST', '/nothing'), { status: 404, body: { error: 'No route for /v1/admin/nothing' } });
+    assert.deepEqual(await request('GET', '/wallets'), { status: 405, body: { error: 'Use POST' } });
+    assert.equal(store.tables.admin_audit_log.length, 0);
+  });
+
+  it('audits a successful action with its actor, target and body', async () => {
+    const { status, body } = await request('POST', '/wallets', { body: { address: WALLET, display_name: 'whale' } });
+    assert.equal(status, 200);
+    assert.deepEqual(body, { wallet_address: WALLET, tracked: true });
+    assert.deepEqual(monitor.calls, [['trackWallet', WALLET, { displayName: 'whale' }]]);
+
+    const [entry] = await store.listAuditLog();
+    assert.equal(entry.actor, 'alice');
+    assert.equal(entry.action, 'track_wallet');
+    assert.equal(entry.target, WALLET);
+    assert.deepEqual(entry.params, { address: WALLET, display_name: 'whale' });
+    assert.equal(entry.success, true);
+    assert.deepEqual(entry.result, body);
+  });
+
+  it('audits failed actions too', async () => {
+    assert.equal((await request('POST', '/wallets', { body: { address: 'nope' } })).status, 400);
+    assert.equal((await request('DELETE', `/wallets/${WALLET}`)).status, 404);
+
+    const entries = await store.listAuditLog();
+    assert.deepEqual(entries.map(({ action, success, error }) => ({ action, success, error })), [
+      { action: 'untrack_wallet', success: false, error: `Wallet ${WALLET} not found` },
+      { action: 'track_wallet', success: false, error: 'address is not a valid Solana address' },
+    ]);
+    assert.deepEqual(monitor.calls, [['untrackWallet', WALLET]]);
+  });
+
+  it('validates bodies and path parameters', async () => {
+    assert.deepEqual(await request('POST', '/wallets', { body: '{"address":' }), { status: 400, body: { error: 'Body is not valid JSON' } });
+    assert.deepEqual(await request('POST', '/wallets', { body: [WALLET] }), { status: 400, body: { error: 'Body must be a JSON object' } });
+    assert.equal((await request('POST', '/dexes/UNISWAP/pause')).status, 400);
+    assert.deepEqual(await request('POST', `/candidates/${WALLET}/reject`, { body: {} }), { status: 400, body: { error: 'reason is required' } });
+    assert.equal((await request('POST', `/candidates/${WALLET}/promote`, { body: { score: 101 } })).status, 400);
+    assert.equal((await request('POST', '/wallets', { body: 'x'.repeat(70 * 1024) })).status, 413);
+  });
+
+  it('passes the actor and reason through to pauses', async () => {
+    const { body } = await request('POST', '/dexes/RAYDIUM/pause', { body: { reason: 'bad fills' } });
+    assert.deepEqual(body, { kind: 'dex', target: 'RAYDIUM', paused: true, changed: true });
+    assert.deepEqual(monitor.calls, [['setPaused', 'dex', 'RAYDIUM', true, { reason: 'bad fills', actor: 'alice' }]]);
+
+    const audit = await request('GET', '/audit?limit=1');
+    assert.equal(audit.body.entries[0].action, 'pause_dex');
+  });
+});
@@ -0,0 +1,163 @@
+// Smart Money AI - Alert dispatcher tests
+// Webhooks are delivered to a local HTTP receiver that records each request and answers with
+// the status codes a test queues up for its path.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { AlertDispatcher } = require('../lib/alerts');
+
+const buy = {
+  type: 'trade',
+  side: 'buy',
+  walletAddress: 'Wallet1111111111111111111111111111111111111',
+  tokenMint: 'Mint11111111111111111111111111111111111111',
+  tokenSymbol: 'TKN',
+  sizeSol: 1.5,
+  sizeUsd: 300,
+  dex: 'RAYDIUM',
+  signature: 'sig1',
+};
+
+describe('AlertDispatcher', () => {
+  const consoleLog = console.log;
+  const consoleError = console.error;
+  let server;
+  let baseUrl;
+  let received; // { path, body, at }
+  let responses; // path -> queued { status, headers }
+
+  before(async () => {
+    console.log = () => {};
+    console.error = () => {};
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ path: req.url, contentType: req.headers['content-type'], body: JSON.parse(body), at: Date.now() });
+        const { status = 200, headers = {} } = (responses.get(req.url) || []).shift() || {};
+        res.writeHead(status, headers);
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    console.log = consoleLog;
+    console.error = consoleError;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    received = [];
+    responses = new Map();
+  });
+
+  function dispatcher(rules, options = {}) {
+    return new AlertDispatcher({ rules, maxRetries: 0, retryDelayMs: 20, ...options });
+  }
+
+  it('skips invalid rules instead of failing', () => {
+    const alerts = dispatcher([
+      { name: 'no url' },
+      { name: 'bad format', webhook: { url: `${baseUrl}/bad`, format: 'fax' } },
+      { name: 'no chat', webhook: { url: `${baseUrl}/tg`, format: 'telegram' } },
+      { name: 'ok', webhook: { url: `${baseUrl}/ok` } },
+    ]);
+
+    assert.deepEqual(alerts.rules.map(rule => rule.name), ['ok']);
+  });
+
+  it('posts each webhook format in its own payload shape', async () => {
+    const alerts = dispatcher([
+      { name: 'generic', webhook: { url: `${baseUrl}/generic` } },
+      { name: 'discord', webhook: { url: `${baseUrl}/discord`, format: 'discord' } },
+      { name: 'slack', webhook: { url: `${baseUrl}/slack`, format: 'slack' } },
+      { name: 'telegram', webhook: { url: `${baseUrl}/telegram`, format: 'telegram', chatId: '-100123' } },
+    ]);
+
+    await alerts.dispatch(buy);
+
+    const byPath = Object.fromEntries(received.map(request => [request.path, request]));
+    assert.deepEqual(Object.keys(byPath).sort(), ['/discord', '/generic', '/slack', '/telegram']);
+    assert.ok(received.every(request => request.contentType === 'application/json'));
+
+    assert.deepEqual(byPath['/generic'].body, { event: buy });
+
+    const discord = byPath['/discord'].body;
+    assert.equal(discord.content, '🟢 BUY 1.5 SOL (~$300) of TKN');
+    assert.equal(discord.embeds.length, 1);
+    assert.equal(discord.embeds[0].description, [
+      `Wallet: ${buy.walletAddress}`,
+      `Token: ${buy.tokenMint}`,
+      'DEX: RAYDIUM',
+      'https://solscan.io/tx/sig1',
+    ].join('\n'));
+    assert.equal(discord.embeds[0].color, 0x2ecc71);
+    assert.ok(!Number.isNaN(Date.parse(discord.embeds[0].timestamp)));
+
+    const slack = byPath['/slack'].body;
+    assert.deepEqual(Object.keys(slack), ['text']);
+    assert.equal(slack.text, `${discord.content}\n${discord.embeds[0].description}`);
+
+    assert.deepEqual(byPath['/telegram'].body, { chat_id: '-100123', text: slack.text, disable_web_page_preview: true });
+    assert.deepEqual(alerts.getStats(), { rules: 4, matched: 4, delivered: 4, failed: 0, rateLimited: 0 });
+  });
+
+  it('retries 5xx and network errors with exponential backoff', async () => {
+    responses.set('/flaky', [{ status: 503 }, { status: 500 }]);
+    const alerts = dispatcher([{ webhook: { url: `${baseUrl}/flaky` } }], { maxRetries: 3 });
+
+    await alerts.dispatch(buy);
+
+    assert.equal(received.length, 3);
+    // 20ms then 40ms, less a millisecond of Date.now() rounding
+    const gaps = received.slice(1).map((request, i) => request.at - received[i].at);
+    assert.ok(gaps[0] >= 19 && gaps[1] >= 39, `backoff gaps ${gaps}`);
+    assert.deepEqual(alerts.getStats(), { rules: 1, matched: 1, delivered: 1, failed: 0, rateLimited: 0 });
+
+    const unreachable = dispatcher([{ webhook: { url: 'http://127.0.0.1:1/down' } }], { maxRetries: 2, retryDelayMs: 1 });
+    await unreachable.dispatch(buy);
+    assert.equal(unreachable.getStats().failed, 1);
+  });
+
+  it('honours Retry-After on 429 and gives up after maxRetries', async () => {
+    responses.set('/limited', [
+      { status: 429, headers: { 'Retry-After': '0.05' } },
+      { status: 502 },
+      { status: 502 },
+    ]);
+    const alerts = dispatcher([{ webhook: { url: `${baseUrl}/limited` } }], { maxRetries: 2, retryDelayMs: 1 });
+
+    await alerts.dispatch(buy);
+
+    assert.equal(received.length, 3);
+    assert.ok(received[1].at - received[0].at >= 49);
+    assert.deepEqual(alerts.getStats(), { rules: 1, matched: 1, delivered: 0, failed: 1, rateLimited: 0 });
+  });
+
+  it('does not retry other client errors', async () => {
+    responses.set('/gone', [{ status: 404 }]);
+    const alerts = dispatcher([{ webhook: { url: `${baseUrl}/gone` } }], { maxRetries: 3 });
+
+    await alerts.dispatch(buy);
+
+    assert.equal(received.length, 1);
+    assert.equal(alerts.getStats().failed, 1);
+  });
+
+  it('rate limits unnamed rules separately', async () => {
+    const alerts = dispatcher([
+      { maxPerMinute: 1, webhook: { url: `${baseUrl}/a` } },
+      { maxPerMinute: 1, webhook: { url: `${baseUrl}/b` } },
+    ]);
+
+    await alerts.dispatch(buy);
+    await alerts.dispatch(buy);
+
+    assert.deepEqual(received.map(request => request.path).sort(), ['/a', '/b']);
+    assert.equal(alerts.getStats().rateLimited, 2);
+  });
+});
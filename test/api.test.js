@@ -0,0 +1,135 @@
+// Smart Money AI - REST API tests
+// ApiServer behind a local HTTP server, reading from the in-memory store.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { ApiServer } = require('../lib/api');
+const { MemoryStore } = require('./helpers/memoryStore');
+
+const KEY = 'read-key';
+const WALLET = '2o32pXgN5JiXbcRvJNAS2X7b5m66sZkay1AdGzxCzdFU';
+const MINT = 'HqZWZAks47tv131z8mf4dtVQJ8ZdFLfJUSem2hA5Sbes';
+
+describe('ApiServer', () => {
+  const consoleError = console.error;
+  let server;
+  let baseUrl;
+  let store;
+  let api;
+
+  before(async () => {
+    console.error = () => {};
+    server = http.createServer((req, res) => api.handle(req, res, new URL(req.url, 'http://localhost')));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    console.error = consoleError;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    store = new MemoryStore();
+    api = new ApiServer({
+      monitor: { getStatus: () => ({ connected: true }) },
+      store,
+      apiKeys: [KEY],
+    });
+  });
+
+  async function get(path, headers = { 'X-API-Key': KEY }) {
+    const response = await fetch(`${baseUrl}${path}`, { headers });
+    return { status: response.status, body: await response.json() };
+  }
+
+  it('needs an API key in a header', async () => {
+    assert.equal((await get('/v1/status', {})).status, 401);
+    assert.equal((await get('/v1/status', { 'X-API-Key': 'wrong' })).status, 401);
+    assert.equal((await get('/v1/status', { Authorization: `Basic ${KEY}` })).status, 401);
+    assert.equal((await get(`/v1/status?api_key=${KEY}`, {})).status, 401);
+
+    assert.equal((await get('/v1/status', { Authorization: `Bearer ${KEY}` })).status, 200);
+    const { status, body } = await get('/v1/status');
+    assert.equal(status, 200);
+    assert.deepEqual(body.monitor, { connected: true });
+  });
+
+  it('accepts ?api_key= on the event stream only', async () => {
+    const subscribed = [];
+    api.events = {
+      parseFilters: () => ({ filters: {} }),
+      subscribe: (req, res) => {
+        subscribed.push(req.url);
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.end();
+        return true;
+      },
+    };
+
+    const stream = await fetch(`${baseUrl}/v1/events?api_key=${KEY}`);
+    assert.equal(stream.status, 200);
+    assert.equal((await fetch(`${baseUrl}/v1/events?api_key=wrong`)).status, 401);
+    assert.equal((await fetch(`${baseUrl}/v1/events`)).status, 401);
+    assert.deepEqual(subscribed, [`/v1/events?api_key=${KEY}`]);
+  });
+
+  it('only serves GET on known routes', async () => {
+    const post = await fetch(`${baseUrl}/v1/wallets`, { method: 'POST', headers: { 'X-API-Key': KEY } });
+    assert.equal(post.status, 405);
+
+    assert.deepEqual(await get('/v1/nothing'), { status: 404, body: { error: 'No route for /v1/nothing' } });
+    assert.equal((await get(`/v1/wallets/${WALLET}`)).status, 404);
+  });
+
+  it('validates query parameters before they reach the store', async () => {
+    assert.deepEqual(await get('/v1/wallets?limit=0'), { status: 400, body: { error: 'limit must be an integer between 1 and 500' } });
+    assert.equal((await get('/v1/wallets?sort=password')).status, 400);
+    assert.equal((await get('/v1/wallets?verified=yes')).status, 400);
+    assert.deepEqual(await get('/v1/trades?wallet=not-a-wallet'), { status: 400, body: { error: 'wallet is not a valid Solana address' } });
+    assert.equal((await get('/v1/candidates?status=hacked')).status, 400);
+    assert.equal((await get('/v1/wallets/%E0%A4%A')).status, 400);
+  });
+
+  it('pages trades with an opaque cursor', async () => {
+    await store.upsertTrades(['a', 'b', 'c'].map((signature, i) => ({
+      transaction_signature: signature,
+      wallet_address: WALLET,
+      token_mint: MINT,
+      trade_type: 'buy',
+      status: 'decoded',
+      timestamp: new Date(Date.UTC(2026, 0, 1, 0, i)).toISOString(),
+    })));
+
+    const first = await get(`/v1/trades?wallet=${WALLET}&limit=2`);
+    assert.deepEqual(first.body.trades.map(trade => trade.transaction_signature), ['c', 'b']);
+    assert.ok(first.body.next_cursor);
+
+    const second = await get(`/v1/trades?wallet=${WALLET}&limit=2&cursor=${first.body.next_cursor}`);
+    assert.deepEqual(second.body.trades.map(trade => trade.transaction_signature), ['a']);
+    assert.equal(second.body.next_cursor, null);
+  });
+
+  it('rejects malformed cursors and hands stores only normalized timestamps', async () => {
+    const cursor = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    assert.equal((await get(`/v1/trades?cursor=${cursor({ timestamp: 'yesterday', id: 1 })}`)).status, 400);
+    assert.equal((await get(`/v1/trades?cursor=${cursor({ timestamp: '2026-01-01', id: '1' })}`)).status, 400);
+    assert.equal((await get('/v1/trades?cursor=%%%')).status, 400);
+
+    let received;
+    store.listTrades = async ({ before: cursorRow }) => {
+      received = cursorRow;
+      return [];
+    };
+    // Date.parse accepts parenthesized comments, which could break out of a quoted filter value
+    const timestamp = '2026-01-01 (a",wallet_address.eq.x)';
+    assert.equal((await get(`/v1/trades?cursor=${cursor({ timestamp, id: 7 })}`)).status, 200);
+    assert.deepEqual(received, { timestamp: new Date(timestamp).toISOString(), id: 7 });
+  });
+
+  it('hides internal errors', async () => {
+    store.listWallets = async () => { throw new Error('password authentication failed'); };
+    assert.deepEqual(await get('/v1/wallets'), { status: 500, body: { error: 'Internal server error' } });
+  });
+});
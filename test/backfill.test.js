@@ -0,0 +1,83 @@
+// Smart Money AI - Gap backfill tests
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { BackfillManager } = require('../lib/backfill');
+
+const PROGRAM = { type: 'program', address: 'Program111111111111111111111111111111111111' };
+
+describe('BackfillManager', () => {
+  const consoleLog = console.log;
+  const consoleError = console.error;
+
+  before(() => {
+    console.log = () => {};
+    console.error = () => {};
+  });
+
+  after(() => {
+    console.log = consoleLog;
+    console.error = consoleError;
+  });
+
+  it('replays only signatures the store does not have, oldest first', async () => {
+    const replayed = [];
+    const backfill = new BackfillManager({
+      // Newest first, like getSignaturesForAddress
+      rpc: { call: async () => [{ signature: 'c', slot: 13 }, { signature: 'b', slot: 12 }, { signature: 'a', slot: 11 }] },
+      onSignature: async info => replayed.push(info.signature),
+      getStoredSignatures: async signatures => new Set(signatures.filter(signature => signature !== 'b')),
+    });
+    backfill.recordProcessed(PROGRAM, 10, 'cursor');
+
+    await backfill.backfillTarget(PROGRAM);
+
+    assert.deepEqual(replayed, ['b']);
+    const { skipped, replayed: count, targets: [target] } = backfill.getStatus();
+    assert.equal(skipped, 2);
+    assert.equal(count, 1);
+    // Skipped signatures still move the cursor
+    assert.equal(target.lastSignature, 'c');
+  });
+
+  it('resumes from cursors saved by the previous process', async () => {
+    const saved = new Map(); // target -> row, like backfill_cursors
+    const previous = new BackfillManager({
+      rpc: { call: async () => [] },
+      onSignature: async () => {},
+      saveCursor: row => saved.set(row.target, row),
+    });
+    previous.recordProcessed(PROGRAM, 10, 'a');
+    previous.recordProcessed(PROGRAM, 9, 'stale'); // never moves backwards
+    previous.recordProcessed(PROGRAM, 12, 'b');
+
+    const calls = [];
+    const restarted = new BackfillManager({
+      rpc: { call: async (method, params) => { calls.push(params[1].until); return [{ signature: 'c', slot: 13 }]; } },
+      onSignature: async () => {},
+      loadCursors: async () => [...saved.values()],
+    });
+    await restarted.load();
+    await restarted.backfillTarget(PROGRAM);
+
+    assert.deepEqual(calls, ['b']);
+    assert.equal(restarted.getStatus().targets[0].lastSignature, 'c');
+  });
+
+  it('counts runs cut short by the signature cap', async () => {
+    const backfill = new BackfillManager({
+      rpc: { call: async (method, [, { limit }]) => Array.from({ length: limit }, (_, i) => ({ signature: `s${i}`, slot: 100 - i })) },
+      onSignature: async () => {},
+      pageSize: 2,
+      maxSignaturesPerTarget: 4,
+    });
+    backfill.recordProcessed(PROGRAM, 10, 'cursor');
+
+    await backfill.backfillTarget(PROGRAM);
+
+    const { truncated, fetched, targets: [target] } = backfill.getStatus();
+    assert.equal(truncated, 1);
+    assert.equal(fetched, 4);
+    assert.equal(target.backfill.truncated, true);
+  });
+});
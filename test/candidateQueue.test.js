@@ -0,0 +1,91 @@
+// Smart Money AI - Candidate queue tests
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { CandidateQueue, JOB_STATUS } = require('../lib/candidateQueue');
+const { MemoryStore } = require('./helpers/memoryStore');
+
+const WALLET = 'Wallet1111111111111111111111111111111111111';
+
+async function leasedJob(queue, store) {
+  await store.insertCandidates([{ wallet_address: WALLET, status: JOB_STATUS.PENDING, discovery_timestamp: new Date().toISOString() }]);
+  const [job] = await queue.claim();
+  return job;
+}
+
+describe('CandidateQueue', () => {
+  const consoleLog = console.log;
+  const consoleError = console.error;
+
+  before(() => {
+    console.log = () => {};
+    console.error = () => {};
+  });
+
+  after(() => {
+    console.log = consoleLog;
+    console.error = consoleError;
+  });
+
+  it('runs side effects only after the result is settled', async () => {
+    const store = new MemoryStore();
+    const order = [];
+    const queue = new CandidateQueue({
+      store,
+      handler: async () => ({
+        status: JOB_STATUS.PROMOTED,
+        score: 70,
+        afterSettle: async () => order.push(['promote', (await store.getCandidate(WALLET)).status]),
+      }),
+    });
+
+    await queue.process(await leasedJob(queue, store));
+
+    assert.deepEqual(order, [['promote', JOB_STATUS.PROMOTED]]);
+    assert.equal(queue.getStats().promoted, 1);
+  });
+
+  it('skips side effects when the lease was lost', async () => {
+    const store = new MemoryStore();
+    let promoted = false;
+    const queue = new CandidateQueue({
+      store,
+      handler: async () => {
+        // Another worker reclaims the expired lease while this one is still profiling
+        await store.updateCandidate(WALLET, { lease_owner: 'other-worker' });
+        return { status: JOB_STATUS.PROMOTED, afterSettle: async () => { promoted = true; } };
+      },
+    });
+
+    await queue.process(await leasedJob(queue, store));
+
+    assert.equal(promoted, false);
+    assert.equal((await store.getCandidate(WALLET)).lease_owner, 'other-worker');
+    assert.equal(queue.getStats().leasesLost, 1);
+    assert.equal(queue.getStats().promoted, 0);
+  });
+
+  it('reopens a settled candidate for retry when its side effects fail', async () => {
+    const store = new MemoryStore();
+    const queue = new CandidateQueue({
+      store,
+      handler: async () => ({
+        status: JOB_STATUS.PROMOTED,
+        afterSettle: async () => { throw new Error('wallets insert failed'); },
+      }),
+    });
+
+    await queue.process(await leasedJob(queue, store));
+
+    const row = await store.getCandidate(WALLET);
+    assert.equal(row.status, JOB_STATUS.RETRY);
+    assert.equal(row.last_error, 'wallets insert failed');
+    assert.ok(row.next_attempt_at);
+    assert.equal(queue.getStats().promoted, 0);
+    assert.equal(queue.getStats().retried, 1);
+
+    // Due again once the backoff has passed
+    const [due] = await store.getDueCandidates({ now: row.next_attempt_at, limit: 1 });
+    assert.equal(due.wallet_address, WALLET);
+  });
+});
@@ -0,0 +1,223 @@
+// Smart Money AI - Copy-trade simulator tests
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { CopyTradeSimulator, CopyPortfolio } = require('../lib/copyTrader');
+const { WSOL_MINT } = require('../lib/constants');
+const { MemoryStore } = require('./helpers/memoryStore');
+
+const LEADER = 'Leader1111111111111111111111111111111111111';
+const MINT = 'Mint11111111111111111111111111111111111111';
+const OTHER_MINT = 'Mint22222222222222222222222222222222222222';
+
+function assertClose(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} !== ${expected}`);
+}
+
+// Quoted in SOL: `sol` SOL for `tokens` tokens
+function swap(tradeType, tokens, sol, slot, { mint = MINT, walletAddress = LEADER } = {}) {
+  const isBuy = tradeType === 'buy';
+  return {
+    walletAddress,
+    signature: `${tradeType}-${slot}-${mint}`,
+    slot,
+    tradeType,
+    tokenMint: mint,
+    inputAmount: isBuy ? sol : tokens,
+    outputAmount: isBuy ? tokens : sol,
+    quoteMint: WSOL_MINT,
+  };
+}
+
+function simulator(settings = {}) {
+  const marks = new Map();
+  const prices = { priceInSol: mint => (mint === WSOL_MINT ? 1 : marks.get(mint) ?? null) };
+  const store = new MemoryStore();
+  const copier = new CopyTradeSimulator({
+    store,
+    prices,
+    wallets: [LEADER],
+    startingSol: 10,
+    sizeSol: 1,
+    delaySlots: 0,
+    slippageBps: 50,
+    feeBps: 100,
+    txFeeSol: 0.0001,
+    ...settings,
+  });
+  return { copier, store, marks };
+}
+
+describe('CopyTradeSimulator fills', () => {
+  const consoleLog = console.log;
+  const consoleError = console.error;
+
+  before(() => {
+    console.log = () => {};
+    console.error = () => {};
+  });
+
+  after(() => {
+    console.log = consoleLog;
+    console.error = consoleError;
+  });
+
+  it('pays slippage and fees on a copied buy', async () => {
+    const { copier } = simulator();
+    await copier.onLeaderTrade(swap('buy', 200, 2, 100));
+
+    const portfolio = copier.portfolios.get(LEADER);
+    const position = portfolio.positions.get(MINT);
+    // 0.01 SOL/token plus 50 bps; 1% of the 1 SOL order goes to fees
+    const priceSol = 0.01 * 1.005;
+    assertClose(position.tokens, 0.99 / priceSol);
+    assertClose(position.costSol, 1.0001);
+    assertClose(position.lastPriceSol, priceSol);
+    assertClose(portfolio.cashSol, 8.9999);
+    assertClose(portfolio.feesSol, 0.0101);
+    assert.equal(portfolio.leaderHoldings.get(MINT), 200);
+  });
+
+  it('sells the share of the position the leader sold and realizes its cost', async () => {
+    const { copier, store } = simulator();
+    await copier.onLeaderTrade(swap('buy', 200, 2, 100));
+    const bought = copier.portfolios.get(LEADER).positions.get(MINT).tokens;
+
+    // The leader sells half of what they bought, at 0.03 SOL/token
+    await copier.onLeaderTrade(swap('sell', 100, 3, 110));
+
+    const portfolio = copier.portfolios.get(LEADER);
+    const sold = bought / 2;
+    const priceSol = 0.03 * 0.995;
+    const proceedsSol = sold * priceSol * 0.99 - 0.0001;
+    assertClose(portfolio.realizedPnlSol, proceedsSol - 1.0001 / 2);
+    assertClose(portfolio.positions.get(MINT).tokens, sold);
+    assertClose(portfolio.positions.get(MINT).costSol, 1.0001 / 2);
+    assertClose(portfolio.cashSol, 8.9999 + proceedsSol);
+    assert.equal(portfolio.leaderHoldings.get(MINT), 100);
+
+    const [fill] = await store.listCopyFills(LEADER, { limit: 1 });
+    assert.equal(fill.side, 'sell');
+    assert.equal(fill.slippage_bps, 50);
+  });
+
+  it('closes the whole position when the leader sells more than we saw them buy', async () => {
+    const { copier } = simulator();
+    await copier.onLeaderTrade(swap('buy', 200, 2, 100));
+    await copier.onLeaderTrade(swap('sell', 500, 5, 110));
+
+    const portfolio = copier.portfolios.get(LEADER);
+    assert.equal(portfolio.positions.size, 0);
+    assert.equal(portfolio.leaderHoldings.size, 0);
+  });
+
+  it('skips sells with no copied position and buys it cannot afford', async () => {
+    const { copier, store } = simulator({ startingSol: 0.0001 });
+    await copier.onLeaderTrade(swap('sell', 100, 1, 100));
+    await copier.onLeaderTrade(swap('buy', 100, 1, 101));
+
+    const fills = await store.listCopyFills(LEADER);
+    assert.deepEqual(fills.map(fill => fill.skip_reason).sort(), ['insufficient_cash', 'no_position']);
+    assert.equal(copier.stats.skipped, 2);
+    assert.equal(copier.stats.filled, 0);
+  });
+
+  it('sizes buys proportionally with linear slippage', async () => {
+    const { copier } = simulator({ sizing: 'proportional', sizeRatio: 0.25, slippageModel: 'linear', slippageBpsPerSol: 10 });
+    await copier.onLeaderTrade(swap('buy', 400, 8, 100));
+
+    // A quarter of the leader's 8 SOL, with 50 + 10 * 2 bps of slippage
+    const priceSol = 0.02 * (1 + 70 / 10000);
+    const position = copier.portfolios.get(LEADER).positions.get(MINT);
+    assertClose(position.costSol, 2.0001);
+    assertClose(position.tokens, 1.98 / priceSol);
+  });
+
+  it('sizes buys as a share of current equity', async () => {
+    const { copier } = simulator({ sizing: 'equity_percent', sizePercent: 20 });
+    await copier.onLeaderTrade(swap('buy', 100, 1, 100));
+
+    assertClose(copier.portfolios.get(LEADER).positions.get(MINT).costSol, 2.0001);
+  });
+
+  it('rejects unknown sizing and slippage settings', () => {
+    assert.throws(() => simulator({ sizing: 'kelly' }), /Unknown copy-trade sizing: kelly/);
+    assert.throws(() => simulator({ slippageModel: 'sqrt' }), /Unknown slippage model: sqrt/);
+  });
+});
+
+describe('CopyTradeSimulator delays', () => {
+  const consoleLog = console.log;
+  const consoleError = console.error;
+
+  before(() => {
+    console.log = () => {};
+    console.error = () => {};
+  });
+
+  after(() => {
+    console.log = consoleLog;
+    console.error = consoleError;
+  });
+
+  it('fills at the first print of the mint once the delay has passed', async () => {
+    const { copier, store } = simulator({ delaySlots: 2, slippageBps: 0, feeBps: 0, txFeeSol: 0 });
+    await copier.onLeaderTrade(swap('buy', 100, 1, 100));
+
+    await copier.onSwap(swap('buy', 100, 1.5, 101, { walletAddress: 'Other' }));
+    await copier.onSwap(swap('buy', 100, 9, 102, { mint: OTHER_MINT, walletAddress: 'Other' }));
+    assert.equal(copier.pending.length, 1);
+
+    await copier.onSwap(swap('buy', 100, 2, 102, { walletAddress: 'Other' }));
+    assert.equal(copier.pending.length, 0);
+    assertClose(copier.portfolios.get(LEADER).positions.get(MINT).tokens, 50);
+
+    const [fill] = await store.listCopyFills(LEADER);
+    assert.equal(fill.fill_slot, 102);
+    assert.equal(fill.delay_slots, 2);
+  });
+
+  it('expires orders nobody trades against at the oracle price', async () => {
+    const { copier, marks } = simulator({ delaySlots: 2, maxWaitSlots: 5, slippageBps: 0, feeBps: 0, txFeeSol: 0 });
+    marks.set(MINT, 0.04);
+    await copier.onLeaderTrade(swap('buy', 100, 1, 100));
+
+    await copier.onSwap(swap('buy', 1, 1, 106, { mint: OTHER_MINT }));
+    assert.equal(copier.pending.length, 1);
+    await copier.onSwap(swap('buy', 1, 1, 107, { mint: OTHER_MINT }));
+
+    assert.equal(copier.stats.expired, 1);
+    assertClose(copier.portfolios.get(LEADER).positions.get(MINT).tokens, 25);
+  });
+});
+
+describe('CopyPortfolio', () => {
+  it('tracks peak equity and the deepest drawdown', () => {
+    const portfolio = new CopyPortfolio({ walletAddress: LEADER, startingSol: 10 });
+    portfolio.cashSol = 5;
+    portfolio.positions.set(MINT, { tokens: 100, costSol: 5, lastPriceSol: 0.05 });
+
+    assert.equal(portfolio.valuate(() => 0.1).equitySol, 15);
+    const { drawdown, unrealizedPnlSol } = portfolio.valuate(() => 0.025);
+    assert.equal(drawdown, 0.5);
+    assert.equal(unrealizedPnlSol, -2.5);
+
+    portfolio.valuate(() => null); // marked at the last fill price
+    assert.equal(portfolio.maxDrawdown, 0.5);
+    assert.equal(portfolio.peakEquitySol, 15);
+  });
+
+  it('round-trips through its stored row', () => {
+    const portfolio = new CopyPortfolio({ walletAddress: LEADER, startingSol: 10, startedAt: '2026-01-01T00:00:00.000Z' });
+    portfolio.cashSol = 9;
+    portfolio.positions.set(MINT, { tokens: 10, costSol: 1, lastPriceSol: 0.1 });
+    portfolio.fills = 1;
+
+    const row = portfolio.toRow(portfolio.valuate(() => null), {});
+    const restored = CopyPortfolio.fromRow(row);
+    assert.equal(restored.cashSol, 9);
+    assert.deepEqual(restored.positions.get(MINT), { tokens: 10, costSol: 1, lastPriceSol: 0.1 });
+    assert.equal(restored.fills, 1);
+    assert.equal(row.return_pct, 0);
+  });
+});
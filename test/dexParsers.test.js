@@ -0,0 +1,229 @@
+// Smart Money AI - DEX parser tests
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const {
+  DEX_PARSERS,
+  classifyLogs,
+  isDexActivity,
+  parseDexActions,
+  summarizeDexActivity,
+  isSwapActivity,
+} = require('../lib/dexParsers');
+const { EVENT_IX_TAG } = require('../lib/dexParsers/anchor');
+const { DEX_PROGRAM_IDS, DEX_ACTIONS, WSOL_MINT } = require('../lib/constants');
+const { base58Encode, base58Decode } = require('../lib/solanaAddress');
+
+const { RAYDIUM, JUPITER, PUMP_FUN, OPENBOOK } = DEX_PROGRAM_IDS;
+const WALLET = '2o32pXgN5JiXbcRvJNAS2X7b5m66sZkay1AdGzxCzdFU';
+const MINT = 'HqZWZAks47tv131z8mf4dtVQJ8ZdFLfJUSem2hA5Sbes';
+const TOKEN_PROGRAM = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+
+// A Raydium AMM v4 swap_base_in as it logs: ray_log, then the token program's two transfers
+const RAYDIUM_SWAP_LOGS = [
+  `Program ${RAYDIUM} invoke [1]`,
+  'Program log: ray_log: AwCUNXcAAAAAAAAAAAAAAAABAAAAAAAAAADkC1QCAAAAAEBjUr/GAQAAQLdDugAAAABUzgkjAQAA',
+  `Program ${TOKEN_PROGRAM} invoke [2]`,
+  'Program log: Instruction: Transfer',
+  `Program ${TOKEN_PROGRAM} success`,
+  `Program ${TOKEN_PROGRAM} invoke [2]`,
+  'Program log: Instruction: Transfer',
+  `Program ${TOKEN_PROGRAM} success`,
+  `Program ${RAYDIUM} success`,
+];
+
+function discriminator(namespace, name) {
+  return crypto.createHash('sha256').update(`${namespace}:${name}`).digest().subarray(0, 8);
+}
+
+function u64(value) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64LE(BigInt(value));
+  return buffer;
+}
+
+function pubkey(address) {
+  return Buffer.from(base58Decode(address));
+}
+
+// Minimal transaction (encoding: 'json'); each instruction names its program by address
+function transaction(accountKeys, instructions, { inner = [], logs = [] } = {}) {
+  const toJson = ({ program, data, stackHeight }) => ({
+    programIdIndex: accountKeys.indexOf(program),
+    accounts: [],
+    data: base58Encode(data),
+    stackHeight,
+  });
+  return {
+    transaction: { message: { accountKeys, instructions: instructions.map(toJson) } },
+    meta: {
+      innerInstructions: inner.map(({ index, instructions: nested }) => ({ index, instructions: nested.map(toJson) })),
+      logMessages: logs,
+    },
+  };
+}
+
+describe('instruction discriminators', () => {
+  it('matches Anchor instructions on sha256("global:<name>")', () => {
+    const parse = DEX_PARSERS.PUMP_FUN.parseInstruction;
+    const args = Buffer.alloc(16);
+
+    assert.deepEqual(parse(Buffer.concat([discriminator('global', 'buy'), args])), { instruction: 'buy', action: DEX_ACTIONS.SWAP });
+    assert.deepEqual(parse(discriminator('global', 'migrate')), { instruction: 'migrate', action: DEX_ACTIONS.REMOVE_LIQUIDITY });
+    // The event namespace never matches an instruction
+    assert.equal(parse(discriminator('event', 'buy')), null);
+    assert.equal(parse(discriminator('global', 'buy').subarray(0, 7)), null);
+  });
+
+  it('reads the tag byte of Raydium and the versioned u32 tag of OpenBook', () => {
+    assert.deepEqual(DEX_PARSERS.RAYDIUM.parseInstruction(Buffer.from([9, 1, 2])), { instruction: 'swap_base_in', action: DEX_ACTIONS.SWAP });
+    assert.equal(DEX_PARSERS.RAYDIUM.parseInstruction(Buffer.from([2])), null);
+    assert.equal(DEX_PARSERS.RAYDIUM.parseInstruction(Buffer.alloc(0)), null);
+
+    const newOrderV3 = Buffer.from([0, 10, 0, 0, 0]);
+    assert.deepEqual(DEX_PARSERS.OPENBOOK.parseInstruction(newOrderV3), { instruction: 'new_order_v3', action: DEX_ACTIONS.SWAP });
+    assert.equal(DEX_PARSERS.OPENBOOK.parseInstruction(Buffer.from([1, 10, 0, 0, 0])), null);
+    assert.equal(DEX_PARSERS.OPENBOOK.parseInstruction(Buffer.from([0, 10])), null);
+  });
+
+  it('decodes events and leaves truncated fields null', () => {
+    const fields = Buffer.concat([pubkey(RAYDIUM), pubkey(WSOL_MINT), u64(2e9), pubkey(MINT), u64('18446744073709551615')]);
+    const event = DEX_PARSERS.JUPITER.parseEvent(Buffer.concat([discriminator('event', 'SwapEvent'), fields]));
+
+    assert.deepEqual(event, {
+      event: 'SwapEvent',
+      action: DEX_ACTIONS.SWAP,
+      details: { amm: RAYDIUM, inputMint: WSOL_MINT, inputAmount: '2000000000', outputMint: MINT, outputAmount: '18446744073709551615' },
+    });
+
+    const truncated = DEX_PARSERS.JUPITER.parseEvent(Buffer.concat([discriminator('event', 'SwapEvent'), fields.subarray(0, 40)]));
+    assert.equal(truncated.details, null);
+    assert.equal(DEX_PARSERS.JUPITER.parseEvent(discriminator('event', 'TradeEvent')), null);
+  });
+});
+
+describe('classifyLogs', () => {
+  it('classifies Raydium ray_log lines and skips nested token program logs', () => {
+    assert.deepEqual(classifyLogs(RAYDIUM_SWAP_LOGS), [{
+      dex: 'RAYDIUM',
+      programId: RAYDIUM,
+      depth: 1,
+      topLevelIndex: 0,
+      instruction: 'swap_base_in',
+      action: DEX_ACTIONS.SWAP,
+    }]);
+    assert.equal(isDexActivity(RAYDIUM_SWAP_LOGS), true);
+  });
+
+  it('matches Anchor instruction logs and reports silent programs by invocation', () => {
+    const actions = classifyLogs([
+      `Program ${PUMP_FUN} invoke [1]`,
+      'Program log: Instruction: Sell',
+      `Program ${PUMP_FUN} success`,
+      `Program ${OPENBOOK} invoke [1]`,
+      'Program log: anything',
+      `Program ${OPENBOOK} success`,
+    ]);
+
+    assert.deepEqual(actions.map(({ dex, instruction, action, topLevelIndex }) => ({ dex, instruction, action, topLevelIndex })), [
+      { dex: 'PUMP_FUN', instruction: 'sell', action: DEX_ACTIONS.SWAP, topLevelIndex: 0 },
+      { dex: 'OPENBOOK', instruction: null, action: null, topLevelIndex: 1 },
+    ]);
+  });
+
+  it('ignores logs from other programs', () => {
+    assert.equal(isDexActivity([
+      `Program ${TOKEN_PROGRAM} invoke [1]`,
+      'Program log: Instruction: Transfer',
+      `Program ${TOKEN_PROGRAM} success`,
+    ]), false);
+  });
+});
+
+describe('parseDexActions', () => {
+  it('reads a Raydium swap_base_in instruction', () => {
+    const swapBaseIn = Buffer.concat([Buffer.from([9]), u64(1e9), u64(1)]);
+    const summary = summarizeDexActivity(transaction([WALLET, RAYDIUM], [{ program: RAYDIUM, data: swapBaseIn }], { logs: RAYDIUM_SWAP_LOGS }));
+    assert.deepEqual(summary, { dex: 'RAYDIUM', programId: RAYDIUM, action: DEX_ACTIONS.SWAP, instruction: 'swap_base_in', route: null });
+  });
+
+  it('builds a Jupiter route from its emit_cpi SwapEvents', () => {
+    const swapEvent = Buffer.concat([
+      EVENT_IX_TAG,
+      discriminator('event', 'SwapEvent'),
+      pubkey(RAYDIUM), pubkey(WSOL_MINT), u64(1e9), pubkey(MINT), u64(5e6),
+    ]);
+    const tx = transaction([WALLET, JUPITER, RAYDIUM], [
+      { program: JUPITER, data: Buffer.concat([discriminator('global', 'shared_accounts_route'), Buffer.alloc(8)]) },
+    ], {
+      inner: [{ index: 0, instructions: [
+        { program: RAYDIUM, data: Buffer.from([9]), stackHeight: 2 },
+        { program: JUPITER, data: swapEvent, stackHeight: 2 },
+      ] }],
+    });
+
+    const actions = parseDexActions(tx);
+    assert.deepEqual(actions.map(action => [action.dex, action.depth]), [['JUPITER', 1], ['RAYDIUM', 2]]);
+    assert.deepEqual(actions[0].route, [{
+      venue: 'RAYDIUM',
+      amm: RAYDIUM,
+      inputMint: WSOL_MINT,
+      inputAmount: '1000000000',
+      outputMint: MINT,
+      outputAmount: '5000000',
+    }]);
+
+    // The nested Raydium hop is part of the route, not the primary action
+    assert.equal(summarizeDexActivity(tx, actions).dex, 'JUPITER');
+  });
+
+  it('falls back to nested swaps for a route without events', () => {
+    const tx = transaction([WALLET, JUPITER, RAYDIUM], [
+      { program: JUPITER, data: discriminator('global', 'route') },
+    ], { inner: [{ index: 0, instructions: [{ program: RAYDIUM, data: Buffer.from([11]), stackHeight: 2 }] }] });
+
+    assert.deepEqual(parseDexActions(tx)[0].route, [{ venue: 'RAYDIUM', amm: RAYDIUM }]);
+  });
+
+  it('keeps an unknown instruction whose Program data event is recognised', () => {
+    const tradeEvent = Buffer.concat([
+      discriminator('event', 'TradeEvent'),
+      pubkey(MINT), u64(1e9), u64(3e6), Buffer.from([1]), pubkey(WALLET), u64(1767225600), u64(0), u64(0),
+    ]);
+    const tx = transaction([WALLET, PUMP_FUN], [
+      { program: PUMP_FUN, data: discriminator('global', 'buy_v9') },
+    ], {
+      logs: [
+        `Program ${PUMP_FUN} invoke [1]`,
+        `Program data: ${tradeEvent.toString('base64')}`,
+        `Program ${PUMP_FUN} success`,
+      ],
+    });
+
+    const [action] = parseDexActions(tx);
+    assert.equal(action.instruction, null);
+    assert.equal(action.action, DEX_ACTIONS.SWAP);
+    assert.deepEqual(action.events, [{
+      event: 'TradeEvent',
+      mint: MINT,
+      solAmount: '1000000000',
+      tokenAmount: '3000000',
+      isBuy: true,
+      user: WALLET,
+      timestamp: 1767225600,
+      virtualSolReserves: '0',
+      virtualTokenReserves: '0',
+    }]);
+  });
+
+  it('falls back to the DEX program among the accounts', () => {
+    const tx = transaction([WALLET, RAYDIUM], [{ program: RAYDIUM, data: Buffer.from([200]) }]);
+    const summary = summarizeDexActivity(tx);
+
+    assert.deepEqual(summary, { dex: 'RAYDIUM', programId: RAYDIUM, action: null, instruction: null, route: null });
+    assert.equal(isSwapActivity(summary), true);
+    assert.equal(isSwapActivity({ action: DEX_ACTIONS.ADD_LIQUIDITY }), false);
+    assert.equal(summarizeDexActivity(transaction([WALLET], [])), null);
+  });
+});
@@ -0,0 +1,226 @@
+// Smart Money AI - End-to-end tests
+// Runs the real SolanaMonitor against the mock RPC/WebSocket provider and the in-memory store:
+// notifications in, candidate_wallets / trades / wallets rows out.
+// The monitor's console output is muted; TEST_VERBOSE=true sends it to stderr instead (the
+// test runner reads its own reports from stdout).
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ACTIVE_DEX_PROGRAMS, DEX_PROGRAM_IDS } = require('../lib/constants');
+const { MockSolanaServer, loadFixture } = require('./helpers/mockSolanaServer');
+const { MemoryStore } = require('./helpers/memoryStore');
+
+const BUY = loadFixture('raydium-buy');
+const SELL = loadFixture('raydium-sell');
+const SECOND_WALLET_BUY = loadFixture('raydium-buy-second-wallet');
+
+const signatureOf = fixture => fixture.logsNotification.value.signature;
+const signerOf = fixture => fixture.getTransaction.transaction.message.accountKeys[0];
+
+async function waitFor(check, { timeoutMs = 5000, intervalMs = 20, what = 'condition' } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out after ${timeoutMs}ms waiting for ${what}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+}
+
+describe('SolanaMonitor end to end', () => {
+  const server = new MockSolanaServer();
+  const consoleLog = console.log;
+  const consoleError = console.error;
+  let SolanaMonitor;
+  let store;
+  let monitor;
+
+  before(async () => {
+    if (process.env.TEST_VERBOSE) {
+      console.log = console.error;
+    } else {
+      console.log = () => {};
+      console.error = () => {};
+    }
+    await server.start();
+
+    // index.js reads its config on load
+    Object.assign(process.env, {
+      RPC_WSS_URLS: `${server.wssUrl('/primary')},${server.wssUrl('/secondary')}`,
+      RPC_HTTP_URLS: server.httpUrl,
+      WRITE_FLUSH_MS: '20',
+    });
+    ({ SolanaMonitor } = require('../index'));
+  });
+
+  after(async () => {
+    await server.stop();
+    console.log = consoleLog;
+    console.error = consoleError;
+  });
+
+  afterEach(async () => {
+    await monitor?.shutdown({ timeoutMs: 2000 });
+    monitor = null;
+    server.reset();
+  });
+
+  // A monitor on a fresh store, connected and subscribed to every DEX program. Production
+  // backoffs are seconds long; they are shortened so failures recover within a test.
+  async function startMonitor() {
+    store = new MemoryStore();
+    monitor = new SolanaMonitor({ store });
+    monitor.fetchQueue.retryDelayMs = 20;
+    monitor.backfill.delayMs = 20;
+
+    await monitor.connect();
+    for (const shard of monitor.stream.shards) {
+      shard.subscriptions.retryDelayMs = 20;
+    }
+
+    await waitFor(() => monitor.stream.getStatus().shards[0].subscriptions.subscribed === ACTIVE_DEX_PROGRAMS.length, {
+      what: 'DEX program subscriptions',
+    });
+    return monitor;
+  }
+
+  function waitForCandidate(walletAddress, { until = () => true, timeoutMs } = {}) {
+    return waitFor(async () => {
+      const candidate = await store.getCandidate(walletAddress);
+      return candidate && until(candidate) ? candidate : null;
+    }, { what: `candidate ${walletAddress}`, timeoutMs });
+  }
+
+  function waitForTrades(walletAddress, count) {
+    return waitFor(async () => {
+      const trades = await store.listTrades({ walletAddress });
+      return trades.length >= count ? trades : null;
+    }, { what: `${count} trade(s) for ${walletAddress}` });
+  }
+
+  it('discovers the signer of a DEX swap as a candidate', async () => {
+    await startMonitor();
+
+    assert.equal(server.publish(BUY), 1);
+
+    const candidate = await waitForCandidate(signerOf(BUY));
+    assert.equal(candidate.status, 'pending');
+    assert.equal(candidate.discovery_type, 'raydium_swap');
+    assert.deepEqual(candidate.discovery_metadata, {
+      signature: signatureOf(BUY),
+      slot: BUY.logsNotification.context.slot,
+      dex_program: DEX_PROGRAM_IDS.RAYDIUM,
+      dex_action: 'swap',
+      signer_role: 'fee_payer',
+    });
+
+    const [trade] = await waitForTrades(signerOf(BUY), 1);
+    assert.equal(trade.transaction_signature, signatureOf(BUY));
+    assert.equal(trade.trade_type, 'buy');
+    assert.equal(trade.venue, 'RAYDIUM');
+    assert.equal(trade.token_in_amount, 2);
+
+    const raw = store.tables.raw_transactions.get(signatureOf(BUY));
+    assert.equal(raw.slot, BUY.logsNotification.context.slot);
+    assert.deepEqual(raw.logs, BUY.logsNotification.value.logs);
+  });
+
+  it('processes a transaction once however often it is notified', async () => {
+    await startMonitor();
+
+    server.publish(BUY);
+    server.notify(BUY);
+    server.notify(BUY);
+    // Notifications arrive in order: once this one is handled the duplicates have been too
+    server.publish(SECOND_WALLET_BUY);
+    await waitForCandidate(signerOf(SECOND_WALLET_BUY));
+    await waitForTrades(signerOf(SECOND_WALLET_BUY), 1);
+
+    const fetched = server.callsTo('getTransaction').map(call => call.params[0]);
+    assert.deepEqual(fetched.filter(signature => signature === signatureOf(BUY)), [signatureOf(BUY)]);
+    assert.equal(store.tables.raw_transactions.size, 2);
+    assert.equal((await store.listTrades({ walletAddress: signerOf(BUY) })).length, 1);
+    assert.equal(store.tables.candidate_wallets.size, 2);
+  });
+
+  it('retries subscriptions the provider rejects', async () => {
+    server.failNextSubscriptions(2);
+    await startMonitor();
+
+    const subscribeCalls = server.callsTo('logsSubscribe');
+    assert.equal(subscribeCalls.length, ACTIVE_DEX_PROGRAMS.length + 2);
+    const status = monitor.stream.getStatus().shards[0].subscriptions;
+    assert.equal(status.subscribed, ACTIVE_DEX_PROGRAMS.length);
+
+    // The retried subscriptions deliver like the others
+    server.publish(BUY);
+    await waitForCandidate(signerOf(BUY));
+  });
+
+  it('retries a rate-limited getTransaction', async () => {
+    await startMonitor();
+
+    server.rateLimit(2);
+    server.publish(BUY);
+
+    await waitForTrades(signerOf(BUY), 1);
+    assert.equal(server.callsTo('getTransaction').length, 3);
+    assert.equal(monitor.fetchQueue.getStats().retried, 2);
+  });
+
+  it('reconnects to the next endpoint and backfills what the outage missed', async () => {
+    await startMonitor();
+
+    server.publish(BUY);
+    await waitForCandidate(signerOf(BUY));
+
+    // Finalized while no socket is open: only the backfill can find it
+    server.dropConnections();
+    server.addToLedger(SECOND_WALLET_BUY);
+
+    await waitFor(() => server.connections.length === 2 && server.subscriptions.size === ACTIVE_DEX_PROGRAMS.length, {
+      what: 'reconnect and resubscribe',
+    });
+    assert.deepEqual(server.connections, ['/primary', '/secondary']);
+
+    await waitForCandidate(signerOf(SECOND_WALLET_BUY));
+    const [backfill] = server.callsTo('getSignaturesForAddress');
+    assert.equal(backfill.params[0], DEX_PROGRAM_IDS.RAYDIUM);
+    assert.equal(backfill.params[1].until, signatureOf(BUY));
+    assert.equal(monitor.backfill.getStatus().replayed, 1);
+
+    // Stored like a live notification, with the logs of the fetched transaction
+    const raw = store.tables.raw_transactions.get(signatureOf(SECOND_WALLET_BUY));
+    assert.equal(raw.slot, SECOND_WALLET_BUY.logsNotification.context.slot);
+    assert.deepEqual(raw.logs, SECOND_WALLET_BUY.logsNotification.value.logs);
+  });
+
+  it('promotes a profitable candidate, then tracks it once verified', async () => {
+    await startMonitor();
+    const wallet = signerOf(BUY);
+
+    server.publish(BUY);
+    server.publish(SELL);
+    await waitForTrades(wallet, 2);
+
+    monitor.startWalletRealtime();
+    monitor.candidateQueue.start();
+
+    // The queue's first poll comes 5s after start()
+    const candidate = await waitForCandidate(wallet, { until: row => row.status === 'promoted', timeoutMs: 10000 });
+    assert.ok(candidate.score >= monitor.scoringModel.config.promotionThreshold);
+    assert.equal(candidate.profile_data.pnl.realized_pnl_sol, 2);
+
+    // Promotion writes the wallets row; tracking waits for verification
+    const promoted = await store.getWallet(wallet);
+    assert.equal(promoted.score, candidate.score);
+    assert.equal(promoted.is_verified, false);
+    assert.equal(monitor.trackedWallets.has(wallet), false);
+
+    await store.upsertWallet({ wallet_address: wallet, is_verified: true });
+    await waitFor(() => server.subscribedAddresses().includes(wallet), { what: 'wallet subscription' });
+    assert.ok(monitor.trackedWallets.has(wallet));
+  });
+});
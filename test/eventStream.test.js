@@ -0,0 +1,72 @@
+// Smart Money AI - Event stream tests
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { EventStream } = require('../lib/eventStream');
+
+// Enough of a request/response pair for subscribe(); `writableLength` is set by the test
+function client() {
+  const req = new EventEmitter();
+  const res = {
+    writableLength: 0,
+    ended: false,
+    chunks: [],
+    writeHead() {},
+    write(chunk) { this.chunks.push(chunk); },
+    end() { this.ended = true; },
+    ids() { return this.chunks.map(chunk => chunk.match(/^id: (\d+)/)?.[1]).filter(Boolean).map(Number); },
+  };
+  return { req, res };
+}
+
+describe('EventStream', () => {
+  const consoleLog = console.log;
+
+  before(() => {
+    console.log = () => {};
+  });
+
+  after(() => {
+    console.log = consoleLog;
+  });
+
+  it('keeps IDs increasing across restarts and replays everything for an ID from another boot', async () => {
+    const previous = new EventStream();
+    previous.publish('trade');
+    const lastSeen = previous.publish('trade').id;
+
+    await new Promise(resolve => setTimeout(resolve, 2));
+    const restarted = new EventStream();
+    const [first, second] = [restarted.publish('trade'), restarted.publish('cluster_buy')];
+    assert.ok(first.id > lastSeen);
+
+    const { req, res } = client();
+    restarted.subscribe(req, res, {}, { lastEventId: String(first.id) });
+    assert.deepEqual(res.ids(), [second.id]);
+
+    // An ID past anything this process issued: the clock stepped back between boots
+    const ahead = client();
+    restarted.subscribe(ahead.req, ahead.res, {}, { lastEventId: String(second.id + 1000) });
+    assert.deepEqual(ahead.res.ids(), [first.id, second.id]);
+    restarted.close();
+  });
+
+  it('drops a client that stopped reading on the next heartbeat', (t) => {
+    t.mock.timers.enable({ apis: ['setInterval'] });
+    const stream = new EventStream({ heartbeatMs: 1000, maxBufferedBytes: 100 });
+    const slow = client();
+    const live = client();
+    stream.subscribe(slow.req, slow.res, {});
+    stream.subscribe(live.req, live.res, {});
+
+    slow.res.writableLength = 101;
+    t.mock.timers.tick(1000);
+
+    assert.equal(slow.res.ended, true);
+    assert.equal(live.res.chunks.at(-1), ': heartbeat\n\n');
+    assert.equal(stream.getStats().clients, 1);
+    assert.equal(stream.getStats().slowClientsDropped, 1);
+    stream.close();
+  });
+});
@@ -0,0 +1,439 @@
+// Smart Money AI - In-Memory Store (test double)
+// Same async interface as lib/storage's backends, kept in Maps. Mirrors the SQL semantics
+// the monitor relies on: column defaults, upsert merging, insert-if-absent candidates,
+// conditional lease/settle updates and wallet change notifications. Rows are copied on the
+// way in and out, as a database would.
+
+const { JOB_STATUS } = require('../../lib/candidateQueue');
+const { WALLET_SORT_COLUMNS, TRADE_COLUMNS } = require('../../lib/storage');
+
+const DEFAULTS = {
+  wallets: () => ({ is_verified: false, created_at: now(), updated_at: now() }),
+  candidate_wallets: () => ({ status: JOB_STATUS.PENDING, attempts: 0, discovery_timestamp: now(), created_at: now(), updated_at: now() }),
+  raw_transactions: () => ({ accounts: [], logs: [], processed: false, created_at: now(), updated_at: now() }),
+  trades: () => ({ created_at: now() }),
+};
+
+function now() {
+  return new Date().toISOString();
+}
+
+function copy(row) {
+  return row == null ? row : structuredClone(row);
+}
+
+function time(value) {
+  return value == null ? null : new Date(value).getTime();
+}
+
+// ORDER BY helper: [[column, 'asc' | 'desc', nullsLast]], compared as times for *_at/timestamp columns
+function sortRows(rows, order) {
+  const value = (row, column) => /(_at|timestamp)$/.test(column) ? time(row[column]) : row[column];
+  return rows.sort((a, b) => {
+    for (const [column, direction = 'asc', nullsLast = false] of order) {
+      const left = value(a, column);
+      const right = value(b, column);
+      if (left === right) continue;
+      if (left == null) return nullsLast ? 1 : -1;
+      if (right == null) return nullsLast ? -1 : 1;
+      const compared = left < right ? -1 : 1;
+      return direction === 'desc' ? -compared : compared;
+    }
+    return 0;
+  });
+}
+
+function pick(row, columns) {
+  return Object.fromEntries(columns.filter(column => column in row).map(column => [column, row[column]]));
+}
+
+// Replay range over a table's slot and time columns, paged by (slot, signature)
+function inReplayRange(row, { slot, time: timeColumn, signature, toTime = time }, range) {
+  const { fromSlot = null, toSlot = null, from = null, to = null, after = null } = range;
+  const rowSlot = row[slot];
+  if (rowSlot == null) return false;
+  if (fromSlot != null && rowSlot < fromSlot) return false;
+  if (toSlot != null && rowSlot > toSlot) return false;
+  if (from && !(toTime(row[timeColumn]) >= toTime(from))) return false;
+  if (to && !(toTime(row[timeColumn]) <= toTime(to))) return false;
+  if (after && (rowSlot < after.slot || (rowSlot === after.slot && row[signature] <= after.signature))) return false;
+  return true;
+}
+
+class MemoryStore {
+  constructor() {
+    this.name = 'memory';
+    this.tables = {
+      wallets: new Map(),
+      raw_transactions: new Map(),
+      candidate_wallets: new Map(),
+      trades: new Map(),
+      wallet_stats: new Map(),
+      token_metadata: new Map(),
+      pump_fun_tokens: new Map(),
+      backfill_cursors: new Map(),
+      copy_trade_portfolios: new Map(),
+      copy_trade_fills: [],
+      copy_trade_equity: [],
+      monitor_pauses: new Map(),
+      admin_audit_log: [],
+      signals: [],
+    };
+    this.nextId = 1;
+    this.walletListeners = new Set();
+  }
+
+  async migrate() {}
+
+  async close() {
+    this.walletListeners.clear();
+  }
+
+  // INSERT ... ON CONFLICT DO UPDATE: given columns overwrite, the rest keep their values
+  upsert(tableName, key, row) {
+    const table = this.tables[tableName];
+    const existing = table.get(key);
+    const merged = existing
+      ? { ...existing, ...copy(row) }
+      : { id: this.nextId++, ...(DEFAULTS[tableName]?.() || {}), ...copy(row) };
+    table.set(key, merged);
+    return { existing, merged };
+  }
+
+  // ====================
+  // WALLETS
+  // ====================
+
+  async getTrackedWallets() {
+    return [...this.tables.wallets.values()]
+      .filter(wallet => wallet.is_verified)
+      .map(wallet => ({ wallet_address: wallet.wallet_address, score: wallet.score ?? null }));
+  }
+
+  async upsertWallet(row) {
+    const { existing, merged } = this.upsert('wallets', row.wallet_address, row);
+    this.notifyWalletChange(existing ? 'UPDATE' : 'INSERT', merged, existing);
+  }
+
+  async getWallet(walletAddress) {
+    return copy(this.tables.wallets.get(walletAddress) || null);
+  }
+
+  async listWallets({ sort = 'score', ascending = false, walletStyle = null, verified = null, limit = 50, offset = 0 } = {}) {
+    if (!WALLET_SORT_COLUMNS.includes(sort)) {
+      throw new Error(`Cannot sort wallets by ${sort}`);
+    }
+
+    const rows = [...this.tables.wallets.values()].filter(wallet =>
+      (!walletStyle || wallet.wallet_style === walletStyle) && (verified == null || wallet.is_verified === verified)
+    );
+    return sortRows(rows, [[sort, ascending ? 'asc' : 'desc', true], ['wallet_address']])
+      .slice(offset, offset + limit)
+      .map(copy);
+  }
+
+  // Same payloads as the postgres trigger, delivered on the next tick
+  subscribeWalletChanges({ onChange, onStatus }) {
+    const listener = { onChange };
+    this.walletListeners.add(listener);
+    setImmediate(() => onStatus('SUBSCRIBED'));
+
+    return {
+      close: () => this.walletListeners.delete(listener),
+    };
+  }
+
+  notifyWalletChange(eventType, row, old) {
+    const summary = wallet => wallet && {
+      wallet_address: wallet.wallet_address,
+      is_verified: wallet.is_verified,
+      score: wallet.score ?? null,
+    };
+    const payload = { eventType, new: summary(row), old: summary(old) || null };
+
+    for (const listener of this.walletListeners) {
+      setImmediate(() => listener.onChange(copy(payload)));
+    }
+  }
+
+  // ====================
+  // RAW TRANSACTIONS
+  // ====================
+
+  async upsertRawTransactions(rows) {
+    for (const row of rows) {
+      this.upsert('raw_transactions', row.tx_signature, row);
+    }
+  }
+
+  async getStoredSignatures(signatures) {
+    return new Set(signatures.filter(signature => this.tables.raw_transactions.has(signature)));
+  }
+
+  async getWalletRawTransactions(walletAddress, { limit = 50 } = {}) {
+    const rows = [...this.tables.raw_transactions.values()].filter(row => (row.accounts || []).includes(walletAddress));
+    return sortRows(rows, [['created_at', 'desc']]).slice(0, limit).map(copy);
+  }
+
+  async listRawTransactions({ limit = 500, ...range } = {}) {
+    const rows = [...this.tables.raw_transactions.values()].filter(row => inReplayRange(row, {
+      slot: 'slot',
+      time: 'block_time',
+      signature: 'tx_signature',
+      toTime: value => typeof value === 'number' ? value : Math.floor(new Date(value).getTime() / 1000),
+    }, range));
+    return sortRows(rows, [['slot'], ['tx_signature']])
+      .slice(0, limit)
+      .map(row => copy(pick(row, ['tx_signature', 'slot', 'block_time', 'accounts', 'logs'])));
+  }
+
+  // ====================
+  // BACKFILL CURSORS
+  // ====================
+
+  async getBackfillCursors() {
+    return [...this.tables.backfill_cursors.values()].map(copy);
+  }
+
+  async upsertBackfillCursors(rows) {
+    for (const row of rows) {
+      this.upsert('backfill_cursors', row.target, row);
+    }
+  }
+
+  // ====================
+  // CANDIDATES
+  // ====================
+
+  async getCandidate(walletAddress) {
+    return copy(this.tables.candidate_wallets.get(walletAddress) || null);
+  }
+
+  async getCandidates(walletAddresses) {
+    return walletAddresses
+      .filter(walletAddress => this.tables.candidate_wallets.has(walletAddress))
+      .map(walletAddress => copy(this.tables.candidate_wallets.get(walletAddress)));
+  }
+
+  async updateCandidate(walletAddress, fields) {
+    const row = this.tables.candidate_wallets.get(walletAddress);
+    if (!row) return null;
+    Object.assign(row, copy(fields));
+    return copy(row);
+  }
+
+  // Insert-if-absent, like ON CONFLICT DO NOTHING
+  async insertCandidates(rows) {
+    for (const row of rows) {
+      if (!this.tables.candidate_wallets.has(row.wallet_address)) {
+        this.upsert('candidate_wallets', row.wallet_address, row);
+      }
+    }
+  }
+
+  async listCandidates({ status = null, limit = 50, offset = 0 } = {}) {
+    const rows = [...this.tables.candidate_wallets.values()].filter(row => !status || row.status === status);
+    return sortRows(rows, [['discovery_timestamp', 'desc']]).slice(offset, offset + limit).map(copy);
+  }
+
+  async getDueCandidates({ now: at, limit }) {
+    const due = time(at);
+    const rows = [...this.tables.candidate_wallets.values()].filter(row =>
+      row.status === JOB_STATUS.PENDING ||
+      (row.status === JOB_STATUS.RETRY && time(row.next_attempt_at) <= due) ||
+      (row.status === JOB_STATUS.PROFILING && time(row.lease_expires_at) < due) ||
+      (row.status === JOB_STATUS.REJECTED && row.reevaluate_at != null && time(row.reevaluate_at) <= due)
+    );
+    return sortRows(rows, [['discovery_timestamp']]).slice(0, limit).map(copy);
+  }
+
+  async countCandidatesByStatus() {
+    const counts = {};
+    for (const row of this.tables.candidate_wallets.values()) {
+      counts[row.status] = (counts[row.status] || 0) + 1;
+    }
+    return counts;
+  }
+
+  // Compare-and-set on (id, status, attempts), like the SQL backends
+  async leaseCandidate(row, fields) {
+    const current = this.tables.candidate_wallets.get(row.wallet_address);
+    if (!current || current.id !== row.id || current.status !== row.status || (current.attempts || 0) !== (row.attempts || 0)) {
+      return null;
+    }
+    Object.assign(current, copy(fields));
+    return copy(current);
+  }
+
+  async settleCandidate(job, fields) {
+    const current = [...this.tables.candidate_wallets.values()].find(row => row.id === job.id);
+    if (!current || current.lease_owner !== job.lease_owner || current.attempts !== job.attempts) {
+      return false;
+    }
+    Object.assign(current, copy(fields));
+    return true;
+  }
+
+  // ====================
+  // TRADES & STATS
+  // ====================
+
+  async upsertTrades(rows) {
+    for (const row of rows) {
+      this.upsert('trades', `${row.transaction_signature}:${row.wallet_address}`, row);
+    }
+  }
+
+  async getDecodedTrades(walletAddress, { limit = 1000 } = {}) {
+    const rows = [...this.tables.trades.values()].filter(row => row.wallet_address === walletAddress && row.status === 'decoded');
+    return sortRows(rows, [['timestamp', 'desc'], ['id', 'desc']])
+      .slice(0, limit)
+      .reverse()
+      .map(row => copy(pick(row, [
+        'transaction_signature', 'trade_type', 'token_mint', 'token_in_amount', 'token_out_amount', 'quote_mint', 'dex_program_id', 'timestamp',
+      ])));
+  }
+
+  async listTrades({ walletAddress = null, mint = null, tradeType = null, before = null, limit = 50 } = {}) {
+    const rows = [...this.tables.trades.values()].filter(row =>
+      (!walletAddress || row.wallet_address === walletAddress) &&
+      (!mint || row.token_mint === mint) &&
+      (!tradeType || row.trade_type === tradeType) &&
+      (!before || time(row.timestamp) < time(before.timestamp) || (time(row.timestamp) === time(before.timestamp) && row.id < before.id))
+    );
+    return sortRows(rows, [['timestamp', 'desc'], ['id', 'desc']])
+      .slice(0, limit)
+      .map(row => copy(pick(row, TRADE_COLUMNS)));
+  }
+
+  async listTradeTransactions({ limit = 500, ...range } = {}) {
+    const rows = [...this.tables.trades.values()].filter(row => row.raw_data && inReplayRange(row, {
+      slot: 'block_number',
+      time: 'timestamp',
+      signature: 'transaction_signature',
+    }, range));
+
+    const seen = new Set();
+    return sortRows(rows, [['block_number'], ['transaction_signature']])
+      .filter(row => !seen.has(row.transaction_signature) && seen.add(row.transaction_signature))
+      .slice(0, limit)
+      .map(row => copy(pick(row, ['transaction_signature', 'block_number', 'raw_data'])));
+  }
+
+  async upsertWalletStats(row) {
+    this.upsert('wallet_stats', row.wallet_address, row);
+  }
+
+  async getWalletStats(walletAddress) {
+    return copy(this.tables.wallet_stats.get(walletAddress) || null);
+  }
+
+  // ====================
+  // TOKEN METADATA
+  // ====================
+
+  async getTokenMetadata(mint) {
+    return copy(this.tables.token_metadata.get(mint) || null);
+  }
+
+  async upsertTokenMetadata(row) {
+    this.upsert('token_metadata', row.mint, row);
+  }
+
+  // ====================
+  // PUMP.FUN LIFECYCLE
+  // ====================
+
+  async getPumpFunToken(mint) {
+    return copy(this.tables.pump_fun_tokens.get(mint) || null);
+  }
+
+  async upsertPumpFunTokens(rows) {
+    for (const row of rows) {
+      this.upsert('pump_fun_tokens', row.mint, row);
+    }
+  }
+
+  async listPumpFunTokens({ status = null, limit = 50, offset = 0 } = {}) {
+    const rows = [...this.tables.pump_fun_tokens.values()].filter(row => !status || row.status === status);
+    return sortRows(rows, [['launch_slot', 'desc', true]]).slice(offset, offset + limit).map(copy);
+  }
+
+  // ====================
+  // COPY TRADING
+  // ====================
+
+  async getCopyPortfolios() {
+    return sortRows([...this.tables.copy_trade_portfolios.values()], [['equity_sol', 'desc']]).map(copy);
+  }
+
+  async getCopyPortfolio(walletAddress) {
+    return copy(this.tables.copy_trade_portfolios.get(walletAddress) || null);
+  }
+
+  async upsertCopyPortfolio(row) {
+    this.upsert('copy_trade_portfolios', row.wallet_address, row);
+  }
+
+  async insertCopyFill(row) {
+    this.tables.copy_trade_fills.push({ id: this.nextId++, created_at: now(), ...copy(row) });
+  }
+
+  async listCopyFills(walletAddress, { limit = 100 } = {}) {
+    const rows = this.tables.copy_trade_fills.filter(row => row.wallet_address === walletAddress);
+    return sortRows([...rows], [['created_at', 'desc'], ['id', 'desc']]).slice(0, limit).map(copy);
+  }
+
+  async insertCopyEquityPoint(row) {
+    this.tables.copy_trade_equity.push({ id: this.nextId++, recorded_at: now(), ...copy(row) });
+  }
+
+  async listCopyEquity(walletAddress, { limit = 1000 } = {}) {
+    const rows = this.tables.copy_trade_equity.filter(row => row.wallet_address === walletAddress);
+    return sortRows([...rows], [['recorded_at', 'desc'], ['id', 'desc']])
+      .slice(0, limit)
+      .reverse()
+      .map(row => copy(pick(row, ['equity_sol', 'cash_sol', 'drawdown', 'recorded_at'])));
+  }
+
+  // ====================
+  // ADMIN
+  // ====================
+
+  async getPauses() {
+    return sortRows([...this.tables.monitor_pauses.values()], [['paused_at']]).map(copy);
+  }
+
+  async upsertPause(row) {
+    this.upsert('monitor_pauses', `${row.kind}:${row.target}`, row);
+  }
+
+  async deletePause(kind, target) {
+    return this.tables.monitor_pauses.delete(`${kind}:${target}`);
+  }
+
+  async insertAuditEntry(row) {
+    this.tables.admin_audit_log.push({ id: this.nextId++, created_at: now(), ...copy(row) });
+  }
+
+  async listAuditLog({ limit = 100 } = {}) {
+    return sortRows([...this.tables.admin_audit_log], [['created_at', 'desc'], ['id', 'desc']]).slice(0, limit).map(copy);
+  }
+
+  // ====================
+  // SIGNALS
+  // ====================
+
+  async insertSignal(row) {
+    this.tables.signals.push({ id: this.nextId++, ...copy(row) });
+  }
+
+  async getRecentSignals({ limit = 50, mint = null } = {}) {
+    const rows = this.tables.signals.filter(row => !mint || row.token_mint === mint);
+    return sortRows([...rows], [['triggered_at', 'desc']]).slice(0, limit).map(copy);
+  }
+}
+
+module.exports = {
+  MemoryStore,
+};
@@ -0,0 +1,277 @@
+// Smart Money AI - Mock Solana RPC (test double)
+// One local HTTP server answering JSON-RPC (getTransaction, getSignaturesForAddress,
+// getMultipleAccounts) and WebSocket logsSubscribe on any path, so a test can point several
+// "providers" at it. Fixtures are synthetic { logsNotification, getTransaction } pairs: the
+// ledger is what the chain has finalized, publish() also pushes them to matching subscriptions.
+// Faults: dropped sockets, failed logsSubscribe calls and HTTP 429 rate limits.
+
+const http = require('http');
+const { WebSocketServer } = require('ws');
+const { getAccountKeys } = require('../../lib/swapDecoder');
+
+function loadFixture(name) {
+  // Fixtures are shared between tests; hand out copies so nobody mutates the original
+  return structuredClone(require(`../fixtures/${name}.json`));
+}
+
+class MockSolanaServer {
+  constructor() {
+    this.server = null;
+    this.wss = null;
+    this.port = null;
+
+    this.ledger = new Map(); // signature -> fixture, in the order they were finalized
+    this.sockets = new Set();
+    this.subscriptions = new Map(); // subscription id -> { socket, address }
+    this.nextSubscriptionId = 1;
+
+    this.calls = []; // { transport: 'http' | 'ws', method, params, path }
+    this.connections = []; // path of every socket ever opened
+    this.faults = {
+      subscriptionErrors: 0,
+      rateLimited: 0,
+    };
+  }
+
+  // ====================
+  // LIFECYCLE
+  // ====================
+
+  async start() {
+    this.server = http.createServer((req, res) => this.handleHttp(req, res));
+    this.wss = new WebSocketServer({ server: this.server });
+    this.wss.on('connection', (socket, req) => this.handleConnection(socket, req));
+
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.port = this.server.address().port;
+    return this;
+  }
+
+  async stop() {
+    this.dropConnections();
+    await new Promise(resolve => this.wss.close(resolve));
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  get httpUrl() {
+    return `http://127.0.0.1:${this.port}`;
+  }
+
+  // Distinct paths look like distinct endpoints to the monitor's failover
+  wssUrl(path = '/') {
+    return `ws://127.0.0.1:${this.port}${path}`;
+  }
+
+  // Between tests: forget the chain, the call log and any pending faults
+  reset() {
+    this.dropConnections();
+    this.ledger.clear();
+    this.calls = [];
+    this.connections = [];
+    this.faults.subscriptionErrors = 0;
+    this.faults.rateLimited = 0;
+  }
+
+  // ====================
+  // LEDGER
+  // ====================
+
+  // Finalized but never streamed, like a transaction landing while the socket is down
+  addToLedger(fixture) {
+    this.ledger.set(fixture.logsNotification.value.signature, fixture);
+  }
+
+  // Finalize and notify every subscription the transaction mentions; returns how many were sent
+  publish(fixture) {
+    this.addToLedger(fixture);
+    return this.notify(fixture);
+  }
+
+  // Send the notification again, as providers do after their own reconnects
+  notify(fixture) {
+    const mentioned = new Set(getAccountKeys(fixture.getTransaction));
+    let sent = 0;
+
+    for (const [id, { socket, address }] of this.subscriptions) {
+      if (!mentioned.has(address)) continue;
+      socket.send(JSON.stringify({
+        jsonrpc: '2.0',
+        method: 'logsNotification',
+        params: { result: fixture.logsNotification, subscription: id },
+      }));
+      sent++;
+    }
+    return sent;
+  }
+
+  // ====================
+  // FAULTS
+  // ====================
+
+  // Abrupt close (1006) on every open socket
+  dropConnections() {
+    for (const socket of this.sockets) {
+      socket.terminate();
+    }
+    this.sockets.clear();
+    this.subscriptions.clear();
+  }
+
+  failNextSubscriptions(count) {
+    this.faults.subscriptionErrors += count;
+  }
+
+  rateLimit(count) {
+    this.faults.rateLimited += count;
+  }
+
+  // ====================
+  // INSPECTION
+  // ====================
+
+  callsTo(method) {
+    return this.calls.filter(call => call.method === method);
+  }
+
+  subscribedAddresses() {
+    return [...this.subscriptions.values()].map(({ address }) => address);
+  }
+
+  // ====================
+  // WEBSOCKET
+  // ====================
+
+  handleConnection(socket, req) {
+    this.sockets.add(socket);
+    this.connections.push(req.url);
+
+    socket.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch (error) {
+        socket.send(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } }));
+        return;
+      }
+
+      this.calls.push({ transport: 'ws', method: message.method, params: message.params, path: req.url });
+      socket.send(JSON.stringify({ jsonrpc: '2.0', id: message.id, ...this.handleSocketMethod(socket, message) }));
+    });
+
+    socket.on('close', () => {
+      this.sockets.delete(socket);
+      for (const [id, subscription] of this.subscriptions) {
+        if (subscription.socket === socket) this.subscriptions.delete(id);
+      }
+    });
+  }
+
+  handleSocketMethod(socket, { method, params = [] }) {
+    switch (method) {
+      case 'logsSubscribe': {
+        if (this.faults.subscriptionErrors > 0) {
+          this.faults.subscriptionErrors--;
+          return { error: { code: -32603, message: 'Internal error: subscription limit reached' } };
+        }
+        const address = params[0]?.mentions?.[0];
+        if (!address) {
+          return { error: { code: -32602, message: 'Invalid params: mentions required' } };
+        }
+        const id = this.nextSubscriptionId++;
+        this.subscriptions.set(id, { socket, address });
+        return { result: id };
+      }
+
+      case 'logsUnsubscribe':
+        return { result: this.subscriptions.delete(params[0]) };
+
+      default:
+        return { error: { code: -32601, message: `Method not found: ${method}` } };
+    }
+  }
+
+  // ====================
+  // HTTP
+  // ====================
+
+  handleHttp(req, res) {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      let message;
+      try {
+        message = JSON.parse(body);
+      } catch (error) {
+        return this.respond(res, 400, { jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
+      }
+
+      this.calls.push({ transport: 'http', method: message.method, params: message.params, path: req.url });
+
+      if (this.faults.rateLimited > 0) {
+        this.faults.rateLimited--;
+        return this.respond(res, 429, { jsonrpc: '2.0', id: message.id, error: { code: 429, message: 'Too many requests' } });
+      }
+
+      this.respond(res, 200, { jsonrpc: '2.0', id: message.id, ...this.handleHttpMethod(message) });
+    });
+  }
+
+  handleHttpMethod({ method, params = [] }) {
+    switch (method) {
+      case 'getTransaction':
+        return { result: structuredClone(this.ledger.get(params[0])?.getTransaction || null) };
+
+      case 'getSignaturesForAddress':
+        return { result: this.getSignaturesForAddress(params[0], params[1]) };
+
+      // No mint or metadata accounts are recorded
+      case 'getMultipleAccounts':
+        return { result: { context: { slot: this.latestSlot() }, value: (params[0] || []).map(() => null) } };
+
+      default:
+        return { error: { code: -32601, message: `Method not found: ${method}` } };
+    }
+  }
+
+  // Newest first, between `before` and `until` (both exclusive), like the real method
+  getSignaturesForAddress(address, { limit = 1000, before = null, until = null } = {}) {
+    const newestFirst = [...this.ledger.values()]
+      .filter(fixture => getAccountKeys(fixture.getTransaction).includes(address))
+      .sort((a, b) => b.getTransaction.slot - a.getTransaction.slot);
+
+    const result = [];
+    let started = !before;
+    for (const { getTransaction: transaction, logsNotification } of newestFirst) {
+      const signature = logsNotification.value.signature;
+      if (!started) {
+        started = signature === before;
+        continue;
+      }
+      if (signature === until || result.length >= limit) break;
+
+      result.push({
+        signature,
+        slot: transaction.slot,
+        err: transaction.meta.err,
+        memo: null,
+        blockTime: transaction.blockTime,
+        confirmationStatus: 'finalized',
+      });
+    }
+    return result;
+  }
+
+  latestSlot() {
+    return Math.max(0, ...[...this.ledger.values()].map(fixture => fixture.getTransaction.slot));
+  }
+
+  respond(res, status, payload) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+  }
+}
+
+module.exports = {
+  MockSolanaServer,
+  loadFixture,
+};
@@ -0,0 +1,99 @@
+// Smart Money AI - Log stream failback tests
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { LogStreamPool } = require('../lib/logStream');
+
+// A pool whose only shard is connected to the backup; switches are recorded, not made
+function poolOnBackup({ cooldownMs }) {
+  const pool = new LogStreamPool({
+    urls: ['wss://primary.example', 'wss://backup.example'],
+    cooldownMs,
+    onNotification: () => {},
+  });
+  const [primary, backup] = pool.endpoints;
+
+  // One dropped socket on the primary, a clean connect on the backup
+  primary.health.recordSuccess(20);
+  primary.health.recordFailure(new Error('closed 1006'));
+  backup.health.recordSuccess(20);
+
+  const shard = pool.addShard();
+  shard.isConnected = true;
+  shard.endpoint = backup;
+  const switches = [];
+  shard.switchTo = endpoint => switches.push(endpoint);
+
+  return { pool, primary, switches };
+}
+
+describe('LogStreamPool failback', () => {
+  it('moves back to the primary once its cooldown has passed, whatever its score', () => {
+    const { pool, primary, switches } = poolOnBackup({ cooldownMs: 0 });
+    assert.ok(primary.health.score() < pool.endpoints[1].health.score() - 10);
+
+    pool.checkFailback();
+
+    assert.deepEqual(switches, [primary]);
+  });
+
+  it('stays on the backup while the primary is cooling down', () => {
+    const { pool, switches } = poolOnBackup({ cooldownMs: 60000 });
+
+    pool.checkFailback();
+
+    assert.deepEqual(switches, []);
+  });
+});
+
+describe('LogStreamShard reconnect', () => {
+  const consoleLog = console.log;
+  const consoleError = console.error;
+
+  before(() => {
+    console.log = () => {};
+    console.error = () => {};
+  });
+
+  after(() => {
+    console.log = consoleLog;
+    console.error = consoleError;
+  });
+
+  it('keeps retrying at the capped delay once every endpoint is out of attempts', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+
+    const pool = new LogStreamPool({
+      urls: ['wss://only.example'],
+      maxReconnectAttempts: 2,
+      maxReconnectDelayMs: 8000,
+      onNotification: () => {},
+    });
+    const shard = pool.addShard();
+    shard.endpoint = pool.endpoints[0];
+
+    // Every connect fails straight away; record when each attempt was made
+    const attempts = [];
+    let now = 0;
+    shard.connect = () => {
+      attempts.push(now);
+      shard.handleReconnect();
+    };
+
+    shard.handleReconnect();
+    while (now < 60000) {
+      now += 500;
+      t.mock.timers.tick(500);
+    }
+
+    const gaps = attempts.map((at, i) => at - (attempts[i - 1] || 0));
+    assert.deepEqual(gaps.slice(0, 3), [5000, 7500, 8000]);
+    assert.ok(gaps.slice(2).every(gap => gap === 8000));
+    assert.equal(attempts.length, 7);
+
+    assert.equal(shard.exhausted, true);
+    assert.equal(pool.degraded, true);
+    assert.equal(pool.getStatus().shards[0].exhausted, true);
+    assert.equal(shard.reconnectAttempts, attempts.length + 1);
+  });
+});
@@ -0,0 +1,140 @@
+// Smart Money AI - PnL engine tests
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { PnlEngine, tradeFromRow, tradeFromSwap } = require('../lib/pnlEngine');
+const { WSOL_MINT, USDC_MINT } = require('../lib/constants');
+
+const MINUTE = 60000;
+
+function trade(side, tokenAmount, quoteAmount, minute, { mint = 'MINT', quoteMint = WSOL_MINT } = {}) {
+  return {
+    signature: `${side}-${minute}`,
+    tokenMint: mint,
+    side,
+    tokenAmount,
+    quoteAmount,
+    quoteMint,
+    timestamp: minute * MINUTE,
+  };
+}
+
+// Two lots at different prices, then a sell that spans both
+const LOTS = [
+  trade('buy', 100, 1, 0), // 0.01 SOL/token
+  trade('buy', 100, 3, 10), // 0.03 SOL/token
+  trade('sell', 150, 6, 20), // 0.04 SOL/token
+];
+
+describe('PnlEngine', () => {
+  it('realizes FIFO cost from the oldest lots first', () => {
+    const stats = new PnlEngine({ method: 'fifo' }).compute(LOTS);
+
+    // Cost: all of lot 1 (1) plus half of lot 2 (1.5)
+    assert.equal(stats.realized_pnl_sol, 3.5);
+    assert.equal(stats.roi, 3.5 / 2.5);
+    assert.equal(stats.closed_trades, 1);
+    assert.equal(stats.win_rate, 1);
+    // 100 tokens held 20 minutes, 50 held 10 minutes
+    assert.equal(stats.avg_hold_seconds, (100 * 1200 + 50 * 600) / 150);
+
+    const [position] = stats.positions;
+    assert.equal(position.amount, 50);
+    assert.equal(position.cost_basis, 1.5);
+    // Marked at the last trade price (0.04)
+    assert.ok(Math.abs(stats.unrealized_pnl_sol - 0.5) < 1e-9);
+    assert.equal(stats.open_positions, 1);
+  });
+
+  it('realizes average cost across the open position', () => {
+    const stats = new PnlEngine({ method: 'average' }).compute(LOTS);
+
+    // 4 SOL for 200 tokens: 150 of them cost 3
+    assert.equal(stats.realized_pnl_sol, 3);
+    assert.equal(stats.positions[0].cost_basis, 1);
+    // Held since the position opened
+    assert.equal(stats.avg_hold_seconds, 1200);
+  });
+
+  it('sorts trades by time before matching', () => {
+    const stats = new PnlEngine().compute([...LOTS].reverse());
+    assert.equal(stats.realized_pnl_sol, 3.5);
+  });
+
+  it('only realizes the part of a sell it holds basis for', () => {
+    const stats = new PnlEngine().compute([
+      trade('buy', 100, 1, 0),
+      trade('sell', 200, 4, 5), // half of it was never seen being bought
+    ]);
+
+    assert.equal(stats.realized_pnl_sol, 1);
+    assert.equal(stats.positions[0].amount, 0);
+    assert.equal(stats.open_positions, 0);
+  });
+
+  it('ignores sells with no basis and trades not quoted in SOL', () => {
+    const stats = new PnlEngine().compute([
+      trade('sell', 10, 1, 0),
+      trade('buy', 10, 5, 1, { quoteMint: USDC_MINT }),
+    ]);
+
+    assert.equal(stats.closed_trades, 0);
+    assert.equal(stats.realized_pnl_sol, 0);
+    assert.equal(stats.win_rate, null);
+    assert.equal(stats.roi, null);
+    assert.equal(stats.mints_traded, 1);
+  });
+
+  it('marks open positions at the given prices', () => {
+    const stats = new PnlEngine().compute([trade('buy', 100, 1, 0)], {
+      currentPrices: new Map([['MINT', 0.02]]),
+    });
+
+    assert.equal(stats.unrealized_pnl_sol, 1);
+    assert.equal(stats.total_roi, 1);
+  });
+
+  it('rejects unknown cost basis methods', () => {
+    assert.throws(() => new PnlEngine({ method: 'lifo' }), /Unknown cost basis method: lifo/);
+  });
+});
+
+describe('trade normalization', () => {
+  it('reads the token and SOL legs of stored rows', () => {
+    assert.deepEqual(tradeFromRow({
+      transaction_signature: 'sig',
+      trade_type: 'sell',
+      token_mint: 'MINT',
+      token_in_amount: '150',
+      token_out_amount: '6',
+      quote_mint: WSOL_MINT,
+      timestamp: '2026-01-01T00:00:00.000Z',
+    }), {
+      signature: 'sig',
+      tokenMint: 'MINT',
+      side: 'sell',
+      tokenAmount: 150,
+      quoteAmount: 6,
+      quoteMint: WSOL_MINT,
+      timestamp: Date.UTC(2026, 0, 1),
+    });
+    assert.equal(tradeFromRow({ trade_type: null }), null);
+  });
+
+  it('reads decoded swaps', () => {
+    const normalized = tradeFromSwap({
+      signature: 'sig',
+      tradeType: 'buy',
+      tokenMint: 'MINT',
+      inputAmount: 2,
+      outputAmount: 500,
+      quoteMint: WSOL_MINT,
+      blockTime: 1767225600,
+    });
+
+    assert.equal(normalized.tokenAmount, 500);
+    assert.equal(normalized.quoteAmount, 2);
+    assert.equal(normalized.timestamp, 1767225600 * 1000);
+    assert.equal(tradeFromSwap({ tradeType: 'swap' }), null);
+  });
+});
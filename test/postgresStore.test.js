@@ -0,0 +1,41 @@
+// Smart Money AI - Postgres store query building tests
+// The pool never connects: `query` is replaced and the generated SQL inspected.
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PostgresStore } = require('../lib/storage/postgresStore');
+
+describe('PostgresStore.insert', () => {
+  const store = new PostgresStore({ connectionString: 'postgres://localhost:1/unused' });
+  const statements = [];
+  store.query = async (sql, params) => {
+    statements.push({ sql, params });
+    return [];
+  };
+
+  after(() => store.pool.end());
+
+  it('writes rows with different columns in separate statements', async () => {
+    statements.length = 0;
+    await store.insert('wallets', [
+      { wallet_address: 'a', score: 50 },
+      { wallet_address: 'b', score: 60, is_verified: true },
+      { score: 70, wallet_address: 'c' },
+    ], { conflict: ['wallet_address'] });
+
+    assert.equal(statements.length, 2);
+    const [first, second] = statements;
+    assert.match(first.sql, /^INSERT INTO wallets \(wallet_address, score\) VALUES \(\$1, \$2\), \(\$3, \$4\) ON CONFLICT \(wallet_address\) DO UPDATE SET score = EXCLUDED\.score$/);
+    assert.deepEqual(first.params, ['a', 50, 'c', 70]);
+    // Rows without is_verified never update it
+    assert.match(second.sql, /is_verified = EXCLUDED\.is_verified/);
+    assert.deepEqual(second.params, ['b', 60, true]);
+    assert.doesNotMatch(statements.map(({ sql }) => sql).join('\n'), /DEFAULT/);
+  });
+
+  it('writes nothing for no rows', async () => {
+    statements.length = 0;
+    assert.deepEqual(await store.insert('wallets', []), []);
+    assert.equal(statements.length, 0);
+  });
+});
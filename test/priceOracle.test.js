@@ -0,0 +1,173 @@
+// Smart Money AI - Price oracle tests
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { PriceOracle } = require('../lib/priceOracle');
+const { WSOL_MINT, USDC_MINT } = require('../lib/constants');
+
+const MINT = 'Mint11111111111111111111111111111111111111';
+const BLOCK_TIME = 1767225600;
+
+// A SOL-quoted trade of `tokens` for `sol`, `seconds` after BLOCK_TIME
+function trade(tradeType, tokens, sol, seconds, { mint = MINT, quoteMint = WSOL_MINT } = {}) {
+  const isBuy = tradeType === 'buy';
+  return {
+    tradeType,
+    tokenMint: mint,
+    quoteMint,
+    inputMint: isBuy ? quoteMint : mint,
+    inputAmount: isBuy ? sol : tokens,
+    outputMint: isBuy ? mint : quoteMint,
+    outputAmount: isBuy ? tokens : sol,
+    blockTime: BLOCK_TIME + seconds,
+  };
+}
+
+// SOL -> USDC at `usd` per SOL
+function solSale(sol, usd, seconds) {
+  return { inputMint: WSOL_MINT, inputAmount: sol, outputMint: USDC_MINT, outputAmount: sol * usd, blockTime: BLOCK_TIME + seconds };
+}
+
+describe('PriceOracle token prices', () => {
+  const consoleLog = console.log;
+  const consoleError = console.error;
+
+  before(() => {
+    console.log = () => {};
+    console.error = () => {};
+  });
+
+  after(() => {
+    console.log = consoleLog;
+    console.error = consoleError;
+  });
+
+  it('weights the window average by SOL volume', () => {
+    const oracle = new PriceOracle();
+    oracle.recordSwap(trade('buy', 100, 1, 0)); // 0.01
+    oracle.recordSwap(trade('sell', 100, 3, 60)); // 0.03, three times the volume
+
+    const price = oracle.getPrice(MINT);
+    assert.equal(price.lastSol, 0.03);
+    assert.equal(price.vwapSol, (0.01 * 1 + 0.03 * 3) / 4);
+    assert.equal(price.priceSol, price.vwapSol);
+    assert.equal(price.windowTrades, 2);
+    assert.equal(oracle.stats.swapsRecorded, 2);
+  });
+
+  it('drops trades that fall out of the window', () => {
+    const oracle = new PriceOracle({ windowMs: 60000 });
+    oracle.recordSwap(trade('buy', 100, 1, 0));
+    oracle.recordSwap(trade('buy', 100, 2, 61));
+
+    assert.equal(oracle.priceInSol(MINT), 0.02);
+    assert.equal(oracle.getPrice(MINT).windowTrades, 1);
+  });
+
+  it('keeps the latest trade as last when an older one arrives late', () => {
+    const oracle = new PriceOracle();
+    oracle.recordSwap(trade('buy', 100, 2, 60));
+    oracle.recordSwap(trade('buy', 100, 1, 0)); // backfilled
+
+    const price = oracle.getPrice(MINT);
+    assert.equal(price.lastSol, 0.02);
+    assert.equal(price.lastTradeAt, new Date((BLOCK_TIME + 60) * 1000).toISOString());
+  });
+
+  it('converts stablecoin-quoted trades at the current SOL/USD', () => {
+    const oracle = new PriceOracle();
+    oracle.recordSwap(trade('buy', 100, 150, 0, { quoteMint: USDC_MINT }));
+    assert.equal(oracle.priceInSol(MINT), null);
+
+    oracle.recordSwap(solSale(2, 150, 0));
+    oracle.recordSwap(trade('buy', 100, 150, 1, { quoteMint: USDC_MINT }));
+    assert.equal(oracle.priceInSol(MINT), 0.01);
+    assert.equal(oracle.getPrice(MINT).priceUsd, 1.5);
+  });
+
+  it('ignores swaps that are not token buys or sells', () => {
+    const oracle = new PriceOracle();
+    oracle.recordSwap({ ...trade('buy', 100, 1, 0), tradeType: 'swap' });
+    oracle.recordSwap(trade('buy', 0, 1, 0));
+
+    assert.equal(oracle.getPrice(MINT), null);
+    assert.equal(oracle.stats.swapsRecorded, 0);
+  });
+
+  it('evicts the least recently traded mint', () => {
+    const oracle = new PriceOracle({ maxMints: 2 });
+    oracle.recordSwap(trade('buy', 1, 1, 0, { mint: 'A' }));
+    oracle.recordSwap(trade('buy', 1, 1, 0, { mint: 'B' }));
+    oracle.recordSwap(trade('buy', 1, 1, 1, { mint: 'A' }));
+    oracle.recordSwap(trade('buy', 1, 1, 2, { mint: 'C' }));
+
+    assert.deepEqual([...oracle.series.keys()], ['A', 'C']);
+  });
+});
+
+describe('PriceOracle SOL/USD', () => {
+  const consoleLog = console.log;
+  const consoleError = console.error;
+
+  before(() => {
+    console.log = () => {};
+    console.error = () => {};
+  });
+
+  after(() => {
+    console.log = consoleLog;
+    console.error = consoleError;
+  });
+
+  it('prices SOL from SOL/stablecoin swaps in either direction', () => {
+    const oracle = new PriceOracle({ solUsdPrice: 100 });
+    assert.equal(oracle.getSolUsd(), 100);
+
+    oracle.recordSwap(solSale(1, 150, 0));
+    oracle.recordSwap({ inputMint: USDC_MINT, inputAmount: 480, outputMint: WSOL_MINT, outputAmount: 3, blockTime: BLOCK_TIME + 1 });
+    assert.equal(oracle.getSolUsd(), (150 * 1 + 160 * 3) / 4);
+  });
+
+  it('values swaps from an exact leg before the oracle price', () => {
+    const oracle = new PriceOracle({ solUsdSource: 'fixed', solUsdPrice: 200 });
+    assert.deepEqual(oracle.notional(trade('buy', 100, 2, 0)), { sol: 2, usd: 400 });
+    assert.deepEqual(oracle.notional(trade('sell', 100, 50, 0, { quoteMint: USDC_MINT })), { sol: 0.25, usd: 50 });
+
+    const tokenSwap = { inputMint: MINT, inputAmount: 10, outputMint: 'Other', outputAmount: 5 };
+    assert.deepEqual(oracle.notional(tokenSwap), { sol: null, usd: null });
+    oracle.recordSwap(trade('buy', 100, 1, 0));
+    assert.deepEqual(oracle.notional(tokenSwap), { sol: 0.1, usd: 20 });
+  });
+
+  it('refreshes from an HTTP endpoint and keeps the last good value', async () => {
+    let body = { solana: { usd: 175.5 } };
+    const server = http.createServer((req, res) => res.end(JSON.stringify(body)));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const oracle = new PriceOracle({
+        solUsdSource: 'http',
+        solUsdUrl: `http://127.0.0.1:${server.address().port}/price`,
+        solUsdPrice: 100,
+      });
+      assert.equal(oracle.getSolUsd(), 100);
+
+      await oracle.refreshSolUsd();
+      assert.equal(oracle.getSolUsd(), 175.5);
+
+      body = { solana: {} };
+      await oracle.refreshSolUsd();
+      assert.equal(oracle.getSolUsd(), 175.5);
+      assert.equal(oracle.stats.solUsdErrors, 1);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  it('rejects incomplete source settings', () => {
+    assert.throws(() => new PriceOracle({ solUsdSource: 'oracle' }), /Unknown SOL\/USD source: oracle/);
+    assert.throws(() => new PriceOracle({ solUsdSource: 'http' }), /needs a URL/);
+    assert.throws(() => new PriceOracle({ solUsdSource: 'fixed' }), /needs a price/);
+  });
+});
@@ -0,0 +1,162 @@
+// Smart Money AI - Pump.fun lifecycle tests
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PumpFunLifecycle, LIFECYCLE_STATUS, curveProgress } = require('../lib/pumpFunLifecycle');
+const { DEX_ACTIONS } = require('../lib/constants');
+const { MemoryStore } = require('./helpers/memoryStore');
+
+const MINT = 'Mint11111111111111111111111111111111111111';
+const CREATOR = 'Creator111111111111111111111111111111111111';
+const CURVE = 'Curve1111111111111111111111111111111111111';
+const LAUNCH_TIME = 1767225600;
+
+// Virtual token reserves once `share` of the 793.1M tokens for sale have been bought
+function reservesAt(share) {
+  return String(1073000000000000n - BigInt(Math.round(share * 10000)) * 79310000000n);
+}
+
+function tx(signature, slot, seconds = slot - 1000) {
+  return { slot, blockTime: LAUNCH_TIME + seconds, transaction: { signatures: [signature] } };
+}
+
+// A Pump.fun action as lib/dexParsers parseDexActions reports it
+function pumpAction(instruction, events = [], accounts = []) {
+  return { dex: 'PUMP_FUN', instruction, action: DEX_ACTIONS.SWAP, accounts, events };
+}
+
+const create = pumpAction('create', [{ event: 'CreateEvent', name: 'Token', symbol: 'TKN', uri: 'ipfs://tkn', mint: MINT, bondingCurve: CURVE, user: CREATOR }]);
+const trade = share => pumpAction('buy', [{ event: 'TradeEvent', mint: MINT, virtualTokenReserves: reservesAt(share) }]);
+const complete = pumpAction('buy', [{ event: 'CompleteEvent', mint: MINT, bondingCurve: CURVE }]);
+const withdraw = pumpAction('withdraw', [], ['Global', 'Fees', MINT]);
+const raydiumPool = { dex: 'RAYDIUM', instruction: 'initialize2', action: DEX_ACTIONS.CREATE_POOL, events: [] };
+
+function lifecycle(store = new MemoryStore()) {
+  const saved = [];
+  const tracker = new PumpFunLifecycle({
+    store,
+    save: async record => {
+      saved.push(record);
+      await store.upsertPumpFunTokens([record]);
+    },
+  });
+  return { tracker, store, saved };
+}
+
+describe('PumpFunLifecycle', () => {
+  const consoleLog = console.log;
+  const consoleError = console.error;
+
+  before(() => {
+    console.log = () => {};
+    console.error = () => {};
+  });
+
+  after(() => {
+    console.log = consoleLog;
+    console.error = consoleError;
+  });
+
+  it('follows a token from launch through completion to a Raydium migration', async () => {
+    const { tracker, store } = lifecycle();
+
+    const launch = await tracker.observe(tx('launch', 1000), [create]);
+    assert.deepEqual(launch.map(change => change.type), ['launch']);
+
+    assert.deepEqual(await tracker.observe(tx('trade', 1010), [trade(0.5)]), []);
+    assert.equal((await store.getPumpFunToken(MINT)).curve_progress, 0.5);
+
+    const completed = await tracker.observe(tx('complete', 1020), [trade(1), complete]);
+    assert.deepEqual(completed.map(change => change.type), ['complete']);
+
+    const migrated = await tracker.observe(tx('migration', 1030), [withdraw, raydiumPool]);
+    assert.deepEqual(migrated.map(change => change.type), ['migration']);
+
+    const record = await store.getPumpFunToken(MINT);
+    assert.equal(record.status, LIFECYCLE_STATUS.MIGRATED);
+    assert.equal(record.symbol, 'TKN');
+    assert.equal(record.creator, CREATOR);
+    assert.equal(record.launch_signature, 'launch');
+    assert.equal(record.completed_slot, 1020);
+    assert.equal(record.migration_venue, 'RAYDIUM');
+    assert.equal(record.migrated_at, new Date((LAUNCH_TIME + 30) * 1000).toISOString());
+    assert.deepEqual(tracker.getStats(), { cached: 1, launches: 1, completions: 1, migrations: 1, curveUpdates: 2, errors: 0 });
+  });
+
+  it('never moves a token backwards when transactions arrive out of order', async () => {
+    const { tracker, store } = lifecycle();
+    await tracker.observe(tx('trade-late', 1020), [trade(0.75)]);
+    await tracker.observe(tx('trade-early', 1010), [trade(0.25)]);
+    assert.equal((await store.getPumpFunToken(MINT)).curve_progress, 0.75);
+
+    await tracker.observe(tx('migration', 1040), [pumpAction('migrate', [], ['Global', 'Fees', MINT])]);
+    const late = await tracker.observe(tx('complete', 1030), [complete]);
+
+    assert.deepEqual(late, []);
+    const record = await store.getPumpFunToken(MINT);
+    assert.equal(record.status, LIFECYCLE_STATUS.MIGRATED);
+    assert.equal(record.migration_venue, 'PUMP_SWAP');
+    assert.equal(record.completed_slot, 1030);
+  });
+
+  it('only records a launch and a migration once', async () => {
+    const { tracker } = lifecycle();
+    await tracker.observe(tx('launch', 1000), [create]);
+    await tracker.observe(tx('migration', 1030), [withdraw]);
+
+    assert.deepEqual(await tracker.observe(tx('launch-replay', 1000), [create]), []);
+    assert.deepEqual(await tracker.observe(tx('migration-replay', 1030), [withdraw]), []);
+    assert.equal((await tracker.get(MINT)).migration_venue, null);
+  });
+
+  it('ignores other DEXes and events that failed to decode', async () => {
+    const { tracker, saved } = lifecycle();
+    assert.deepEqual(await tracker.observe(tx('raydium', 1000), [raydiumPool]), []);
+    assert.deepEqual(await tracker.observe(tx('undecoded', 1000), [pumpAction('buy', [{ event: 'TradeEvent' }])]), []);
+    assert.equal(saved.length, 0);
+  });
+
+  it('resumes stored records and shares one read between concurrent lookups', async () => {
+    const store = new MemoryStore();
+    await lifecycle(store).tracker.observe(tx('launch', 1000), [create]);
+
+    const { tracker } = lifecycle(store);
+    let reads = 0;
+    const getPumpFunToken = store.getPumpFunToken.bind(store);
+    store.getPumpFunToken = mint => {
+      reads++;
+      return getPumpFunToken(mint);
+    };
+
+    const [first, second] = await Promise.all([tracker.get(MINT), tracker.get(MINT)]);
+    assert.equal(first, second);
+    assert.equal(first.launch_slot, 1000);
+    assert.equal(reads, 1);
+  });
+
+  it('times trades against the launch', async () => {
+    const { tracker, store } = lifecycle();
+    await tracker.observe(tx('launch', 1000), [create]);
+    await tracker.observe(tx('trade', 1010), [trade(0.5)]);
+
+    assert.deepEqual(await tracker.timeSinceLaunch(MINT, { slot: 1025, blockTime: LAUNCH_TIME + 10 }), {
+      slotsSinceLaunch: 25,
+      secondsSinceLaunch: 10,
+      curveProgress: 0.5,
+      status: LIFECYCLE_STATUS.BONDING,
+    });
+    assert.equal(await tracker.timeSinceLaunch('Unseen', { slot: 1025 }), null);
+
+    store.getPumpFunToken = async () => { throw new Error('connection reset'); };
+    assert.equal(await tracker.timeSinceLaunch('Other', { slot: 1025 }), null);
+  });
+});
+
+describe('curveProgress', () => {
+  it('measures tokens sold against the real reserves, clamped to 0-1', () => {
+    assert.equal(curveProgress('1073000000000000'), 0);
+    assert.equal(curveProgress(reservesAt(0.4)), 0.4);
+    assert.equal(curveProgress('279900000000000'), 1);
+    assert.equal(curveProgress('1100000000000000'), 0);
+  });
+});
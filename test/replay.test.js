@@ -0,0 +1,74 @@
+// Smart Money AI - Replay report tests
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { compareOutcomes, loadProductionBaseline } = require('../lib/replay');
+const { JOB_STATUS } = require('../lib/candidateQueue');
+const { MemoryStore } = require('./helpers/memoryStore');
+
+const promoted = score => ({ status: JOB_STATUS.PROMOTED, score, reason: null });
+const rejected = (score, reason = 'Score below threshold') => ({ status: JOB_STATUS.REJECTED, score, reason });
+
+describe('compareOutcomes', () => {
+  it('splits promotions into kept, added and removed', () => {
+    const before = {
+      kept: promoted(60),
+      removed: promoted(45),
+      added: rejected(30),
+    };
+    const after = {
+      kept: promoted(60),
+      removed: rejected(35),
+      added: promoted(70),
+      unseen: promoted(50), // discovered only by the replay
+    };
+
+    const { promotions } = compareOutcomes(before, after);
+    assert.deepEqual(promotions, {
+      before: 2,
+      after: 3,
+      kept: ['kept'],
+      added: ['added', 'unseen'],
+      removed: ['removed'],
+    });
+  });
+
+  it('only counts baseline wallets the replay discovered', () => {
+    const { promotions, changes } = compareOutcomes(
+      { replayed: promoted(60), elsewhere: promoted(80) },
+      { replayed: promoted(60) }
+    );
+
+    assert.equal(promotions.before, 1);
+    assert.deepEqual(promotions.removed, []);
+    assert.deepEqual(changes, []);
+  });
+
+  it('lists every wallet whose status or score changed', () => {
+    const { changes } = compareOutcomes(
+      { rescored: rejected(30), same: rejected(30, 'old reason') },
+      { rescored: rejected(35), same: rejected(30, 'new reason'), unseen: rejected(10) }
+    );
+
+    assert.deepEqual(changes, [
+      { wallet: 'rescored', before: rejected(30), after: rejected(35) },
+      { wallet: 'unseen', before: null, after: rejected(10) },
+    ]);
+  });
+});
+
+describe('loadProductionBaseline', () => {
+  it('reads the live outcome of each replayed wallet', async () => {
+    const store = new MemoryStore();
+    await store.insertCandidates([
+      { wallet_address: 'a', status: JOB_STATUS.PROMOTED, score: '72' },
+      { wallet_address: 'b', status: JOB_STATUS.FAILED, last_error: 'RPC timeout' },
+      { wallet_address: 'c', status: JOB_STATUS.PROMOTED, score: 90 },
+    ]);
+
+    assert.deepEqual(await loadProductionBaseline(store, ['a', 'b', 'missing']), {
+      a: promoted(72),
+      b: { status: JOB_STATUS.FAILED, score: null, reason: 'RPC timeout' },
+    });
+  });
+});
@@ -0,0 +1,73 @@
+// Smart Money AI - Log subscription manager tests
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { SubscriptionManager, SUBSCRIPTION_STATE } = require('../lib/subscriptionManager');
+
+const WALLET = { type: 'wallet', address: 'Wallet1111111111111111111111111111111111111' };
+
+// Sent messages are recorded; the test answers them through handleResponse
+function recordingManager() {
+  const sent = [];
+  const manager = new SubscriptionManager({
+    send: (message) => {
+      sent.push(message);
+      return true;
+    },
+  });
+  return { manager, sent };
+}
+
+function lastRequest(sent, method) {
+  return sent.filter(message => message.method === method).at(-1);
+}
+
+function stateOf(manager, target) {
+  return manager.getStatus().targets.find(entry => entry.target === `${target.type}:${target.address}`)?.state;
+}
+
+describe('SubscriptionManager', () => {
+  const consoleError = console.error;
+
+  before(() => {
+    console.error = () => {};
+  });
+
+  after(() => {
+    console.error = consoleError;
+  });
+
+  it('subscribes again when re-added while unsubscribing', () => {
+    const { manager, sent } = recordingManager();
+
+    manager.sync([WALLET]);
+    manager.handleResponse({ id: lastRequest(sent, 'logsSubscribe').id, result: 41 });
+    manager.sync([]);
+    assert.equal(stateOf(manager, WALLET), SUBSCRIPTION_STATE.UNSUBSCRIBING);
+
+    manager.sync([WALLET]);
+    manager.handleResponse({ id: lastRequest(sent, 'logsUnsubscribe').id, result: true });
+
+    assert.equal(stateOf(manager, WALLET), SUBSCRIPTION_STATE.SUBSCRIBING);
+    assert.equal(sent.filter(message => message.method === 'logsSubscribe').length, 2);
+    assert.equal(manager.getTarget(41), null);
+
+    manager.handleResponse({ id: lastRequest(sent, 'logsSubscribe').id, result: 42 });
+    assert.equal(stateOf(manager, WALLET), SUBSCRIPTION_STATE.SUBSCRIBED);
+    assert.equal(manager.getTarget(42).address, WALLET.address);
+  });
+
+  it('drops a target removed again before the unsubscribe is acknowledged', () => {
+    const { manager, sent } = recordingManager();
+
+    manager.sync([WALLET]);
+    manager.handleResponse({ id: lastRequest(sent, 'logsSubscribe').id, result: 41 });
+    manager.sync([]);
+    manager.sync([WALLET]);
+    manager.sync([]);
+    manager.handleResponse({ id: lastRequest(sent, 'logsUnsubscribe').id, result: true });
+
+    assert.equal(manager.getStatus().total, 0);
+    assert.equal(sent.filter(message => message.method === 'logsSubscribe').length, 1);
+  });
+});
@@ -0,0 +1,30 @@
+// Smart Money AI - Token metadata cache tests
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { TokenMetadataService } = require('../lib/tokenMetadata');
+const { WSOL_MINT, USDC_MINT } = require('../lib/constants');
+const { MemoryStore } = require('./helpers/memoryStore');
+
+describe('TokenMetadataService', () => {
+  it('never evicts the known quote mints from its cache', async () => {
+    const store = new MemoryStore();
+    const mints = ['MintA', 'MintB', 'MintC'];
+    await Promise.all(mints.map(mint => store.upsertTokenMetadata({ mint, decimals: 6, symbol: mint })));
+
+    let rpcCalls = 0;
+    const tokens = new TokenMetadataService({
+      rpc: { call: async () => { rpcCalls++; return { value: [] }; } },
+      store,
+      maxEntries: 2,
+    });
+
+    for (const mint of mints) await tokens.get(mint);
+
+    assert.equal(tokens.peek('MintA'), null);
+    assert.equal(tokens.peek(WSOL_MINT).symbol, 'SOL');
+    assert.equal((await tokens.get(USDC_MINT)).decimals, 6);
+    assert.equal(rpcCalls, 0);
+    assert.equal(tokens.getStats().cached, 2);
+  });
+});
@@ -0,0 +1,76 @@
+// Smart Money AI - Tracked-wallet trade handling tests
+// A tracked wallet's swap is stored and priced once, and never waits on token metadata.
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture } = require('./helpers/mockSolanaServer');
+const { MemoryStore } = require('./helpers/memoryStore');
+
+const BUY = loadFixture('raydium-buy');
+const WALLET = BUY.getTransaction.transaction.message.accountKeys[0];
+
+describe('SolanaMonitor tracked-wallet trades', () => {
+  const consoleLog = console.log;
+  let SolanaMonitor;
+  let monitor;
+  let store;
+
+  before(() => {
+    console.log = () => {};
+    ({ SolanaMonitor } = require('../index'));
+  });
+
+  afterEach(async () => {
+    await monitor?.shutdown({ timeoutMs: 1000 });
+    monitor = null;
+  });
+
+  after(() => {
+    console.log = consoleLog;
+  });
+
+  // Token lookups never finish: anything awaiting one would hang the test
+  async function trackingMonitor() {
+    store = new MemoryStore();
+    await store.upsertWallet({ wallet_address: WALLET, is_verified: true });
+    monitor = new SolanaMonitor({ store });
+    await monitor.loadTrackedWallets();
+
+    const lookups = [];
+    monitor.tokens = {
+      peek: () => null,
+      get: (mint) => {
+        lookups.push(mint);
+        return new Promise(() => {});
+      },
+      getStats: () => ({}),
+    };
+    return { lookups };
+  }
+
+  it('publishes the trade without waiting for token metadata', { timeout: 5000 }, async () => {
+    const { lookups } = await trackingMonitor();
+    const published = [];
+    monitor.events.publish = (type, event) => published.push(type);
+
+    await monitor.analyzeAndStoreTransaction(structuredClone(BUY.getTransaction));
+
+    assert.deepEqual(published, ['trade']);
+    assert.equal(lookups.length, 1);
+  });
+
+  it('prices the swap once when the wallet is untracked mid-analysis', async () => {
+    await trackingMonitor();
+    const updateWalletStats = monitor.updateWalletStats.bind(monitor);
+    monitor.updateWalletStats = async (walletAddress) => {
+      monitor.trackedWallets.delete(walletAddress);
+      return updateWalletStats(walletAddress);
+    };
+
+    await monitor.analyzeAndStoreTransaction(structuredClone(BUY.getTransaction));
+
+    assert.equal(monitor.prices.stats.swapsRecorded, 1);
+    await monitor.writes.flushAll();
+    assert.equal(store.tables.candidate_wallets.size, 0);
+  });
+});
@@ -0,0 +1,152 @@
+// Smart Money AI - Transaction fetch queue tests
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { TransactionFetchQueue, PRIORITY } = require('../lib/transactionFetchQueue');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function notFoundQueue(options = {}) {
+  const fetched = [];
+  const queue = new TransactionFetchQueue({
+    fetchTransaction: async (signature) => {
+      fetched.push(signature);
+      return null; // not indexed yet: retried
+    },
+    onTransaction: async () => {},
+    retryDelayMs: 20,
+    ...options,
+  });
+  return { queue, fetched };
+}
+
+describe('TransactionFetchQueue', () => {
+  it('fetches tracked-wallet signatures ahead of general traffic', async () => {
+    const fetched = [];
+    const queue = new TransactionFetchQueue({
+      fetchTransaction: async (signature) => {
+        fetched.push(signature);
+        return { signature };
+      },
+      onTransaction: async () => {},
+      concurrency: 1,
+    });
+
+    queue.enqueue('normal-1');
+    queue.enqueue('normal-2');
+    queue.enqueue('tracked', { priority: PRIORITY.HIGH });
+    queue.start();
+    await sleep(20);
+
+    assert.deepEqual(fetched, ['tracked', 'normal-1', 'normal-2']);
+  });
+
+  it('serves fetch() requests behind live traffic without analyzing them', async () => {
+    const fetched = [];
+    const analyzed = [];
+    const queue = new TransactionFetchQueue({
+      fetchTransaction: async (signature) => {
+        fetched.push(signature);
+        return { signature };
+      },
+      onTransaction: async (transaction) => analyzed.push(transaction.signature),
+      concurrency: 1,
+    });
+
+    const profiled = queue.fetch('history');
+    queue.enqueue('live');
+    queue.start();
+
+    assert.deepEqual(await profiled, { signature: 'history' });
+    assert.deepEqual(fetched, ['live', 'history']);
+    assert.deepEqual(analyzed, ['live']);
+  });
+
+  it('analyzes a fetch() request that is also enqueued', async () => {
+    const analyzed = [];
+    const queue = new TransactionFetchQueue({
+      fetchTransaction: async (signature) => ({ signature }),
+      onTransaction: async (transaction) => analyzed.push(transaction.signature),
+    });
+
+    const profiled = queue.fetch('sig');
+    queue.enqueue('sig', { priority: PRIORITY.HIGH });
+    assert.equal(queue.getStats().queued.high, 1);
+    queue.start();
+
+    assert.deepEqual(await profiled, { signature: 'sig' });
+    await sleep(5);
+    assert.deepEqual(analyzed, ['sig']);
+    assert.equal(queue.getStats().fetched, 1);
+  });
+
+  it('sheds fetch() requests before general traffic when full', async () => {
+    const queue = new TransactionFetchQueue({
+      fetchTransaction: async (signature) => ({ signature }),
+      onTransaction: async () => {},
+      maxQueueSize: 2,
+    });
+
+    const shed = queue.fetch('history');
+    queue.enqueue('live-1');
+    queue.enqueue('live-2');
+
+    assert.equal(await shed, null);
+    assert.equal(await queue.fetch('more-history'), null);
+    assert.deepEqual(queue.getStats().queued, { high: 0, normal: 2, low: 0 });
+    assert.equal(queue.getStats().dropped, 2);
+  });
+
+  it('clears pending retries on stop and resumes them on start', async () => {
+    const { queue, fetched } = notFoundQueue();
+    queue.start();
+    queue.enqueue('sig');
+    await sleep(5);
+    assert.equal(queue.retryTimers.size, 1);
+
+    queue.stop();
+    assert.equal(queue.retryTimers.size, 0);
+    await sleep(60);
+    assert.deepEqual(fetched, ['sig']);
+    assert.equal(queue.size(), 1);
+
+    queue.start();
+    await sleep(5);
+    assert.deepEqual(fetched, ['sig', 'sig']);
+    queue.stop();
+  });
+
+  it('does not schedule a retry for a fetch that finishes after stop', async () => {
+    let release;
+    const queue = new TransactionFetchQueue({
+      fetchTransaction: () => new Promise(resolve => { release = resolve; }),
+      onTransaction: async () => {},
+      retryDelayMs: 20,
+    });
+    queue.start();
+    queue.enqueue('sig');
+    queue.stop();
+
+    release(null);
+    await sleep(5);
+    assert.equal(queue.retryTimers.size, 0);
+    assert.equal(queue.size(), 1);
+  });
+
+  it('gives up after maxRetries', async () => {
+    const { queue, fetched } = notFoundQueue({ maxRetries: 2 });
+    const consoleError = console.error;
+    console.error = () => {};
+    try {
+      queue.start();
+      queue.enqueue('sig');
+      await sleep(150);
+    } finally {
+      console.error = consoleError;
+    }
+
+    assert.equal(fetched.length, 3);
+    assert.equal(queue.has('sig'), false);
+    assert.equal(queue.getStats().failed, 1);
+  });
+});
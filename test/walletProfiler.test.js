@@ -0,0 +1,55 @@
+// Smart Money AI - Wallet profiler tests
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { WalletProfiler } = require('../lib/walletProfiler');
+
+const WALLET = 'Wallet1111111111111111111111111111111111111';
+
+// Three successful signatures; `missing` are the ones whose transaction never arrives
+function profiler(missing = new Set()) {
+  const rpc = {
+    call: async () => ['sig-1', 'sig-2', 'sig-3'].map((signature, i) => ({ signature, err: null, blockTime: 1767225600 + i })),
+  };
+  return new WalletProfiler({
+    rpc,
+    signatureLimit: 10,
+    fetchTransaction: async signature => (missing.has(signature) ? null : { signature }),
+  });
+}
+
+describe('WalletProfiler', () => {
+  const consoleLog = console.log;
+
+  before(() => {
+    console.log = () => {};
+  });
+
+  after(() => {
+    console.log = consoleLog;
+  });
+
+  it('profiles and caches a wallet whose transactions were all fetched', async () => {
+    const walletProfiler = profiler();
+    const profile = await walletProfiler.profile(WALLET);
+
+    assert.equal(profile.fetched_transactions, 3);
+    assert.equal(profile.first_seen_at, new Date(1767225600 * 1000).toISOString());
+    assert.equal((await walletProfiler.profile(WALLET)).from_cache, true);
+  });
+
+  it('throws instead of caching a history with shed or missing transactions', async () => {
+    const missing = new Set(['sig-2']);
+    const walletProfiler = profiler(missing);
+
+    await assert.rejects(walletProfiler.profile(WALLET), /Fetched 2 of 3 transactions/);
+    assert.equal(walletProfiler.cache.size, 0);
+    assert.equal(walletProfiler.stats.transactionsFailed, 1);
+    assert.equal(walletProfiler.stats.errors, 1);
+
+    // Retried once the queue has room again
+    missing.clear();
+    assert.equal((await walletProfiler.profile(WALLET)).from_cache, false);
+    assert.equal(walletProfiler.cache.size, 1);
+  });
+});
@@ -0,0 +1,111 @@
+// Smart Money AI - Wallet scoring tests
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { WalletScoringModel, DEFAULT_SCORING_CONFIG, summarizeActivity, loadScoringConfig } = require('../lib/walletScoring');
+const { WSOL_MINT } = require('../lib/constants');
+
+// Hits every default factor's target
+const STRONG = {
+  pnl: { realized_pnl_sol: 20, win_rate: 0.8, roi: 2, closed_trades: 10 },
+  activity: {
+    dex_programs: ['a', 'b', 'c'],
+    avg_trade_size_sol: 5,
+    first_seen_at: '2026-01-01T00:00:00.000Z',
+  },
+  analysis_timestamp: '2026-03-01T00:00:00.000Z',
+};
+
+describe('WalletScoringModel', () => {
+  it('scores each factor up to its target, normalized over the weights', () => {
+    const model = new WalletScoringModel();
+    assert.equal(model.evaluate(STRONG).score, 100);
+
+    const half = model.evaluate({
+      ...STRONG,
+      pnl: { ...STRONG.pnl, realized_pnl_sol: 5, win_rate: 0.3, roi: -1 },
+    });
+    // pnl 12.5/25, win rate 12.5/25, roi 0/20, the rest full
+    assert.equal(half.score, 55);
+    assert.deepEqual(half.breakdown.factors.roi, { value: -1, target: 1, weight: 20, points: 0 });
+    assert.equal(half.promote, true);
+  });
+
+  it('measures trading_span at analysis time', () => {
+    const model = new WalletScoringModel();
+    const { breakdown } = model.evaluate({
+      ...STRONG,
+      activity: { ...STRONG.activity, first_seen_at: '2026-02-15T00:00:00.000Z' },
+    });
+
+    assert.equal(breakdown.factors.trading_span.value, 14);
+    assert.equal(breakdown.factors.trading_span.points, 4.67);
+  });
+
+  it('rejects wallets below minClosedTrades whatever the score', () => {
+    const model = new WalletScoringModel({ minClosedTrades: 20 });
+    const result = model.evaluate(STRONG);
+
+    assert.equal(result.score, 100);
+    assert.equal(result.promote, false);
+    assert.equal(result.reason, 'Not enough closed trades: 10 < 20');
+  });
+
+  it('merges config overrides per factor', () => {
+    const model = new WalletScoringModel({
+      promotionThreshold: 90,
+      factors: { pnl: { target: 40 }, trading_span: { enabled: false } },
+    });
+
+    assert.deepEqual(model.config.factors.pnl, { weight: 25, target: 40 });
+    const result = model.evaluate(STRONG);
+    assert.equal(result.breakdown.factors.trading_span, undefined);
+    // pnl earns 12.5 of its 25; 77.5 of the 90 enabled points in all
+    assert.equal(result.score, Math.round((77.5 / 90) * 100));
+    assert.equal(result.promote, false);
+  });
+
+  it('scores registered factors', () => {
+    const disabled = Object.keys(DEFAULT_SCORING_CONFIG.factors).map(name => [name, { weight: 0 }]);
+    const model = new WalletScoringModel({ factors: Object.fromEntries(disabled) });
+    model.registerFactor('followers', analysis => analysis.followers, { weight: 10, target: 100 });
+
+    assert.equal(model.evaluate({ ...STRONG, followers: 25 }).score, 25);
+  });
+});
+
+describe('summarizeActivity', () => {
+  it('averages SOL-quoted trade sizes and finds the oldest trade', () => {
+    assert.deepEqual(summarizeActivity([
+      { dex_program_id: 'a', trade_type: 'buy', token_in_amount: '2', quote_mint: WSOL_MINT, timestamp: '2026-01-02T00:00:00.000Z' },
+      { dex_program_id: 'b', trade_type: 'sell', token_out_amount: 4, quote_mint: WSOL_MINT, timestamp: '2026-01-01T00:00:00.000Z' },
+      { dex_program_id: 'a', trade_type: 'buy', token_in_amount: 100, quote_mint: 'USDC', timestamp: '2026-01-03T00:00:00.000Z' },
+    ]), {
+      dex_programs: ['a', 'b'],
+      avg_trade_size_sol: 3,
+      sol_volume: 6,
+      first_seen_at: '2026-01-01T00:00:00.000Z',
+    });
+  });
+});
+
+describe('loadScoringConfig', () => {
+  const consoleLog = console.log;
+  const consoleError = console.error;
+
+  before(() => {
+    console.log = () => {};
+    console.error = () => {};
+  });
+
+  after(() => {
+    console.log = consoleLog;
+    console.error = consoleError;
+  });
+
+  it('lets an explicit threshold win and ignores an unset one', () => {
+    assert.deepEqual(loadScoringConfig({ promotionThreshold: 55 }), { promotionThreshold: 55 });
+    assert.deepEqual(loadScoringConfig({ promotionThreshold: NaN }), {});
+    assert.deepEqual(loadScoringConfig({ path: '/nonexistent/scoring.json' }), {});
+  });
+});
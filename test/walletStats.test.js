@@ -0,0 +1,101 @@
+// Smart Money AI - Wallet stats tests
+// Stats and scoring read a wallet's newest decoded trades, including those still in the write
+// buffer, so they keep moving after the wallet passes the read limit.
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { PostgresStore } = require('../lib/storage/postgresStore');
+const { MemoryStore } = require('./helpers/memoryStore');
+
+const WALLET = 'Wa11et1111111111111111111111111111111111111';
+const WSOL = 'So11111111111111111111111111111111111111112';
+
+function tradeRow(index, { type, mint, sol, tokens }) {
+  return {
+    wallet_address: WALLET,
+    transaction_signature: `sig-${index}`,
+    timestamp: new Date(Date.UTC(2026, 0, 1) + index * 60000).toISOString(),
+    status: 'decoded',
+    trade_type: type,
+    token_mint: mint,
+    token_in_amount: type === 'buy' ? sol : tokens,
+    token_out_amount: type === 'buy' ? tokens : sol,
+    quote_mint: WSOL,
+  };
+}
+
+describe('decoded trade reads', () => {
+  it('PostgresStore selects the newest rows and returns them oldest first', async () => {
+    const store = new PostgresStore({ connectionString: 'postgres://localhost:1/unused' });
+    let sql = null;
+    store.query = async (text) => {
+      sql = text;
+      return [{ transaction_signature: 'newer' }, { transaction_signature: 'older' }];
+    };
+
+    const rows = await store.getDecodedTrades(WALLET, { limit: 2 });
+    assert.match(sql, /ORDER BY timestamp DESC, id DESC/);
+    assert.deepEqual(rows.map(row => row.transaction_signature), ['older', 'newer']);
+    await store.pool.end();
+  });
+
+  it('MemoryStore keeps the same order and limit', async () => {
+    const store = new MemoryStore();
+    await store.upsertTrades([0, 1, 2].map(index => tradeRow(index, { type: 'buy', mint: 'MINT', sol: 1, tokens: 10 })));
+
+    const rows = await store.getDecodedTrades(WALLET, { limit: 2 });
+    assert.deepEqual(rows.map(row => row.transaction_signature), ['sig-1', 'sig-2']);
+  });
+});
+
+describe('SolanaMonitor.updateWalletStats', () => {
+  const consoleLog = console.log;
+  let SolanaMonitor;
+  let monitor;
+
+  before(() => {
+    console.log = () => {};
+    ({ SolanaMonitor } = require('../index'));
+  });
+
+  afterEach(async () => {
+    await monitor?.shutdown({ timeoutMs: 1000 });
+    monitor = null;
+  });
+
+  after(() => {
+    console.log = consoleLog;
+  });
+
+  it('reflects trades made after the wallet passed the read limit', async () => {
+    const store = new MemoryStore();
+    monitor = new SolanaMonitor({ store });
+
+    // 1000 old buys fill the read limit on their own
+    const rows = [];
+    for (let index = 0; index < 1000; index++) {
+      rows.push(tradeRow(index, { type: 'buy', mint: 'OLD', sol: 0.01, tokens: 1 }));
+    }
+    rows.push(tradeRow(1000, { type: 'buy', mint: 'NEW', sol: 1, tokens: 100 }));
+    rows.push(tradeRow(1001, { type: 'sell', mint: 'NEW', sol: 3, tokens: 100 }));
+    await store.upsertTrades(rows);
+
+    const stats = await monitor.updateWalletStats(WALLET);
+    assert.equal(stats.closed_trades, 1);
+    assert.equal(stats.realized_pnl_sol, 2);
+    assert.equal((await store.getWalletStats(WALLET)).closed_trades, 1);
+  });
+
+  it('counts trades that are still buffered', async () => {
+    const store = new MemoryStore();
+    monitor = new SolanaMonitor({ store });
+
+    await store.upsertTrades([tradeRow(0, { type: 'buy', mint: 'MINT', sol: 1, tokens: 100 })]);
+    await monitor.writes.add('trades', tradeRow(1, { type: 'sell', mint: 'MINT', sol: 3, tokens: 100 }));
+
+    const stats = await monitor.updateWalletStats(WALLET);
+    assert.equal(stats.closed_trades, 1);
+    assert.equal(stats.realized_pnl_sol, 2);
+    assert.equal((await store.getDecodedTrades(WALLET)).length, 1);
+  });
+});
@@ -0,0 +1,173 @@
+// Smart Money AI - Write buffer tests
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { WriteBuffer } = require('../lib/writeBuffer');
+
+// One table whose batches are recorded, unless the test passes its own `write`
+function recordingBuffer(options = {}, tableOptions = {}) {
+  const batches = [];
+  const table = {
+    key: row => row.id,
+    write: async rows => { batches.push(rows.map(row => ({ ...row }))); },
+    ...tableOptions,
+  };
+  const buffer = new WriteBuffer({ tables: { rows: table }, retryDelayMs: 1, ...options });
+  return { buffer, batches };
+}
+
+describe('WriteBuffer', () => {
+  const consoleLog = console.log;
+  const consoleError = console.error;
+
+  before(() => {
+    console.log = () => {};
+    console.error = () => {};
+  });
+
+  after(() => {
+    console.log = consoleLog;
+    console.error = consoleError;
+  });
+
+  it('coalesces duplicate keys, merging later fields over earlier ones', async () => {
+    const { buffer, batches } = recordingBuffer();
+    await buffer.add('rows', { id: 'a', status: 'pending', slot: 1 });
+    await buffer.add('rows', { id: 'b', status: 'pending' });
+    await buffer.add('rows', { id: 'a', status: 'decoded' });
+    await buffer.flushAll();
+
+    assert.deepEqual(batches, [[{ id: 'a', status: 'decoded', slot: 1 }, { id: 'b', status: 'pending' }]]);
+    assert.equal(buffer.getStats().tables.rows.coalesced, 1);
+  });
+
+  it('keeps the first row of insert-if-absent tables', async () => {
+    const { buffer, batches } = recordingBuffer({}, { keepFirst: true });
+    await buffer.add('rows', { id: 'a', source: 'first' });
+    await buffer.add('rows', { id: 'a', source: 'second' });
+    await buffer.flushAll();
+
+    assert.deepEqual(batches, [[{ id: 'a', source: 'first' }]]);
+  });
+
+  it('flushes a full batch without waiting for the timer', async () => {
+    const { buffer, batches } = recordingBuffer({ maxBatchSize: 2 });
+    await buffer.add('rows', { id: 'a' });
+    assert.equal(batches.length, 0);
+    await buffer.add('rows', { id: 'b' });
+    await buffer.flushAll(); // waits for the flush in progress
+
+    assert.deepEqual(batches, [[{ id: 'a' }, { id: 'b' }]]);
+  });
+
+  it('keeps writing batches of maxBatchSize while rows arrive during a flush', async () => {
+    let openGate;
+    const gate = new Promise(resolve => { openGate = resolve; });
+    const batches = [];
+    const { buffer } = recordingBuffer({ maxBatchSize: 2 }, {
+      write: async rows => {
+        await gate;
+        batches.push(rows.map(row => row.id));
+      },
+    });
+    for (const id of ['a', 'b', 'c', 'd', 'e']) await buffer.add('rows', { id });
+    openGate();
+    await buffer.flushAll();
+
+    assert.deepEqual(batches, [['a', 'b'], ['c', 'd'], ['e']]);
+  });
+
+  it('shows rows being written as pending until the write finishes', async () => {
+    let finishWrite;
+    const { buffer } = recordingBuffer({}, {
+      write: () => new Promise(resolve => { finishWrite = resolve; }),
+    });
+    await buffer.add('rows', { id: 'a' });
+
+    const flushing = buffer.flushAll();
+    await buffer.add('rows', { id: 'b' });
+    assert.deepEqual(buffer.pendingRows('rows').map(row => row.id), ['a', 'b']);
+
+    finishWrite();
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(buffer.pendingRows('rows').map(row => row.id), ['b']);
+    finishWrite();
+    await flushing;
+    assert.deepEqual(buffer.pendingRows('rows'), []);
+  });
+
+  it('looks up pending and in-flight rows by their index column', async () => {
+    let finishWrite;
+    const { buffer } = recordingBuffer({ maxBatchSize: 2 }, {
+      index: row => row.wallet,
+      write: () => new Promise(resolve => { finishWrite = resolve; }),
+    });
+    await buffer.add('rows', { id: 'a', wallet: 'w1' });
+    await buffer.add('rows', { id: 'b', wallet: 'w2' });
+
+    const flushing = buffer.flushAll();
+    await buffer.add('rows', { id: 'c', wallet: 'w1' });
+    await buffer.add('rows', { id: 'c', wallet: 'w2' }); // a merge can move a row to another value
+    assert.deepEqual(buffer.pendingRows('rows', 'w1').map(row => row.id), ['a']);
+    assert.deepEqual(buffer.pendingRows('rows', 'w2').map(row => row.id), ['b', 'c']);
+    assert.deepEqual(buffer.pendingRows('rows', 'w3'), []);
+
+    finishWrite();
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(buffer.pendingRows('rows', 'w1'), []);
+    assert.deepEqual(buffer.pendingRows('rows', 'w2').map(row => row.id), ['c']);
+    finishWrite();
+    await flushing;
+    assert.deepEqual(buffer.pendingRows('rows', 'w2'), []);
+    assert.equal(buffer.tables.get('rows').pendingByIndex.size, 0);
+
+    const { buffer: unindexed } = recordingBuffer();
+    assert.throws(() => unindexed.pendingRows('rows', 'w1'), /has no index/);
+  });
+
+  it('retries failed writes and drops the batch after maxRetries', async () => {
+    let attempts = 0;
+    const outcomes = [];
+    const { buffer } = recordingBuffer({ maxRetries: 2, onBatch: ({ ok }) => outcomes.push(ok) }, {
+      write: async () => {
+        attempts++;
+        throw new Error('connection reset');
+      },
+    });
+    await buffer.add('rows', { id: 'a' });
+    await buffer.flushAll();
+
+    assert.equal(attempts, 3);
+    assert.deepEqual(outcomes, [false, false, false]);
+    const stats = buffer.getStats().tables.rows;
+    assert.equal(stats.failedBatches, 3);
+    assert.equal(stats.droppedRows, 1);
+  });
+
+  it('applies backpressure past the limit and lifts it once drained', async () => {
+    const pressure = [];
+    const { buffer, batches } = recordingBuffer({ maxBufferedRows: 2, onPressure: full => pressure.push(full) });
+    await buffer.add('rows', { id: 'a' });
+    await buffer.add('rows', { id: 'b' });
+    assert.deepEqual(pressure, [true]);
+
+    // Waits for room instead of growing the buffer
+    let added = false;
+    const waiting = buffer.add('rows', { id: 'c' }).then(() => { added = true; });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(added, false);
+    assert.equal(buffer.getStats().waiting, 1);
+
+    await buffer.flushAll();
+    await waiting;
+    assert.deepEqual(pressure, [true, false]);
+    assert.deepEqual(batches, [[{ id: 'a' }, { id: 'b' }]]);
+    assert.equal(buffer.buffered, 1);
+  });
+
+  it('rejects unknown tables', async () => {
+    const { buffer } = recordingBuffer();
+    await assert.rejects(buffer.add('trades', {}), /Write buffer has no table trades/);
+    assert.throws(() => buffer.pendingRows('trades'), /Write buffer has no table trades/);
+  });
+});